@@ -90,9 +90,52 @@ export async function analyze(options) {
     }
   }
 
+  // Check RPC calls against the server's procedures
+  if (options.rpcManifest) {
+    console.log('\n== Checking RPC calls ==\n');
+
+    let manifest;
+    try {
+      manifest = await loadManifest(options.rpcManifest);
+    } catch (error) {
+      console.error(`[!] Could not load RPC manifest from ${options.rpcManifest}: ${error.message}`);
+      process.exitCode = 1;
+      return;
+    }
+
+    const issues = analyzer.checkRPCCalls(manifest);
+    const callCount = Array.from(analyzer.modules.values())
+      .reduce((sum, m) => sum + m.rpcCalls.length, 0);
+
+    if (issues.length > 0) {
+      console.error(`[!] Found ${issues.length} problem${issues.length > 1 ? 's' : ''} in ${callCount} RPC call${callCount === 1 ? '' : 's'}:`);
+      issues.forEach(issue => {
+        console.error(` - ${issue.path}:${issue.line} ${issue.procedure}: ${issue.message}`);
+      });
+      process.exitCode = 1;
+    } else {
+      console.log(`[ok] ${callCount} RPC call${callCount === 1 ? '' : 's'} match the manifest`);
+    }
+  }
+
   console.log('');
 }
 
+/**
+ * Manifest JSON from a file (app.rpc.writeManifest()) or a running server (GET /rpc/manifest)
+ */
+async function loadManifest(source) {
+  if (/^https?:\/\//.test(source)) {
+    const response = await fetch(source);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    return response.json();
+  }
+
+  return JSON.parse(fs.readFileSync(path.resolve(process.cwd(), source), 'utf-8'));
+}
+
 function findJSFiles(dir, fileList = []) {
   const files = fs.readdirSync(dir);
 
@@ -4,64 +4,49 @@
  */
 
 import http from 'http';
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
 import { exec } from 'child_process';
 
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
+/**
+ * The static handler shared with the servers; published packages only ship dist/
+ */
+async function loadStaticHandler() {
+  try {
+    return (await import('../../src/script/static.js')).createStaticHandler;
+  } catch (error) {
+    return (await import('../../dist/script/index.esm.js')).createStaticHandler;
+  }
+}
 
 export async function devServer(options) {
-  const { port, open } = options;
+  const { port, open, spa } = options;
 
   console.log('\n== Starting ScrollForge dev server ==\n');
 
-  const server = http.createServer((req, res) => {
-    let filePath = '.' + req.url;
-    if (filePath === './') {
-      filePath = './index.html';
-    }
-
-    const extname = String(path.extname(filePath)).toLowerCase();
-    const mimeTypes = {
-      '.html': 'text/html',
-      '.js': 'text/javascript',
-      '.css': 'text/css',
-      '.json': 'application/json',
-      '.png': 'image/png',
-      '.jpg': 'image/jpg',
-      '.gif': 'image/gif',
-      '.svg': 'image/svg+xml',
-      '.wav': 'audio/wav',
-      '.mp4': 'video/mp4',
-      '.woff': 'application/font-woff',
-      '.ttf': 'application/font-ttf',
-      '.eot': 'application/vnd.ms-fontobject',
-      '.otf': 'application/font-otf',
-      '.wasm': 'application/wasm',
-    };
-
-    const contentType = mimeTypes[extname] || 'application/octet-stream';
+  const createStaticHandler = await loadStaticHandler();
+  const serveStatic = createStaticHandler(process.cwd(), {
+    spa: Boolean(spa),
+    fallthrough: false,
+  });
 
-    fs.readFile(filePath, (error, content) => {
-      if (error) {
-        if (error.code === 'ENOENT') {
-          res.writeHead(404, { 'Content-Type': 'text/html' });
-          res.end('<h1>404 Not Found</h1>', 'utf-8');
-        } else {
-          res.writeHead(500);
-          res.end(`Server Error: ${error.code}`, 'utf-8');
-        }
-      } else {
-        res.writeHead(200, { 'Content-Type': contentType });
-        res.end(content, 'utf-8');
+  const server = http.createServer(async (req, res) => {
+    try {
+      const handled = await serveStatic(req, res);
+      if (!handled) {
+        res.writeHead(405, { 'Content-Type': 'text/plain; charset=utf-8', Allow: 'GET, HEAD' });
+        res.end('Method Not Allowed');
       }
-    });
+    } catch (error) {
+      if (!res.headersSent) {
+        res.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+      }
+      res.end(`Server Error: ${error.code || error.message}`);
+    }
   });
 
   server.listen(port, () => {
     console.log(`[ok] Server running at http://localhost:${port}`);
     console.log(`\nServing files from: ${process.cwd()}`);
+    if (spa) console.log('SPA fallback: unknown routes serve index.html');
     console.log('\nPress Ctrl+C to stop\n');
 
     if (open) {
@@ -28,6 +28,7 @@ program
   .description('Start development server')
   .option('-p, --port <port>', 'Port number', '3000')
   .option('-o, --open', 'Open browser automatically')
+  .option('--spa', 'Serve index.html for unknown routes (client-side routing)')
   .action(devServer);
 
 // Build command
@@ -53,6 +54,7 @@ program
   .command('analyze')
   .description('Analyze project for optimizations')
   .option('--find-cycles', 'Check for circular dependencies')
+  .option('--rpc-manifest <source>', 'Check RPC calls against a manifest file or URL (e.g. http://localhost:3000/rpc/manifest)')
   .action(async (options) => {
     const { analyze } = await import('./commands/analyze.js');
     await analyze(options);
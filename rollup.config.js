@@ -1,6 +1,12 @@
 import resolve from '@rollup/plugin-node-resolve';
 import commonjs from '@rollup/plugin-commonjs';
 
+// Node.js modules used by the server side of ScrollScript
+const NODE_EXTERNALS = [
+  'http', 'url', 'querystring', 'ws',
+  'crypto', 'fs', 'path', 'os', 'stream', 'util', 'zlib', 'net', 'cluster',
+];
+
 const createConfig = (input, outputName, external = []) => ({
   input,
   output: [
@@ -46,8 +52,8 @@ const createClientConfig = (input, outputName) => ({
 
 export default [
   // Original builds (for Node.js)
-  createConfig('src/index.js', 'index', ['http', 'url', 'querystring', 'ws']),
-  createConfig('src/script/index.js', 'script/index', ['http', 'url', 'querystring', 'ws']),
+  createConfig('src/index.js', 'index', NODE_EXTERNALS),
+  createConfig('src/script/index.js', 'script/index', NODE_EXTERNALS),
   createConfig('src/weave/index.js', 'weave/index'),
   createConfig('src/mesh/index.js', 'mesh/index'),
   
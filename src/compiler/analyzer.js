@@ -19,7 +19,8 @@ export class StaticAnalyzer {
   analyze(code, modulePath) {
     const ast = acorn.parse(code, {
       ecmaVersion: 2022,
-      sourceType: 'module'
+      sourceType: 'module',
+      locations: true
     });
 
     const analysis = {
@@ -30,6 +31,7 @@ export class StaticAnalyzer {
       actions: [],
       components: [],
       weaveRules: [],
+      rpcCalls: [],
       dependencies: new Set()
     };
 
@@ -105,6 +107,14 @@ export class StaticAnalyzer {
       });
     }
 
+    // Detect RPC calls (rpc.todos.add(input), app.rpc.$call('todos.add', input), rpc.call('todos.add', input))
+    if (node.type === 'CallExpression') {
+      const call = rpcCall(node);
+      if (call) {
+        analysis.rpcCalls.push({ ...call, line: node.loc?.start.line });
+      }
+    }
+
     // Recurse
     for (const key in node) {
       if (key === 'loc' || key === 'range') continue;
@@ -207,6 +217,33 @@ export class StaticAnalyzer {
     return hints;
   }
 
+  /**
+   * Check RPC calls against a server manifest (RPCServer.manifest()):
+   * unknown procedures, and inline object inputs with unknown, missing or mistyped keys
+   */
+  checkRPCCalls(manifest) {
+    const procedures = manifest?.procedures || {};
+    const names = Object.keys(procedures);
+    const issues = [];
+
+    this.modules.forEach((analysis, path) => {
+      analysis.rpcCalls.forEach(({ procedure, argument, line }) => {
+        const report = (message) => issues.push({ path, line, procedure, message });
+
+        if (!procedures[procedure]) {
+          const last = procedure.split('.').pop();
+          const similar = names.filter(name => name.split('.').pop() === last);
+          report(`Unknown procedure '${procedure}'${similar.length ? ` - did you mean '${similar.join("', '")}'?` : ''}`);
+          return;
+        }
+
+        checkInput(procedures[procedure].input, argument, '').forEach(report);
+      });
+    });
+
+    return issues;
+  }
+
   /**
    * Export analysis report
    */
@@ -226,6 +263,134 @@ export class StaticAnalyzer {
   }
 }
 
+// RPCServer / RPCClient methods, reached through the same `rpc` names as procedures
+const RPC_METHODS = new Set([
+  'procedure', 'handle', 'handleMessage', 'callBatch', 'matches', 'reject',
+  'manifest', 'writeManifest', 'proxy', 'close',
+]);
+
+/**
+ * Procedure name and first argument of an RPC proxy call, or null
+ */
+function rpcCall(node) {
+  const names = [];
+  let current = node.callee;
+
+  while (current.type === 'MemberExpression') {
+    if (current.computed) return null;
+    names.unshift(current.property.name);
+    current = current.object;
+  }
+  if (current.type === 'Identifier') names.unshift(current.name);
+
+  const root = names.indexOf('rpc');
+  if (root === -1 || root === names.length - 1) return null;
+
+  const path = names.slice(root + 1);
+  if (path.length === 1 && RPC_METHODS.has(path[0])) return null;
+
+  // proxy.$call(name, input) and client.call(name, input) name the procedure
+  if (path[0] === '$call' || (path.length === 1 && path[0] === 'call')) {
+    const name = node.arguments[0];
+    if (!name || name.type !== 'Literal' || typeof name.value !== 'string') return null;
+    return { procedure: name.value, argument: summarizeArgument(node.arguments[1]) };
+  }
+  if (path[0].startsWith('$')) return null;
+
+  return { procedure: path.join('.'), argument: summarizeArgument(node.arguments[0]) };
+}
+
+/**
+ * What can be told about an argument without running the code
+ */
+function summarizeArgument(node) {
+  if (!node) return null;
+
+  switch (node.type) {
+    case 'Literal':
+      if (node.regex) return { kind: 'object' };
+      return { kind: node.value === null ? 'null' : typeof node.value, value: node.value };
+    case 'TemplateLiteral':
+      return { kind: 'string' };
+    case 'ArrayExpression':
+      return { kind: 'array' };
+    case 'ObjectExpression': {
+      const keys = {};
+      let spread = false;
+
+      node.properties.forEach(property => {
+        if (property.type !== 'Property' || property.computed) {
+          spread = true;
+        } else {
+          keys[property.key.name ?? property.key.value] = summarizeArgument(property.value);
+        }
+      });
+
+      return { kind: 'object', keys, spread };
+    }
+    default:
+      return { kind: 'unknown' };
+  }
+}
+
+const CHECKED_TYPES = ['string', 'number', 'boolean', 'array', 'object'];
+
+/**
+ * Compare an argument summary with a schema description (Schema.describe())
+ */
+function checkInput(description, argument, path) {
+  const label = path || 'input';
+
+  if (!description) return [];
+
+  if (!argument) {
+    return description.optional ? [] : [`Missing ${label} (expected ${description.type})`];
+  }
+
+  if (argument.kind === 'unknown') return [];
+
+  if (argument.kind === 'null') {
+    return description.nullable ? [] : [`${label} cannot be null`];
+  }
+
+  if (description.type === 'enum' && 'value' in argument && !description.values.includes(argument.value)) {
+    return [`${label} must be one of: ${description.values.join(', ')}`];
+  }
+
+  if (description.type === 'literal' && 'value' in argument && argument.value !== description.value) {
+    return [`${label} must be ${JSON.stringify(description.value)}`];
+  }
+
+  if (CHECKED_TYPES.includes(description.type) && argument.kind !== description.type) {
+    return [`${label} must be ${description.type === 'array' || description.type === 'object' ? 'an' : 'a'} ${description.type}, got ${argument.kind}`];
+  }
+
+  if (description.type !== 'object' || argument.kind !== 'object' || !description.shape) {
+    return [];
+  }
+
+  const issues = [];
+  const join = (key) => (path ? `${path}.${key}` : key);
+
+  Object.entries(argument.keys).forEach(([key, value]) => {
+    if (description.shape[key]) {
+      issues.push(...checkInput(description.shape[key], value, join(key)));
+    } else if (description.unknownKeys !== 'allow') {
+      issues.push(`${join(key)} is not part of the input${description.unknownKeys === 'error' ? ' (rejected)' : ' (dropped)'}`);
+    }
+  });
+
+  if (!argument.spread) {
+    Object.entries(description.shape).forEach(([key, field]) => {
+      if (!field.optional && !(key in argument.keys)) {
+        issues.push(`Missing required ${join(key)}`);
+      }
+    });
+  }
+
+  return issues;
+}
+
 export function createAnalyzer() {
   return new StaticAnalyzer();
 }
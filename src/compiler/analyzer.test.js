@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createAnalyzer } from './analyzer.js';
+import { RPCServer } from '../script/rpc.js';
+import { schema } from '../script/schema.js';
+
+const server = new RPCServer();
+server.procedure('todos.add', schema.object({
+  title: schema.string(),
+  done: schema.boolean().optional(),
+}), () => {});
+server.procedure('todos.list', () => []);
+const manifest = server.manifest();
+
+function check(code) {
+  const analyzer = createAnalyzer();
+  analyzer.analyze(code, 'app.js');
+  return analyzer.checkRPCCalls(manifest).map((issue) => issue.message);
+}
+
+test('proxy and $call calls are checked against the manifest', () => {
+  const issues = check(`
+    const rpc = client.proxy();
+    rpc.todos.add({ title: 'ok' });
+    rpc.todos.remove({ id: 1 });
+    rpc.$call('todos.lists');
+  `);
+
+  assert.deepEqual(issues, [
+    "Unknown procedure 'todos.remove'",
+    "Unknown procedure 'todos.lists'",
+  ]);
+});
+
+test('RPC server and client methods are not mistaken for procedures', () => {
+  const issues = check(`
+    app.rpc.writeManifest('rpc.json');
+    app.rpc.procedure('todos.add', null, () => {});
+    rpc.call('todos.add', { title: 'from client' });
+    rpc.call('todos.missing', {});
+    rpc.manifest();
+    rpc.close();
+  `);
+
+  assert.deepEqual(issues, ["Unknown procedure 'todos.missing'"]);
+});
+
+test('inline inputs are checked for missing, unknown and mistyped keys', () => {
+  const issues = check(`
+    rpc.todos.add({ done: 'yes', extra: 1 });
+    rpc.todos.add({ ...draft, title: 'spread is fine' });
+    rpc.todos.add(input);
+  `);
+
+  assert.deepEqual(issues, [
+    'done must be a boolean, got string',
+    'extra is not part of the input (dropped)',
+    'Missing required title',
+  ]);
+});
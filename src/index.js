@@ -12,6 +12,11 @@
 import { ScrollScriptClient } from './script/client.js';
 import { ScrollWeaveCore } from './weave/core.js';
 import { ScrollMeshCore } from './mesh/core.js';
+import { ScrollMeshContext } from './mesh/context.js';
+import { HTMLScrollMesh } from './mesh/html-context.js';
+import { ReactiveComponent } from './mesh/reactive.js';
+import { createComposition } from './mesh/composition.js';
+import { APP_KEY, Injector, provideApp, rootInjector } from './mesh/injection.js';
 
 export class ScrollForge {
   constructor(config = {}) {
@@ -20,6 +25,9 @@ export class ScrollForge {
     this.Weave = new ScrollWeaveCore(config.weave || {});
     this.Mesh = new ScrollMeshCore(config.mesh || {});
 
+    // Contexts inject the app and its engines from here (see mesh/injection.js)
+    this.injector = provideApp(this, this._resolveInjector(config.injector));
+
     // Integration layer
     this._setupIntegration();
 
@@ -28,6 +36,19 @@ export class ScrollForge {
     }
   }
 
+  /**
+   * config.injector, else the shared root for the first app only. Multi-app and
+   * SSR setups pass their own injector so no app leaks into the others.
+   */
+  _resolveInjector(injector) {
+    if (injector) return injector;
+    if (!rootInjector.has(APP_KEY)) return rootInjector;
+
+    console.warn('[ScrollForge] Another app already owns the root injector; this one gets its own. ' +
+      'Pass { injector: new Injector() } and create contexts with app.context() when running several apps.');
+    return new Injector();
+  }
+
   /**
    * Setup integration between engines
    */
@@ -154,6 +175,34 @@ export class ScrollForge {
     return name;
   }
 
+  /**
+   * ScrollMesh context that injects from this app
+   */
+  context(...functions) {
+    return new ScrollMeshContext(...functions, createComposition(null, { injector: this.injector }));
+  }
+
+  /**
+   * HTMLScrollMesh context that injects from this app
+   */
+  htmlContext(...functions) {
+    return HTMLScrollMesh(...functions, createComposition(null, { injector: this.injector }));
+  }
+
+  /**
+   * ReactiveComponent using this app's Script and Mesh engines
+   */
+  reactive(name, config = {}) {
+    return new ReactiveComponent(name, { ...config, injector: this.injector });
+  }
+
+  /**
+   * Provide a value to every context of this app
+   */
+  provide(key, value) {
+    return this.injector.provide(key, value);
+  }
+
   /**
    * Mount application
    */
@@ -186,6 +235,7 @@ export { ScrollScriptClient, ScrollScriptCore } from './script/index.js';
 export { ScrollScriptServer } from './script/server.js';
 export { ScrollWeaveCore } from './weave/core.js';
 export { ScrollMeshCore } from './mesh/core.js';
+export { Injector, rootInjector } from './mesh/injection.js';
 
 // Export the class as default
 export default ScrollForge;
@@ -0,0 +1,208 @@
+/**
+ * ScrollMesh Composition
+ * Components built from ScrollMesh contexts: props, slots, events to the parent
+ *
+ *   const TodoItem = ScrollMesh.component('TodoItem',
+ *     () => ({ props: { todo: { type: 'object', required: true }, editable: false } }),
+ *     (props, slot, emit) => ({
+ *       tag: 'li',
+ *       children: [props.todo.title, slot('actions', { todo: props.todo })],
+ *       events: { dblclick: () => emit('edit', props.todo.id) },
+ *     })
+ *   );
+ *
+ *   // in the parent's UI function
+ *   (state, child) => ({
+ *     tag: 'ul',
+ *     children: state.todos.map((todo) => child(TodoItem, {
+ *       key: todo.id,
+ *       props: { todo },
+ *       slots: { actions: ({ todo }) => ({ tag: 'button', content: 'x' }) },
+ *       on: { edit: (id) => { state.editing = id; } }, // or the name of a parent event
+ *     })),
+ *   })
+ *
+ * Props are declared under `props` in the state function: a default value, a Schema,
+ * or { type, required, default, validate }. Children are created on the parent's
+ * first render that uses them, kept across renders by definition and key, and
+ * unmounted with the parent or when a render no longer includes them.
+ */
+
+import { isSchema } from '../script/schema.js';
+
+// Element hosting a child component; display: contents keeps it out of the layout
+export const CHILD_TAG = 'sf-component';
+export const CHILD_STYLE = { display: 'contents' };
+
+const COMPOSITION = Symbol('ScrollMeshComposition');
+let nextDefinitionId = 0;
+
+export class ComponentDefinition {
+  constructor(Context, name, functions) {
+    this.Context = Context;
+    this.name = name || `Component${nextDefinitionId + 1}`;
+    this.functions = functions;
+    this.id = ++nextDefinitionId;
+  }
+
+  /**
+   * New context instance. options: props, slots, on, parent, injector
+   */
+  create(options = {}) {
+    return new this.Context(...this.functions, createComposition(this, options));
+  }
+}
+
+/**
+ * Definition for Context built from functions, with an optional leading name
+ */
+export function defineComponent(Context, args) {
+  const [first, ...rest] = args;
+  return typeof first === 'string'
+    ? new ComponentDefinition(Context, first, rest)
+    : new ComponentDefinition(Context, null, args);
+}
+
+export function createComposition(definition, options = {}) {
+  return {
+    [COMPOSITION]: true,
+    definition,
+    parent: options.parent || null,
+    injector: options.injector || null, // for contexts without a parent
+    props: options.props || {},
+    slots: options.slots || {},
+    on: options.on || {},
+  };
+}
+
+export function isComposition(value) {
+  return Boolean(value && typeof value === 'object' && value[COMPOSITION]);
+}
+
+/**
+ * Apply defaults and validate props against their declarations.
+ * Returns { props, errors }; undeclared props are passed through.
+ */
+export function resolveProps(definitions, input = {}) {
+  const props = { ...input };
+  const errors = [];
+
+  Object.entries(definitions || {}).forEach(([name, definition]) => {
+    const value = input[name];
+
+    if (isSchema(definition)) {
+      const result = definition.validateSync(value, { path: name });
+      if (result.valid) {
+        props[name] = result.value;
+      } else {
+        errors.push(...result.errors);
+      }
+      return;
+    }
+
+    if (!isPropOptions(definition)) {
+      props[name] = value === undefined ? cloneDefault(definition) : value;
+      return;
+    }
+
+    if (value === undefined) {
+      if (definition.required) {
+        errors.push({ path: name, message: `Missing required prop "${name}"`, code: 'required' });
+        return;
+      }
+      props[name] = typeof definition.default === 'function' && definition.type !== 'function' && definition.type !== Function
+        ? definition.default()
+        : cloneDefault(definition.default);
+      return;
+    }
+
+    if (definition.type && !matchesType(value, definition.type)) {
+      errors.push({ path: name, message: `Prop "${name}" must be of type ${typeName(definition.type)}`, code: 'type' });
+      return;
+    }
+
+    if (definition.validate) {
+      const outcome = definition.validate(value);
+      if (outcome !== true && outcome !== undefined) {
+        errors.push({
+          path: name,
+          message: typeof outcome === 'string' ? outcome : `Prop "${name}" is invalid`,
+          code: 'custom'
+        });
+        return;
+      }
+    }
+
+    props[name] = value;
+  });
+
+  return { props, errors };
+}
+
+/**
+ * Read-only view of the current props (getProps() is read on every access)
+ */
+export function createPropsProxy(getProps) {
+  return new Proxy({}, {
+    get: (_, key) => getProps()[key],
+    has: (_, key) => key in getProps(),
+    ownKeys: () => Reflect.ownKeys(getProps()),
+    getOwnPropertyDescriptor: (_, key) => {
+      const props = getProps();
+      return key in props
+        ? { value: props[key], enumerable: true, configurable: true, writable: false }
+        : undefined;
+    },
+    set: (_, key) => {
+      console.warn(`[ScrollMesh] Props are read-only; emit an event so the parent changes "${String(key)}"`);
+      return true;
+    },
+    deleteProperty: () => true,
+  });
+}
+
+/**
+ * Did anything the child renders from change?
+ */
+export function propsChanged(previous, next) {
+  const keys = new Set([...Object.keys(previous), ...Object.keys(next)]);
+  for (const key of keys) {
+    if (!Object.is(previous[key], next[key])) return true;
+  }
+  return false;
+}
+
+function isPropOptions(definition) {
+  return Boolean(definition && typeof definition === 'object' && !Array.isArray(definition) &&
+    ('type' in definition || 'required' in definition || 'default' in definition || 'validate' in definition));
+}
+
+// Object and array defaults are copied so instances do not share them
+function cloneDefault(value) {
+  if (Array.isArray(value)) return [...value];
+  if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+    return { ...value };
+  }
+  return value;
+}
+
+function matchesType(value, type) {
+  if (Array.isArray(type)) return type.some((option) => matchesType(value, option));
+  if (typeof type === 'function') {
+    if (type === String) return typeof value === 'string';
+    if (type === Number) return typeof value === 'number';
+    if (type === Boolean) return typeof value === 'boolean';
+    if (type === Function) return typeof value === 'function';
+    if (type === Array) return Array.isArray(value);
+    if (type === Object) return value !== null && typeof value === 'object' && !Array.isArray(value);
+    return value instanceof type;
+  }
+  if (type === 'array') return Array.isArray(value);
+  if (type === 'object') return value !== null && typeof value === 'object' && !Array.isArray(value);
+  return typeof value === type;
+}
+
+function typeName(type) {
+  if (Array.isArray(type)) return type.map(typeName).join(' | ');
+  return typeof type === 'function' ? type.name : String(type);
+}
@@ -0,0 +1,186 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+
+const { window } = new JSDOM('<!doctype html><html><body></body></html>');
+globalThis.document = window.document;
+
+const { ScrollMesh } = await import('./context.js');
+const { resolveProps, createPropsProxy } = await import('./composition.js');
+const { schema } = await import('../script/schema.js');
+
+describe('resolveProps', () => {
+  test('applies defaults and copies object defaults per instance', () => {
+    const definitions = { title: 'Untitled', tags: { type: 'array', default: [] }, size: { default: () => 3 } };
+
+    const first = resolveProps(definitions, {});
+    const second = resolveProps(definitions, { title: 'Hi', extra: true });
+
+    assert.deepEqual(first, { props: { title: 'Untitled', tags: [], size: 3 }, errors: [] });
+    assert.deepEqual(second.props, { title: 'Hi', tags: [], size: 3, extra: true });
+    assert.notEqual(first.props.tags, second.props.tags);
+  });
+
+  test('reports missing, mistyped and invalid props', () => {
+    const { errors } = resolveProps({
+      todo: { type: 'object', required: true },
+      count: { type: Number },
+      level: { type: [String, Number] },
+      name: { validate: (value) => value.length > 2 || 'Name is too short' },
+    }, { count: '3', level: true, name: 'ab' });
+
+    assert.deepEqual(errors.map((error) => [error.path, error.code]), [
+      ['todo', 'required'],
+      ['count', 'type'],
+      ['level', 'type'],
+      ['name', 'custom'],
+    ]);
+    assert.equal(errors[2].message, 'Prop "level" must be of type String | Number');
+    assert.equal(errors[3].message, 'Name is too short');
+  });
+
+  test('validates props with a Schema', () => {
+    const definitions = { age: schema.number().min(0).default(18) };
+
+    assert.deepEqual(resolveProps(definitions, {}).props, { age: 18 });
+    assert.equal(resolveProps(definitions, { age: -1 }).errors[0].path, 'age');
+  });
+
+  test('the props proxy is read-only', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const props = createPropsProxy(() => ({ a: 1 }));
+
+    props.a = 2;
+
+    assert.equal(props.a, 1);
+    assert.deepEqual(Object.keys(props), ['a']);
+    assert.equal(warn.mock.callCount(), 1);
+  });
+});
+
+describe('child components', () => {
+  function setup() {
+    const log = [];
+
+    const Item = ScrollMesh.component('Item',
+      () => ({ props: { label: { type: 'string', required: true }, done: false } }),
+      (lifecycle, props) => {
+        lifecycle.onMount(() => log.push(`mount ${props.label}`));
+        lifecycle.onBeforeUnmount(() => log.push(`unmount ${props.label}`));
+      },
+      (props, slot, emit) => ({
+        tag: 'li',
+        attrs: { class: props.done ? 'done' : '' },
+        children: [
+          { tag: 'span', content: props.label },
+          slot('default') || '',
+          slot('actions', { label: props.label }) || '',
+        ],
+        events: { click: () => emit('toggle', props.label) },
+      })
+    );
+
+    const app = ScrollMesh(
+      () => ({ items: ['a', 'b'], toggled: [] }),
+      (state, child) => ({
+        tag: 'ul',
+        children: state.items.map((label) => child(Item, {
+          key: label,
+          props: { label, done: state.toggled.includes(label) },
+          slots: {
+            default: { tag: 'em', content: '!' },
+            actions: ({ label: name }) => ({ tag: 'button', content: `remove ${name}` }),
+          },
+          on: { toggle: (name) => { state.toggled = [...state.toggled, name]; } },
+        })),
+      })
+    );
+
+    const container = document.createElement('div');
+    document.body.append(container);
+    return { app, container, log, Item };
+  }
+
+  test('children render inside the parent with props and slots', () => {
+    const { app, container, log } = setup();
+    app.mount(container);
+
+    const items = container.querySelectorAll('sf-component[data-sf-component="Item"] > li');
+    assert.equal(items.length, 2);
+    assert.equal(items[0].querySelector('span').textContent, 'a');
+    assert.equal(items[0].querySelector('em').textContent, '!');
+    assert.equal(items[1].querySelector('button').textContent, 'remove b');
+    assert.deepEqual(log, ['mount a', 'mount b']);
+
+    app.unmount();
+  });
+
+  test('emit() reaches the parent handler and new props re-render the child', () => {
+    const { app, container } = setup();
+    app.mount(container);
+
+    const first = container.querySelector('li');
+    first.dispatchEvent(new window.Event('click'));
+
+    assert.deepEqual([...app.state.toggled], ['a']);
+    assert.equal(container.querySelector('li').className, 'done');
+    assert.equal(container.querySelectorAll('li')[1].className, '');
+
+    app.unmount();
+  });
+
+  test('children are kept by key and unmounted when a render drops them', () => {
+    const { app, container, log } = setup();
+    app.mount(container);
+    const [a, b] = app._children.values();
+
+    app.state.items = ['b', 'c'];
+
+    assert.deepEqual([...app._children.values()].slice(0, 1), [b]);
+    assert.equal(a.mounted, false);
+    assert.deepEqual(log, ['mount a', 'mount b', 'unmount a', 'mount c']);
+    assert.equal(container.querySelectorAll('li').length, 2);
+
+    app.unmount();
+    assert.deepEqual(log.slice(4), ['unmount b', 'unmount c']);
+    assert.equal(b.mounted, false);
+  });
+
+  test('an `on` handler given as a string emits that event on the parent', () => {
+    const Remove = ScrollMesh.component('Remove',
+      (props, emit) => ({ tag: 'button', content: 'x', events: { click: () => emit('remove', props.label) } })
+    );
+    const app = ScrollMesh(
+      () => ({ items: ['a', 'b'] }),
+      (events, state) => {
+        events.on('removed', (label) => { state.items = state.items.filter((item) => item !== label); });
+      },
+      (state, child) => ({
+        tag: 'div',
+        children: state.items.map((label) => child(Remove, { key: label, props: { label }, on: { remove: 'removed' } })),
+      })
+    );
+    const container = document.createElement('div');
+    app.mount(container);
+
+    container.querySelector('button').dispatchEvent(new window.Event('click'));
+
+    assert.deepEqual([...app.state.items], ['b']);
+    assert.equal(container.querySelectorAll('button').length, 1);
+    app.unmount();
+  });
+
+  test('invalid props are reported with the component name', (t) => {
+    const error = t.mock.method(console, 'error', () => {});
+    const { Item } = setup();
+
+    Item.create({ props: {} });
+
+    assert.equal(error.mock.calls[0].arguments[0], '[ScrollMesh] Item: Missing required prop "label"');
+  });
+
+  test('child() rejects values that are not components', () => {
+    const app = ScrollMesh(() => ({ n: 1 }), (state, child) => ({ tag: 'div', children: [child({})] }));
+    assert.throws(() => app.mount(document.createElement('div')), /child\(\) expects a component/);
+  });
+});
@@ -1,4 +1,19 @@
 import { ScrollMeshCore } from './core.js';
+import { renderSpecToString, readSerializedState } from './ssr.js';
+import { CopyOnWriteStore } from '../runtime/copy-on-write.js';
+import { isSchema, ValidationError } from '../script/schema.js';
+import { COMPONENT_PROP } from './reconciler.js';
+import {
+  CHILD_STYLE,
+  CHILD_TAG,
+  createPropsProxy,
+  defineComponent,
+  isComposition,
+  propsChanged,
+  resolveProps,
+} from './composition.js';
+import { Lifecycle } from './lifecycle.js';
+import { Injector, rootInjector } from './injection.js';
 
 const PROXY_FLAG = Symbol('ScrollMeshProxy');
 
@@ -12,7 +27,22 @@ const PROXY_FLAG = Symbol('ScrollMeshProxy');
  */
 export class ScrollMeshContext {
   constructor(...functions) {
+    // Trailing options from ComponentDefinition.create() (see composition.js)
+    const composition = isComposition(functions[functions.length - 1]) ? functions.pop() : null;
+
     this.functions = functions;
+    this.definition = composition?.definition || null;
+    this.parent = composition?.parent || null;
+    this._composition = composition;
+    this._propDefinitions = null;
+    this._props = {};
+    this._children = new Map();     // definition id + key -> child context
+    this._renderedChildren = null;  // keys used by the render in progress
+    this.injector = new Injector(this.parent?.injector || composition?.injector || rootInjector);
+    this.lifecycle = new Lifecycle({
+      name: this.definition?.name,
+      parent: () => this.parent?.lifecycle || null,
+    });
     this.state = {};
     this.computed = {};
     this.selectors = {};
@@ -26,6 +56,11 @@ export class ScrollMeshContext {
     this.mesh = new ScrollMeshCore();
     this._stateTarget = {};
     this._proxyCache = new WeakSet();
+    this._proxyTargets = new WeakMap();
+    // Snapshots are frozen trees sharing unchanged subtrees with each other
+    this._snapshotStore = new CopyOnWriteStore({
+      unwrap: (value) => this._proxyTargets.get(value) || value,
+    });
     this._stateVersion = 0;
     this.historyLimit = 50;
     this._isRestoring = false;
@@ -42,6 +77,13 @@ export class ScrollMeshContext {
       storage: null,    // Persistence
       validate: null,   // Validation
       analytics: null,  // Analytics
+      lifecycle: null,  // Mount/update/unmount hooks
+      provide: null,    // Values for this context and its descendants
+      inject: null,     // Values provided by an ancestor
+      props: null,      // Props from the parent (components only)
+      child: null,      // Render a child component
+      slot: null,       // Content the parent passed in
+      emit: null,       // Events to the parent
     };
     
     this._initialize();
@@ -103,8 +145,15 @@ export class ScrollMeshContext {
     // Setup all context objects
     this._setupContexts();
     
-    // Execute all functions with their contexts
-    this._executeFunctions();
+    // Execute all functions with their contexts. What they subscribe now lives
+    // as long as the context (it is not set up again on a later mount); their
+    // timers start on each mount instead.
+    this._settingUp = true;
+    try {
+      this._executeFunctions();
+    } finally {
+      this._settingUp = false;
+    }
   }
 
   /**
@@ -112,7 +161,7 @@ export class ScrollMeshContext {
    */
   _setupState(initialState) {
     // Extract special properties
-    const { computed, selectors, middleware, validate, immutable, debug, ...plainState } = initialState;
+    const { computed, selectors, middleware, validate, immutable, debug, props, ...plainState } = initialState;
 
     this.computed = computed || {};
     this.selectors = selectors || {};
@@ -121,6 +170,8 @@ export class ScrollMeshContext {
     this.immutable = immutable || false;
     this.debug = debug || {};
     this.historyLimit = this.debug.historyLimit || this.historyLimit;
+    this._propDefinitions = props || null;
+    this._props = this._resolveProps(this._composition?.props || {});
     this._stateTarget = plainState;
     this._computedCache = new Map();
     this._selectorCache = new Map();
@@ -146,6 +197,9 @@ export class ScrollMeshContext {
     
     const proxy = new Proxy(target, {
       get(obj, prop) {
+        // Answered here rather than stored, so the raw target is never marked as a proxy
+        if (prop === PROXY_FLAG) return true;
+
         const value = obj[prop];
         
         if (self.computed[prop]) {
@@ -177,7 +231,19 @@ export class ScrollMeshContext {
         
         return value;
       },
-      
+
+      // Computed values and selectors count as own state (templates only resolve own names)
+      getOwnPropertyDescriptor(obj, prop) {
+        const own = Reflect.getOwnPropertyDescriptor(obj, prop);
+        if (own || path.length > 0 || typeof prop !== 'string') return own;
+
+        if (Object.prototype.hasOwnProperty.call(self.computed, prop) ||
+            Object.prototype.hasOwnProperty.call(self.selectors, prop)) {
+          return { value: proxy[prop], writable: false, enumerable: false, configurable: true };
+        }
+        return undefined;
+      },
+
       set(obj, prop, value) {
         // Skip Symbol properties (like PROXY_FLAG)
         if (typeof prop === 'symbol') {
@@ -199,16 +265,13 @@ export class ScrollMeshContext {
           value = self.middleware[prop](oldValue, value);
         }
         
-        const validator = self.validators[fullPath] || self.validators[prop];
-        if (validator) {
-          const error = validator(value);
-          if (error !== true && error) {
-            console.error(`Validation failed for ${prop}: ${error}`);
-            if (self.debug.throwOnValidation) {
-              throw new Error(error);
-            }
-            return false;
+        const validationError = self._validate(fullPath, prop, value);
+        if (validationError) {
+          console.error(`Validation failed for ${prop}: ${validationError.message}`);
+          if (self.debug.throwOnValidation) {
+            throw validationError;
           }
+          return false;
         }
         
         if (value && typeof value === 'object' && !value[PROXY_FLAG]) {
@@ -223,6 +286,7 @@ export class ScrollMeshContext {
           self._recordSnapshot();
         }
         
+        self._snapshotStore.touch(obj);
         obj[prop] = value;
         self._stateVersion += 1;
         self._computedCache.clear();
@@ -231,7 +295,7 @@ export class ScrollMeshContext {
         self._notifyChange(fullPath, value, oldValue);
         
         if (self.mounted) {
-          self._render();
+          self._rerender();
         }
         
         return true;
@@ -253,6 +317,7 @@ export class ScrollMeshContext {
 
         const fullPath = [...path, prop].join('.');
         const oldValue = obj[prop];
+        self._snapshotStore.touch(obj);
         delete obj[prop];
 
         self._stateVersion += 1;
@@ -261,15 +326,15 @@ export class ScrollMeshContext {
         self._notifyChange(fullPath, undefined, oldValue);
 
         if (self.mounted) {
-          self._render();
+          self._rerender();
         }
 
         return true;
       }
     });
 
-    proxy[PROXY_FLAG] = true;
     this._proxyCache.add(proxy);
+    this._proxyTargets.set(proxy, target);
     return proxy;
   }
 
@@ -291,15 +356,7 @@ export class ScrollMeshContext {
   }
 
   _createSnapshot() {
-    const source = this._stateTarget;
-    if (typeof structuredClone === 'function') {
-      try {
-        return structuredClone(source);
-      } catch (error) {
-        // Fall back to JSON cloning below
-      }
-    }
-    return JSON.parse(JSON.stringify(source));
+    return this._snapshotStore.freeze(this._stateTarget);
   }
 
   _recordSnapshot() {
@@ -318,13 +375,19 @@ export class ScrollMeshContext {
     const self = this;
     this.contexts.state = this.state;
     
-    // Events context
+    this.contexts.lifecycle = this.lifecycle;
+    this.contexts.provide = (key, value) => self.injector.provide(key, value);
+    this.contexts.inject = (key, fallback) => self.injector.inject(key, fallback);
+
+    // Events context (on() returns an unsubscribe; handlers added after mount are removed on unmount)
     this.contexts.events = {
       on: (eventName, handler) => {
         if (!self.listeners.has(eventName)) {
           self.listeners.set(eventName, new Set());
         }
         self.listeners.get(eventName).add(handler);
+
+        return self._subscription(() => self.listeners.get(eventName)?.delete(handler));
       },
       
       emit: (eventName, data) => {
@@ -342,42 +405,66 @@ export class ScrollMeshContext {
       }
     };
     
-    // Effects context
+    // Effects context (each returns a stop function; watchers and timers added after mount stop on unmount)
     this.contexts.effects = {
       when: (statePath, callback) => {
-        self._watch(statePath, callback);
+        return self._effect(statePath, callback);
       },
       
       once: (statePath, callback) => {
-        const unwatch = self._watch(statePath, (value) => {
-          callback(value);
-          unwatch();
+        const stop = self._effect(statePath, (value, oldValue) => {
+          stop();
+          callback(value, oldValue);
         });
-      }
+        return stop;
+      },
+
+      timeout: (callback, delay) => self._timer((done) => {
+        const timer = setTimeout(() => {
+          done();
+          self.lifecycle.guard(callback, 'effect');
+        }, delay);
+        return () => clearTimeout(timer);
+      }),
+
+      interval: (callback, delay) => self._timer(() => {
+        const timer = setInterval(() => self.lifecycle.guard(callback, 'effect'), delay);
+        return () => clearInterval(timer);
+      }),
+
+      cleanup: (dispose) => self.lifecycle.track(dispose),
     };
     
     // Animate context
     this.contexts.animate = {
       when: (statePath, callback) => {
-        self._watch(statePath, callback);
+        return self._effect(statePath, callback);
       },
       
       spring: (selector, styles) => {
-        // Integrate with ScrollWeave
-        if (typeof window !== 'undefined' && window.app?.Weave) {
-          window.app.Weave.spring(selector, styles);
-        }
+        // Integrate with the ScrollWeave engine of the app
+        self.injector.inject('Weave')?.spring(selector, styles);
       }
     };
     
-    // API context
+    // API context (requests still in flight are aborted on unmount)
     this.contexts.api = {
       when: (statePath, callback) => {
-        self._watch(statePath, callback);
+        return self._effect(statePath, callback);
       },
       
-      fetch: async (url, options) => {
-        return await fetch(url, options);
+      fetch: async (url, options = {}) => {
+        const controller = new AbortController();
+        const abort = () => controller.abort();
+        options.signal?.addEventListener('abort', abort);
+        const untrack = self.lifecycle.track(abort);
+
+        try {
+          return await fetch(url, { ...options, signal: controller.signal });
+        } finally {
+          untrack();
+          options.signal?.removeEventListener('abort', abort);
+        }
       }
     };
     
@@ -398,11 +485,18 @@ export class ScrollMeshContext {
       }
     };
     
-    // Validate context
+    // Validate context (validator can be a predicate or a schema)
     this.contexts.validate = {
       rule: (field, validator, message) => {
+        if (isSchema(validator)) {
+          self.validators[field] = message ? validator.message('*', message) : validator;
+          return;
+        }
+
         self.validators[field] = (value) => {
-          return validator(value) || message;
+          const outcome = validator(value);
+          if (typeof outcome === 'string') return outcome;
+          return outcome ? true : (message || `${field} is invalid`);
         };
       }
     };
@@ -414,6 +508,248 @@ export class ScrollMeshContext {
         console.log(`[Analytics] ${event}:`, getValue());
       }
     };
+
+    // Composition (see composition.js)
+    this.contexts.props = this._propDefinitions || this.definition
+      ? createPropsProxy(() => this._props)
+      : null;
+    this.contexts.child = (definition, options) => this._renderChild(definition, options);
+    this.contexts.slot = (name = 'default', slotProps = {}) => this._renderSlot(name, slotProps);
+    this.contexts.emit = (eventName, data) => this._emitToParent(eventName, data);
+  }
+
+  /**
+   * Watch a state path for an effect: errors go to onError. Returns a stop function.
+   */
+  _effect(statePath, callback) {
+    return this._subscription(this._watch(statePath, (value, oldValue) => {
+      this.lifecycle.guard(() => callback(value, oldValue), 'effect');
+    }));
+  }
+
+  /**
+   * Stop function for a watcher or handler. Ones added by the context's functions
+   * stay across unmount and mount; ones added later are removed on unmount.
+   */
+  _subscription(off) {
+    const untrack = this._settingUp ? () => {} : this.lifecycle.track(off);
+
+    return () => {
+      untrack();
+      off();
+    };
+  }
+
+  /**
+   * Start a timer for an effect; start(done) returns its clear function. Timers
+   * set by the context's functions start on every mount and stop on unmount,
+   * ones set later run until unmount. Returns a stop function.
+   */
+  _timer(start) {
+    if (this._settingUp) {
+      let clear = () => {};
+      const off = this.lifecycle.onMount(() => {
+        clear = start(() => {});
+        return clear;
+      });
+
+      return () => {
+        off();
+        clear();
+      };
+    }
+
+    let untrack = () => {};
+    const clear = start(() => untrack());
+    untrack = this.lifecycle.track(clear);
+
+    return () => {
+      untrack();
+      clear();
+    };
+  }
+
+  /**
+   * Re-render after a change, between the beforeUpdate and update hooks
+   */
+  _rerender() {
+    this.lifecycle.run('beforeUpdate');
+    if (this._renderSafely('update')) {
+      this.lifecycle.run('update');
+    }
+  }
+
+  /**
+   * Render, handing errors to onError; rethrows when nothing handles them
+   */
+  _renderSafely(phase) {
+    try {
+      this._render();
+      return true;
+    } catch (error) {
+      if (!this.lifecycle.handleError(error, phase)) throw error;
+      return false;
+    }
+  }
+
+  /**
+   * Props with defaults applied; invalid ones are reported like state validation failures
+   */
+  _resolveProps(input) {
+    const { props, errors } = resolveProps(this._propDefinitions, input);
+
+    if (errors.length > 0) {
+      const name = this.definition?.name || 'ScrollMesh';
+      errors.forEach((error) => console.error(`[ScrollMesh] ${name}: ${error.message}`));
+      if (this.debug?.throwOnValidation) {
+        throw new ValidationError(errors);
+      }
+    }
+
+    return props;
+  }
+
+  /**
+   * Called by the parent on each of its renders; re-renders when props or slots changed
+   */
+  _receiveComposition({ props = {}, slots = {}, on = {} }) {
+    const previous = this._props;
+    const previousSlots = this._composition.slots;
+    this._composition = { ...this._composition, props, slots, on };
+
+    const next = this._resolveProps(props);
+    const changed = propsChanged(previous, next);
+    this._props = next;
+
+    if (changed) {
+      Object.keys(next).forEach((key) => {
+        if (!Object.is(previous[key], next[key])) {
+          this._notifyChange(`props.${key}`, next[key], previous[key]);
+        }
+      });
+    }
+
+    if ((changed || propsChanged(previousSlots, slots)) && this.mounted) {
+      this._rerender();
+    }
+  }
+
+  /**
+   * Child component for the render in progress, reusing the one from the
+   * previous render with the same definition and key (or position)
+   */
+  _renderChild(definition, options = {}) {
+    if (!definition || typeof definition.create !== 'function') {
+      throw new Error('child() expects a component from ScrollMesh.component() or HTMLScrollMesh.component()');
+    }
+
+    if (!this._renderedChildren) {
+      this._renderedChildren = new Set();
+    }
+
+    let key = `${definition.id}:${options.key}`;
+    if (options.key === undefined) {
+      let index = 0;
+      while (this._renderedChildren.has(`${definition.id}#${index}`)) index++;
+      key = `${definition.id}#${index}`;
+    } else if (this._renderedChildren.has(key)) {
+      console.warn(`[ScrollMesh] Duplicate child key "${options.key}" for ${definition.name}`);
+    }
+    this._renderedChildren.add(key);
+
+    let instance = this._children.get(key);
+    if (instance) {
+      instance._receiveComposition(options);
+    } else {
+      instance = definition.create({ ...options, parent: this });
+      this._children.set(key, instance);
+    }
+
+    return this._childPlaceholder(instance, options);
+  }
+
+  /**
+   * Host spec for a child; the reconciler leaves its content to the child
+   */
+  _childPlaceholder(instance, options) {
+    return {
+      tag: CHILD_TAG,
+      key: options.key,
+      attrs: { 'data-sf-component': instance.definition.name },
+      style: CHILD_STYLE,
+      component: instance,
+    };
+  }
+
+  /**
+   * Slot content from the parent: a spec, a string, or a function of slotProps
+   */
+  _renderSlot(name, slotProps) {
+    const content = this._composition?.slots?.[name];
+    if (content === undefined || content === null) return null;
+    return typeof content === 'function' ? content(slotProps) : content;
+  }
+
+  /**
+   * Call the parent's `on` handler: a function, or the name of an event on the parent
+   */
+  _emitToParent(eventName, data) {
+    const handler = this._composition?.on?.[eventName];
+    if (!handler) return false;
+
+    if (typeof handler === 'string') {
+      this.parent?.contexts.events.emit(handler, data);
+    } else {
+      handler(data);
+    }
+    return true;
+  }
+
+  /**
+   * Unmount children the last render did not use, and mount the others into their hosts
+   */
+  _syncChildren(mount = true) {
+    const rendered = this._renderedChildren || new Set();
+    this._renderedChildren = null;
+
+    this._children.forEach((child, key) => {
+      if (!rendered.has(key)) {
+        child.unmount();
+        this._children.delete(key);
+      }
+    });
+
+    if (!mount || !this.container || this._children.size === 0) return;
+
+    this.container.querySelectorAll(CHILD_TAG).forEach((host) => {
+      const child = host[COMPONENT_PROP];
+      if (!child || child.parent !== this || child.container === host) return;
+
+      // Server-rendered content is adopted; a replaced host gets a fresh render
+      if (!child.mounted && host.firstChild) {
+        child.hydrate(host);
+      } else {
+        child.mount(host);
+      }
+    });
+  }
+
+  /**
+   * Run the validator for a state path; returns a ValidationError or null
+   */
+  _validate(path, prop, value) {
+    const validator = this.validators[path] || this.validators[prop];
+    if (!validator) return null;
+
+    if (isSchema(validator)) {
+      const result = validator.validateSync(value, { path });
+      return result.valid ? null : new ValidationError(result.errors);
+    }
+
+    const outcome = validator(value);
+    if (outcome === true || !outcome) return null;
+
+    return new ValidationError([{ path, message: String(outcome), code: 'custom' }]);
   }
 
   /**
@@ -475,16 +811,40 @@ export class ScrollMeshContext {
   _render() {
     if (!this.container || !this._uiFunction) return;
 
+    const vdom = this._renderVDOM();
+
+    this.element = this.mesh.reconcile(this.container, vdom);
+    this._syncChildren();
+  }
+
+  /**
+   * Call the UI function with its contexts
+   */
+  _renderVDOM() {
     const params = getParameterTokens(this._uiFunction);
     const args = params.length
       ? params.map((token) => mapTokenToContext(token, this.state, this.contexts))
       : [this.state];
 
-    const vdom = this._uiFunction(...args);
+    return this._uiFunction(...args);
+  }
+
+  /**
+   * Render UI to an HTML string (no DOM required)
+   */
+  renderToString() {
+    if (!this._uiFunction) return '';
 
-    this.element = this.mesh._createElementFromSpec(vdom);
-    this.container.innerHTML = '';
-    this.container.appendChild(this.element);
+    const html = renderSpecToString(this._renderVDOM());
+    this._syncChildren(false);
+    return html;
+  }
+
+  /**
+   * Plain state for embedding in server-rendered pages
+   */
+  serializeState() {
+    return this._createSnapshot();
   }
 
   /**
@@ -499,21 +859,61 @@ export class ScrollMeshContext {
       throw new Error('Container not found');
     }
     
+    this.lifecycle.reset();
     this.mounted = true;
-    this._render();
+    if (this._renderSafely('render')) {
+      this.lifecycle.run('mount');
+    }
     
     return this;
   }
 
+  /**
+   * Hydrate server-rendered markup (counterpart to mount)
+   * Restores serialized state and adopts the existing nodes instead of re-creating them
+   */
+  hydrate(container, options = {}) {
+    this.container = typeof container === 'string'
+      ? document.querySelector(container)
+      : container;
+
+    if (!this.container) {
+      throw new Error('Container not found');
+    }
+
+    const stateId = options.stateId || this.container.getAttribute('data-sf-state');
+    if (stateId) {
+      const serialized = readSerializedState(stateId, this.container.ownerDocument);
+      if (serialized) {
+        this.restore(serialized);
+      }
+    }
+
+    this.lifecycle.reset();
+    this.mounted = true;
+    if (this._renderSafely('render')) {
+      this.lifecycle.run('mount');
+    }
+
+    return this;
+  }
+
   /**
    * Unmount component
    */
   unmount() {
+    if (this.mounted) {
+      this.lifecycle.run('beforeUnmount');
+    }
+
+    this._children.forEach((child) => child.unmount());
+    this._children.clear();
+    this.lifecycle.dispose();
+
     if (this.container) {
       this.container.innerHTML = '';
     }
     this.mounted = false;
-    this.listeners.clear();
   }
 
   /**
@@ -523,6 +923,13 @@ export class ScrollMeshContext {
     return this._createSnapshot();
   }
 
+  /**
+   * Estimated memory held by undo snapshots (shared subtrees counted once)
+   */
+  getMemoryUsage() {
+    return this._snapshotStore.getMemoryUsage(this.snapshots);
+  }
+
   /**
    * Restore state from snapshot
    */
@@ -537,8 +944,8 @@ export class ScrollMeshContext {
       keys.forEach((key) => {
         if (!snapshot || !(key in snapshot)) {
           delete this.state[key];
-        } else {
-          this.state[key] = snapshot[key];
+        } else if (this._snapshotStore.freeze(this._stateTarget[key]) !== snapshot[key]) {
+          this.state[key] = this._snapshotStore.thaw(snapshot[key]);
         }
       });
     } finally {
@@ -546,7 +953,7 @@ export class ScrollMeshContext {
     }
 
     if (this.mounted) {
-      this._render();
+      this._rerender();
     }
   }
 
@@ -583,6 +990,14 @@ export function ScrollMesh(...functions) {
   return new ScrollMeshContext(...functions);
 }
 
+/**
+ * Reusable component: ScrollMesh.component([name], ...functions), rendered
+ * by a parent through child(Component, { props, slots, on, key })
+ */
+ScrollMesh.component = function (...args) {
+  return defineComponent(ScrollMeshContext, args);
+};
+
 
 function getParameterTokens(fn) {
   const stringified = fn
@@ -631,7 +1046,8 @@ function mapTokenToContext(token, state, contexts) {
     return contexts;
   }
 
-  if (clean in contexts) {
+  // contexts.props is null outside components, where props means the state
+  if (clean in contexts && contexts[clean] !== null) {
     return contexts[clean];
   }
 
@@ -6,6 +6,9 @@
  * Chaos lives inside, clean facade outside
  */
 
+import { globalReconciler, KEY_PROP, EVENTS_PROP, COMPONENT_PROP } from './reconciler.js';
+import { renderToString } from './ssr.js';
+
 export class ScrollMeshCore {
   constructor(config = {}) {
     this.config = {
@@ -18,6 +21,7 @@ export class ScrollMeshCore {
     this.instances = new Map();
     this.connectors = new Map();
     this.mountedComponents = new WeakMap();
+    this.reconciler = this.config.reconciler || globalReconciler;
   }
 
   /**
@@ -91,6 +95,37 @@ export class ScrollMeshCore {
     return element;
   }
 
+  /**
+   * Adopt server-rendered markup for a component instead of replacing it
+   */
+  hydrate(component, container) {
+    const containerEl = typeof container === 'string'
+      ? document.querySelector(container)
+      : container;
+
+    if (!containerEl) {
+      throw new Error('Container not found');
+    }
+
+    const { element, instance } = this._renderNode(component);
+    const hydrated = this.reconcile(containerEl, element);
+
+    if (instance) {
+      instance.element = hydrated;
+      instance.mounted = true;
+      this.mountedComponents.set(hydrated, instance);
+    }
+
+    return hydrated;
+  }
+
+  /**
+   * Render component to an HTML string (no DOM required)
+   */
+  renderToString(component) {
+    return renderToString(component);
+  }
+
   /**
    * Render component recursively
    */
@@ -170,9 +205,17 @@ export class ScrollMeshCore {
     // Create element
     const el = document.createElement(tag);
 
+    // Reconciliation key (used to match list items across renders)
+    const nodeKey = spec.key ?? attrs.key;
+    if (nodeKey != null) {
+      el[KEY_PROP] = nodeKey;
+    }
+
     // Apply only valid HTML attributes (not component props)
     Object.entries(attrs).forEach(([key, value]) => {
-      if (key === 'className') {
+      if (key === 'key') {
+        return;
+      } else if (key === 'className') {
         el.className = value;
       } else if (key === 'class') {
         el.className = value;
@@ -187,10 +230,19 @@ export class ScrollMeshCore {
       el.style[key] = value;
     });
 
+    // Host of a child context, which renders its own content once mounted
+    if (spec.component) {
+      el[COMPONENT_PROP] = spec.component;
+      return el;
+    }
+
     // Attach event listeners
     Object.entries(events).forEach(([event, handler]) => {
       el.addEventListener(event, handler);
     });
+    if (Object.keys(events).length > 0) {
+      el[EVENTS_PROP] = { ...events };
+    }
 
     // Add content
     if (content) {
@@ -227,14 +279,38 @@ export class ScrollMeshCore {
     }
 
     const newElement = this._renderComponent(component);
-    component.element.replaceWith(newElement);
-    component.element = newElement;
+    const patched = this.reconciler.patchNode(component.element, newElement);
+
+    if (patched !== component.element) {
+      this.mountedComponents.set(patched, component);
+    }
+    component.element = patched;
 
     if (this.config.debugMode) {
       console.log(`[ScrollMesh] Updated: ${component.name}`);
     }
   }
 
+  /**
+   * Render a spec into a container, patching whatever is already there
+   */
+  reconcile(container, spec) {
+    const containerEl = typeof container === 'string'
+      ? document.querySelector(container)
+      : container;
+
+    if (!containerEl) {
+      throw new Error('Container not found');
+    }
+
+    const next = spec && typeof spec === 'object' && typeof spec.nodeType === 'number'
+      ? spec
+      : this._createElementFromSpec(spec);
+
+    this.reconciler.patch(containerEl, next);
+    return containerEl.firstElementChild || containerEl.firstChild;
+  }
+
   /**
    * Unmount component
    */
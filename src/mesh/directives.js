@@ -0,0 +1,566 @@
+/**
+ * ScrollMesh Template Directives
+ * Applied to parsed template nodes before they are reconciled into the page
+ *
+ *   <li sf-for="(todo, index) in todos" sf-key="todo.id"
+ *       sf-class="{ done: todo.done }">
+ *     <input type="checkbox" sf-model="todo.done">
+ *     {{ index + 1 }}. {{ todo.title }}
+ *     <button sf-on:click="removeTodo(todo.id)">x</button>
+ *   </li>
+ *   <p sf-if="todos.length === 0">Nothing to do</p>
+ *   <p sf-else>{{ todos.length }} left</p>
+ *
+ *   sf-for="item in list"      repeat the element (arrays, iterables, objects: (value, key, index) in obj)
+ *   sf-key="expr"              reconciliation key of each repeated element
+ *   sf-if / sf-else-if / sf-else   keep the first element of the chain whose condition holds
+ *   sf-show="expr"             display: none while falsy
+ *   sf-class="expr"            classes from a string, array or { name: condition }
+ *   sf-style="expr"            styles from a string or { property: value }
+ *   sf-model="path"            two-way binding to a state path (loop variables resolve to theirs)
+ *   sf-on:event[.prevent][.stop]="action" or "action(args)"
+ *                              emit action on the events context, with the DOM event or the args
+ *   {{ expr }}                 text / attribute interpolation that can see loop variables
+ *
+ * Expressions use the template expression language (template.js) and read
+ * loop variables before the state.
+ */
+
+import { BLOCKED_PROPERTIES, compileExpression, DATA_BRACE, RawHTML, renderValue, TemplateSyntaxError } from './template.js';
+import { EVENTS_PROP, KEY_PROP } from './reconciler.js';
+import { escapeHTML } from './ssr.js';
+
+export const DIRECTIVE_PATTERN = /\ssf-[a-z]|\{\{/;
+
+const FOR_PATTERN = /^\s*(?:\(\s*([A-Za-z_$][\w$]*)\s*(?:,\s*([A-Za-z_$][\w$]*)\s*)?(?:,\s*([A-Za-z_$][\w$]*)\s*)?\)|([A-Za-z_$][\w$]*))\s+(?:in|of)\s+([\s\S]+)$/;
+const PATH_PATTERN = /^\s*[A-Za-z_$][\w$]*(?:\s*\.\s*[A-Za-z_$][\w$]*|\s*\[\s*(?:\d+|'[^']*'|"[^"]*")\s*\])*\s*$/;
+const ACTION_PATTERN = /^\s*([\w$][\w$.:-]*)\s*(?:\(([\s\S]*)\))?\s*$/;
+const MUSTACHE = /\{\{([\s\S]+?)\}\}/g;
+
+/**
+ * Apply directives to root and its descendants (root itself may be a fragment).
+ * options.events is the events context sf-on emits on; options.helpers are
+ * extra names for expressions (not bindable with sf-model).
+ */
+export function applyDirectives(root, state, options = {}) {
+  const helpers = options.helpers || {};
+  const paths = Object.fromEntries(Object.keys(helpers).map((name) => [name, null]));
+  const scope = { state, locals: { ...helpers }, paths, events: options.events || null };
+
+  if (root.nodeType === 11) {
+    processChildren(root, scope);
+  } else if (root.parentNode) {
+    processNode(root, scope);
+  } else {
+    // Keep a detached element as the root even if sf-for / sf-if would move it
+    processElement(root, scope);
+  }
+
+  return root;
+}
+
+/**
+ * Turn the DATA_BRACE marks template values carry back into "{" in the text and
+ * attributes under root. { directivesOnly: true } restores only sf-* attributes,
+ * whose expressions may quote data, leaving {{ }} text marked until it is expanded.
+ */
+export function restoreDataBraces(root, options = {}) {
+  const walker = (root.ownerDocument || root).createTreeWalker(root, 5); // elements and text
+
+  for (let node = root; node; node = walker.nextNode()) {
+    if (node.nodeType === 3) {
+      if (!options.directivesOnly && node.nodeValue.includes(DATA_BRACE)) {
+        node.nodeValue = node.nodeValue.replaceAll(DATA_BRACE, '{');
+      }
+    } else if (node.nodeType === 1) {
+      Array.from(node.attributes).forEach(({ name, value }) => {
+        if (value.includes(DATA_BRACE) && (!options.directivesOnly || name.startsWith('sf-'))) {
+          node.setAttribute(name, value.replaceAll(DATA_BRACE, '{'));
+        }
+      });
+    }
+  }
+
+  return root;
+}
+
+function processChildren(parent, scope) {
+  let node = parent.firstChild;
+  while (node) {
+    node = processNode(node, scope);
+  }
+}
+
+/**
+ * Apply directives to one node; returns the next node to visit
+ */
+function processNode(node, scope) {
+  if (node.nodeType === 3) {
+    const next = node.nextSibling;
+    interpolateText(node, scope);
+    return next;
+  }
+
+  if (node.nodeType !== 1) {
+    return node.nextSibling;
+  }
+
+  if (node.hasAttribute('sf-for')) {
+    const next = node.nextSibling;
+    expandFor(node, scope);
+    return next;
+  }
+
+  if (node.hasAttribute('sf-if')) {
+    return resolveIfChain(node, scope);
+  }
+
+  if (node.hasAttribute('sf-else') || node.hasAttribute('sf-else-if')) {
+    console.warn('[HTMLScrollMesh] sf-else / sf-else-if must follow an sf-if element; rendering it as is');
+    node.removeAttribute('sf-else');
+    node.removeAttribute('sf-else-if');
+  }
+
+  processElement(node, scope);
+  return node.nextSibling;
+}
+
+/**
+ * Replace an sf-for element by one processed clone per item
+ */
+function expandFor(template, scope) {
+  const source = template.getAttribute('sf-for');
+  const keyExpression = template.getAttribute('sf-key');
+  template.removeAttribute('sf-for');
+  template.removeAttribute('sf-key');
+
+  const match = FOR_PATTERN.exec(source);
+  if (!match) {
+    console.error(`[HTMLScrollMesh] Invalid sf-for="${source}" (expected "item in items" or "(item, index) in items")`);
+    template.remove();
+    return;
+  }
+
+  const [, first, second, third, single, listExpression] = match;
+  const valueName = first || single;
+  const list = evaluate(listExpression, scope, 'sf-for');
+  const listPath = resolvePath(listExpression, scope);
+  const entries = toEntries(list);
+  const parent = template.parentNode;
+
+  entries.forEach(([key, value, isObject], index) => {
+    const locals = { ...scope.locals, [valueName]: value };
+    const paths = { ...scope.paths, [valueName]: listPath ? [...listPath, String(key)] : null };
+
+    // (item, index) for lists, (value, key, index) for objects
+    if (second) {
+      locals[second] = isObject ? key : index;
+      paths[second] = null;
+    }
+    if (third) {
+      locals[third] = index;
+      paths[third] = null;
+    }
+
+    const itemScope = { ...scope, locals, paths };
+    const clone = template.cloneNode(true);
+
+    if (keyExpression) {
+      const itemKey = evaluate(keyExpression, itemScope, 'sf-key');
+      if (itemKey != null) clone[KEY_PROP] = itemKey;
+    }
+
+    parent.insertBefore(clone, template);
+
+    // sf-if on a repeated element filters the items
+    if (clone.hasAttribute('sf-if')) {
+      resolveIfChain(clone, itemScope);
+    } else {
+      processElement(clone, itemScope);
+    }
+  });
+
+  template.remove();
+}
+
+function toEntries(list) {
+  if (list == null || list === false) return [];
+  if (Array.isArray(list)) return list.map((value, index) => [index, value, false]);
+  if (typeof list === 'string') return Array.from(list).map((value, index) => [index, value, false]);
+  if (typeof list[Symbol.iterator] === 'function') {
+    return Array.from(list).map((value, index) => [index, value, false]);
+  }
+  if (typeof list === 'object') return Object.entries(list).map(([key, value]) => [key, value, true]);
+
+  console.warn('[HTMLScrollMesh] sf-for expects an array, iterable or object, got', typeof list);
+  return [];
+}
+
+/**
+ * Keep the first branch of an sf-if / sf-else-if / sf-else chain whose condition
+ * holds; returns the node after the chain
+ */
+function resolveIfChain(node, scope) {
+  const branches = [node];
+  let sibling = nextElementOrText(node);
+
+  while (sibling && sibling.nodeType === 1 && (sibling.hasAttribute('sf-else-if') || sibling.hasAttribute('sf-else'))) {
+    branches.push(sibling);
+    if (sibling.hasAttribute('sf-else')) break;
+    sibling = nextElementOrText(sibling);
+  }
+
+  const next = branches[branches.length - 1].nextSibling;
+  let chosen = null;
+
+  branches.forEach((branch) => {
+    const condition = branch.hasAttribute('sf-if')
+      ? branch.getAttribute('sf-if')
+      : branch.getAttribute('sf-else-if');
+
+    if (!chosen && (condition === null || evaluate(condition, scope, 'sf-if'))) {
+      chosen = branch;
+      ['sf-if', 'sf-else-if', 'sf-else'].forEach((name) => branch.removeAttribute(name));
+    } else {
+      branch.remove();
+    }
+  });
+
+  if (chosen) {
+    processElement(chosen, scope);
+  }
+
+  return next;
+}
+
+// Whitespace between the branches of a chain does not break it
+function nextElementOrText(node) {
+  let sibling = node.nextSibling;
+  while (sibling && (sibling.nodeType === 8 || (sibling.nodeType === 3 && !sibling.nodeValue.trim()))) {
+    sibling = sibling.nextSibling;
+  }
+  return sibling;
+}
+
+/**
+ * Attribute directives, then the children
+ */
+function processElement(el, scope) {
+  const handlers = {};
+  const bindings = {};
+  let model = null;
+
+  Array.from(el.attributes).forEach(({ name, value }) => {
+    if (name === 'sf-show' || name === 'sf-class' || name === 'sf-style') {
+      el.removeAttribute(name);
+      bindings[name] = value;
+    } else if (name === 'sf-model') {
+      el.removeAttribute(name);
+      model = value;
+    } else if (name.startsWith('sf-on:')) {
+      el.removeAttribute(name);
+      const [eventName, ...modifiers] = name.slice('sf-on:'.length).split('.');
+      addHandler(handlers, eventName, createActionHandler(value, modifiers, scope));
+    } else if (value.includes('{{')) {
+      interpolateAttribute(el, name, value, scope);
+    }
+  });
+
+  processChildren(el, scope);
+
+  // After the children, so options produced by sf-for can be selected
+  if (model !== null) {
+    bindModel(el, model, scope, handlers);
+  }
+
+  if (bindings['sf-class'] !== undefined) {
+    applyClasses(el, evaluate(bindings['sf-class'], scope, 'sf-class'));
+  }
+  if (bindings['sf-style'] !== undefined) {
+    applyStyles(el, evaluate(bindings['sf-style'], scope, 'sf-style'));
+  }
+  if (bindings['sf-show'] !== undefined && !evaluate(bindings['sf-show'], scope, 'sf-show')) {
+    el.style.display = 'none';
+  }
+
+  attachHandlers(el, handlers);
+}
+
+function applyClasses(el, value) {
+  if (!value) return;
+
+  if (typeof value === 'string') {
+    value.split(/\s+/).filter(Boolean).forEach((name) => el.classList.add(name));
+  } else if (Array.isArray(value)) {
+    value.forEach((item) => applyClasses(el, item));
+  } else if (typeof value === 'object') {
+    Object.entries(value).forEach(([name, enabled]) => {
+      if (enabled) applyClasses(el, name);
+    });
+  }
+}
+
+function applyStyles(el, value) {
+  if (!value) return;
+
+  if (typeof value === 'string') {
+    el.setAttribute('style', [el.getAttribute('style'), value].filter(Boolean).join('; '));
+    return;
+  }
+
+  Object.entries(value).forEach(([property, propertyValue]) => {
+    if (propertyValue === null || propertyValue === undefined || propertyValue === false) return;
+    if (property.includes('-')) {
+      el.style.setProperty(property, String(propertyValue));
+    } else {
+      el.style[property] = String(propertyValue);
+    }
+  });
+}
+
+/**
+ * sf-on: emit the action with the DOM event, or with the evaluated args
+ * (one arg as is, several as an array)
+ */
+function createActionHandler(source, modifiers, scope) {
+  const match = ACTION_PATTERN.exec(source);
+  if (!match) {
+    console.error(`[HTMLScrollMesh] Invalid sf-on value "${source}" (expected "action" or "action(args)")`);
+    return null;
+  }
+
+  const [, action, args] = match;
+
+  return (event) => {
+    if (modifiers.includes('prevent')) event.preventDefault();
+    if (modifiers.includes('stop')) event.stopPropagation();
+
+    if (!scope.events) {
+      console.warn(`[HTMLScrollMesh] sf-on="${source}" has no events context to emit on`);
+      return;
+    }
+
+    let payload = event;
+    if (args !== undefined) {
+      const values = args.trim() ? evaluate(`[${args}]`, scope, 'sf-on') || [] : [];
+      payload = values.length === 1 ? values[0] : values;
+    }
+
+    scope.events.emit(action, payload);
+  };
+}
+
+/**
+ * sf-model: render the bound value and write user input back to the state
+ */
+function bindModel(el, source, scope, handlers) {
+  const path = resolvePath(source, scope);
+  if (!path) {
+    console.error(`[HTMLScrollMesh] sf-model="${source}" must be a state path (e.g. "form.email" or "todo.done" in sf-for)`);
+    return;
+  }
+
+  const value = evaluate(source, scope, 'sf-model');
+  const tag = el.nodeName;
+  const type = (el.getAttribute('type') || '').toLowerCase();
+  const write = (next) => setPath(scope.state, path, next);
+
+  // The reconciler may keep the live node and move these handlers onto it,
+  // so they read from event.currentTarget rather than el
+  if (tag === 'INPUT' && type === 'checkbox') {
+    const own = el.getAttribute('value') ?? 'on';
+    toggleAttribute(el, 'checked', Array.isArray(value) ? value.includes(own) : Boolean(value));
+    addHandler(handlers, 'change', ({ currentTarget }) => {
+      if (!Array.isArray(value)) {
+        write(currentTarget.checked);
+      } else {
+        const rest = value.filter((item) => item !== own);
+        write(currentTarget.checked ? [...rest, own] : rest);
+      }
+    });
+  } else if (tag === 'INPUT' && type === 'radio') {
+    toggleAttribute(el, 'checked', String(value) === el.getAttribute('value'));
+    addHandler(handlers, 'change', ({ currentTarget }) => {
+      if (currentTarget.checked) write(currentTarget.value);
+    });
+  } else if (tag === 'SELECT') {
+    const selected = el.multiple && Array.isArray(value) ? value.map(String) : [String(value ?? '')];
+    Array.from(el.querySelectorAll('option')).forEach((option) => {
+      toggleAttribute(option, 'selected', selected.includes(option.value));
+    });
+    addHandler(handlers, 'change', ({ currentTarget }) => {
+      write(currentTarget.multiple
+        ? Array.from(currentTarget.selectedOptions).map((option) => option.value)
+        : currentTarget.value);
+    });
+  } else if (tag === 'TEXTAREA') {
+    el.textContent = value ?? '';
+    addHandler(handlers, 'input', ({ currentTarget }) => write(currentTarget.value));
+  } else {
+    const numeric = type === 'number' || type === 'range';
+    el.setAttribute('value', value ?? '');
+    addHandler(handlers, 'input', ({ currentTarget }) => {
+      const next = currentTarget.value;
+      write(numeric && next !== '' ? Number(next) : next);
+    });
+  }
+}
+
+function toggleAttribute(el, name, enabled) {
+  if (enabled) {
+    el.setAttribute(name, '');
+  } else {
+    el.removeAttribute(name);
+  }
+}
+
+function addHandler(handlers, eventName, handler) {
+  if (!handler) return;
+  (handlers[eventName] = handlers[eventName] || []).push(handler);
+}
+
+/**
+ * Listeners go on the fresh node and into EVENTS_PROP, so the reconciler
+ * moves them onto the live node when it reuses that one instead
+ */
+function attachHandlers(el, handlers) {
+  const events = {};
+
+  Object.entries(handlers).forEach(([eventName, list]) => {
+    events[eventName] = (event) => {
+      list.forEach((handler) => {
+        try {
+          handler(event);
+        } catch (error) {
+          console.error(`[HTMLScrollMesh] ${eventName} handler failed:`, error);
+        }
+      });
+    };
+    el.addEventListener(eventName, events[eventName]);
+  });
+
+  if (Object.keys(events).length > 0) {
+    el[EVENTS_PROP] = events;
+  }
+}
+
+/**
+ * {{ expr }} in a text node: plain text, or markup when a value is raw()/html``
+ */
+function interpolateText(node, scope) {
+  const text = node.nodeValue;
+  if (!text.includes('{{')) return;
+
+  let markup = false;
+  const parts = splitMustache(text).map((part) => {
+    if (typeof part === 'string') return { text: part, html: escapeHTML(part) };
+
+    const value = evaluate(part.expression, scope, '{{ }}');
+    if (value instanceof RawHTML || (Array.isArray(value) && value.some((item) => item instanceof RawHTML))) {
+      markup = true;
+    }
+    return { text: toText(value), html: renderValue(value) };
+  });
+
+  if (!markup) {
+    node.nodeValue = parts.map((part) => part.text).join('');
+    return;
+  }
+
+  const template = node.ownerDocument.createElement('template');
+  template.innerHTML = parts.map((part) => part.html).join('');
+  node.replaceWith(template.content);
+}
+
+/**
+ * {{ expr }} in an attribute. A value that is only {{ expr }} and evaluates to
+ * false/null/undefined removes the attribute, true leaves it empty (disabled="{{ busy }}").
+ */
+function interpolateAttribute(el, name, value, scope) {
+  const parts = splitMustache(value);
+
+  if (parts.length === 1 && typeof parts[0] !== 'string') {
+    const result = evaluate(parts[0].expression, scope, name);
+    if (result === false || result === null || result === undefined) {
+      el.removeAttribute(name);
+    } else {
+      el.setAttribute(name, result === true ? '' : toText(result));
+    }
+    return;
+  }
+
+  el.setAttribute(name, parts
+    .map((part) => (typeof part === 'string' ? part : toText(evaluate(part.expression, scope, name))))
+    .join(''));
+}
+
+function splitMustache(text) {
+  const parts = [];
+  let index = 0;
+
+  text.replace(MUSTACHE, (match, expression, offset) => {
+    if (offset > index) parts.push(text.slice(index, offset));
+    parts.push({ expression });
+    index = offset + match.length;
+    return match;
+  });
+
+  if (index < text.length) parts.push(text.slice(index));
+  return parts;
+}
+
+function toText(value) {
+  if (value === undefined || value === null) return '';
+  if (value instanceof RawHTML) return value.html;
+  if (Array.isArray(value)) return value.map(toText).join('');
+  return String(value);
+}
+
+/**
+ * Evaluate a directive expression; errors are logged and read as undefined
+ */
+function evaluate(expression, scope, directive) {
+  try {
+    return compileExpression(expression.trim())(scope.state, scope.locals);
+  } catch (error) {
+    if (error instanceof TemplateSyntaxError) {
+      console.error(`[HTMLScrollMesh] ${directive}="${expression}": ${error.message}`);
+    } else {
+      console.warn(`[HTMLScrollMesh] ${directive}="${expression}" failed:`, error.message);
+    }
+    return undefined;
+  }
+}
+
+/**
+ * State path segments of a plain path expression, following loop variables
+ * back to the list they came from; null when it is not bindable
+ */
+function resolvePath(expression, scope) {
+  if (!PATH_PATTERN.test(expression)) return null;
+
+  const segments = [];
+  expression.replace(/([A-Za-z_$][\w$]*)|\[\s*(?:(\d+)|'([^']*)'|"([^"]*)")\s*\]/g, (match, name, index, single, double) => {
+    segments.push(name ?? index ?? single ?? double);
+    return match;
+  });
+  if (segments.some((segment) => BLOCKED_PROPERTIES.has(segment))) return null;
+
+  const [head, ...rest] = segments;
+  if (Object.prototype.hasOwnProperty.call(scope.paths, head)) {
+    return scope.paths[head] ? [...scope.paths[head], ...rest] : null;
+  }
+
+  return segments;
+}
+
+function setPath(state, path, value) {
+  let target = state;
+  for (let i = 0; i < path.length - 1; i++) {
+    if (target[path[i]] === null || typeof target[path[i]] !== 'object') {
+      target[path[i]] = {};
+    }
+    target = target[path[i]];
+  }
+  target[path[path.length - 1]] = value;
+}
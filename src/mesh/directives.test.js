@@ -0,0 +1,150 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+
+const { window } = new JSDOM('<!doctype html><html><body></body></html>');
+globalThis.document = window.document;
+
+const { globalParser } = await import('./html-parser.js');
+
+function render(template, state, options) {
+  const wrapper = document.createElement('div');
+  wrapper.append(globalParser.parseTemplate(template, state, options));
+  return wrapper.innerHTML;
+}
+
+test('{{ }} in interpolated state is rendered as text, not evaluated', () => {
+  assert.equal(render('<p>Hello ${name}</p>', { name: '{{ 6*7 }}' }), '<p>Hello {{ 6*7 }}</p>');
+});
+
+test('{{ }} in interpolated state stays text next to template mustaches', () => {
+  const html = render('<p title="${name}">{{ count + 1 }} ${name}</p>', { name: '{{ count }}', count: 1 });
+  assert.equal(html, '<p title="{{ count }}">2 {{ count }}</p>');
+});
+
+test('directive expressions can still quote interpolated data', () => {
+  const html = render('<p sf-if="name === \'${name}\'">{{ name }}</p>', { name: 'a{b' });
+  assert.equal(html, '<p>a{b</p>');
+});
+
+test('sf-for repeats elements with loop variables', () => {
+  const html = render('<ul><li sf-for="(item, index) in items">{{ index }}:{{ item }}</li></ul>', { items: ['a', 'b'] });
+  assert.equal(html, '<ul><li>0:a</li><li>1:b</li></ul>');
+});
+
+test('sf-if / sf-else keep the first matching branch', () => {
+  const template = '<p sf-if="items.length === 0">none</p><p sf-else>{{ items.length }} left</p>';
+  assert.equal(render(template, { items: [] }), '<p>none</p>');
+  assert.equal(render(template, { items: [1, 2] }), '<p>2 left</p>');
+});
+
+test('a lone {{ }} attribute is removed when false and empty when true', () => {
+  assert.equal(render('<button disabled="{{ busy }}">go</button>', { busy: false }), '<button>go</button>');
+  assert.equal(render('<button disabled="{{ busy }}">go</button>', { busy: true }), '<button disabled="">go</button>');
+});
+
+test('sf-class and sf-show apply to the element', () => {
+  const html = render('<p class="a" sf-class="{ done: done }" sf-show="visible">x</p>', { done: true, visible: false });
+  assert.equal(html, '<p class="a done" style="display: none;">x</p>');
+});
+
+test('sf-on emits the action on the events context', () => {
+  const emitted = [];
+  const events = { emit: (type, payload) => emitted.push([type, payload]) };
+  const node = globalParser.parseTemplate('<button sf-on:click="remove(id)">x</button>', { id: 7 }, { events });
+  node.dispatchEvent(new window.Event('click'));
+  assert.deepEqual(emitted, [['remove', 7]]);
+});
+
+test('sf-for over an object exposes value, key and index', () => {
+  const html = render('<p sf-for="(value, key, index) in scores">{{ index }}.{{ key }}={{ value }}</p>', { scores: { ann: 3, bob: 5 } });
+  assert.equal(html, '<p>0.ann=3</p><p>1.bob=5</p>');
+});
+
+test('sf-key tags each repeated element for the reconciler', async () => {
+  const { KEY_PROP } = await import('./reconciler.js');
+  const list = globalParser.parseTemplate('<ul><li sf-for="todo in todos" sf-key="todo.id">{{ todo.title }}</li></ul>', {
+    todos: [{ id: 'a', title: 'one' }, { id: 'b', title: 'two' }],
+  });
+  assert.deepEqual(Array.from(list.children, (li) => li[KEY_PROP]), ['a', 'b']);
+});
+
+test('sf-style accepts a string or an object', () => {
+  assert.equal(render('<p sf-style="css">x</p>', { css: 'color: red' }), '<p style="color: red">x</p>');
+  assert.equal(
+    render('<p style="margin: 0" sf-style="{ color: tone, \'font-size\': size }">x</p>', { tone: 'blue', size: '2px' }),
+    '<p style="margin: 0px; color: blue; font-size: 2px;">x</p>'
+  );
+});
+
+test('sf-model renders the bound value and writes input back to the state path', () => {
+  const state = { form: { email: 'a@b.c', age: 30 } };
+  const form = globalParser.parseTemplate('<form><input sf-model="form.email"><input type="number" sf-model="form.age"></form>', state);
+  const [email, age] = form.querySelectorAll('input');
+
+  assert.equal(email.getAttribute('value'), 'a@b.c');
+  email.value = 'x@y.z';
+  email.dispatchEvent(new window.Event('input'));
+  age.value = '31';
+  age.dispatchEvent(new window.Event('input'));
+
+  assert.deepEqual(state.form, { email: 'x@y.z', age: 31 });
+});
+
+test('sf-model binds checkboxes, checkbox groups and selects', () => {
+  const state = { done: false, tags: ['a'], size: 'm' };
+  const form = globalParser.parseTemplate(
+    '<form><input type="checkbox" sf-model="done">' +
+    '<input type="checkbox" value="a" sf-model="tags"><input type="checkbox" value="b" sf-model="tags">' +
+    '<select sf-model="size"><option value="s">S</option><option value="m">M</option></select></form>',
+    state
+  );
+  const [done, tagA, tagB] = form.querySelectorAll('input');
+  const select = form.querySelector('select');
+
+  assert.equal(tagA.hasAttribute('checked'), true);
+  assert.equal(select.querySelector('option[value="m"]').hasAttribute('selected'), true);
+
+  done.checked = true;
+  done.dispatchEvent(new window.Event('change'));
+  tagB.checked = true;
+  tagB.dispatchEvent(new window.Event('change'));
+  select.value = 's';
+  select.dispatchEvent(new window.Event('change'));
+
+  assert.deepEqual(state, { done: true, tags: ['a', 'b'], size: 's' });
+});
+
+test('sf-model on a loop variable writes into the list item', () => {
+  const state = { todos: [{ done: false }, { done: false }] };
+  const list = globalParser.parseTemplate('<ul><li sf-for="todo in todos"><input type="checkbox" sf-model="todo.done"></li></ul>', state);
+
+  const second = list.querySelectorAll('input')[1];
+  second.checked = true;
+  second.dispatchEvent(new window.Event('change'));
+
+  assert.deepEqual(state.todos, [{ done: false }, { done: true }]);
+});
+
+test('sf-model rejects expressions that are not state paths', (t) => {
+  const error = t.mock.method(console, 'error', () => {});
+  const state = { a: 1, b: 2 };
+  const input = globalParser.parseTemplate('<input sf-model="a + b">', state);
+
+  input.value = '5';
+  input.dispatchEvent(new window.Event('input'));
+
+  assert.equal(error.mock.callCount(), 1);
+  assert.deepEqual(state, { a: 1, b: 2 });
+});
+
+test('sf-model cannot write through __proto__', (t) => {
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(console, 'warn', () => {});
+  const input = globalParser.parseTemplate('<input sf-model="form.__proto__.polluted">', { form: {} });
+
+  input.value = 'yes';
+  input.dispatchEvent(new window.Event('input'));
+
+  assert.equal({}.polluted, undefined);
+});
@@ -5,6 +5,13 @@
 
 import { ScrollMeshContext } from './context.js';
 import { globalParser } from './html-parser.js';
+import { escapeHTML, renderSpecToString, stripInlineHandlerAttributes } from './ssr.js';
+import { DIRECTIVE_PATTERN } from './directives.js';
+import { raw, RawHTML } from './template.js';
+import { COMPONENT_PROP } from './reconciler.js';
+import { CHILD_TAG, defineComponent } from './composition.js';
+
+const CHILD_PLACEHOLDER = new RegExp(`<${CHILD_TAG}([^>]*?) data-sf-child="(\\d+)"([^>]*)></${CHILD_TAG}>`, 'g');
 
 export class HTMLScrollMeshContext extends ScrollMeshContext {
   constructor(...functions) {
@@ -13,6 +20,7 @@ export class HTMLScrollMeshContext extends ScrollMeshContext {
     this.htmlFunction = htmlFunction;
     this.weaveFunction = weaveFunction;
     this.htmlContainer = null;
+    this._childHosts = new Map(); // placeholder id -> child context, for the render in progress
   }
 
   /**
@@ -41,8 +49,9 @@ export class HTMLScrollMeshContext extends ScrollMeshContext {
           }
           domHandlers.get(eventName).push({ selector: selectorOrHandler, handler: maybeHandler });
           self._attachDelegates();
+          return self._subscription(() => self.contexts.events.off(eventName, selectorOrHandler, maybeHandler));
         } else if (typeof selectorOrHandler === 'function' && maybeHandler === undefined) {
-          baseEvents.on(eventName, selectorOrHandler);
+          return baseEvents.on(eventName, selectorOrHandler);
         } else {
           throw new Error('events.on expects (event, handler) or (event, selector, handler)');
         }
@@ -97,11 +106,7 @@ export class HTMLScrollMeshContext extends ScrollMeshContext {
   }
 
   _getWeaveAdapter() {
-    if (this.weaveAdapter) return this.weaveAdapter;
-    if (typeof window !== 'undefined' && window.app?.Weave) {
-      return window.app.Weave;
-    }
-    return null;
+    return this.weaveAdapter || this.injector.inject('Weave', null);
   }
 
   /**
@@ -181,16 +186,96 @@ export class HTMLScrollMeshContext extends ScrollMeshContext {
    * Render from HTML template function
    */
   _renderFromHTML() {
+    this._childHosts.clear();
     const htmlString = this.htmlFunction(this.state, this.contexts);
-    const element = globalParser.parseTemplate(htmlString, this.state);
+    const element = globalParser.parseTemplate(htmlString, this.state, {
+      events: this.contexts.events,
+      helpers: this._templateHelpers(),
+    });
     this._stripInlineHandlers(element);
+    this._bindChildHosts(element);
 
-    this.container.innerHTML = '';
-    this.container.appendChild(element);
-
-    this.element = this.container.firstElementChild || element;
+    this.element = this.mesh.reconcile(this.container, element) || element;
     this.htmlContainer = this.container;
     this._attachDelegates();
+    this._syncChildren();
+  }
+
+  /**
+   * Names templates can use besides the state
+   */
+  _templateHelpers() {
+    return this.contexts.props ? { props: this.contexts.props, slot: this.contexts.slot } : { slot: this.contexts.slot };
+  }
+
+  /**
+   * Child hosts are markup here; the parsed placeholders are tied back to their contexts
+   */
+  _childPlaceholder(instance) {
+    const id = this._childHosts.size + 1;
+    this._childHosts.set(String(id), instance);
+    return raw(`<${CHILD_TAG} data-sf-component="${escapeHTML(instance.definition.name)}" style="display: contents" data-sf-child="${id}"></${CHILD_TAG}>`);
+  }
+
+  _bindChildHosts(root) {
+    if (this._childHosts.size === 0 || !root) return;
+
+    const hosts = Array.from(root.querySelectorAll?.(`${CHILD_TAG}[data-sf-child]`) ?? []);
+    if (root.nodeType === 1 && root.matches(`${CHILD_TAG}[data-sf-child]`)) {
+      hosts.unshift(root);
+    }
+
+    hosts.forEach((host) => {
+      host[COMPONENT_PROP] = this._childHosts.get(host.getAttribute('data-sf-child'));
+      host.removeAttribute('data-sf-child');
+    });
+  }
+
+  /**
+   * Server-side counterpart of _bindChildHosts: fill each placeholder with the child's markup
+   */
+  _fillChildHosts(html) {
+    if (this._childHosts.size === 0) return html;
+
+    return html.replace(CHILD_PLACEHOLDER, (match, before, id, after) => {
+      const child = this._childHosts.get(id);
+      return `<${CHILD_TAG}${before}${after}>${child ? child.renderToString() : ''}</${CHILD_TAG}>`;
+    });
+  }
+
+  /**
+   * Slot content as markup: strings are the parent's HTML, specs are rendered
+   */
+  _renderSlot(name, slotProps) {
+    const content = super._renderSlot(name, slotProps);
+    if (content === null || content === undefined) return raw('');
+    if (content instanceof RawHTML) return content;
+    return raw(typeof content === 'object' ? renderSpecToString(content) : content);
+  }
+
+  /**
+   * Render the HTML template to a string (no DOM required)
+   */
+  renderToString() {
+    if (!this.htmlFunction) {
+      return super.renderToString();
+    }
+
+    this._childHosts.clear();
+    const htmlString = this.htmlFunction(this.state, this.contexts);
+    const helpers = this._templateHelpers();
+    let html = globalParser.interpolate(htmlString, this.state, helpers);
+
+    // Directives work on nodes, so they are only expanded where there is a DOM
+    if (DIRECTIVE_PATTERN.test(html) && typeof document !== 'undefined') {
+      const wrapper = document.createElement('div');
+      wrapper.append(globalParser.parseTemplate(htmlString, this.state, { helpers }));
+      html = wrapper.innerHTML;
+    }
+
+    html = this._fillChildHosts(stripInlineHandlerAttributes(html));
+    this._syncChildren(false);
+    return html;
   }
 
   /**
@@ -204,9 +289,9 @@ export class HTMLScrollMeshContext extends ScrollMeshContext {
    * Ensure DOM listeners are removed when unmounted
    */
   unmount() {
+    super.unmount();
     this._removeDelegates();
     this.htmlContainer = null;
-    super.unmount();
   }
 
   _stripInlineHandlers(root) {
@@ -292,6 +377,14 @@ export function HTMLScrollMesh(...functions) {
   return context;
 }
 
+/**
+ * Reusable HTML component, rendered by a parent through
+ * child(Component, { props, slots, on, key }) (see composition.js)
+ */
+HTMLScrollMesh.component = function (...args) {
+  return defineComponent(HTMLScrollMeshContext, args);
+};
+
 /**
  * Predefined render helper
  */
@@ -1,12 +1,17 @@
 /**
  * ScrollMesh HTML Parser
  * Converts HTML strings to DOM elements
- * Supports template literals with state interpolation
+ * Supports ${...} expressions over the state, compiled once and HTML-escaped (see template.js),
+ * and sf-* directives / {{ }} interpolation (see directives.js)
  */
 
+import { compileTemplate, DATA_BRACE, RawHTML } from './template.js';
+import { applyDirectives, DIRECTIVE_PATTERN, restoreDataBraces } from './directives.js';
+
 export class HTMLParser {
   constructor() {
-    this.template = document.createElement('template');
+    // Created lazily so the parser can be imported where there is no DOM (SSR)
+    this.template = null;
   }
 
   /**
@@ -25,6 +30,9 @@ export class HTMLParser {
     }
 
     // Use template element for parsing
+    if (!this.template) {
+      this.template = document.createElement('template');
+    }
     this.template.innerHTML = cleaned;
     const content = this.template.content.cloneNode(true);
 
@@ -38,33 +46,52 @@ export class HTMLParser {
   }
 
   /**
-   * Interpolate state values into HTML template
+   * Compile a template into render(state, helpers) => string; throws TemplateSyntaxError
+   */
+  compile(templateString) {
+    return compileTemplate(templateString);
+  }
+
+  /**
+   * Interpolate state values into HTML template. Values are escaped unless
+   * wrapped in raw() / html``; an expression with a syntax error is left as text.
+   * options.markBraces: write "{" in values as DATA_BRACE (see parseTemplate).
    */
-  interpolate(templateString, state) {
-    if (!templateString || typeof templateString !== 'string') {
+  interpolate(templateString, state, helpers = {}, options = {}) {
+    const source = templateString instanceof RawHTML ? templateString.html : templateString;
+    if (!source || typeof source !== 'string') {
       return '';
     }
+    if (!source.includes('${')) {
+      return source;
+    }
 
-    // Replace ${...} with state values
-    return templateString.replace(/\$\{([^}]+)\}/g, (match, expr) => {
-      try {
-        // Create function to evaluate expression in state context
-        const fn = new Function('state', `with(state) { return ${expr}; }`);
-        const result = fn(state);
-        return result !== undefined && result !== null ? result : '';
-      } catch (error) {
-        console.warn(`Failed to interpolate: ${expr}`, error);
-        return match;
-      }
-    });
+    return compileTemplate(source, { lenient: true })(state, helpers, options);
   }
 
   /**
-   * Parse HTML template with state
+   * Parse HTML template with state, applying directives.
+   * options.events: the events context sf-on emits on;
+   * options.helpers: extra names for expressions (e.g. props)
    */
-  parseTemplate(templateString, state) {
-    const interpolated = this.interpolate(templateString, state);
-    return this.parse(interpolated);
+  parseTemplate(templateString, state, options = {}) {
+    // Braces in state values are marked so a {{ }} in the data is never evaluated
+    const interpolated = this.interpolate(templateString, state, options.helpers, { markBraces: true });
+    const node = this.parse(interpolated);
+    const marked = interpolated.includes(DATA_BRACE);
+
+    if (!DIRECTIVE_PATTERN.test(interpolated)) {
+      if (marked) restoreDataBraces(node);
+      return node;
+    }
+
+    // Work on the whole fragment so a root sf-for / sf-if can add or drop elements
+    const root = node.nodeType === 1 && node.parentNode ? node.parentNode : node;
+    if (marked) restoreDataBraces(root, { directivesOnly: true });
+    applyDirectives(root, state, options);
+    if (marked) restoreDataBraces(root);
+
+    return root.nodeType === 11 && root.children.length === 1 ? root.children[0] : root;
   }
 
 }
@@ -10,6 +10,28 @@ export { ReactiveComponent } from './reactive.js';
 export { ScrollMesh, ScrollMeshContext } from './context.js';
 export { HTMLScrollMesh, HTMLScrollMeshContext } from './html-context.js';
 export { HTMLParser, globalParser } from './html-parser.js';
+export {
+  compileTemplate,
+  compileExpression,
+  clearTemplateCache,
+  raw,
+  html,
+  RawHTML,
+  TemplateSyntaxError,
+} from './template.js';
+export { applyDirectives } from './directives.js';
+export { ComponentDefinition } from './composition.js';
+export { Lifecycle, createLifecycle } from './lifecycle.js';
+export { Injector, rootInjector, provideApp, APP_KEY } from './injection.js';
+export { Reconciler, globalReconciler } from './reconciler.js';
+export {
+  renderToString,
+  renderSpecToString,
+  renderDocument,
+  serializeState,
+  readSerializedState,
+  escapeHTML,
+} from './ssr.js';
 export { RenderScheduler, TimeSlicedComponent, globalScheduler } from './scheduler.js';
 export { VisualDebugger, globalDebugger } from './visual-debug.js';
 
@@ -0,0 +1,81 @@
+/**
+ * ScrollMesh Provide/Inject
+ * Values a context provides are visible to it and its descendants
+ *
+ *   // parent
+ *   (provide) => { provide('theme', { accent: '#f60' }); }
+ *
+ *   // any child component below it
+ *   (inject, state) => { state.accent = inject('theme').accent; }
+ *
+ * The first `new ScrollForge()` provides itself as 'app' and its engines as
+ * 'Script', 'Weave' and 'Mesh' at the shared root; later ones do not replace it.
+ * Multi-app and SSR setups (where the root would outlive every request) must
+ * pass their own: new ScrollForge({ injector: new Injector() }), then create
+ * contexts through app.context(...) / app.htmlContext(...) / app.reactive(...).
+ */
+
+export const APP_KEY = 'app';
+
+export class Injector {
+  constructor(parent = null) {
+    this.parent = parent;
+    this.values = new Map();
+  }
+
+  /**
+   * Make value available to this injector and its descendants
+   */
+  provide(key, value) {
+    this.values.set(key, value);
+    return value;
+  }
+
+  /**
+   * Nearest provided value for key, or fallback when nobody provides it
+   */
+  inject(key, fallback) {
+    let injector = this;
+
+    while (injector) {
+      if (injector.values.has(key)) {
+        return injector.values.get(key);
+      }
+      injector = injector.parent;
+    }
+
+    return fallback;
+  }
+
+  /**
+   * Is key provided here or by an ancestor?
+   */
+  has(key) {
+    let injector = this;
+
+    while (injector) {
+      if (injector.values.has(key)) return true;
+      injector = injector.parent;
+    }
+
+    return false;
+  }
+
+  createChild() {
+    return new Injector(this);
+  }
+}
+
+// Parent of contexts and components that are not given one
+export const rootInjector = new Injector();
+
+/**
+ * Provide a ScrollForge instance and its engines
+ */
+export function provideApp(app, injector = rootInjector) {
+  injector.provide(APP_KEY, app);
+  injector.provide('Script', app.Script);
+  injector.provide('Weave', app.Weave);
+  injector.provide('Mesh', app.Mesh);
+  return injector;
+}
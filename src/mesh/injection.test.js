@@ -0,0 +1,116 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+
+const { window } = new JSDOM('<!doctype html><html><body></body></html>', { pretendToBeVisual: true });
+globalThis.document = window.document;
+globalThis.requestAnimationFrame = window.requestAnimationFrame;
+
+const { Injector, APP_KEY, rootInjector } = await import('./injection.js');
+const { ScrollMesh } = await import('./context.js');
+const { createComposition } = await import('./composition.js');
+const { ScrollForge } = await import('../index.js');
+
+describe('Injector', () => {
+  test('inject() returns the nearest provided value', () => {
+    const root = new Injector();
+    const child = root.createChild();
+    const grandchild = child.createChild();
+
+    root.provide('theme', 'light');
+    child.provide('theme', 'dark');
+
+    assert.equal(grandchild.inject('theme'), 'dark');
+    assert.equal(root.inject('theme'), 'light');
+    assert.equal(grandchild.has('theme'), true);
+  });
+
+  test('inject() falls back when nobody provides the key', () => {
+    const injector = new Injector();
+    injector.provide('zero', 0);
+
+    assert.equal(injector.inject('missing', 'fallback'), 'fallback');
+    assert.equal(injector.inject('missing'), undefined);
+    assert.equal(injector.inject('zero', 1), 0);
+    assert.equal(injector.has('missing'), false);
+  });
+});
+
+describe('context tree', () => {
+  test('a parent provides to its child components, not to contexts outside its tree', () => {
+    const Badge = ScrollMesh.component('Badge',
+      () => ({ accent: null }),
+      (inject, state) => { state.accent = inject('theme', { accent: 'none' }).accent; },
+      (state) => ({ tag: 'span', content: state.accent })
+    );
+    const app = ScrollMesh(
+      () => ({ n: 0 }),
+      (provide) => { provide('theme', { accent: '#f60' }); },
+      (state, child) => ({ tag: 'div', children: [child(Badge)] })
+    );
+    const outside = Badge.create({ injector: new Injector() });
+
+    app.mount(document.createElement('div'));
+
+    assert.equal(app.element.textContent, '#f60');
+    assert.equal(outside.state.accent, 'none');
+    app.unmount();
+  });
+});
+
+describe('ScrollForge apps', () => {
+  test('each app provides itself and its engines to its own contexts', () => {
+    const first = new ScrollForge({ injector: new Injector() });
+    const second = new ScrollForge({ injector: new Injector() });
+    let seen;
+
+    first.context(() => ({ n: 0 }), (inject) => {
+      seen = [inject(APP_KEY), inject('Script'), inject('Weave'), inject('Mesh')];
+    });
+
+    assert.deepEqual(seen, [first, first.Script, first.Weave, first.Mesh]);
+    assert.equal(second.injector.inject('Script'), second.Script);
+    assert.notEqual(second.injector.inject(APP_KEY), first);
+  });
+
+  test('only the first app without an injector owns the root', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const first = new ScrollForge();
+    const second = new ScrollForge();
+
+    assert.equal(rootInjector.inject(APP_KEY), first);
+    assert.equal(second.injector.inject(APP_KEY), second);
+    assert.notEqual(second.injector, rootInjector);
+    assert.equal(warn.mock.callCount(), 1);
+  });
+
+  test('app.provide() reaches every context of that app', () => {
+    const app = new ScrollForge({ injector: new Injector() });
+    app.provide('api', 'https://example.test');
+
+    const context = app.context(() => ({ base: null }), (inject, state) => { state.base = inject('api'); });
+
+    assert.equal(context.state.base, 'https://example.test');
+  });
+
+  test('reactive components use the engines of their app', () => {
+    const app = new ScrollForge({ injector: new Injector() });
+    const component = app.reactive('Counter', { state: { n: 0 }, render: (state) => ({ tag: 'p', content: String(state.n) }) });
+
+    assert.equal(component.mesh, app.Mesh);
+    assert.equal(component.script, app.Script);
+  });
+
+  test('animate.spring() goes to the injected Weave engine', () => {
+    const calls = [];
+    const injector = new Injector();
+    injector.provide('Weave', { spring: (selector, styles) => calls.push([selector, styles]) });
+
+    ScrollMesh(
+      (animate) => { animate.spring('.card', { opacity: 1 }); },
+      createComposition(null, { injector })
+    );
+
+    assert.deepEqual(calls, [['.card', { opacity: 1 }]]);
+  });
+});
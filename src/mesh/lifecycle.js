@@ -0,0 +1,179 @@
+/**
+ * ScrollMesh Lifecycle
+ * Mount/update/unmount hooks, error hooks and disposal for ScrollMesh
+ * contexts and ReactiveComponent
+ *
+ *   (lifecycle, effects) => {
+ *     lifecycle.onMount(() => {
+ *       const socket = connect();
+ *       return () => socket.close(); // runs on unmount
+ *     });
+ *     effects.interval(() => refresh(), 5000); // runs while mounted
+ *     lifecycle.onError((error, { phase }) => report(error, phase));
+ *   }
+ *
+ * onError handlers catch errors from rendering, hooks and effects of the
+ * component and its children; the nearest component with one handles it.
+ */
+
+export const LIFECYCLE_HOOKS = ['mount', 'beforeUpdate', 'update', 'beforeUnmount', 'error'];
+
+export class Lifecycle {
+  constructor(options = {}) {
+    this.name = options.name || 'ScrollMesh';
+    this.getParent = options.parent || (() => null); // parent component's Lifecycle
+    this.hooks = new Map(LIFECYCLE_HOOKS.map((hook) => [hook, []]));
+    this.disposers = [];
+    this.disposed = false;
+  }
+
+  /**
+   * After the first render is in the DOM; a returned function runs on unmount
+   */
+  onMount(hook) {
+    return this._add('mount', hook);
+  }
+
+  /**
+   * Before a re-render
+   */
+  onBeforeUpdate(hook) {
+    return this._add('beforeUpdate', hook);
+  }
+
+  /**
+   * After a re-render is in the DOM
+   */
+  onUpdate(hook) {
+    return this._add('update', hook);
+  }
+
+  /**
+   * Before unmounting, while the DOM is still there
+   */
+  onBeforeUnmount(hook) {
+    return this._add('beforeUnmount', hook);
+  }
+
+  /**
+   * hook(error, { phase, component }) for errors of this component and its children
+   */
+  onError(hook) {
+    return this._add('error', hook);
+  }
+
+  /**
+   * Run dispose() on unmount
+   */
+  onCleanup(dispose) {
+    return this.track(dispose);
+  }
+
+  /**
+   * Register something to dispose of on unmount. Returns a function that
+   * forgets it without disposing (for resources that finished by themselves).
+   */
+  track(dispose) {
+    if (typeof dispose !== 'function') return () => {};
+
+    if (this.disposed) {
+      // Registered after unmount: nothing will run it later
+      this.guard(dispose, 'cleanup');
+      return () => {};
+    }
+
+    this.disposers.push(dispose);
+    return () => {
+      const index = this.disposers.indexOf(dispose);
+      if (index !== -1) this.disposers.splice(index, 1);
+    };
+  }
+
+  /**
+   * Run the hooks for a phase; errors go to onError
+   */
+  run(hook, ...args) {
+    [...this.hooks.get(hook)].forEach((fn) => {
+      const result = this.guard(() => fn(...args), hook);
+      if (hook === 'mount' && typeof result === 'function') {
+        this.track(result);
+      }
+    });
+  }
+
+  /**
+   * Hand an error to the nearest onError hook, here or in a parent.
+   * Returns false when nothing handled it.
+   */
+  handleError(error, phase) {
+    const info = { phase, component: this.name };
+    let lifecycle = this;
+
+    while (lifecycle) {
+      const handlers = lifecycle.hooks.get('error');
+      if (handlers.length > 0) {
+        handlers.forEach((handler) => {
+          try {
+            handler(error, info);
+          } catch (hookError) {
+            console.error(`[ScrollMesh] onError hook of ${lifecycle.name} failed:`, hookError);
+          }
+        });
+        return true;
+      }
+      lifecycle = lifecycle.getParent();
+    }
+
+    return false;
+  }
+
+  /**
+   * Dispose of everything tracked, latest first. Hooks stay registered
+   * so a later mount runs them again.
+   */
+  dispose() {
+    this.disposed = true;
+
+    this.disposers.splice(0).reverse().forEach((dispose) => {
+      this.guard(dispose, 'cleanup');
+    });
+  }
+
+  /**
+   * Allow registrations again (a context mounted after being unmounted)
+   */
+  reset() {
+    this.disposed = false;
+  }
+
+  /**
+   * Run fn, sending an error to onError (or the console) instead of throwing
+   */
+  guard(fn, phase) {
+    try {
+      return fn();
+    } catch (error) {
+      if (!this.handleError(error, phase)) {
+        console.error(`[ScrollMesh] ${this.name} ${phase} failed:`, error);
+      }
+      return undefined;
+    }
+  }
+
+  _add(hook, fn) {
+    if (typeof fn !== 'function') {
+      throw new Error(`[ScrollMesh] on${hook[0].toUpperCase()}${hook.slice(1)} expects a function`);
+    }
+
+    const handlers = this.hooks.get(hook);
+    handlers.push(fn);
+    return () => {
+      const index = handlers.indexOf(fn);
+      if (index !== -1) handlers.splice(index, 1);
+    };
+  }
+}
+
+export function createLifecycle(options) {
+  return new Lifecycle(options);
+}
@@ -0,0 +1,221 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+
+const { window } = new JSDOM('<!doctype html><html><body></body></html>', { pretendToBeVisual: true });
+globalThis.document = window.document;
+globalThis.requestAnimationFrame = window.requestAnimationFrame;
+
+const { Lifecycle } = await import('./lifecycle.js');
+const { ScrollMesh } = await import('./context.js');
+const { ReactiveComponent } = await import('./reactive.js');
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('Lifecycle', () => {
+  test('a function returned from onMount runs on dispose, latest cleanup first', () => {
+    const lifecycle = new Lifecycle();
+    const log = [];
+
+    lifecycle.onMount(() => () => log.push('mount cleanup'));
+    lifecycle.track(() => log.push('tracked'));
+    lifecycle.run('mount');
+    lifecycle.dispose();
+
+    assert.deepEqual(log, ['mount cleanup', 'tracked']);
+  });
+
+  test('track() returns a function that forgets without disposing', () => {
+    const lifecycle = new Lifecycle();
+    let disposed = false;
+
+    const forget = lifecycle.track(() => { disposed = true; });
+    forget();
+    lifecycle.dispose();
+
+    assert.equal(disposed, false);
+  });
+
+  test('something tracked after dispose is disposed right away', () => {
+    const lifecycle = new Lifecycle();
+    let disposed = false;
+
+    lifecycle.dispose();
+    lifecycle.track(() => { disposed = true; });
+
+    assert.equal(disposed, true);
+  });
+
+  test('errors go to the nearest onError, here or in a parent', () => {
+    const parent = new Lifecycle({ name: 'Parent' });
+    const child = new Lifecycle({ name: 'Child', parent: () => parent });
+    const seen = [];
+    parent.onError((error, info) => seen.push([error.message, info]));
+
+    child.guard(() => { throw new Error('boom'); }, 'effect');
+
+    assert.deepEqual(seen, [['boom', { phase: 'effect', component: 'Child' }]]);
+  });
+
+  test('unhandled errors are logged instead of thrown', (t) => {
+    const error = t.mock.method(console, 'error', () => {});
+    const lifecycle = new Lifecycle({ name: 'Lonely' });
+
+    assert.equal(lifecycle.handleError(new Error('x'), 'render'), false);
+    lifecycle.guard(() => { throw new Error('y'); }, 'mount');
+
+    assert.equal(error.mock.calls[0].arguments[0], '[ScrollMesh] Lonely mount failed:');
+  });
+});
+
+describe('ScrollMesh contexts', () => {
+  test('hooks run around mount, updates and unmount', () => {
+    const log = [];
+    const app = ScrollMesh(
+      () => ({ count: 0 }),
+      (lifecycle) => {
+        lifecycle.onMount(() => {
+          log.push('mount');
+          return () => log.push('mount cleanup');
+        });
+        lifecycle.onBeforeUpdate(() => log.push('beforeUpdate'));
+        lifecycle.onUpdate(() => log.push('update'));
+        lifecycle.onBeforeUnmount(() => log.push('beforeUnmount'));
+      },
+      (state) => ({ tag: 'p', content: String(state.count) })
+    );
+    const container = document.createElement('div');
+
+    app.mount(container);
+    app.state.count = 1;
+    assert.equal(container.textContent, '1');
+    app.unmount();
+
+    assert.deepEqual(log, ['mount', 'beforeUpdate', 'update', 'beforeUnmount', 'mount cleanup']);
+  });
+
+  test('setup-time timers run while mounted and restart on remount', async () => {
+    let ticks = 0;
+    const app = ScrollMesh(
+      () => ({ n: 0 }),
+      (effects) => {
+        effects.interval(() => { ticks++; }, 5);
+      },
+      (state) => ({ tag: 'p', content: String(state.n) })
+    );
+    const container = document.createElement('div');
+
+    await wait(20);
+    assert.equal(ticks, 0);
+
+    app.mount(container);
+    await wait(30);
+    app.unmount();
+    const whileMounted = ticks;
+    assert.ok(whileMounted > 0);
+
+    await wait(20);
+    assert.equal(ticks, whileMounted);
+
+    app.mount(container);
+    await wait(30);
+    app.unmount();
+    assert.ok(ticks > whileMounted);
+  });
+
+  test('setup-time watchers survive a remount, later ones stop on unmount', () => {
+    const seen = [];
+    let addLater;
+    const app = ScrollMesh(
+      () => ({ n: 0 }),
+      (effects) => {
+        effects.when('n', (value) => seen.push(`setup ${value}`));
+        addLater = () => effects.when('n', (value) => seen.push(`later ${value}`));
+      },
+      (state) => ({ tag: 'p', content: String(state.n) })
+    );
+    const container = document.createElement('div');
+
+    app.mount(container);
+    addLater();
+    app.state.n = 1;
+    app.unmount();
+    app.mount(container);
+    app.state.n = 2;
+    app.unmount();
+
+    assert.deepEqual(seen, ['setup 1', 'later 1', 'setup 2']);
+  });
+
+  test('requests still in flight are aborted on unmount', async () => {
+    let signal;
+    const previousFetch = globalThis.fetch;
+    globalThis.fetch = (url, options) => {
+      signal = options.signal;
+      return new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(signal.reason)));
+    };
+
+    try {
+      let request;
+      const app = ScrollMesh(
+        () => ({ n: 0 }),
+        (lifecycle, api) => {
+          lifecycle.onMount(() => { request = api.fetch('/slow'); });
+        },
+        (state) => ({ tag: 'p', content: String(state.n) })
+      );
+
+      app.mount(document.createElement('div'));
+      app.unmount();
+
+      await assert.rejects(request, { name: 'AbortError' });
+      assert.equal(signal.aborted, true);
+    } finally {
+      globalThis.fetch = previousFetch;
+    }
+  });
+
+  test('render errors go to onError instead of throwing', () => {
+    const seen = [];
+    const app = ScrollMesh(
+      () => ({ fail: false }),
+      (lifecycle) => {
+        lifecycle.onError((error, { phase }) => seen.push([error.message, phase]));
+      },
+      (state) => {
+        if (state.fail) throw new Error('bad render');
+        return { tag: 'p', content: 'ok' };
+      }
+    );
+
+    app.mount(document.createElement('div'));
+    app.state.fail = true;
+
+    assert.deepEqual(seen, [['bad render', 'update']]);
+    app.unmount();
+  });
+});
+
+describe('ReactiveComponent', () => {
+  test('config hooks run around mount, updates and unmount', async () => {
+    const log = [];
+    const component = new ReactiveComponent('Counter', {
+      state: { count: 0 },
+      render: (state) => ({ tag: 'p', content: String(state.count) }),
+      onMount() { log.push(`mount ${this.name}`); },
+      onBeforeUpdate: () => log.push('beforeUpdate'),
+      onUpdate: () => log.push('update'),
+      onBeforeUnmount: () => log.push('beforeUnmount'),
+    });
+    const container = document.createElement('div');
+
+    component.mount(container);
+    await wait(40);
+    component.state.count = 1;
+    await wait(40);
+    assert.equal(container.textContent, '1');
+    component.unmount();
+
+    assert.deepEqual(log, ['mount Counter', 'beforeUpdate', 'update', 'beforeUnmount']);
+  });
+});
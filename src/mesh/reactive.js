@@ -6,6 +6,8 @@
 import { ScrollMeshCore } from './core.js';
 import { globalScheduler } from './scheduler.js';
 import { globalDebugger } from './visual-debug.js';
+import { Lifecycle } from './lifecycle.js';
+import { Injector, rootInjector } from './injection.js';
 
 export class ReactiveComponent {
   constructor(name, config) {
@@ -25,11 +27,15 @@ export class ReactiveComponent {
     this._syncConfig = {};
     this._syncUnsub = [];
     this._queryUnsub = null;
-    this.mesh = (typeof window !== 'undefined' && window.app?.Mesh)
-      ? window.app.Mesh
-      : new ScrollMeshCore();
+    this._rendered = false;
+    this.lifecycle = new Lifecycle({ name });
+    // config.injector: a ScrollForge app's injector (defaults to the root one)
+    this.injector = new Injector(config.injector || rootInjector);
+    this.mesh = this.injector.inject('Mesh') || new ScrollMeshCore();
+    this.script = this.injector.inject('Script', null);
     
     // Setup
+    this._setupLifecycle();
     this._setupState();
     this._setupQuery();
     this._setupSync();
@@ -86,6 +92,19 @@ export class ReactiveComponent {
     }
   }
 
+  /**
+   * Register lifecycle hooks given in the config (onMount, onUpdate, ...)
+   */
+  _setupLifecycle() {
+    const { onMount, onBeforeUpdate, onUpdate, onBeforeUnmount, onError } = this.config;
+
+    if (onMount) this.lifecycle.onMount(onMount.bind(this));
+    if (onBeforeUpdate) this.lifecycle.onBeforeUpdate(onBeforeUpdate.bind(this));
+    if (onUpdate) this.lifecycle.onUpdate(onUpdate.bind(this));
+    if (onBeforeUnmount) this.lifecycle.onBeforeUnmount(onBeforeUnmount.bind(this));
+    if (onError) this.lifecycle.onError(onError.bind(this));
+  }
+
   /**
    * Setup query system
    */
@@ -94,7 +113,7 @@ export class ReactiveComponent {
     
     const { from, where, orderBy, limit } = this.config.query;
     
-    if (typeof window === 'undefined' || !window.app?.Script) return;
+    if (!this.script) return;
 
     const applyResults = (data) => {
       if (!Array.isArray(data)) {
@@ -133,33 +152,32 @@ export class ReactiveComponent {
       }
     };
 
-    const current = window.app.Script.get(from);
+    const current = this.script.get(from);
     if (current !== undefined) {
       applyResults(current);
     }
 
-    this._queryUnsub = window.app.Script.watch(from, applyResults);
+    this._queryUnsub = this.script.watch(from, applyResults);
   }
 
   /**
    * Setup smart sync (bi-directional binding)
    */
   _setupSync() {
-    if (!this.config.sync) return;
-    if (typeof window === 'undefined' || !window.app?.Script) return;
+    if (!this.config.sync || !this.script) return;
     
     Object.entries(this.config.sync).forEach(([localProp, globalPath]) => {
       const { signalName, pathParts } = parseSignalPath(globalPath);
       this._syncConfig[localProp] = { signalName, pathParts };
 
-      const unsubscribe = window.app.Script.watch(signalName, (value) => {
+      const unsubscribe = this.script.watch(signalName, (value) => {
         const resolved = resolveValueAtPath(value, pathParts);
         this._applySyncedValue(localProp, resolved);
       });
 
       this._syncUnsub.push(unsubscribe);
 
-      const current = window.app.Script.get(signalName);
+      const current = this.script.get(signalName);
       if (current !== undefined) {
         const resolved = resolveValueAtPath(current, pathParts);
         this._applySyncedValue(localProp, resolved);
@@ -178,10 +196,10 @@ export class ReactiveComponent {
 
   _pushToSignal(localProp, value) {
     const config = this._syncConfig[localProp];
-    if (!config || typeof window === 'undefined' || !window.app?.Script) return;
+    if (!config || !this.script) return;
 
     const { signalName, pathParts } = config;
-    const current = window.app.Script.get(signalName);
+    const current = this.script.get(signalName);
     let nextValue;
 
     if (!pathParts.length) {
@@ -194,7 +212,7 @@ export class ReactiveComponent {
 
     this._isExternalSync = true;
     try {
-      window.app.Script.set(signalName, nextValue);
+      this.script.set(signalName, nextValue);
     } finally {
       this._isExternalSync = false;
     }
@@ -210,17 +228,28 @@ export class ReactiveComponent {
     globalScheduler.schedule(() => {
       if (!this.mounted) return;
       const renderStart = performance.now();
+      const isUpdate = this._rendered;
+
+      if (isUpdate) {
+        this.lifecycle.run('beforeUpdate');
+      }
       
       // Clear dependencies before render
       this.dependencies.clear();
       
-      // Call render function
-      const vdom = this.config.render.call(this, this.state);
-      
-      // Create DOM element
-      this.element = this.mesh._createElementFromSpec(vdom);
-      this.container.innerHTML = '';
-      this.container.appendChild(this.element);
+      try {
+        // Call render function
+        const vdom = this.config.render.call(this, this.state);
+        
+        // Patch the live DOM
+        this.element = this.mesh.reconcile(this.container, vdom);
+      } catch (error) {
+        if (!this.lifecycle.handleError(error, 'render')) throw error;
+        return;
+      }
+
+      this._rendered = true;
+      this.lifecycle.run(isUpdate ? 'update' : 'mount');
       
       // Track performance
       const renderTime = performance.now() - renderStart;
@@ -289,6 +318,8 @@ export class ReactiveComponent {
       throw new Error('Container not found');
     }
     
+    this.lifecycle.reset();
+    this._rendered = false;
     this.mounted = true;
     this._render();
     
@@ -299,10 +330,16 @@ export class ReactiveComponent {
    * Unmount component
    */
   unmount() {
+    if (this.mounted && this._rendered) {
+      this.lifecycle.run('beforeUnmount');
+    }
+    this.lifecycle.dispose();
+
     if (this.container) {
       this.container.innerHTML = '';
     }
     this.mounted = false;
+    this._rendered = false;
     if (this._queryUnsub) {
       this._queryUnsub();
       this._queryUnsub = null;
@@ -0,0 +1,211 @@
+/**
+ * ScrollMesh Reconciler
+ * Patches live DOM against freshly rendered output instead of replacing it
+ *
+ * Keeps focus, caret position, scroll offsets and running transitions intact
+ * by touching only the attributes, text and children that actually changed.
+ */
+
+// Properties stamped on elements created by ScrollMeshCore
+export const KEY_PROP = '__sfKey';
+export const EVENTS_PROP = '__sfEvents';
+// Child ScrollMesh context hosted by an element; it renders the element's content itself
+export const COMPONENT_PROP = '__sfComponent';
+
+export class Reconciler {
+  /**
+   * Patch the children of a container so they match the next node.
+   * `next` may be an element, a text node or a DocumentFragment.
+   */
+  patch(container, next) {
+    const nextChildren = next && next.nodeType === 11
+      ? Array.from(next.childNodes)
+      : next ? [next] : [];
+
+    this._patchChildren(container, nextChildren);
+    return container;
+  }
+
+  /**
+   * Patch a single node in place.
+   * Returns the node that ends up in the DOM (the old one, or its replacement).
+   */
+  patchNode(current, next) {
+    if (!current) return next;
+
+    if (!this._isSameType(current, next)) {
+      current.replaceWith(next);
+      return next;
+    }
+
+    this._patchSameNode(current, next);
+    return current;
+  }
+
+  /**
+   * Patch a node already known to share type with its replacement
+   */
+  _patchSameNode(current, next) {
+    if (current.nodeType === 3 || current.nodeType === 8) {
+      if (current.nodeValue !== next.nodeValue) {
+        current.nodeValue = next.nodeValue;
+      }
+      return;
+    }
+
+    if (current.nodeType !== 1) return;
+
+    const textBefore = current.nodeName === 'TEXTAREA' ? current.textContent : null;
+
+    this._patchAttributes(current, next);
+    this._patchEvents(current, next);
+
+    if (next[KEY_PROP] !== undefined) {
+      current[KEY_PROP] = next[KEY_PROP];
+    }
+
+    if (next[COMPONENT_PROP]) {
+      current[COMPONENT_PROP] = next[COMPONENT_PROP];
+      return;
+    }
+
+    this._patchChildren(current, Array.from(next.childNodes));
+
+    // A textarea's value only follows its text while untouched
+    if (textBefore !== null && textBefore !== current.textContent) {
+      current.value = current.textContent;
+    }
+  }
+
+  /**
+   * Sync attributes, pushing value/checked/selected through to live properties
+   * when the rendered attribute changed (so user input is not clobbered otherwise)
+   */
+  _patchAttributes(current, next) {
+    const nextAttrs = next.attributes;
+
+    for (let i = 0; i < nextAttrs.length; i++) {
+      const { name, value } = nextAttrs[i];
+      if (current.getAttribute(name) !== value) {
+        current.setAttribute(name, value);
+        this._syncProperty(current, name, value);
+      }
+    }
+
+    Array.from(current.attributes).forEach(({ name }) => {
+      if (!next.hasAttribute(name)) {
+        current.removeAttribute(name);
+        this._syncProperty(current, name, null);
+      }
+    });
+  }
+
+  _syncProperty(el, name, value) {
+    if (name === 'value' && 'value' in el) {
+      const nextValue = value ?? '';
+      if (el.value !== nextValue) {
+        el.value = nextValue;
+      }
+    } else if ((name === 'checked' || name === 'selected') && name in el) {
+      el[name] = value !== null;
+    }
+  }
+
+  /**
+   * Swap listeners attached through spec `events`
+   */
+  _patchEvents(current, next) {
+    const currentEvents = current[EVENTS_PROP] || {};
+    const nextEvents = next[EVENTS_PROP] || {};
+
+    Object.entries(currentEvents).forEach(([event, handler]) => {
+      if (nextEvents[event] !== handler) {
+        current.removeEventListener(event, handler);
+      }
+    });
+
+    Object.entries(nextEvents).forEach(([event, handler]) => {
+      if (currentEvents[event] !== handler) {
+        current.addEventListener(event, handler);
+      }
+    });
+
+    if (current[EVENTS_PROP] || next[EVENTS_PROP]) {
+      current[EVENTS_PROP] = { ...nextEvents };
+    }
+  }
+
+  /**
+   * Keyed children diff.
+   * Keyed nodes are matched by key, the rest by position among nodes of the same type.
+   */
+  _patchChildren(parent, nextChildren) {
+    const keyed = new Map();
+    const unkeyed = [];
+
+    Array.from(parent.childNodes).forEach((child) => {
+      const key = getNodeKey(child);
+      if (key != null && !keyed.has(key)) {
+        keyed.set(key, child);
+      } else {
+        unkeyed.push(child);
+      }
+    });
+
+    const matches = nextChildren.map((nextChild) => {
+      const key = getNodeKey(nextChild);
+
+      if (key != null) {
+        const match = keyed.get(key);
+        if (match && this._isSameType(match, nextChild)) {
+          keyed.delete(key);
+          return match;
+        }
+        return null;
+      }
+
+      const index = unkeyed.findIndex((candidate) => this._isSameType(candidate, nextChild));
+      if (index === -1) return null;
+      return unkeyed.splice(index, 1)[0];
+    });
+
+    // Drop whatever was not reused before moving things around
+    keyed.forEach((node) => node.remove());
+    unkeyed.forEach((node) => node.remove());
+
+    nextChildren.forEach((nextChild, index) => {
+      const match = matches[index];
+      let node = nextChild;
+
+      if (match) {
+        this._patchSameNode(match, nextChild);
+        node = match;
+      }
+
+      const reference = parent.childNodes[index] || null;
+      if (reference !== node) {
+        parent.insertBefore(node, reference);
+      }
+    });
+  }
+
+  _isSameType(a, b) {
+    if (a.nodeType !== b.nodeType || a.nodeName !== b.nodeName) return false;
+
+    // A host is kept only for the same child (or adopted when server-rendered)
+    return !a[COMPONENT_PROP] || a[COMPONENT_PROP] === b[COMPONENT_PROP];
+  }
+}
+
+/**
+ * Resolve the reconciliation key of a node.
+ * Specs set it through `key`, templates through a `data-key` or `key` attribute.
+ */
+function getNodeKey(node) {
+  if (!node || node.nodeType !== 1) return null;
+  if (node[KEY_PROP] != null) return String(node[KEY_PROP]);
+  return node.getAttribute('data-key') ?? node.getAttribute('key');
+}
+
+// Global reconciler instance
+export const globalReconciler = new Reconciler();
@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+
+const { window } = new JSDOM('<!doctype html><html><body></body></html>');
+globalThis.document = window.document;
+
+const { Reconciler, EVENTS_PROP, KEY_PROP } = await import('./reconciler.js');
+
+function fragment(html) {
+  const template = document.createElement('template');
+  template.innerHTML = html;
+  return template.content;
+}
+
+function container(html) {
+  const el = document.createElement('div');
+  el.innerHTML = html;
+  return el;
+}
+
+test('keyed children are moved, not re-created', () => {
+  const root = container('<li data-key="a">A</li><li data-key="b">B</li><li data-key="c">C</li>');
+  const [a, b, c] = root.children;
+
+  new Reconciler().patch(root, fragment('<li data-key="c">C</li><li data-key="a">A!</li><li data-key="b">B</li>'));
+
+  assert.deepEqual(Array.from(root.children), [c, a, b]);
+  assert.equal(a.textContent, 'A!');
+});
+
+test('removed keys are dropped and new ones inserted', () => {
+  const root = container('<li data-key="a">A</li><li data-key="b">B</li>');
+  const [a] = root.children;
+
+  new Reconciler().patch(root, fragment('<li data-key="a">A</li><li data-key="d">D</li>'));
+
+  assert.equal(root.innerHTML, '<li data-key="a">A</li><li data-key="d">D</li>');
+  assert.equal(root.children[0], a);
+});
+
+test('keys set by specs (KEY_PROP) match too', () => {
+  const root = container('');
+  const first = document.createElement('p');
+  first[KEY_PROP] = 1;
+  root.append(first);
+
+  const other = document.createElement('p');
+  other[KEY_PROP] = 2;
+  const same = document.createElement('p');
+  same[KEY_PROP] = 1;
+  same.textContent = 'again';
+  const next = document.createDocumentFragment();
+  next.append(other, same);
+
+  new Reconciler().patch(root, next);
+
+  assert.equal(root.children[1], first);
+  assert.equal(first.textContent, 'again');
+});
+
+test('attributes are patched in place and removed ones dropped', () => {
+  const root = container('<p class="a" title="x">text</p>');
+  const p = root.firstChild;
+
+  new Reconciler().patch(root, fragment('<p class="b">text</p>'));
+
+  assert.equal(root.firstChild, p);
+  assert.equal(p.getAttribute('class'), 'b');
+  assert.equal(p.hasAttribute('title'), false);
+});
+
+test('user input survives a render that did not change the value attribute', () => {
+  const root = container('<input value="a">');
+  const input = root.firstChild;
+  input.value = 'typed';
+
+  new Reconciler().patch(root, fragment('<input value="a">'));
+  assert.equal(input.value, 'typed');
+
+  new Reconciler().patch(root, fragment('<input value="b">'));
+  assert.equal(input.value, 'b');
+});
+
+test('elements of another type are replaced', () => {
+  const root = container('<p>x</p>');
+
+  new Reconciler().patch(root, fragment('<span>x</span>'));
+
+  assert.equal(root.innerHTML, '<span>x</span>');
+});
+
+test('spec listeners are swapped when the handler changes', () => {
+  const root = container('<button>go</button>');
+  const button = root.firstChild;
+  const calls = [];
+  const first = () => calls.push('first');
+  const second = () => calls.push('second');
+  button[EVENTS_PROP] = { click: first };
+  button.addEventListener('click', first);
+
+  const next = document.createElement('button');
+  next.textContent = 'go';
+  next[EVENTS_PROP] = { click: second };
+  new Reconciler().patch(root, next);
+  button.dispatchEvent(new window.Event('click'));
+
+  assert.equal(root.firstChild, button);
+  assert.deepEqual(calls, ['second']);
+});
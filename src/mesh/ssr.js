@@ -0,0 +1,219 @@
+/**
+ * ScrollMesh Server Rendering
+ * DOM-free rendering of component specs to HTML strings
+ *
+ * Runs on Node (no document required). The markup it produces is picked up
+ * in the browser by `hydrate()` without being re-created.
+ */
+
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+  'link', 'meta', 'param', 'source', 'track', 'wbr',
+]);
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+};
+
+export const DEFAULT_STATE_ID = 'sf-state';
+
+/**
+ * Escape text for use in HTML content or attribute values
+ */
+export function escapeHTML(value) {
+  return String(value).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+}
+
+/**
+ * Render a spec (the same shape ScrollMeshCore._createElementFromSpec consumes)
+ */
+export function renderSpecToString(spec, children = []) {
+  if (typeof spec === 'string' || typeof spec === 'number') {
+    return escapeHTML(spec);
+  }
+
+  if (spec == null || typeof spec === 'boolean') {
+    return '';
+  }
+
+  if (Array.isArray(spec)) {
+    return spec.map((child) => renderSpecToString(child)).join('');
+  }
+
+  // Component instance created through ScrollMeshCore.create()
+  if (spec.blueprint) {
+    return renderComponentToString(spec);
+  }
+
+  const {
+    tag = 'div',
+    attrs = {},
+    style = {},
+    content = '',
+    children: specChildren = [],
+  } = spec;
+
+  let html = `<${tag}${renderAttributes(attrs, style)}>`;
+
+  // Host of a child context (see composition.js)
+  if (spec.component && typeof spec.component.renderToString === 'function') {
+    return `${html}${spec.component.renderToString()}</${tag}>`;
+  }
+
+  if (VOID_ELEMENTS.has(tag.toLowerCase())) {
+    return html;
+  }
+
+  if (content) {
+    html += escapeHTML(content);
+  }
+
+  [...specChildren, ...children].forEach((child) => {
+    if (child) {
+      html += renderSpecToString(child);
+    }
+  });
+
+  return `${html}</${tag}>`;
+}
+
+/**
+ * Render a ScrollMeshCore component instance
+ */
+export function renderComponentToString(component) {
+  const { blueprint, props, children } = component;
+
+  if (typeof blueprint === 'function') {
+    return renderSpecToString(blueprint(props, children));
+  }
+
+  if (typeof blueprint === 'object') {
+    return renderSpecToString(blueprint, children);
+  }
+
+  throw new Error('Invalid blueprint type');
+}
+
+/**
+ * Render anything renderable: a ScrollMesh context, a component instance or a spec
+ */
+export function renderToString(component) {
+  if (component && typeof component.renderToString === 'function') {
+    return component.renderToString();
+  }
+
+  return renderSpecToString(component);
+}
+
+/**
+ * Remove inline on* handlers from markup (string counterpart of
+ * HTMLScrollMeshContext._stripInlineHandlers)
+ */
+export function stripInlineHandlerAttributes(html) {
+  return String(html).replace(/\s+on[a-z]+\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+)/gi, '');
+}
+
+/**
+ * Serialize state into an inert JSON script tag
+ */
+export function serializeState(state, id = DEFAULT_STATE_ID) {
+  const json = JSON.stringify(state ?? {})
+    .replace(/</g, '\\u003c')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029');
+
+  return `<script type="application/json" id="${escapeHTML(id)}">${json}</script>`;
+}
+
+/**
+ * Read state written by serializeState() (browser side)
+ */
+export function readSerializedState(id = DEFAULT_STATE_ID, root = document) {
+  const script = root.getElementById
+    ? root.getElementById(id)
+    : root.querySelector(`#${id}`);
+
+  if (!script) return null;
+
+  try {
+    return JSON.parse(script.textContent);
+  } catch (error) {
+    console.error('[ScrollMesh] Failed to read serialized state:', error);
+    return null;
+  }
+}
+
+/**
+ * Render a complete HTML document around a component
+ */
+export function renderDocument(component, options = {}) {
+  const {
+    title = 'ScrollForge App',
+    containerId = 'app',
+    stateId = DEFAULT_STATE_ID,
+    head = '',
+    scripts = [],
+    lang = 'en',
+  } = options;
+
+  const markup = renderToString(component);
+  const state = typeof component?.serializeState === 'function'
+    ? component.serializeState()
+    : null;
+
+  const scriptTags = scripts
+    .map((src) => `<script type="module" src="${escapeHTML(src)}"></script>`)
+    .join('\n    ');
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHTML(lang)}">
+  <head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHTML(title)}</title>
+    ${head}
+  </head>
+  <body>
+    <div id="${escapeHTML(containerId)}" data-sf-state="${escapeHTML(stateId)}">${markup}</div>
+    ${state !== null ? serializeState(state, stateId) : ''}
+    ${scriptTags}
+  </body>
+</html>`;
+}
+
+function renderAttributes(attrs, style) {
+  let html = '';
+
+  Object.entries(attrs).forEach(([key, value]) => {
+    if (key === 'key') return;
+
+    const name = key === 'className' ? 'class' : key;
+
+    if (value === true) {
+      html += ` ${name}="true"`;
+    } else if (typeof value === 'string' || typeof value === 'number' || value === false) {
+      html += ` ${name}="${escapeHTML(value)}"`;
+    }
+    // Skip non-primitive values, matching the DOM renderer
+  });
+
+  const css = Object.entries(style)
+    .filter(([, value]) => value != null && value !== '')
+    .map(([prop, value]) => `${toKebabCase(prop)}: ${value};`)
+    .join(' ');
+
+  if (css) {
+    html += ` style="${escapeHTML(css)}"`;
+  }
+
+  return html;
+}
+
+function toKebabCase(prop) {
+  if (prop.startsWith('--')) return prop;
+  return prop.replace(/[A-Z]/g, (char) => `-${char.toLowerCase()}`);
+}
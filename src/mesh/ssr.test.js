@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+
+import { renderDocument, renderSpecToString, serializeState, stripInlineHandlerAttributes } from './ssr.js';
+import { ScrollMeshContext } from './context.js';
+
+const counter = () => new ScrollMeshContext(
+  () => ({ count: 0, label: 'Count' }),
+  (state) => ({ tag: 'p', attrs: { class: 'count' }, content: `${state.label}: ${state.count}` })
+);
+
+test('specs render to escaped HTML without a DOM', () => {
+  const html = renderSpecToString({
+    tag: 'div',
+    attrs: { className: 'box', title: '"quoted"', key: 'k', hidden: false },
+    children: [{ tag: 'br' }, '<b>', { tag: 'span', content: 'a & b' }],
+  });
+
+  assert.equal(html, '<div class="box" title="&quot;quoted&quot;" hidden="false"><br>&lt;b&gt;<span>a &amp; b</span></div>');
+});
+
+test('serialized state cannot close its script tag', () => {
+  const html = serializeState({ text: '</script><script>alert(1)</script>' });
+
+  assert.ok(!html.slice(0, -'</script>'.length).includes('</script>'));
+  assert.deepEqual(JSON.parse(html.replace(/^<script[^>]*>|<\/script>$/g, '')), { text: '</script><script>alert(1)</script>' });
+});
+
+test('inline handlers are stripped from markup', () => {
+  assert.equal(stripInlineHandlerAttributes('<img src="x" onerror="alert(1)" onload=go()>'), '<img src="x">');
+});
+
+test('a context renders to a string on the server', () => {
+  const context = counter();
+  context.state.count = 3;
+
+  assert.equal(context.renderToString(), '<p class="count">Count: 3</p>');
+});
+
+test('hydrate adopts server markup and restores the serialized state', () => {
+  const server = counter();
+  server.state.count = 5;
+  const page = renderDocument(server, { containerId: 'app' });
+
+  const { window } = new JSDOM(page);
+  globalThis.document = window.document;
+  try {
+    const container = document.getElementById('app');
+    const serverNode = container.firstElementChild;
+
+    const client = counter();
+    client.hydrate(container);
+
+    assert.equal(client.state.count, 5);
+    assert.equal(container.firstElementChild, serverNode);
+    assert.equal(serverNode.textContent, 'Count: 5');
+
+    client.state.count = 6;
+    assert.equal(container.firstElementChild, serverNode);
+    assert.equal(serverNode.textContent, 'Count: 6');
+    client.unmount();
+  } finally {
+    delete globalThis.document;
+  }
+});
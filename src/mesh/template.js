@@ -0,0 +1,682 @@
+/**
+ * ScrollMesh Template Compiler
+ * `${...}` templates without eval: each template is parsed once into a cached
+ * render function, and interpolated values are HTML-escaped.
+ *
+ *   const render = compileTemplate('<p class="${done ? \'done\' : \'\'}">${title}</p>');
+ *   render({ done: true, title: '<b>hi</b>' }); // <p class="done">&lt;b&gt;hi&lt;/b&gt;</p>
+ *
+ * Expressions support literals, array/object literals, state lookups, member
+ * access (including ?.), calls, unary/binary/logical operators and ?: - no
+ * assignments, arrow functions or nested template literals.
+ * raw(value) and html`...` mark trusted markup that is inserted unescaped.
+ */
+
+import { escapeHTML } from './ssr.js';
+
+/**
+ * Markup inserted as-is by templates
+ */
+export class RawHTML {
+  constructor(html) {
+    this.html = html == null ? '' : String(html);
+  }
+
+  toString() {
+    return this.html;
+  }
+}
+
+/**
+ * Trust a string as markup: ${raw(post.bodyHTML)}
+ */
+export function raw(value) {
+  return value instanceof RawHTML ? value : new RawHTML(value);
+}
+
+/**
+ * Tagged template escaping its values (nested html`` / raw() stay as markup):
+ *   html`<li>${item.name}</li>`
+ * Called with a plain string it is the same as raw().
+ */
+export function html(strings, ...values) {
+  if (!Array.isArray(strings) || !strings.raw) {
+    return raw(strings);
+  }
+
+  let output = strings[0];
+  values.forEach((value, index) => {
+    output += renderValue(value) + strings[index + 1];
+  });
+  return new RawHTML(output);
+}
+
+/**
+ * HTML for one interpolated value: escaped text, raw markup as-is,
+ * arrays concatenated, null/undefined as nothing
+ */
+export function renderValue(value, markBraces = false) {
+  if (value === undefined || value === null) return '';
+  if (value instanceof RawHTML) return value.html;
+  if (Array.isArray(value)) return value.map((item) => renderValue(item, markBraces)).join('');
+
+  // `$` too, so a rendered value can never form a new ${...} when re-interpolated
+  const escaped = escapeHTML(value).replace(/\$/g, '&#36;');
+  return markBraces ? escaped.replace(/\{/g, DATA_BRACE) : escaped;
+}
+
+// Stands in for "{" in values rendered with { markBraces: true }, so data can
+// never form a {{ }} that directives evaluate (see HTMLParser.parseTemplate)
+export const DATA_BRACE = '\uE000';
+
+export class TemplateSyntaxError extends Error {
+  constructor(message, template, offset) {
+    const { line, column, frame } = locate(template, offset);
+    super(`[HTMLParser] ${message} at line ${line}, column ${column}\n${frame}`);
+    this.name = 'TemplateSyntaxError';
+    this.line = line;
+    this.column = column;
+    this.frame = frame;
+  }
+}
+
+// Identifiers every template can use besides the state
+const TEMPLATE_GLOBALS = {
+  raw,
+  html,
+  Math,
+  Number,
+  String,
+  Boolean,
+  Date,
+  JSON,
+  encodeURIComponent,
+};
+
+// Property names no expression (or sf-model path) may read or write
+export const BLOCKED_PROPERTIES = new Set([
+  'constructor', 'prototype', '__proto__',
+  '__defineGetter__', '__defineSetter__', '__lookupGetter__', '__lookupSetter__',
+]);
+
+const BINARY_PRECEDENCE = {
+  '??': 1,
+  '||': 2,
+  '&&': 3,
+  '==': 4, '!=': 4, '===': 4, '!==': 4,
+  '<': 5, '>': 5, '<=': 5, '>=': 5, in: 5,
+  '+': 6, '-': 6,
+  '*': 7, '/': 7, '%': 7,
+};
+
+const PUNCTUATORS = ['===', '!==', '...', '?.', '??', '==', '!=', '<=', '>=', '&&', '||', '=>',
+  '+', '-', '*', '/', '%', '<', '>', '!', '?', ':', '.', ',', '(', ')', '[', ']', '{', '}', '='];
+
+const NO_LOCALS = Object.freeze({});
+
+const cache = new Map();
+const lenientCache = new Map();
+const expressionCache = new Map();
+const CACHE_LIMIT = 500;
+
+/**
+ * Compile (or fetch from the cache) a template into render(state, helpers, options) => string.
+ * Throws TemplateSyntaxError, unless { lenient: true }: then a ${ that does not
+ * parse stays as text and the rest of the template still renders.
+ * render options.markBraces writes "{" in values as DATA_BRACE.
+ */
+export function compileTemplate(template, options = {}) {
+  const store = options.lenient ? lenientCache : cache;
+  if (store.has(template)) {
+    return store.get(template);
+  }
+
+  const parts = splitTemplate(template, Boolean(options.lenient)).map((part) => {
+    if (typeof part === 'string') return () => part;
+
+    const evaluate = compileNode(part.node);
+    const where = locate(template, part.start);
+
+    return (scope) => {
+      try {
+        return renderValue(evaluate(scope), scope.markBraces);
+      } catch (error) {
+        console.warn(`[HTMLParser] \${${template.slice(part.start, part.end).trim()}} failed at line ${where.line}, column ${where.column}:`, error.message);
+        return '';
+      }
+    };
+  });
+
+  const render = (state = {}, helpers = {}, options = {}) => {
+    const scope = { state, helpers, locals: NO_LOCALS, markBraces: Boolean(options.markBraces) };
+    let output = '';
+    for (const part of parts) {
+      output += part(scope);
+    }
+    return output;
+  };
+
+  store.set(template, render);
+  if (store.size > CACHE_LIMIT) {
+    store.delete(store.keys().next().value);
+  }
+
+  return render;
+}
+
+/**
+ * Compile a single expression (no ${}) into evaluate(state, locals) => value.
+ * locals shadow the state, e.g. loop variables.
+ */
+export function compileExpression(expression) {
+  if (expressionCache.has(expression)) {
+    return expressionCache.get(expression);
+  }
+
+  const evaluate = compileNode(parseExpression(expression, 0, expression.length));
+  const run = (state = {}, locals = NO_LOCALS) => evaluate({ state, helpers: NO_LOCALS, locals });
+
+  expressionCache.set(expression, run);
+  if (expressionCache.size > CACHE_LIMIT) {
+    expressionCache.delete(expressionCache.keys().next().value);
+  }
+
+  return run;
+}
+
+export function clearTemplateCache() {
+  cache.clear();
+  lenientCache.clear();
+  expressionCache.clear();
+}
+
+/**
+ * Static strings and { start, end } offsets of each ${...} expression
+ */
+function splitTemplate(template, lenient) {
+  const parts = [];
+  let index = 0;
+
+  while (index < template.length) {
+    const open = template.indexOf('${', index);
+    if (open === -1) {
+      parts.push(template.slice(index));
+      break;
+    }
+
+    if (open > index) parts.push(template.slice(index, open));
+
+    const start = open + 2;
+    const end = findClosingBrace(template, start);
+
+    try {
+      if (end === -1) {
+        throw new TemplateSyntaxError('Unterminated ${', template, open);
+      }
+      parts.push({ start, end, node: parseExpression(template, start, end) });
+      index = end + 1;
+    } catch (error) {
+      if (!lenient || !(error instanceof TemplateSyntaxError)) throw error;
+
+      // Kept as text; scanning resumes inside it, so a later ${ can still match
+      console.warn(error.message);
+      parts.push('${');
+      index = start;
+    }
+  }
+
+  return parts;
+}
+
+function findClosingBrace(template, index) {
+  let depth = 0;
+
+  for (let i = index; i < template.length; i++) {
+    const char = template[i];
+
+    if (char === '"' || char === "'" || char === '`') {
+      i = skipString(template, i);
+      if (i === -1) return -1;
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}') {
+      if (depth === 0) return i;
+      depth--;
+    }
+  }
+
+  return -1;
+}
+
+function skipString(source, start) {
+  const quote = source[start];
+  for (let i = start + 1; i < source.length; i++) {
+    if (source[i] === '\\') {
+      i++;
+    } else if (source[i] === quote) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Tokens of template.slice(start, end), with absolute offsets
+ */
+function tokenize(template, start, end) {
+  const tokens = [];
+  let i = start;
+
+  while (i < end) {
+    const char = template[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(template[i + 1] || ''))) {
+      const match = /^(?:0[xX][0-9a-fA-F]+|(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)/.exec(template.slice(i, end));
+      tokens.push({ type: 'number', value: Number(match[0]), start: i });
+      i += match[0].length;
+      continue;
+    }
+
+    if (/[A-Za-z_$]/.test(char)) {
+      const match = /^[A-Za-z_$][\w$]*/.exec(template.slice(i, end));
+      tokens.push({ type: 'name', value: match[0], start: i });
+      i += match[0].length;
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      const close = skipString(template, i);
+      if (close === -1 || close >= end) {
+        throw new TemplateSyntaxError('Unterminated string', template, i);
+      }
+      tokens.push({ type: 'string', value: unescapeString(template.slice(i + 1, close)), start: i });
+      i = close + 1;
+      continue;
+    }
+
+    if (char === '`') {
+      throw new TemplateSyntaxError('Template literals are not supported inside ${}', template, i);
+    }
+
+    const punctuator = PUNCTUATORS.find((candidate) => template.startsWith(candidate, i));
+    if (!punctuator) {
+      throw new TemplateSyntaxError(`Unexpected character "${char}"`, template, i);
+    }
+
+    // a?.5 is a ternary, not optional chaining
+    if (punctuator === '?.' && /[0-9]/.test(template[i + 2] || '')) {
+      tokens.push({ type: 'punct', value: '?', start: i });
+      i++;
+      continue;
+    }
+
+    tokens.push({ type: 'punct', value: punctuator, start: i });
+    i += punctuator.length;
+  }
+
+  tokens.push({ type: 'end', value: null, start: end });
+  return tokens;
+}
+
+function unescapeString(body) {
+  const escapes = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', v: '\v', 0: '\0' };
+
+  return body.replace(/\\(u\{[0-9a-fA-F]+\}|u[0-9a-fA-F]{4}|x[0-9a-fA-F]{2}|[\s\S])/g, (_, code) => {
+    if (code[0] === 'u' && code.length > 1) {
+      return String.fromCodePoint(parseInt(code.replace(/[u{}]/g, ''), 16));
+    }
+    if (code[0] === 'x' && code.length === 3) {
+      return String.fromCharCode(parseInt(code.slice(1), 16));
+    }
+    return escapes[code] ?? code;
+  });
+}
+
+/**
+ * Pratt parser for the expression between start and end
+ */
+function parseExpression(template, start, end) {
+  const tokens = tokenize(template, start, end);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+  const fail = (message, token = peek()) => {
+    throw new TemplateSyntaxError(message, template, token.start);
+  };
+  const describe = (token) => (token.type === 'end' ? 'end of expression' : `"${token.value}"`);
+  const isPunct = (value, token = peek()) => token.type === 'punct' && token.value === value;
+  const expect = (value) => {
+    if (!isPunct(value)) fail(`Expected "${value}" but found ${describe(peek())}`);
+    return next();
+  };
+
+  if (peek().type === 'end') {
+    fail('Empty expression');
+  }
+
+  function parseTernary() {
+    const test = parseBinary(0);
+    if (!isPunct('?')) return test;
+
+    next();
+    const consequent = parseTernary();
+    expect(':');
+    const alternate = parseTernary();
+    return { type: 'conditional', test, consequent, alternate };
+  }
+
+  function parseBinary(minPrecedence) {
+    let left = parseUnary();
+
+    for (;;) {
+      const token = peek();
+      const operator = token.type === 'punct' || (token.type === 'name' && token.value === 'in') ? token.value : null;
+      const precedence = BINARY_PRECEDENCE[operator];
+
+      if (operator === '=' || operator === '=>') {
+        fail(operator === '=' ? 'Assignments are not allowed in templates' : 'Arrow functions are not supported in templates');
+      }
+      if (!precedence || precedence <= minPrecedence) return left;
+
+      next();
+      const right = parseBinary(precedence);
+      left = { type: 'binary', operator, left, right };
+    }
+  }
+
+  function parseUnary() {
+    const token = peek();
+
+    if (token.type === 'punct' && ['!', '-', '+'].includes(token.value)) {
+      next();
+      return { type: 'unary', operator: token.value, argument: parseUnary() };
+    }
+    if (token.type === 'name' && token.value === 'typeof') {
+      next();
+      return { type: 'unary', operator: 'typeof', argument: parseUnary() };
+    }
+
+    return parsePostfix(parsePrimary());
+  }
+
+  function parsePostfix(object) {
+    const operations = [];
+
+    for (;;) {
+      const optional = isPunct('?.');
+      if (optional) next();
+
+      if (isPunct('.') && !optional) {
+        next();
+        operations.push({ kind: 'member', property: parsePropertyName(), optional: false });
+      } else if (optional && peek().type === 'name') {
+        operations.push({ kind: 'member', property: parsePropertyName(), optional: true });
+      } else if (isPunct('[')) {
+        next();
+        const property = parseTernary();
+        expect(']');
+        operations.push({ kind: 'computed', property, optional });
+      } else if (isPunct('(')) {
+        next();
+        operations.push({ kind: 'call', args: parseList(')'), optional });
+      } else if (optional) {
+        fail(`Unexpected ${describe(peek())} after "?."`);
+      } else {
+        break;
+      }
+    }
+
+    return operations.length > 0 ? { type: 'chain', object, operations } : object;
+  }
+
+  function parsePropertyName() {
+    const token = next();
+    if (token.type !== 'name') {
+      fail(`Expected a property name but found ${describe(token)}`, token);
+    }
+    if (BLOCKED_PROPERTIES.has(token.value)) {
+      fail(`Access to "${token.value}" is not allowed`, token);
+    }
+    return token.value;
+  }
+
+  function parseList(close) {
+    const items = [];
+    while (!isPunct(close)) {
+      if (isPunct('...')) fail('Spread is not supported in templates');
+      items.push(parseTernary());
+      if (!isPunct(close)) expect(',');
+    }
+    next();
+    return items;
+  }
+
+  function parsePrimary() {
+    const token = next();
+
+    if (token.type === 'number' || token.type === 'string') {
+      return { type: 'literal', value: token.value };
+    }
+
+    if (token.type === 'name') {
+      switch (token.value) {
+        case 'true': return { type: 'literal', value: true };
+        case 'false': return { type: 'literal', value: false };
+        case 'null': return { type: 'literal', value: null };
+        case 'undefined': return { type: 'literal', value: undefined };
+        case 'this':
+        case 'new':
+        case 'function':
+        case 'await':
+        case 'yield':
+        case 'delete':
+        case 'void':
+          fail(`"${token.value}" is not supported in templates`, token);
+          break;
+        default:
+          if (isPunct('=>')) fail('Arrow functions are not supported in templates');
+          if (BLOCKED_PROPERTIES.has(token.value)) {
+            fail(`Access to "${token.value}" is not allowed`, token);
+          }
+          return { type: 'identifier', name: token.value };
+      }
+    }
+
+    if (isPunct('(', token)) {
+      const expression = parseTernary();
+      expect(')');
+      if (isPunct('=>')) fail('Arrow functions are not supported in templates');
+      return expression;
+    }
+
+    if (isPunct('[', token)) {
+      return { type: 'array', items: parseList(']') };
+    }
+
+    if (isPunct('{', token)) {
+      const properties = [];
+      while (!isPunct('}')) {
+        const key = next();
+        if (key.type !== 'name' && key.type !== 'string' && key.type !== 'number') {
+          fail(`Expected a property name but found ${describe(key)}`, key);
+        }
+        if (BLOCKED_PROPERTIES.has(String(key.value))) {
+          fail(`Property "${key.value}" is not allowed`, key);
+        }
+
+        let value;
+        if (isPunct(':')) {
+          next();
+          value = parseTernary();
+        } else if (key.type === 'name') {
+          value = { type: 'identifier', name: key.value }; // { title } shorthand (key checked above)
+        } else {
+          expect(':');
+        }
+
+        properties.push({ key: String(key.value), value });
+        if (!isPunct('}')) expect(',');
+      }
+      next();
+      return { type: 'object', properties };
+    }
+
+    return fail(`Unexpected ${describe(token)}`, token);
+  }
+
+  const expression = parseTernary();
+  if (peek().type !== 'end') {
+    fail(`Unexpected ${describe(peek())}`);
+  }
+  return expression;
+}
+
+/**
+ * AST node -> (scope) => value
+ */
+function compileNode(node) {
+  switch (node.type) {
+    case 'literal': {
+      const { value } = node;
+      return () => value;
+    }
+
+    case 'identifier': {
+      const { name } = node;
+      // Own properties only, so inherited names such as toString stay out of reach
+      return ({ state, helpers, locals }) => {
+        if (hasOwn(locals, name)) return locals[name];
+        if (hasOwn(state, name)) return state[name];
+        if (hasOwn(helpers, name)) return helpers[name];
+        return hasOwn(TEMPLATE_GLOBALS, name) ? TEMPLATE_GLOBALS[name] : undefined;
+      };
+    }
+
+    case 'array': {
+      const items = node.items.map(compileNode);
+      return (scope) => items.map((item) => item(scope));
+    }
+
+    case 'object': {
+      const properties = node.properties.map(({ key, value }) => [key, compileNode(value)]);
+      return (scope) => {
+        const object = {};
+        properties.forEach(([key, value]) => {
+          object[key] = value(scope);
+        });
+        return object;
+      };
+    }
+
+    case 'unary': {
+      const argument = compileNode(node.argument);
+      switch (node.operator) {
+        case '!': return (scope) => !argument(scope);
+        case '-': return (scope) => -argument(scope);
+        case '+': return (scope) => +argument(scope);
+        default: return (scope) => typeof argument(scope);
+      }
+    }
+
+    case 'binary':
+      return compileBinary(node.operator, compileNode(node.left), compileNode(node.right));
+
+    case 'conditional': {
+      const test = compileNode(node.test);
+      const consequent = compileNode(node.consequent);
+      const alternate = compileNode(node.alternate);
+      return (scope) => (test(scope) ? consequent(scope) : alternate(scope));
+    }
+
+    case 'chain':
+      return compileChain(node);
+
+    default:
+      throw new Error(`[HTMLParser] Unknown expression node "${node.type}"`);
+  }
+}
+
+function compileBinary(operator, left, right) {
+  switch (operator) {
+    case '??': return (scope) => left(scope) ?? right(scope);
+    case '||': return (scope) => left(scope) || right(scope);
+    case '&&': return (scope) => left(scope) && right(scope);
+    case '==': return (scope) => left(scope) == right(scope);
+    case '!=': return (scope) => left(scope) != right(scope);
+    case '===': return (scope) => left(scope) === right(scope);
+    case '!==': return (scope) => left(scope) !== right(scope);
+    case '<': return (scope) => left(scope) < right(scope);
+    case '>': return (scope) => left(scope) > right(scope);
+    case '<=': return (scope) => left(scope) <= right(scope);
+    case '>=': return (scope) => left(scope) >= right(scope);
+    case 'in': return (scope) => left(scope) in right(scope);
+    case '+': return (scope) => left(scope) + right(scope);
+    case '-': return (scope) => left(scope) - right(scope);
+    case '*': return (scope) => left(scope) * right(scope);
+    case '/': return (scope) => left(scope) / right(scope);
+    default: return (scope) => left(scope) % right(scope);
+  }
+}
+
+/**
+ * Member accesses and calls; `?.` on null/undefined ends the whole chain
+ */
+function compileChain(node) {
+  const object = compileNode(node.object);
+  const operations = node.operations.map((operation) => ({
+    ...operation,
+    property: operation.kind === 'computed' ? compileNode(operation.property) : operation.property,
+    args: operation.args ? operation.args.map(compileNode) : null,
+  }));
+
+  return (scope) => {
+    let value = object(scope);
+    let receiver;
+
+    for (const operation of operations) {
+      if (operation.optional && value == null) return undefined;
+
+      if (operation.kind === 'call') {
+        if (typeof value !== 'function') {
+          throw new TypeError('Value is not a function');
+        }
+        value = value.apply(receiver, operation.args.map((arg) => arg(scope)));
+        receiver = undefined;
+        continue;
+      }
+
+      const key = operation.kind === 'computed' ? operation.property(scope) : operation.property;
+      if (BLOCKED_PROPERTIES.has(String(key))) {
+        throw new Error(`Access to "${key}" is not allowed`);
+      }
+
+      receiver = value;
+      value = value[key];
+    }
+
+    return value;
+  };
+}
+
+function hasOwn(target, name) {
+  return target != null &&
+    (typeof target === 'object' || typeof target === 'function') &&
+    Object.prototype.hasOwnProperty.call(target, name);
+}
+
+function locate(template, offset) {
+  const before = template.slice(0, offset);
+  const line = before.split('\n').length;
+  const lineStart = before.lastIndexOf('\n') + 1;
+  const column = offset - lineStart + 1;
+  const lineEnd = template.indexOf('\n', offset);
+  const text = template.slice(lineStart, lineEnd === -1 ? template.length : lineEnd);
+
+  return { line, column, frame: `  ${text}\n  ${' '.repeat(column - 1)}^` };
+}
@@ -0,0 +1,119 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  compileTemplate,
+  compileExpression,
+  clearTemplateCache,
+  html,
+  DATA_BRACE,
+  TemplateSyntaxError,
+} from './template.js';
+
+test('interpolated values are HTML-escaped', () => {
+  const render = compileTemplate('<p title="${title}">${title}</p>');
+  assert.equal(
+    render({ title: '<img src=x onerror="alert(1)">' }),
+    '<p title="&lt;img src=x onerror=&quot;alert(1)&quot;&gt;">&lt;img src=x onerror=&quot;alert(1)&quot;&gt;</p>'
+  );
+});
+
+test('rendered values can never form a new ${} or {{ }}', () => {
+  const render = compileTemplate('<p>${name}</p>');
+  assert.equal(render({ name: '${secret}' }), '<p>&#36;{secret}</p>');
+  assert.equal(render({ name: '{{ x }}' }, {}, { markBraces: true }), `<p>${DATA_BRACE}${DATA_BRACE} x }}</p>`);
+});
+
+test('raw() and html`` insert trusted markup', () => {
+  const render = compileTemplate('<div>${raw(body)}</div><ul>${items.map(toItem)}</ul>');
+  const toItem = (item) => html`<li>${item}</li>`;
+
+  assert.equal(
+    render({ body: '<b>bold</b>', items: ['a', '<i>'] }, { toItem }),
+    '<div><b>bold</b></div><ul><li>a</li><li>&lt;i&gt;</li></ul>'
+  );
+});
+
+test('computed expressions still render', () => {
+  const render = compileTemplate(
+    '${user?.name ?? "anon"}|${count * 2 + 1}|${done ? "yes" : "no"}|${tags.join(", ")}|${Math.max(a, b)}|${{ a: 1 }.a}|${[1, 2][1]}'
+  );
+  assert.equal(
+    render({ user: null, count: 4, done: true, tags: ['x', 'y'], a: 3, b: 9 }),
+    'anon|9|yes|x, y|9|1|2'
+  );
+});
+
+test('a compiled template is cached per source string', () => {
+  clearTemplateCache();
+  const render = compileTemplate('<p>${a}</p>');
+  assert.equal(compileTemplate('<p>${a}</p>'), render);
+  clearTemplateCache();
+  assert.notEqual(compileTemplate('<p>${a}</p>'), render);
+});
+
+test('the Function constructor cannot be reached through constructor chains', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const payload = "${constructor.getOwnPropertyDescriptor(constructor.getPrototypeOf(constructor),'constructor').value('return 7*6')()}";
+
+  assert.throws(() => compileTemplate(payload), /Access to "constructor" is not allowed/);
+
+  // Lenient templates keep the expression as inert text
+  const output = compileTemplate(payload, { lenient: true })({ name: 'x' });
+  assert.notEqual(output, '42');
+  assert.equal(output, payload);
+
+  // Keys built at render time are checked too
+  const computed = compileTemplate("${fn['const' + 'ructor']('return 7*6')()}");
+  assert.equal(computed({ fn() {} }), '');
+});
+
+test('constructor, prototype and __proto__ are rejected as property names', (t) => {
+  t.mock.method(console, 'warn', () => {});
+
+  assert.throws(() => compileTemplate('${name.constructor}'), TemplateSyntaxError);
+  assert.throws(() => compileTemplate('${name.__proto__}'), TemplateSyntaxError);
+  assert.throws(() => compileTemplate('${fn.prototype}'), TemplateSyntaxError);
+  assert.throws(() => compileTemplate('${{ __proto__: 1 }}'), TemplateSyntaxError);
+
+  // Computed keys are checked when the template renders
+  assert.equal(compileTemplate('${name[key]}')({ name: 'x', key: 'constructor' }), '');
+  assert.equal(compileTemplate('${name["__proto__"]}')({ name: {} }), '');
+});
+
+test('inherited names such as toString are not visible as identifiers', () => {
+  const render = compileTemplate('${toString}|${hasOwnProperty}|${valueOf}');
+  assert.equal(render({}), '||');
+});
+
+test('syntax errors report the line and column', () => {
+  let error;
+  try {
+    compileTemplate('<p>\n  ${count +}</p>');
+  } catch (caught) {
+    error = caught;
+  }
+
+  assert.ok(error instanceof TemplateSyntaxError);
+  assert.equal(error.line, 2);
+  assert.match(error.frame, /\$\{count \+\}/);
+});
+
+test('lenient mode keeps an unparseable ${ as text and renders the rest', () => {
+  const render = compileTemplate('<p>${a = 1}</p><p>${b}</p>', { lenient: true });
+  assert.equal(render({ b: 'ok' }), '<p>${a = 1}</p><p>ok</p>');
+});
+
+test('runtime errors render nothing for that expression', (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const render = compileTemplate('<p>${missing.deep}</p><p>${name}</p>');
+
+  assert.equal(render({ name: 'ok' }), '<p></p><p>ok</p>');
+  assert.equal(warn.mock.callCount(), 1);
+});
+
+test('compileExpression() evaluates with locals shadowing the state', () => {
+  const evaluate = compileExpression('item.price * qty');
+  assert.equal(evaluate({ qty: 2, item: { price: 1 } }, { item: { price: 5 } }), 10);
+  assert.throws(() => compileExpression('x => x'), TemplateSyntaxError);
+});
@@ -1,14 +1,29 @@
 /**
  * Copy-On-Write State System
  * Memory-efficient snapshots for large state
+ *
+ * Snapshots are deeply frozen trees. Subtrees that did not change since the
+ * previous snapshot are reused instead of copied (structural sharing).
+ *
+ * Objects are treated as immutable once frozen: a later snapshot reuses their
+ * frozen tree without looking inside. Whoever changes one in place (e.g. a
+ * reactive Proxy) must call touch(object) so the next snapshot copies it again.
  */
 
 export class CopyOnWriteStore {
-  constructor() {
+  constructor(options = {}) {
     this.snapshots = [];
     this.currentVersion = 0;
-    this.maxSnapshots = 100;
-    this.structuralSharing = true;
+    this.maxSnapshots = options.maxSnapshots || 100;
+    this.structuralSharing = options.structuralSharing !== false;
+    // Maps a live value to the unwrapped object to read from (e.g. a Proxy to its target)
+    this.unwrap = options.unwrap || ((value) => value);
+    // Source object -> frozen tree last produced for it (frozen trees map to themselves)
+    this._shared = new WeakMap();
+    // Source object -> source objects that held it, so touch() can reach the root
+    this._parents = new WeakMap();
+    // Sources changed in place since they were last frozen
+    this._changed = new WeakSet();
   }
 
   /**
@@ -36,31 +51,121 @@ export class CopyOnWriteStore {
   }
 
   /**
-   * Deep clone and freeze for structural sharing mode
+   * Frozen, structurally shared copy of a value without recording a snapshot
    */
-  _cloneImmutable(obj, cache = new WeakMap()) {
+  freeze(value) {
+    return this._cloneImmutable(value);
+  }
+
+  /**
+   * Mark an object changed in place: it and every object holding it are
+   * copied again by the next freeze instead of being reused
+   */
+  touch(value) {
+    if (value === null || typeof value !== 'object') return;
+
+    const pending = [this.unwrap(value)];
+    while (pending.length > 0) {
+      const source = pending.pop();
+      if (this._changed.has(source)) continue;
+
+      this._changed.add(source);
+      this._parents.get(source)?.forEach((parent) => pending.push(parent));
+    }
+  }
+
+  /**
+   * Mutable copy of a frozen tree.
+   * Copies remember their source, so freezing them again while unchanged
+   * returns the original tree.
+   */
+  thaw(value) {
+    if (value === null || typeof value !== 'object' || !isPlainContainer(value)) {
+      return value;
+    }
+
+    const copy = Array.isArray(value) ? [] : {};
+    Object.keys(value).forEach((key) => {
+      copy[key] = this.thaw(value[key]);
+      this._link(copy[key], copy);
+    });
+
+    if (this._shared.get(value) === value) {
+      this._shared.set(copy, value);
+    }
+
+    return copy;
+  }
+
+  /**
+   * Freeze with structural sharing: reuse the previous frozen tree for
+   * any object whose contents are unchanged
+   */
+  _cloneImmutable(obj, cache = new Map(), cyclic = new Set()) {
     if (obj === null || typeof obj !== 'object') {
       return obj;
     }
 
-    if (cache.has(obj)) {
-      return cache.get(obj);
+    const source = this.unwrap(obj);
+
+    // Already one of our frozen trees
+    if (this._shared.get(source) === source) {
+      return source;
     }
 
-    const clone = Array.isArray(obj) ? [] : {};
-    cache.set(obj, clone);
+    // Dates, Maps, class instances... are kept by reference
+    if (!isPlainContainer(source)) {
+      return source;
+    }
 
-    if (Array.isArray(obj)) {
-      for (let i = 0; i < obj.length; i++) {
-        clone[i] = this._cloneImmutable(obj[i], cache);
-      }
+    // Frozen before and not touched since: reuse it without walking the subtree
+    const previous = this._shared.get(source);
+    if (previous && !this._changed.has(source)) {
+      return previous;
+    }
+
+    if (cache.has(source)) {
+      cyclic.add(source);
+      return cache.get(source);
+    }
+
+    const draft = Array.isArray(source) ? [] : {};
+    cache.set(source, draft);
+
+    Object.keys(source).forEach(key => {
+      draft[key] = this._cloneImmutable(source[key], cache, cyclic);
+      this._link(source[key], source);
+    });
+
+    this._changed.delete(source);
+    let result;
+
+    if (cyclic.has(source)) {
+      result = Object.freeze(draft);
+    } else if (previous && shallowEqual(previous, draft)) {
+      result = previous;
+    } else if (Object.isFrozen(source) && shallowEqual(source, draft)) {
+      result = source;
     } else {
-      Object.keys(obj).forEach(key => {
-        clone[key] = this._cloneImmutable(obj[key], cache);
-      });
+      result = Object.freeze(draft);
     }
 
-    return Object.freeze(clone);
+    this._shared.set(source, result);
+    this._shared.set(result, result);
+
+    return result;
+  }
+
+  _link(child, parent) {
+    if (child === null || typeof child !== 'object') return;
+
+    const source = this.unwrap(child);
+    let parents = this._parents.get(source);
+    if (!parents) {
+      parents = new Set();
+      this._parents.set(source, parents);
+    }
+    parents.add(parent);
   }
 
   /**
@@ -82,21 +187,56 @@ export class CopyOnWriteStore {
    * Restore snapshot
    */
   restore(snapshot) {
-    return this._deepClone(snapshot.state);
+    return this.structuralSharing
+      ? this.thaw(snapshot.state)
+      : this._deepClone(snapshot.state);
   }
 
   /**
    * Get memory usage estimate
+   * Shared subtrees are counted once. Pass states to measure trees held elsewhere.
    */
-  getMemoryUsage() {
+  getMemoryUsage(states = this.snapshots.map(snap => snap.state)) {
+    const seen = new Set();
     let size = 0;
 
-    this.snapshots.forEach(snap => {
-      size += JSON.stringify(snap.state).length;
-    });
+    const visit = (value) => {
+      if (value === null || typeof value !== 'object') {
+        size += estimatePrimitiveSize(value);
+        return;
+      }
+
+      if (seen.has(value)) return;
+      seen.add(value);
+
+      if (value instanceof Map) {
+        value.forEach((entry, key) => {
+          size += estimatePrimitiveSize(key);
+          visit(entry);
+        });
+        return;
+      }
+
+      if (!isPlainContainer(value)) {
+        try {
+          size += JSON.stringify(value)?.length || 0;
+        } catch (e) {
+          // Unserializable - not counted
+        }
+        return;
+      }
+
+      Object.keys(value).forEach(key => {
+        size += key.length + 3;
+        visit(value[key]);
+      });
+    };
+
+    states.forEach(visit);
 
     return {
-      snapshots: this.snapshots.length,
+      snapshots: states.length,
+      sharedNodes: seen.size,
       estimatedBytes: size,
       estimatedMB: (size / 1048576).toFixed(2)
     };
@@ -110,9 +250,40 @@ export class CopyOnWriteStore {
       this.snapshots = this.snapshots.slice(-keepLast);
     }
   }
+
+  /**
+   * Drop every snapshot and the shared trees kept for reuse
+   */
+  clear() {
+    this.snapshots = [];
+    this.currentVersion = 0;
+    this._shared = new WeakMap();
+    this._parents = new WeakMap();
+    this._changed = new WeakSet();
+  }
 }
 
-export function createCOWStore() {
-  return new CopyOnWriteStore();
+function isPlainContainer(value) {
+  if (Array.isArray(value)) return true;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
 }
 
+function shallowEqual(a, b) {
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  const keys = Object.keys(a);
+  if (keys.length !== Object.keys(b).length) return false;
+
+  return keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && Object.is(a[key], b[key]));
+}
+
+function estimatePrimitiveSize(value) {
+  if (value === undefined) return 0;
+  if (typeof value === 'string') return value.length + 2;
+  return String(value).length;
+}
+
+export function createCOWStore(options) {
+  return new CopyOnWriteStore(options);
+}
@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CopyOnWriteStore } from './copy-on-write.js';
+
+test('snapshots are deeply frozen copies', () => {
+  const store = new CopyOnWriteStore();
+  const state = { user: { name: 'Ada' }, tags: ['a'] };
+
+  const { state: frozen } = store.snapshot(state);
+
+  assert.notEqual(frozen, state);
+  assert.deepEqual(frozen, state);
+  assert.ok(Object.isFrozen(frozen.user));
+  assert.ok(Object.isFrozen(frozen.tags));
+});
+
+test('unchanged subtrees are shared between snapshots', () => {
+  const store = new CopyOnWriteStore();
+  const state = { user: { name: 'Ada' }, todos: [{ text: 'write' }] };
+
+  const first = store.snapshot(state).state;
+  state.todos = [...state.todos, { text: 'ship' }];
+  store.touch(state);
+  const second = store.snapshot(state).state;
+
+  assert.equal(second.user, first.user);
+  assert.equal(second.todos[0], first.todos[0]);
+  assert.notEqual(second.todos, first.todos);
+});
+
+test('an untouched subtree is reused without being read again', () => {
+  const store = new CopyOnWriteStore();
+  let reads = 0;
+  const settings = {
+    get theme() {
+      reads++;
+      return 'dark';
+    }
+  };
+  const state = { settings, count: 0 };
+
+  store.snapshot(state);
+  reads = 0;
+  state.count = 1;
+  store.touch(state);
+  const second = store.snapshot(state).state;
+
+  assert.equal(second.count, 1);
+  assert.equal(reads, 0);
+});
+
+test('touch() makes the next snapshot copy an in-place change', () => {
+  const store = new CopyOnWriteStore();
+  const state = { profile: { address: { city: 'Paris' } } };
+
+  const first = store.snapshot(state).state;
+  state.profile.address.city = 'Rome';
+  store.touch(state.profile.address);
+  const second = store.snapshot(state).state;
+
+  assert.equal(first.profile.address.city, 'Paris');
+  assert.equal(second.profile.address.city, 'Rome');
+  assert.notEqual(second.profile, first.profile);
+});
+
+test('restore() thaws a mutable copy that freezes back to the same tree', () => {
+  const store = new CopyOnWriteStore();
+  const snapshot = store.snapshot({ list: [1, 2], meta: { ok: true } });
+
+  const restored = store.restore(snapshot);
+  restored.list.push(3);
+
+  assert.equal(Object.isFrozen(restored), false);
+  assert.deepEqual(snapshot.state.list, [1, 2]);
+  assert.equal(store.freeze(store.restore(snapshot)), snapshot.state);
+});
+
+test('old snapshots are dropped past maxSnapshots', () => {
+  const store = new CopyOnWriteStore({ maxSnapshots: 2 });
+  store.snapshot({ n: 1 });
+  store.snapshot({ n: 2 });
+  store.snapshot({ n: 3 });
+
+  assert.deepEqual(store.snapshots.map((snap) => snap.state.n), [2, 3]);
+});
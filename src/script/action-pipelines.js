@@ -3,6 +3,9 @@
  * guard → transform → commit → effect
  */
 
+import { isSchema, ValidationError, validationErrorBody } from './schema.js';
+import { authorize, requiresAccess } from './auth.js';
+
 export class ActionPipeline {
   constructor(scriptInstance) {
     this.script = scriptInstance;
@@ -19,11 +22,18 @@ export class ActionPipeline {
       effect,
       rollback
     } = config;
+    const access = requiresAccess(config)
+      ? authorize({ roles: config.roles, permissions: config.permissions })
+      : null;
 
     return async (req, res) => {
-      let payload = { req, res, body: req.body, params: req.params, query: req.query };
+      let payload = { req, res, body: req.body, params: req.params, query: req.query, user: req.user };
+
+      // Phase 1: Guard (declarative roles/permissions first)
+      if (access && !(await access(req, res))) {
+        return;
+      }
 
-      // Phase 1: Guard
       if (guard) {
         const allowed = await guard(payload);
         if (!allowed) {
@@ -33,13 +43,19 @@ export class ActionPipeline {
         }
       }
 
-      // Phase 2: Transform
+      // Phase 2: Transform (a schema validates and replaces the body)
       if (transform) {
         try {
-          payload = await transform(payload);
+          payload = isSchema(transform)
+            ? { ...payload, body: await transform.parse(payload.body) }
+            : await transform(payload);
         } catch (error) {
+          const body = error instanceof ValidationError
+            ? validationErrorBody(error.errors)
+            : { error: 'Invalid data', details: error.message };
+
           res.writeHead(400, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ error: 'Invalid data', details: error.message }));
+          res.end(JSON.stringify(body));
           return;
         }
       }
@@ -89,15 +105,16 @@ export class ActionPipeline {
   }
 
   /**
-   * Create snapshot of all signals
+   * Create snapshot of all signals (frozen, structurally shared)
    */
   _createSnapshot() {
+    const store = this.script.snapshotStore;
     const signals = this.script.getAllSignals();
     const snapshot = new Map();
 
     signals.forEach((signal, name) => {
       if (!signal.derived) {
-        snapshot.set(name, JSON.parse(JSON.stringify(signal.value)));
+        snapshot.set(name, store.freeze(signal.value));
       }
     });
 
@@ -105,11 +122,16 @@ export class ActionPipeline {
   }
 
   /**
-   * Restore snapshot
+   * Restore snapshot (only signals that changed since it was taken)
    */
   _restoreSnapshot(snapshot) {
+    const store = this.script.snapshotStore;
+    const signals = this.script.getAllSignals();
+
     snapshot.forEach((value, name) => {
-      this.script.set(name, value);
+      const signal = signals.get(name);
+      if (!signal || store.freeze(signal.value) === value) return;
+      this.script.set(name, store.thaw(value));
     });
   }
 }
@@ -126,6 +148,8 @@ export function pipeline(scriptInstance) {
     commit: (fn) => ({ commit: fn, _builder: true }),
     effect: (fn) => ({ effect: fn, _builder: true }),
     rollback: (fn) => ({ rollback: fn, _builder: true }),
+    roles: (...roles) => ({ roles, _builder: true }),
+    permissions: (...permissions) => ({ permissions, _builder: true }),
     
     build: (...steps) => {
       const config = steps.reduce((acc, step) => ({ ...acc, ...step }), {});
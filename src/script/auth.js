@@ -0,0 +1,348 @@
+/**
+ * Authentication & Authorization
+ * Strategies that populate req.user, plus declarative role/permission checks
+ *
+ *   app.useAuth([jwt({ secret }), apiKey({ keys: { 'k-123': { id: 'ci', roles: ['bot'] } } })]);
+ *   app.get('/admin', handler, { roles: ['admin'] });
+ *
+ * A strategy is { name, authenticate(req), challenge? }. authenticate resolves to a user,
+ * to null when its credentials are absent, and throws AuthError when they are invalid.
+ */
+
+import crypto from 'crypto';
+
+export class AuthError extends Error {
+  constructor(message, status = 401, code = 'unauthorized') {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * JWT (HS256 only)
+ */
+export function signJWT(payload, secret, options = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const claims = { iat: now, ...payload };
+
+  if (options.expiresIn) claims.exp = now + options.expiresIn;
+  if (options.notBefore) claims.nbf = now + options.notBefore;
+  if (options.issuer) claims.iss = options.issuer;
+  if (options.audience) claims.aud = options.audience;
+  if (options.subject) claims.sub = options.subject;
+
+  const data = `${encodeSegment({ alg: 'HS256', typ: 'JWT' })}.${encodeSegment(claims)}`;
+  return `${data}.${hmac(data, secret)}`;
+}
+
+/**
+ * Verified claims, or throw AuthError.
+ * secret may be an array to accept tokens signed with older secrets.
+ */
+export function verifyJWT(token, secret, options = {}) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) {
+    throw new AuthError('Malformed token', 401, 'invalid_token');
+  }
+
+  const [encodedHeader, encodedPayload, signature] = parts;
+  const header = decodeSegment(encodedHeader);
+
+  // Never trust the token to pick its algorithm ("none", RS256 confusion...)
+  if (!header || header.alg !== 'HS256') {
+    throw new AuthError('Unsupported token algorithm', 401, 'invalid_token');
+  }
+
+  const data = `${encodedHeader}.${encodedPayload}`;
+  const valid = [].concat(secret).some((key) => safeEqual(hmac(data, key), signature));
+  if (!valid) {
+    throw new AuthError('Invalid token signature', 401, 'invalid_token');
+  }
+
+  const claims = decodeSegment(encodedPayload);
+  if (!claims || typeof claims !== 'object') {
+    throw new AuthError('Malformed token', 401, 'invalid_token');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const tolerance = options.clockTolerance || 0;
+
+  if (claims.exp !== undefined && now - tolerance >= claims.exp) {
+    throw new AuthError('Token expired', 401, 'token_expired');
+  }
+  if (claims.nbf !== undefined && now + tolerance < claims.nbf) {
+    throw new AuthError('Token not yet valid', 401, 'invalid_token');
+  }
+  if (options.issuer && claims.iss !== options.issuer) {
+    throw new AuthError('Invalid token issuer', 401, 'invalid_token');
+  }
+  if (options.audience && ![].concat(claims.aud).includes(options.audience)) {
+    throw new AuthError('Invalid token audience', 401, 'invalid_token');
+  }
+
+  return claims;
+}
+
+/**
+ * Strategies
+ */
+
+/**
+ * Authorization: Bearer <token>, resolved by verify(token, req)
+ */
+export function bearer(options = {}) {
+  const { verify } = options;
+  if (typeof verify !== 'function') {
+    throw new Error('[Auth] bearer() needs a verify(token, req) function');
+  }
+
+  return {
+    name: options.name || 'bearer',
+    challenge: 'Bearer',
+    async authenticate(req) {
+      const token = readBearerToken(req);
+      if (!token) return null;
+
+      const user = await verify(token, req);
+      if (!user) throw new AuthError('Invalid token', 401, 'invalid_token');
+      return user;
+    },
+  };
+}
+
+/**
+ * Bearer JWT verified with HS256. mapUser(claims, req) builds req.user (default: claims + id from sub)
+ */
+export function jwt(options = {}) {
+  if (!options.secret) {
+    throw new Error('[Auth] jwt() requires a secret');
+  }
+
+  const mapUser = options.mapUser || ((claims) => ({ id: claims.sub, ...claims }));
+  const getToken = options.getToken || readBearerToken;
+
+  return {
+    name: options.name || 'jwt',
+    challenge: 'Bearer',
+    async authenticate(req) {
+      const token = getToken(req);
+      if (!token) return null;
+
+      return mapUser(verifyJWT(token, options.secret, options), req);
+    },
+  };
+}
+
+/**
+ * API key from a header (default x-api-key) or query parameter.
+ * keys: { key: user } map, or verify(key, req) for lookups elsewhere.
+ */
+export function apiKey(options = {}) {
+  const header = (options.header || 'x-api-key').toLowerCase();
+  const queryParam = options.query || null;
+  const keys = options.keys ? Object.entries(options.keys) : [];
+
+  return {
+    name: options.name || 'apiKey',
+    async authenticate(req) {
+      const key = req.headers?.[header] || (queryParam && req.query?.[queryParam]);
+      if (!key) return null;
+
+      let user = null;
+      if (options.verify) {
+        user = await options.verify(key, req);
+      } else {
+        // Compare against every key so timing does not reveal which one matched
+        keys.forEach(([candidate, candidateUser]) => {
+          if (safeEqual(candidate, key) && !user) user = candidateUser;
+        });
+      }
+
+      if (!user) throw new AuthError('Invalid API key', 401, 'invalid_api_key');
+      return user;
+    },
+  };
+}
+
+/**
+ * HTTP Basic auth resolved by verify(username, password, req)
+ */
+export function basic(options = {}) {
+  const { verify } = options;
+  if (typeof verify !== 'function') {
+    throw new Error('[Auth] basic() needs a verify(username, password, req) function');
+  }
+
+  const realm = options.realm || 'ScrollForge';
+
+  return {
+    name: options.name || 'basic',
+    challenge: `Basic realm="${realm}"`,
+    async authenticate(req) {
+      const header = req.headers?.authorization || '';
+      if (!header.startsWith('Basic ')) return null;
+
+      const decoded = Buffer.from(header.slice(6), 'base64').toString('utf8');
+      const index = decoded.indexOf(':');
+      if (index === -1) {
+        throw new AuthError('Malformed credentials', 401, 'invalid_credentials');
+      }
+
+      const user = await verify(decoded.slice(0, index), decoded.slice(index + 1), req);
+      if (!user) throw new AuthError('Invalid credentials', 401, 'invalid_credentials');
+      return user;
+    },
+  };
+}
+
+/**
+ * First user produced by the strategies, as { user, strategy }, or null
+ */
+export async function authenticateRequest(strategies, req) {
+  for (const strategy of [].concat(strategies)) {
+    let user;
+    try {
+      user = await strategy.authenticate(req);
+    } catch (error) {
+      if (error instanceof AuthError && error.challenge === undefined) {
+        error.challenge = strategy.challenge || null;
+      }
+      throw error;
+    }
+
+    if (user) {
+      return { user, strategy: strategy.name };
+    }
+  }
+  return null;
+}
+
+/**
+ * Middleware/guard that sets req.user.
+ * With { optional: true } requests without credentials pass through anonymously;
+ * invalid credentials are always rejected.
+ */
+export function authenticate(strategies, options = {}) {
+  const list = [].concat(strategies);
+
+  return async (req, res) => {
+    try {
+      const result = await authenticateRequest(list, req);
+
+      if (result) {
+        req.user = result.user;
+        req.auth = { strategy: result.strategy };
+        return true;
+      }
+
+      if (options.optional) return true;
+
+      sendAuthError(res, new AuthError('Authentication required'), list);
+    } catch (error) {
+      if (!(error instanceof AuthError)) throw error;
+      sendAuthError(res, error, list);
+    }
+
+    return false;
+  };
+}
+
+/**
+ * Guard requiring req.user with any of `roles` and all of `permissions`
+ */
+export function authorize(requirements = {}) {
+  return async (req, res) => {
+    if (!req.user) {
+      sendAuthError(res, new AuthError('Authentication required'));
+      return false;
+    }
+
+    if (!hasAccess(req.user, requirements)) {
+      sendAuthError(res, new AuthError('Forbidden', 403, 'forbidden'));
+      return false;
+    }
+
+    if (requirements.check && !(await requirements.check(req.user, req))) {
+      sendAuthError(res, new AuthError('Forbidden', 403, 'forbidden'));
+      return false;
+    }
+
+    return true;
+  };
+}
+
+/**
+ * Roles come from user.roles or user.role; permissions from user.permissions
+ * or a space-separated user.scope (as in OAuth/JWT claims)
+ */
+export function hasAccess(user, { roles, permissions } = {}) {
+  if (!user) return false;
+
+  if (roles && roles.length > 0) {
+    const userRoles = [].concat(user.roles || user.role || []);
+    if (!roles.some((role) => userRoles.includes(role))) return false;
+  }
+
+  if (permissions && permissions.length > 0) {
+    const granted = user.permissions
+      ? [].concat(user.permissions)
+      : String(user.scope || '').split(' ').filter(Boolean);
+    if (!permissions.every((permission) => granted.includes(permission))) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Does an options object ask for authorization? ({ roles, permissions })
+ */
+export function requiresAccess(options = {}) {
+  return Boolean(options.roles?.length || options.permissions?.length);
+}
+
+/**
+ * 401/403 JSON response for an AuthError (with a WWW-Authenticate challenge on 401)
+ */
+export function sendAuthError(res, error, strategies = []) {
+  if (res.headersSent) return;
+
+  const headers = { 'Content-Type': 'application/json' };
+  const challenge = error.challenge !== undefined
+    ? error.challenge
+    : strategies.find((strategy) => strategy.challenge)?.challenge;
+  if (error.status === 401 && challenge) {
+    headers['WWW-Authenticate'] = challenge;
+  }
+
+  res.writeHead(error.status, headers);
+  res.end(JSON.stringify({ error: error.message, code: error.code }));
+}
+
+function readBearerToken(req) {
+  const header = req.headers?.authorization || '';
+  return header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+}
+
+function hmac(data, secret) {
+  return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+function encodeSegment(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+function decodeSegment(segment) {
+  try {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
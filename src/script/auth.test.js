@@ -0,0 +1,97 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+
+import { apiKey, basic, bearer, hasAccess, jwt, signJWT, verifyJWT } from './auth.js';
+import { Router } from './router.js';
+
+const users = {
+  'k-admin': { id: 'root', roles: ['admin'] },
+  'k-user': { id: 'ada', roles: ['user'], scope: 'todos:read' },
+};
+
+const router = new Router();
+const seen = [];
+
+router.get('/admin', (req, res) => res.end('admin area'), {
+  auth: apiKey({ keys: users }),
+  roles: ['admin'],
+  guards: [(req) => {
+    seen.push(req.user?.id);
+    return true;
+  }],
+});
+router.get('/todos', (req, res) => res.end('todos'), {
+  auth: [basic({ verify: (name, password) => (password === 'secret' ? { id: name, scope: 'todos:read' } : null) })],
+  permissions: ['todos:read'],
+});
+
+let server;
+let base;
+
+before(async () => {
+  server = http.createServer(async (req, res) => {
+    const result = await router.match(req.method, req.url, req, res);
+    if (!result.handled) res.writeHead(404).end();
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+test('JWTs round-trip, and expired, tampered or foreign tokens are refused', () => {
+  const token = signJWT({ sub: 'ada' }, 'new', { expiresIn: 60 });
+
+  assert.equal(verifyJWT(token, ['new', 'old']).sub, 'ada');
+  assert.throws(() => verifyJWT(token, 'other'), { code: 'invalid_token', status: 401 });
+  assert.throws(() => verifyJWT(`${token}x`, 'new'), { code: 'invalid_token' });
+
+  const expired = signJWT({ sub: 'ada', exp: Math.floor(Date.now() / 1000) - 10 }, 'new');
+  assert.throws(() => verifyJWT(expired, 'new'), { code: 'token_expired' });
+});
+
+test('strategies that need a verify function or secret fail when created', () => {
+  assert.throws(() => basic(), /basic\(\) needs a verify/);
+  assert.throws(() => bearer(), /bearer\(\) needs a verify/);
+  assert.throws(() => jwt(), /requires a secret/);
+});
+
+test('roles match any, permissions must all be granted (from permissions or scope)', () => {
+  assert.equal(hasAccess(users['k-admin'], { roles: ['user', 'admin'] }), true);
+  assert.equal(hasAccess(users['k-user'], { roles: ['admin'] }), false);
+  assert.equal(hasAccess(users['k-user'], { permissions: ['todos:read'] }), true);
+  assert.equal(hasAccess({ permissions: ['a'] }, { permissions: ['a', 'b'] }), false);
+  assert.equal(hasAccess(null, {}), false);
+});
+
+test('missing credentials get 401 with the strategy challenge', async () => {
+  const response = await fetch(`${base}/todos`);
+
+  assert.equal(response.status, 401);
+  assert.equal(response.headers.get('www-authenticate'), 'Basic realm="ScrollForge"');
+  assert.deepEqual(await response.json(), { error: 'Authentication required', code: 'unauthorized' });
+});
+
+test('wrong credentials get 401 and a user without the role gets 403', async () => {
+  const wrong = await fetch(`${base}/todos`, {
+    headers: { authorization: `Basic ${Buffer.from('ada:nope').toString('base64')}` },
+  });
+  assert.equal(wrong.status, 401);
+  assert.equal((await wrong.json()).code, 'invalid_credentials');
+
+  const forbidden = await fetch(`${base}/admin`, { headers: { 'x-api-key': 'k-user' } });
+  assert.equal(forbidden.status, 403);
+  await forbidden.text();
+});
+
+test('custom route guards run after authentication and see req.user', async () => {
+  seen.length = 0;
+  const response = await fetch(`${base}/admin`, { headers: { 'x-api-key': 'k-admin' } });
+
+  assert.equal(await response.text(), 'admin area');
+  assert.deepEqual(seen, ['root']);
+});
@@ -0,0 +1,451 @@
+/**
+ * Request Body Parsing
+ * Size limits, JSON/urlencoded/text/raw bodies and streaming multipart uploads
+ *
+ * Shared by ScrollScriptServerAdvanced and ScrollScriptServerUltimate. Routes can override
+ * the server defaults with { body: { limit: '10mb', multipart: true } }, or { body: false }
+ * to read the request stream themselves.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import { join } from 'path';
+import { parse as parseQuery } from 'querystring';
+
+export const DEFAULT_BODY_OPTIONS = {
+  limit: '1mb',
+  json: true,
+  urlencoded: true,
+  text: true,
+  raw: false,        // true (any type) or a list of content types parsed to a Buffer
+  rawBody: false,    // also keep the exact bytes on req.rawBody (e.g. webhook signatures)
+  multipart: false,  // true or { uploadDir, limit, fileSize, files, fields, fieldSize }
+};
+
+const MULTIPART_DEFAULTS = {
+  uploadDir: null,
+  limit: '50mb',     // the whole request, all parts included
+  fileSize: 10 * 1024 * 1024,
+  files: 10,
+  fields: 100,
+  fieldSize: 64 * 1024,
+};
+
+// Preamble, boundary line and part headers are held in memory until complete
+const MAX_PART_HEADER = 16 * 1024;
+
+export class BodyParseError extends Error {
+  constructor(message, status = 400, code = 'invalid_body') {
+    super(message);
+    this.name = 'BodyParseError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * '1mb' / '512kb' / 1024 -> bytes
+ */
+export function parseBytes(value) {
+  if (typeof value === 'number') return value;
+
+  const match = /^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/i.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`[BodyParser] Invalid size: ${value}`);
+  }
+
+  const units = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+  return Math.floor(parseFloat(match[1]) * units[(match[2] || 'b').toLowerCase()]);
+}
+
+/**
+ * Parse req into req.body (and req.files for multipart).
+ * Rejects with BodyParseError: 413 when over a limit, 400 when malformed,
+ * 415 for multipart when it is not enabled.
+ */
+export async function parseBody(req, options = {}) {
+  const settings = { ...DEFAULT_BODY_OPTIONS, ...options };
+  const contentType = req.headers['content-type'] || '';
+  const mediaType = contentType.split(';')[0].trim().toLowerCase();
+
+  if (mediaType === 'multipart/form-data') {
+    if (!settings.multipart) {
+      throw new BodyParseError('Multipart bodies are not enabled for this route', 415, 'unsupported_media_type');
+    }
+
+    const { fields, files } = await parseMultipart(req, contentType, settings.multipart === true ? {} : settings.multipart);
+    req.body = fields;
+    req.files = files;
+    return fields;
+  }
+
+  const buffer = await readStream(req, parseBytes(settings.limit));
+  if (settings.rawBody) {
+    req.rawBody = buffer;
+  }
+
+  req.body = decodeBody(buffer, mediaType, settings);
+  return req.body;
+}
+
+/**
+ * Collect the request stream into one Buffer, failing fast past `limit` bytes
+ */
+export function readStream(req, limit = Infinity) {
+  return new Promise((resolve, reject) => {
+    const declared = Number(req.headers['content-length']);
+    if (declared > limit) {
+      reject(new BodyParseError('Request body too large', 413, 'payload_too_large'));
+      req.resume();
+      return;
+    }
+
+    const chunks = [];
+    let size = 0;
+    let failed = false;
+
+    req.on('data', (chunk) => {
+      if (failed) return;
+
+      size += chunk.length;
+      if (size > limit) {
+        failed = true;
+        reject(new BodyParseError('Request body too large', 413, 'payload_too_large'));
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on('end', () => {
+      if (!failed) resolve(Buffer.concat(chunks));
+    });
+
+    req.on('error', reject);
+    req.on('close', () => {
+      if (!req.complete) reject(new Error('aborted'));
+    });
+  });
+}
+
+function decodeBody(buffer, mediaType, settings) {
+  if (wantsRaw(mediaType, settings.raw)) {
+    return buffer;
+  }
+
+  const text = buffer.toString('utf8');
+
+  if (settings.json && (mediaType === 'application/json' || mediaType.endsWith('+json'))) {
+    if (text.trim() === '') return {};
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw new BodyParseError(`Malformed JSON body: ${error.message}`, 400, 'invalid_json');
+    }
+  }
+
+  if (settings.urlencoded && mediaType === 'application/x-www-form-urlencoded') {
+    return { ...parseQuery(text) };
+  }
+
+  if (settings.text && (mediaType.startsWith('text/') || mediaType === '')) {
+    return text;
+  }
+
+  return settings.raw ? buffer : text;
+}
+
+function wantsRaw(mediaType, raw) {
+  if (Array.isArray(raw)) return raw.includes(mediaType);
+  return raw === true && mediaType !== 'application/json' &&
+    mediaType !== 'application/x-www-form-urlencoded' && !mediaType.startsWith('text/');
+}
+
+/**
+ * Streaming multipart/form-data parser. File parts are written straight to
+ * temp files; only field values are held in memory.
+ */
+export function parseMultipart(req, contentType, options = {}) {
+  const limits = { ...MULTIPART_DEFAULTS, ...options };
+  const sizeLimit = parseBytes(limits.limit);
+  const fileSizeLimit = parseBytes(limits.fileSize);
+  const fieldSizeLimit = parseBytes(limits.fieldSize);
+  const uploadDir = limits.uploadDir || os.tmpdir();
+
+  const boundaryMatch = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType);
+  if (!boundaryMatch) {
+    return Promise.reject(new BodyParseError('Missing multipart boundary', 400, 'invalid_multipart'));
+  }
+
+  if (Number(req.headers['content-length']) > sizeLimit) {
+    req.resume();
+    return Promise.reject(new BodyParseError('Request body too large', 413, 'payload_too_large'));
+  }
+
+  const boundary = boundaryMatch[1] || boundaryMatch[2];
+  const delimiter = Buffer.from(`\r\n--${boundary}`);
+  const fields = {};
+  const files = {};
+  const written = [];
+
+  return new Promise((resolve, reject) => {
+    // Prefix CRLF so the first boundary matches the same delimiter as the rest
+    let buffer = Buffer.from('\r\n');
+    let state = 'preamble';
+    let part = null;
+    let received = 0;
+    let skipped = 0;
+    let fieldCount = 0;
+    let fileCount = 0;
+    let pendingWrites = 0;
+    let ended = false;
+    let failed = false;
+
+    const fail = (error) => {
+      if (failed) return;
+      failed = true;
+      if (part?.stream) part.stream.destroy();
+      req.unpipe?.();
+      req.resume();
+      written.forEach((path) => fs.unlink(path, () => {}));
+      reject(error);
+    };
+
+    const finish = () => {
+      if (failed || !ended || pendingWrites > 0) return;
+      if (state !== 'done') {
+        fail(new BodyParseError('Unexpected end of multipart body', 400, 'invalid_multipart'));
+        return;
+      }
+      resolve({ fields, files });
+    };
+
+    const startPart = (headerText) => {
+      const headers = {};
+      headerText.split('\r\n').forEach((line) => {
+        const index = line.indexOf(':');
+        if (index > 0) headers[line.slice(0, index).trim().toLowerCase()] = line.slice(index + 1).trim();
+      });
+
+      const disposition = headers['content-disposition'] || '';
+      const name = /\bname="([^"]*)"/i.exec(disposition)?.[1];
+      const filename = /\bfilename="([^"]*)"/i.exec(disposition)?.[1];
+
+      if (name === undefined) {
+        throw new BodyParseError('Multipart part without a name', 400, 'invalid_multipart');
+      }
+
+      if (filename !== undefined) {
+        if (++fileCount > limits.files) {
+          throw new BodyParseError('Too many files', 413, 'too_many_files');
+        }
+
+        const path = join(uploadDir, `sf-upload-${crypto.randomBytes(12).toString('hex')}`);
+        written.push(path);
+        const stream = fs.createWriteStream(path);
+        stream.on('error', fail);
+
+        return {
+          name,
+          file: { fieldname: name, filename, mimetype: headers['content-type'] || 'application/octet-stream', path, size: 0 },
+          stream,
+        };
+      }
+
+      if (++fieldCount > limits.fields) {
+        throw new BodyParseError('Too many fields', 413, 'too_many_fields');
+      }
+
+      return { name, chunks: [], size: 0 };
+    };
+
+    const writePart = (data) => {
+      if (data.length === 0) return;
+
+      if (part.stream) {
+        part.file.size += data.length;
+        if (part.file.size > fileSizeLimit) {
+          throw new BodyParseError(`File too large: ${part.file.filename}`, 413, 'file_too_large');
+        }
+
+        pendingWrites++;
+        const flushed = part.stream.write(data, () => {
+          pendingWrites--;
+          finish();
+        });
+        if (!flushed) {
+          req.pause();
+          part.stream.once('drain', () => req.resume());
+        }
+        return;
+      }
+
+      part.size += data.length;
+      if (part.size > fieldSizeLimit) {
+        throw new BodyParseError(`Field too large: ${part.name}`, 413, 'field_too_large');
+      }
+      part.chunks.push(data);
+    };
+
+    const endPart = () => {
+      if (part.stream) {
+        pendingWrites++;
+        part.stream.end(() => {
+          pendingWrites--;
+          finish();
+        });
+        appendValue(files, part.name, part.file);
+      } else {
+        appendValue(fields, part.name, Buffer.concat(part.chunks).toString('utf8'));
+      }
+      part = null;
+    };
+
+    const consume = () => {
+      for (;;) {
+        if (state === 'preamble' || state === 'body') {
+          const index = buffer.indexOf(delimiter);
+
+          if (index === -1) {
+            // Keep a tail that could be the start of a delimiter split across chunks
+            const safe = buffer.length - delimiter.length;
+            if (safe > 0) {
+              if (state === 'body') {
+                writePart(buffer.subarray(0, safe));
+              } else if ((skipped += safe) > MAX_PART_HEADER) {
+                throw new BodyParseError('Multipart preamble too large', 400, 'invalid_multipart');
+              }
+              buffer = buffer.subarray(safe);
+            }
+            return;
+          }
+
+          if (state === 'body') {
+            writePart(buffer.subarray(0, index));
+            endPart();
+          }
+
+          buffer = buffer.subarray(index + delimiter.length);
+          state = 'boundary';
+        }
+
+        if (state === 'boundary') {
+          if (buffer.length < 2) return;
+
+          if (buffer[0] === 0x2d && buffer[1] === 0x2d) { // "--" closes the body
+            state = 'done';
+            buffer = Buffer.alloc(0);
+            return;
+          }
+
+          const lineEnd = buffer.indexOf('\r\n');
+          if (lineEnd === -1) {
+            if (buffer.length > MAX_PART_HEADER) {
+              throw new BodyParseError('Multipart boundary line too large', 400, 'invalid_multipart');
+            }
+            return;
+          }
+          buffer = buffer.subarray(lineEnd + 2);
+          state = 'headers';
+        }
+
+        if (state === 'headers') {
+          const headerEnd = buffer.indexOf('\r\n\r\n');
+          if (headerEnd === -1) {
+            if (buffer.length > MAX_PART_HEADER) {
+              throw new BodyParseError('Multipart headers too large', 400, 'invalid_multipart');
+            }
+            return;
+          }
+
+          part = startPart(buffer.subarray(0, headerEnd).toString('utf8'));
+          buffer = buffer.subarray(headerEnd + 4);
+          state = 'body';
+        }
+
+        if (state === 'done') return;
+      }
+    };
+
+    req.on('data', (chunk) => {
+      if (failed || state === 'done') return;
+
+      received += chunk.length;
+      if (received > sizeLimit) {
+        fail(new BodyParseError('Request body too large', 413, 'payload_too_large'));
+        return;
+      }
+
+      buffer = Buffer.concat([buffer, chunk]);
+      try {
+        consume();
+      } catch (error) {
+        fail(error);
+      }
+    });
+
+    req.on('end', () => {
+      ended = true;
+      finish();
+    });
+
+    req.on('error', fail);
+    req.on('close', () => {
+      if (!req.complete) fail(new Error('aborted'));
+    });
+  });
+}
+
+/**
+ * Remove uploaded temp files (call once a handler has moved or read them)
+ */
+export async function cleanupFiles(files = {}) {
+  const list = Object.values(files).flat();
+  await Promise.all(list.map((file) => fs.promises.unlink(file.path).catch(() => {})));
+}
+
+function appendValue(target, key, value) {
+  if (!Object.prototype.hasOwnProperty.call(target, key)) {
+    target[key] = value;
+  } else if (Array.isArray(target[key])) {
+    target[key].push(value);
+  } else {
+    target[key] = [target[key], value];
+  }
+}
+
+/**
+ * Parse the body for a server request. On failure the error response is sent
+ * and false is returned. Uploaded temp files are removed once the response
+ * finishes unless { multipart: { keepFiles: true } } (move them in the handler instead).
+ */
+export async function applyBodyParser(req, res, options = {}) {
+  try {
+    await parseBody(req, options);
+  } catch (error) {
+    if (!(error instanceof BodyParseError)) {
+      // Stream error or a client that aborted mid-body: nobody may be left to answer
+      if (!res.headersSent && res.writable && !res.socket?.destroyed) {
+        res.writeHead(400, { 'Content-Type': 'application/json', Connection: 'close' });
+        res.end(JSON.stringify({ error: 'Request body could not be read', code: 'body_read_failed' }));
+      } else if (!res.writableEnded) {
+        res.destroy();
+      }
+      return false;
+    }
+
+    if (!res.headersSent) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (error.status === 413) headers.Connection = 'close';
+      res.writeHead(error.status, headers);
+      res.end(JSON.stringify({ error: error.message, code: error.code }));
+    }
+    return false;
+  }
+
+  if (req.files && !options.multipart?.keepFiles) {
+    res.on('finish', () => cleanupFiles(req.files));
+  }
+
+  return true;
+}
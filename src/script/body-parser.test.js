@@ -0,0 +1,146 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+
+import { applyBodyParser, parseBytes } from './body-parser.js';
+
+const routes = {
+  '/json': { limit: '1kb' },
+  '/upload': { multipart: { limit: '4kb', fileSize: 1024 } },
+  '/plain': {},
+};
+
+let server;
+let port;
+let lastFiles = null;
+
+before(async () => {
+  server = http.createServer(async (req, res) => {
+    if (!(await applyBodyParser(req, res, routes[req.url]))) return;
+
+    lastFiles = req.files || null;
+    const files = {};
+    Object.entries(req.files || {}).forEach(([name, file]) => {
+      files[name] = { filename: file.filename, content: fs.readFileSync(file.path, 'utf8') };
+    });
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ body: req.body, files }));
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  port = server.address().port;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+/**
+ * Send chunks one by one; without a content-length the body is chunked
+ */
+function send(path, headers, chunks) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ port, host: '127.0.0.1', method: 'POST', path, headers }, (res) => {
+      let data = '';
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: data ? JSON.parse(data) : null }));
+    });
+    req.on('error', reject);
+    chunks.forEach((chunk) => req.write(chunk));
+    req.end();
+  });
+}
+
+function multipart(boundary, parts) {
+  return parts.map(({ name, filename, value }) => {
+    const disposition = `form-data; name="${name}"${filename ? `; filename="${filename}"` : ''}`;
+    return `--${boundary}\r\nContent-Disposition: ${disposition}\r\n\r\n${value}\r\n`;
+  }).join('') + `--${boundary}--\r\n`;
+}
+
+const uploadHeaders = { 'Content-Type': 'multipart/form-data; boundary=XyZ' };
+
+test('sizes are parsed from human units', () => {
+  assert.equal(parseBytes('1kb'), 1024);
+  assert.equal(parseBytes('1.5mb'), 1.5 * 1024 * 1024);
+  assert.equal(parseBytes(10), 10);
+  assert.throws(() => parseBytes('lots'), /Invalid size/);
+});
+
+test('JSON and urlencoded bodies are decoded, falsy JSON included', async () => {
+  const json = await send('/plain', { 'Content-Type': 'application/json' }, ['{"count":0}']);
+  assert.deepEqual(json.body.body, { count: 0 });
+
+  const form = await send('/plain', { 'Content-Type': 'application/x-www-form-urlencoded' }, ['a=1&b=two']);
+  assert.deepEqual(form.body.body, { a: '1', b: 'two' });
+});
+
+test('malformed JSON answers 400 and oversized bodies 413', async () => {
+  const malformed = await send('/plain', { 'Content-Type': 'application/json' }, ['{nope']);
+  assert.equal(malformed.status, 400);
+  assert.equal(malformed.body.code, 'invalid_json');
+
+  const large = await send('/json', { 'Content-Type': 'application/json' }, [`"${'x'.repeat(2048)}"`]);
+  assert.equal(large.status, 413);
+  assert.equal(large.body.code, 'payload_too_large');
+});
+
+test('multipart fields are collected and files streamed to disk, then removed', async () => {
+  const body = multipart('XyZ', [
+    { name: 'title', value: 'Notes' },
+    { name: 'tag', value: 'a' },
+    { name: 'tag', value: 'b' },
+    { name: 'doc', filename: 'notes.txt', value: 'hello file' },
+  ]);
+
+  const response = await send('/upload', uploadHeaders, [body.slice(0, 50), body.slice(50)]);
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.body, { title: 'Notes', tag: ['a', 'b'] });
+  assert.deepEqual(response.body.files, { doc: { filename: 'notes.txt', content: 'hello file' } });
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  assert.equal(fs.existsSync(lastFiles.doc.path), false);
+});
+
+test('a chunked multipart body is counted against the limit as it streams', async () => {
+  const junk = 'x'.repeat(1024);
+  const response = await send('/upload', { 'Content-Type': 'multipart/form-data; boundary=Other' }, [junk, junk, junk, junk, junk]);
+
+  assert.equal(response.status, 413);
+  assert.equal(response.body.code, 'payload_too_large');
+});
+
+test('multipart bodies are refused where they are not enabled', async () => {
+  const response = await send('/plain', uploadHeaders, [multipart('XyZ', [{ name: 'a', value: '1' }])]);
+
+  assert.equal(response.status, 415);
+});
+
+test('the multipart preamble and boundary line are capped', async () => {
+  const path = '/big';
+  routes[path] = { multipart: true };
+  const junk = 'x'.repeat(8 * 1024);
+
+  const preamble = await send(path, uploadHeaders, [junk, junk, junk]);
+  assert.equal(preamble.status, 400);
+  assert.match(preamble.body.error, /preamble too large/);
+
+  const boundaryLine = await send(path, uploadHeaders, ['--XyZ', junk, junk, junk]);
+  assert.equal(boundaryLine.status, 400);
+  assert.match(boundaryLine.body.error, /boundary line too large/);
+});
+
+test('the multipart limit covers every part together and each file alone', async () => {
+  const field = 'y'.repeat(1000);
+  const parts = [1, 2, 3, 4, 5].map((index) => ({ name: `f${index}`, value: field }));
+  const whole = await send('/upload', uploadHeaders, [multipart('XyZ', parts)]);
+  assert.equal(whole.status, 413);
+  assert.equal(whole.body.code, 'payload_too_large');
+
+  const file = await send('/upload', uploadHeaders, [
+    multipart('XyZ', [{ name: 'doc', filename: 'big.txt', value: 'z'.repeat(2000) }]),
+  ]);
+  assert.equal(file.status, 413);
+  assert.equal(file.body.code, 'file_too_large');
+});
@@ -1,24 +1,57 @@
 /**
  * WebSocket Channels System
  * First-class WebSocket handling with broadcast, presence, replay
+ * (SSE clients from sse.js join the same channels through handleMessage)
+ *
+ * Broadcasts carry a per-channel `seq` and, with an adapter, the `nodeId` of the
+ * instance that sent them first; (nodeId, seq) names a message on every instance.
+ * Channels with history keep the last messages (by count and age) and replay
+ * those after the client's cursor on join;
+ * broadcasts sent with { ack: true } are resent until every client answers ACK.
+ * With a pub/sub adapter (pubsub.js) broadcasts and presence span every instance.
  */
 
 import { WebSocketServer } from 'ws';
+import { AuthError, authenticateRequest, hasAccess, requiresAccess } from './auth.js';
+import { CHANNEL_TOPIC, NODE_TOPIC } from './pubsub.js';
 
 export class Channel {
   constructor(name, options = {}) {
     this.name = name;
     this.clients = new Set();
     this.presence = new Map(); // clientId -> userData
+    this.remotePresence = new Map(); // clientId -> userData + nodeId, for clients on other instances
+    this.relay = null; // (kind, payload) => void, set by ChannelManager.useAdapter()
     this.messageLog = [];
-    this.replayLimit = options.replayLimit || 0;
+    // History ring buffer: { size, ttl (ms) }; replayLimit is the older spelling of size
+    this.replayLimit = options.history?.size ?? options.replayLimit ?? 0;
+    this.historyTTL = options.history?.ttl || 0;
+    this.seq = 0;
+    this.nodeId = null; // this instance, once a pub/sub adapter is attached
+    this.ackOptions = { timeout: 5000, retries: 3, ...options.ack };
+    this.pendingAcks = new Map(); // seq -> delivery being acknowledged
     this.handlers = new Map();
+    // Access control: { private, roles, permissions, authorize(user, client, message) }
+    this.access = {
+      private: Boolean(options.private),
+      roles: options.roles,
+      permissions: options.permissions,
+      authorize: options.authorize || null,
+    };
+  }
+
+  /**
+   * Does joining need an authenticated (and authorized) client?
+   */
+  isPrivate() {
+    return this.access.private || Boolean(this.access.authorize) || requiresAccess(this.access);
   }
 
   /**
-   * Client joins channel
+   * Client joins channel. options.since is the last seq the client saw, or
+   * { [nodeId]: seq } with an adapter: only newer history is replayed.
    */
-  join(client, userData = {}) {
+  join(client, userData = {}, options = {}) {
     this.clients.add(client);
     
     const clientId = client._scrollforgeId || this._generateId();
@@ -26,18 +59,20 @@ export class Channel {
     client._channels = client._channels || new Set();
     client._channels.add(this.name);
 
-    this.presence.set(clientId, {
+    const presence = {
       ...userData,
       joinedAt: Date.now()
-    });
+    };
+    this.presence.set(clientId, presence);
+    this._relay('presence', { op: 'join', clientId, data: presence });
 
     // Send replay log
     if (this.replayLimit > 0) {
-      const replayMessages = this.messageLog.slice(-this.replayLimit);
       client.send(JSON.stringify({
         type: 'REPLAY',
         channel: this.name,
-        messages: replayMessages
+        messages: this.getHistory({ since: options.since }),
+        cursor: this.seq
       }));
     }
 
@@ -45,7 +80,7 @@ export class Channel {
     this.broadcast('PRESENCE_JOIN', {
       clientId,
       userData,
-      totalClients: this.clients.size
+      totalClients: this.totalClients()
     });
 
     return clientId;
@@ -58,7 +93,9 @@ export class Channel {
     const clientId = client._scrollforgeId;
     
     this.clients.delete(client);
-    this.presence.delete(clientId);
+    if (this.presence.delete(clientId)) {
+      this._relay('presence', { op: 'leave', clientId });
+    }
 
     if (client._channels) {
       client._channels.delete(this.name);
@@ -67,36 +104,167 @@ export class Channel {
     // Broadcast presence update
     this.broadcast('PRESENCE_LEAVE', {
       clientId,
-      totalClients: this.clients.size
+      totalClients: this.totalClients()
     });
   }
 
   /**
-   * Broadcast message to all clients in channel
+   * Clients on this instance plus those on other instances
    */
-  broadcast(event, data) {
+  totalClients() {
+    return this.clients.size + this.remotePresence.size;
+  }
+
+  /**
+   * Broadcast message to all clients in channel.
+   * With { ack: true, timeout, retries } it returns a promise of
+   * { seq, acked, failed } (client ids) once every client answered or gave out.
+   * Acks only cover clients on this instance; { local: true } skips other instances.
+   * options.origin ({ nodeId, seq }) keeps the stamp of a broadcast relayed from another instance.
+   */
+  broadcast(event, data, options = {}) {
+    const origin = options.origin || { nodeId: this.nodeId, seq: ++this.seq };
     const message = {
       type: event,
       channel: this.name,
       data,
+      seq: origin.seq,
       timestamp: Date.now()
     };
 
+    if (origin.nodeId) {
+      message.nodeId = origin.nodeId;
+    }
+
+    if (options.ack) {
+      message.ack = true;
+    }
+
     // Add to log
     if (this.replayLimit > 0) {
       this.messageLog.push(message);
       if (this.messageLog.length > this.replayLimit) {
         this.messageLog.shift();
       }
+      this._pruneHistory();
     }
 
     // Send to all clients
     const messageStr = JSON.stringify(message);
+    const recipients = [];
     this.clients.forEach(client => {
       if (client.readyState === 1) { // WebSocket.OPEN
         client.send(messageStr);
+        recipients.push(client);
       }
     });
+
+    if (!options.local) {
+      this._relay('broadcast', { event, data, seq: message.seq });
+    }
+
+    if (options.ack) {
+      return this._awaitAcks(message, recipients, { ...this.ackOptions, ...options });
+    }
+    return message;
+  }
+
+  /**
+   * Client confirmed a message
+   */
+  acknowledge(client, seq) {
+    const delivery = this.pendingAcks.get(seq);
+    if (!delivery || !delivery.pending.has(client)) return false;
+
+    delivery.pending.delete(client);
+    delivery.acked.push(client._scrollforgeId);
+    if (delivery.pending.size === 0) {
+      delivery.finish();
+    }
+    return true;
+  }
+
+  /**
+   * Stored messages, oldest first: { since (seq, or { [nodeId]: seq }), limit, type }
+   */
+  getHistory(options = {}) {
+    this._pruneHistory();
+
+    let messages = this.messageLog;
+    const { since } = options;
+    if (since !== null && typeof since === 'object') {
+      messages = messages.filter(message => message.seq > (Number(since[message.nodeId || '']) || 0));
+    } else if (since !== undefined && since !== null) {
+      messages = messages.filter(message => message.seq > since);
+    }
+    if (options.type) {
+      messages = messages.filter(message => message.type === options.type);
+    }
+    if (options.limit) {
+      messages = messages.slice(-options.limit);
+    }
+    return messages.slice();
+  }
+
+  /**
+   * Drop stored messages (e.g. after moderation)
+   */
+  clearHistory() {
+    this.messageLog = [];
+  }
+
+  /**
+   * Resend to clients that have not acknowledged until they do or retries run out
+   */
+  _awaitAcks(message, recipients, { timeout, retries }) {
+    return new Promise((resolve) => {
+      const delivery = {
+        pending: new Map(recipients.map(client => [client, 0])), // client -> resends
+        acked: [],
+        failed: [],
+        timer: null,
+        finish: () => {
+          clearTimeout(delivery.timer);
+          this.pendingAcks.delete(message.seq);
+          resolve({ seq: message.seq, acked: delivery.acked, failed: delivery.failed });
+        }
+      };
+
+      if (delivery.pending.size === 0) {
+        resolve({ seq: message.seq, acked: [], failed: [] });
+        return;
+      }
+
+      const messageStr = JSON.stringify({ ...message, redelivery: true });
+      const check = () => {
+        delivery.pending.forEach((attempts, client) => {
+          if (attempts >= retries || client.readyState !== 1 || !this.clients.has(client)) {
+            delivery.pending.delete(client);
+            delivery.failed.push(client._scrollforgeId);
+            return;
+          }
+          delivery.pending.set(client, attempts + 1);
+          client.send(messageStr);
+        });
+
+        if (delivery.pending.size === 0) {
+          delivery.finish();
+        } else {
+          delivery.timer = setTimeout(check, timeout);
+        }
+      };
+
+      this.pendingAcks.set(message.seq, delivery);
+      delivery.timer = setTimeout(check, timeout);
+    });
+  }
+
+  _pruneHistory() {
+    if (!this.historyTTL) return;
+
+    const cutoff = Date.now() - this.historyTTL;
+    const firstFresh = this.messageLog.findIndex(message => message.timestamp >= cutoff);
+    this.messageLog = firstFresh === -1 ? [] : this.messageLog.slice(firstFresh);
   }
 
   /**
@@ -147,12 +315,21 @@ export class Channel {
    * Get presence list
    */
   getPresence() {
-    return Array.from(this.presence.entries()).map(([id, data]) => ({
+    return [...this.presence.entries(), ...this.remotePresence.entries()].map(([id, data]) => ({
       id,
       ...data
     }));
   }
 
+  /**
+   * Hand an event to the other instances (no-op without an adapter)
+   */
+  _relay(kind, payload) {
+    if (this.relay) {
+      this.relay(kind, payload);
+    }
+  }
+
   /**
    * Generate ID
    */
@@ -166,6 +343,84 @@ export class ChannelManager {
     this.server = server;
     this.channels = new Map();
     this.wss = null;
+    this.authStrategies = [];
+    this.adapter = null;
+    this._adapterSubscriptions = [];
+    this.rpc = null; // RPCServer answering RPC messages, set by the server's useRPC()
+  }
+
+  /**
+   * Share broadcasts and presence with other instances through a pub/sub
+   * adapter (InProcessAdapter, ClusterAdapter, BrokerAdapter...)
+   */
+  async useAdapter(adapter) {
+    this.adapter = adapter;
+    this.channels.forEach(channel => this._attachRelay(channel));
+
+    this._adapterSubscriptions = [
+      adapter.subscribe(CHANNEL_TOPIC, (payload) => this._onRemote(payload)),
+      adapter.subscribe(NODE_TOPIC, (payload) => this._onRemote(payload)),
+    ];
+
+    await adapter.connect();
+
+    // Ask the others who is already connected
+    adapter.publish(CHANNEL_TOPIC, { kind: 'presence-request', nodeId: adapter.nodeId });
+    return this;
+  }
+
+  /**
+   * Leave the cluster: other instances drop this instance's presence
+   */
+  async detachAdapter() {
+    const adapter = this.adapter;
+    if (!adapter) return;
+
+    adapter.publish(NODE_TOPIC, { kind: 'node-down', nodeId: adapter.nodeId });
+    this._adapterSubscriptions.forEach(unsubscribe => unsubscribe());
+    this._adapterSubscriptions = [];
+    this.channels.forEach(channel => {
+      channel.relay = null;
+    });
+    this.adapter = null;
+
+    await adapter.close();
+  }
+
+  /**
+   * Tell the other instances who is connected here
+   */
+  _publishPresence() {
+    const snapshot = {};
+    this.channels.forEach((channel, name) => {
+      if (channel.presence.size > 0) snapshot[name] = Array.from(channel.presence.entries());
+    });
+    this.adapter.publish(CHANNEL_TOPIC, { kind: 'presence-snapshot', nodeId: this.adapter.nodeId, channels: snapshot });
+  }
+
+  /**
+   * Publish on the adapter (no-op without one)
+   */
+  publish(topic, payload) {
+    if (this.adapter) {
+      this.adapter.publish(topic, payload);
+    }
+  }
+
+  /**
+   * Subscribe on the adapter; returns an unsubscribe function
+   */
+  subscribe(topic, handler) {
+    return this.adapter ? this.adapter.subscribe(topic, handler) : () => {};
+  }
+
+  /**
+   * Strategies used to identify clients joining private channels.
+   * Credentials come from the upgrade request, or a `token` sent with JOIN_CHANNEL.
+   */
+  useAuth(strategies) {
+    this.authStrategies = [].concat(strategies);
+    return this;
   }
 
   /**
@@ -173,11 +428,73 @@ export class ChannelManager {
    */
   channel(name, options = {}) {
     if (!this.channels.has(name)) {
-      this.channels.set(name, new Channel(name, options));
+      const channel = new Channel(name, options);
+      if (this.adapter) this._attachRelay(channel);
+      this.channels.set(name, channel);
     }
     return this.channels.get(name);
   }
 
+  _attachRelay(channel) {
+    channel.nodeId = this.adapter.nodeId;
+    channel.relay = (kind, payload) => {
+      this.adapter.publish(CHANNEL_TOPIC, {
+        ...payload,
+        kind,
+        channel: channel.name,
+        nodeId: this.adapter.nodeId
+      });
+    };
+  }
+
+  /**
+   * Events from other instances
+   */
+  _onRemote(payload) {
+    const { kind, nodeId } = payload;
+
+    if (kind === 'broadcast') {
+      // Keeps the sender's (nodeId, seq), so clients moving between instances see the same stamp
+      const channel = this.channels.get(payload.channel);
+      if (channel) {
+        channel.broadcast(payload.event, payload.data, { local: true, origin: { nodeId, seq: payload.seq } });
+      }
+    } else if (kind === 'presence') {
+      const channel = this.channel(payload.channel);
+      if (payload.op === 'join') {
+        channel.remotePresence.set(payload.clientId, { ...payload.data, nodeId });
+      } else {
+        channel.remotePresence.delete(payload.clientId);
+      }
+    } else if (kind === 'presence-request') {
+      this._publishPresence();
+    } else if (kind === 'reconnected') {
+      // Back from a broker outage: the others dropped our clients, and we may have missed theirs
+      this._publishPresence();
+      this.adapter.publish(CHANNEL_TOPIC, { kind: 'presence-request', nodeId: this.adapter.nodeId });
+    } else if (kind === 'presence-snapshot') {
+      // Replaces whatever we knew about that instance
+      this.channels.forEach(channel => {
+        channel.remotePresence.forEach((data, clientId) => {
+          if (data.nodeId === nodeId) channel.remotePresence.delete(clientId);
+        });
+      });
+      Object.entries(payload.channels || {}).forEach(([name, entries]) => {
+        const channel = this.channel(name);
+        entries.forEach(([clientId, data]) => channel.remotePresence.set(clientId, { ...data, nodeId }));
+      });
+    } else if (kind === 'node-down') {
+      // Its clients are gone: tell ours they left
+      this.channels.forEach(channel => {
+        channel.remotePresence.forEach((data, clientId) => {
+          if (data.nodeId !== nodeId) return;
+          channel.remotePresence.delete(clientId);
+          channel.broadcast('PRESENCE_LEAVE', { clientId, totalClients: channel.totalClients() }, { local: true });
+        });
+      });
+    }
+  }
+
   /**
    * Initialize WebSocket server
    */
@@ -187,40 +504,20 @@ export class ChannelManager {
       path: options.path || '/ws'
     });
 
-    this.wss.on('connection', (client) => {
+    this.wss.on('connection', (client, request) => {
       console.log('[Channels] Client connected');
+      client._request = request;
 
       client.on('message', async (data) => {
         try {
-          const message = JSON.parse(data.toString());
-          
-          // Handle channel operations
-          if (message.type === 'JOIN_CHANNEL') {
-            const channel = this.channel(message.channel);
-            channel.join(client, message.userData);
-          } else if (message.type === 'LEAVE_CHANNEL') {
-            const channel = this.channels.get(message.channel);
-            if (channel) channel.leave(client);
-          } else {
-            // Route to channel handler
-            const channel = this.channels.get(message.channel);
-            if (channel) {
-              await channel.handleMessage(client, message);
-            }
-          }
+          await this.handleMessage(client, JSON.parse(data.toString()));
         } catch (error) {
           console.error('[Channels] Message error:', error);
         }
       });
 
       client.on('close', () => {
-        // Remove from all channels
-        if (client._channels) {
-          client._channels.forEach(channelName => {
-            const channel = this.channels.get(channelName);
-            if (channel) channel.leave(client);
-          });
-        }
+        this.disconnect(client);
         console.log('[Channels] Client disconnected');
       });
     });
@@ -228,6 +525,136 @@ export class ChannelManager {
     console.log(`[Channels] WebSocket server ready on ${options.path || '/ws'}`);
   }
 
+  /**
+   * Route a client message (any transport: WebSocket or SSE)
+   */
+  async handleMessage(client, message) {
+    // Handle channel operations
+    if (message.type === 'JOIN_CHANNEL') {
+      return this._join(client, message);
+    }
+
+    if (message.type === 'LEAVE_CHANNEL') {
+      const channel = this.channels.get(message.channel);
+      if (channel) channel.leave(client);
+      return null;
+    }
+
+    if (message.type === 'ACK') {
+      const channel = this.channels.get(message.channel);
+      if (channel) channel.acknowledge(client, message.seq);
+      return null;
+    }
+
+    if (message.type === 'RPC' && this.rpc) {
+      let user = null;
+      try {
+        if (this.authStrategies.length > 0) user = await this._authenticateClient(client, message);
+      } catch (error) {
+        // Bad credentials fail the calls, not the connection
+        if (!(error instanceof AuthError)) throw error;
+        return this.rpc.reject(client, message, error);
+      }
+      return this.rpc.handleMessage(client, message, { user, transport: 'socket' });
+    }
+
+    // Route to channel handler
+    const channel = this.channels.get(message.channel);
+    if (channel && (!channel.isPrivate() || channel.clients.has(client))) {
+      await channel.handleMessage(client, message);
+    }
+    return null;
+  }
+
+  /**
+   * Remove a client from all its channels
+   */
+  disconnect(client) {
+    if (!client._channels) return;
+
+    Array.from(client._channels).forEach(channelName => {
+      const channel = this.channels.get(channelName);
+      if (channel) channel.leave(client);
+    });
+  }
+
+  /**
+   * Join after the channel's access rules pass; rejections get JOIN_REJECTED
+   */
+  async _join(client, message) {
+    const channel = this.channel(message.channel);
+
+    if (channel.isPrivate()) {
+      try {
+        const user = await this._authenticateClient(client, message);
+        const { access } = channel;
+
+        if (!user) {
+          throw new AuthError('Authentication required');
+        }
+        if (!hasAccess(user, access) ||
+            (access.authorize && !(await access.authorize(user, client, message)))) {
+          throw new AuthError('Forbidden', 403, 'forbidden');
+        }
+      } catch (error) {
+        if (!(error instanceof AuthError)) throw error;
+
+        client.send(JSON.stringify({
+          type: 'JOIN_REJECTED',
+          channel: channel.name,
+          error: error.message,
+          status: error.status
+        }));
+        return null;
+      }
+    }
+
+    return channel.join(client, message.userData, { since: message.since });
+  }
+
+  /**
+   * Resolve (and cache) the user behind a socket
+   */
+  async _authenticateClient(client, message) {
+    if (client.user && !message.token) return client.user;
+
+    const request = client._request || { headers: {}, url: '/' };
+    const url = new URL(request.url || '/', 'http://localhost');
+    const req = {
+      headers: { ...request.headers },
+      query: Object.fromEntries(url.searchParams)
+    };
+
+    if (message.token) {
+      req.headers.authorization = `Bearer ${message.token}`;
+    }
+
+    const result = await authenticateRequest(this.authStrategies, req);
+    client.user = result ? result.user : null;
+    return client.user;
+  }
+
+  /**
+   * May a reconnecting client keep its session? Only if the new request still
+   * authenticates as the user that joined (anonymous clients always may).
+   */
+  async reauthenticate(client, request) {
+    const previous = client.user;
+    if (!previous) return true;
+
+    client._request = request;
+    client.user = null;
+
+    let user = null;
+    try {
+      user = await this._authenticateClient(client, {});
+    } catch (error) {
+      if (!(error instanceof AuthError)) throw error;
+    }
+
+    return Boolean(user) && user.id !== undefined && user.id === previous.id;
+  }
+
   /**
    * Broadcast to all channels
    */
@@ -237,6 +664,14 @@ export class ChannelManager {
     });
   }
 
+  /**
+   * Stored messages of a channel (see Channel.getHistory), for moderation and debugging
+   */
+  history(name, options = {}) {
+    const channel = this.channels.get(name);
+    return channel ? channel.getHistory(options) : [];
+  }
+
   /**
    * Get all channels
    */
@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Channel, ChannelManager } from './channels.js';
+
+function fakeClient() {
+  const sent = [];
+  return { readyState: 1, sent, send: (data) => sent.push(JSON.parse(data)) };
+}
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test('broadcasts carry increasing sequence numbers', () => {
+  const channel = new Channel('chat');
+  const client = fakeClient();
+  channel.join(client);
+
+  channel.broadcast('MESSAGE', { text: 'hi' });
+  channel.broadcast('MESSAGE', { text: 'there' });
+
+  const seqs = client.sent.map((message) => message.seq);
+  assert.deepEqual(seqs, [1, 2, 3]);
+});
+
+test('history is a ring buffer replayed after the client cursor on join', () => {
+  const channel = new Channel('chat', { history: { size: 3 } });
+  for (let n = 1; n <= 5; n++) channel.broadcast('MESSAGE', { n });
+
+  assert.deepEqual(channel.getHistory().map((message) => message.data.n), [3, 4, 5]);
+
+  const client = fakeClient();
+  channel.join(client, {}, { since: 4 });
+  const [replay] = client.sent;
+
+  assert.equal(replay.type, 'REPLAY');
+  assert.equal(replay.cursor, 5);
+  assert.deepEqual(replay.messages.map((message) => message.data.n), [5]);
+});
+
+test('history entries older than the TTL are dropped', async () => {
+  const channel = new Channel('chat', { history: { size: 10, ttl: 20 } });
+  channel.broadcast('MESSAGE', { n: 1 });
+  await wait(30);
+  channel.broadcast('MESSAGE', { n: 2 });
+
+  assert.deepEqual(channel.getHistory().map((message) => message.data.n), [2]);
+});
+
+test('history can be filtered by type and limited for moderation', () => {
+  const manager = new ChannelManager(null);
+  const channel = manager.channel('chat', { history: { size: 10 } });
+  channel.broadcast('MESSAGE', { n: 1 });
+  channel.broadcast('TYPING', {});
+  channel.broadcast('MESSAGE', { n: 2 });
+
+  assert.deepEqual(manager.history('chat', { type: 'MESSAGE', limit: 1 }).map((message) => message.data.n), [2]);
+
+  channel.clearHistory();
+  assert.deepEqual(manager.history('chat'), []);
+});
+
+test('acknowledged broadcasts resolve once every client answered', async () => {
+  const manager = new ChannelManager(null);
+  const channel = manager.channel('orders', { ack: { timeout: 10, retries: 2 } });
+  const fast = fakeClient();
+  const silent = fakeClient();
+  const fastId = channel.join(fast);
+  const silentId = channel.join(silent);
+
+  const delivery = channel.broadcast('ORDER_PLACED', { id: 7 }, { ack: true });
+  const message = fast.sent.find((sent) => sent.type === 'ORDER_PLACED');
+  assert.equal(message.ack, true);
+  await manager.handleMessage(fast, { type: 'ACK', channel: 'orders', seq: message.seq });
+
+  const result = await delivery;
+
+  assert.deepEqual(result, { seq: message.seq, acked: [fastId], failed: [silentId] });
+  const resent = silent.sent.filter((sent) => sent.type === 'ORDER_PLACED');
+  assert.equal(resent.length, 3);
+  assert.equal(resent[1].redelivery, true);
+});
+
+test('JOIN_CHANNEL replays from the cursor the client sends', async () => {
+  const manager = new ChannelManager(null);
+  const channel = manager.channel('feed', { history: { size: 10 } });
+  channel.broadcast('POST', { n: 1 });
+  channel.broadcast('POST', { n: 2 });
+
+  const client = fakeClient();
+  await manager.handleMessage(client, { type: 'JOIN_CHANNEL', channel: 'feed', since: 1 });
+
+  assert.deepEqual(client.sent[0].messages.map((message) => message.data.n), [2]);
+  manager.disconnect(client);
+  assert.equal(channel.clients.size, 0);
+});
@@ -7,12 +7,16 @@ import { ScrollScriptCore } from './core.js';
 import { createForgeFetch } from './forge-fetch.js';
 import { createNetHub } from './net-hub.js';
 import { createRequestHelper } from '../mesh/request-helpers.js';
+import { openTransport } from './transport.js';
+import { createRPCClient } from './rpc-client.js';
 
 export class ScrollScriptClient extends ScrollScriptCore {
   constructor(config = {}) {
     super(config);
     this.eventListeners = new Map();
     this.domObservers = [];
+    this.connection = null; // Server sync transport, set by connect()
+    this.rpc = null; // RPC proxy, set by useRPC()
     
     // Advanced HTTP client
     this.fetch = createForgeFetch(this);
@@ -318,6 +322,60 @@ export class ScrollScriptClient extends ScrollScriptCore {
     });
   }
 
+  /**
+   * Receive server signal syncs (autoSync/syncToClients) over a WebSocket,
+   * falling back to SSE + POST and reconnecting when dropped.
+   * Options are those of openTransport(); state is in net.connectionState.
+   */
+  connect(options = {}) {
+    if (this.connection) return this.connection;
+
+    const connection = openTransport(options);
+    if (connection.onStateChange) {
+      this.net.trackConnection(connection);
+    }
+
+    connection.onmessage = (event) => {
+      try {
+        const message = JSON.parse(event.data);
+        if (this.rpc && this.rpc.$client.handleMessage(message)) return;
+        if (message.type !== 'SIGNAL_SYNC' && message.type !== 'SIGNAL_UPDATE') return;
+
+        if (this.signals.has(message.signal)) {
+          this.set(message.signal, message.value);
+        } else {
+          this.signal(message.signal, message.value);
+        }
+      } catch (error) {
+        console.error('[ScrollScript] Sync message error:', error);
+      }
+    };
+
+    this.connection = connection;
+    return connection;
+  }
+
+  /**
+   * Typed calls to server.procedure() handlers:
+   *   const rpc = app.useRPC();
+   *   const todo = await rpc.todos.add({ title: 'Ship it' });
+   * Calls made in the same tick go out as one batch, over the connect()
+   * socket while it is open and over HTTP (ForgeFetch) otherwise.
+   * Options: see DEFAULT_RPC_CLIENT_OPTIONS in rpc-client.js; { transport: 'http' } skips the socket.
+   */
+  useRPC(options = {}) {
+    if (this.rpc) return this.rpc;
+
+    const client = createRPCClient({
+      fetch: this.fetch,
+      connection: options.transport === 'http' ? null : () => this.connection,
+      ...options
+    });
+
+    this.rpc = client.proxy();
+    return this.rpc;
+  }
+
   /**
    * Request animation frame loop
    */
@@ -388,6 +446,16 @@ export class ScrollScriptClient extends ScrollScriptCore {
     this.domObservers.forEach((observer) => observer.disconnect());
     this.domObservers = [];
 
+    if (this.connection) {
+      this.connection.close();
+      this.connection = null;
+    }
+
+    if (this.rpc) {
+      this.rpc.$client.close();
+      this.rpc = null;
+    }
+
     // Reset core
     this.reset();
   }
@@ -3,11 +3,15 @@
  * Server emit → Client auto-dispatch → Mesh rerender
  */
 
+import { bindConnectionState, openTransport, transportURLs } from './transport.js';
+import { createCRDT, CRDT_TYPES } from './crdt.js';
+
 export class CollaborationLoop {
   constructor(scriptInstance, channelManager) {
     this.script = scriptInstance;
     this.channels = channelManager;
     this.eventContract = new Map();
+    this.connections = new Map(); // Client-side: endpoint -> shared transport and subscriptions
   }
 
   /**
@@ -32,86 +36,202 @@ export class CollaborationLoop {
   }
 
   /**
-   * Client-side: Subscribe to channel events
+   * Client-side: Subscribe to channel events.
+   * Subscriptions to the same endpoint share one connection: a WebSocket, or
+   * SSE + POST when it cannot connect (options: url, sseUrl, host, path, ssePath,
+   * transports, timeout, reconnect, token). Dropped connections reconnect and
+   * rejoin every active channel; send() calls made offline are queued.
+   * options.onJoin(subscription) runs after every (re)join.
    */
   subscribe(channelName, eventMap, options = {}) {
     if (typeof window === 'undefined') {
       throw new Error('subscribe() is client-side only');
     }
 
-    const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-    const host = options.host || window.location.host;
-    const path = options.path || '/ws';
-    const wsURL = options.url || `${protocol}//${host}${path}`;
-    const ws = new WebSocket(wsURL, options.protocols);
-
-    ws.onopen = () => {
-      // Join channel
-      ws.send(JSON.stringify({
-        type: 'JOIN_CHANNEL',
-        channel: channelName
-      }));
+    const connection = this._connection(options);
+    const entry = { channel: channelName, eventMap, userData: options.userData, token: options.token };
+    const joined = connection.entries.some((other) => other.channel === channelName);
 
-      if (options.userData) {
-        ws.send(JSON.stringify({
-          type: 'UPDATE_PRESENCE',
+    const subscription = {
+      send: (eventName, data) => {
+        connection.transport.send(JSON.stringify({
+          type: eventName,
           channel: channelName,
-          data: options.userData
+          data
         }));
+      },
+      close: () => this._unsubscribe(connection, entry),
+      get transport() {
+        return connection.transport.kind;
+      },
+      get state() {
+        return connection.transport.state;
       }
     };
 
-    ws.onmessage = (event) => {
+    entry.onJoin = options.onJoin ? () => options.onJoin(subscription) : null;
+    connection.entries.push(entry);
+
+    // Otherwise onopen joins it along with the rest
+    if (connection.transport.readyState === 1) {
+      this._join(connection, entry, !joined);
+    }
+
+    return subscription;
+  }
+
+  /**
+   * Shared connection per endpoint
+   */
+  _connection(options) {
+    const key = transportURLs(options).websocket;
+    if (this.connections.has(key)) {
+      return this.connections.get(key);
+    }
+
+    const transport = openTransport(options);
+    const connection = { key, transport, entries: [], cursors: new Map() };
+
+    if (transport.onStateChange) {
+      if (this.script.net) {
+        this.script.net.trackConnection(transport);
+      } else {
+        bindConnectionState(this.script, transport);
+      }
+    }
+
+    // (Re)join every active channel; queued sends are flushed after this
+    transport.onopen = () => {
+      const seen = new Set();
+      connection.entries.forEach((entry) => {
+        this._join(connection, entry, !seen.has(entry.channel));
+        seen.add(entry.channel);
+      });
+    };
+
+    transport.onmessage = (event) => {
       try {
         const message = JSON.parse(event.data);
+        this._receive(connection, message);
 
-        // Auto-dispatch to ScrollScript action
-        if (eventMap[message.type]) {
-          const actionType = eventMap[message.type];
-          this.script.trigger(actionType, message.data);
-        }
-
-        // Call contract handler if registered
-        const handler = this.eventContract.get(message.type);
-        if (handler) {
-          handler(message.data);
+        // History replayed on join: handled as if it had just arrived
+        if (message.type === 'REPLAY' && Array.isArray(message.messages)) {
+          message.messages.forEach((replayed) => this._receive(connection, replayed));
         }
       } catch (error) {
         console.error('[Collaboration] Message error:', error);
       }
     };
 
-    const subscription = {
-      send: (eventName, data) => {
-        if (ws.readyState === 1) {
-          ws.send(JSON.stringify({
-            type: eventName,
-            channel: channelName,
-            data
-          }));
-        }
-      },
-      close: () => ws.close()
-    };
+    this.connections.set(key, connection);
+    return connection;
+  }
 
-    return subscription;
+  /**
+   * Acknowledge, de-duplicate and dispatch one channel message
+   */
+  _receive(connection, message) {
+    if (message.channel && message.seq !== undefined) {
+      if (message.ack) {
+        connection.transport.send(JSON.stringify({
+          type: 'ACK',
+          channel: message.channel,
+          seq: message.seq
+        }));
+      }
+
+      // Redeliveries and replays of messages already handled. Seqs are per sending
+      // instance, so the cursor keeps the last one seen from each (nodeId, seq).
+      const cursor = connection.cursors.get(message.channel) || { since: {}, seen: new Set() };
+      const node = message.nodeId || '';
+      const id = `${node}:${message.seq}`;
+      if (cursor.seen.has(id)) return;
+
+      cursor.seen.add(id);
+      if (cursor.seen.size > 500) {
+        cursor.seen.delete(cursor.seen.values().next().value);
+      }
+      cursor.since[node] = Math.max(cursor.since[node] || 0, message.seq);
+      connection.cursors.set(message.channel, cursor);
+    }
+
+    // Auto-dispatch to ScrollScript action
+    connection.entries.forEach(({ channel, eventMap }) => {
+      if (message.channel && message.channel !== channel) return;
+      if (eventMap[message.type]) {
+        const actionType = eventMap[message.type];
+        this.script.trigger(actionType, message.data);
+      }
+    });
+
+    // Call contract handler if registered
+    const handler = this.eventContract.get(message.type);
+    if (handler) {
+      handler(message.data);
+    }
+  }
+
+  /**
+   * Send JOIN_CHANNEL (once per channel, with the last seq seen from each
+   * instance so only newer history is replayed) and the entry's presence data
+   */
+  _join(connection, entry, sendJoin) {
+    if (sendJoin) {
+      const cursor = connection.cursors.get(entry.channel);
+      connection.transport.send(JSON.stringify({
+        type: 'JOIN_CHANNEL',
+        channel: entry.channel,
+        ...(cursor ? { since: cursor.since } : {}),
+        ...(entry.token ? { token: entry.token } : {})
+      }));
+    }
+
+    if (entry.userData) {
+      connection.transport.send(JSON.stringify({
+        type: 'UPDATE_PRESENCE',
+        channel: entry.channel,
+        data: entry.userData
+      }));
+    }
+
+    if (entry.onJoin) {
+      entry.onJoin();
+    }
+  }
+
+  /**
+   * Leave the channel when its last subscription closes, and the
+   * connection when nothing uses it
+   */
+  _unsubscribe(connection, entry) {
+    const index = connection.entries.indexOf(entry);
+    if (index === -1) return;
+    connection.entries.splice(index, 1);
+
+    if (!connection.entries.some((other) => other.channel === entry.channel)) {
+      connection.transport.send(JSON.stringify({
+        type: 'LEAVE_CHANNEL',
+        channel: entry.channel
+      }));
+    }
+
+    if (connection.entries.length === 0) {
+      connection.transport.close();
+      this.connections.delete(connection.key);
+    }
   }
 
   /**
    * Presence tracking
    */
-  trackPresence(channelName, userData = {}) {
+  trackPresence(channelName, userData = {}, options = {}) {
     if (typeof window === 'undefined') return;
 
-    const subscription = this.subscribe(channelName, {
+    // userData is sent again whenever the connection rejoins the channel
+    return this.subscribe(channelName, {
       'PRESENCE_JOIN': 'USER_JOINED',
       'PRESENCE_LEAVE': 'USER_LEFT'
-    });
-
-    // Send user data
-    subscription.send('UPDATE_PRESENCE', userData);
-
-    return subscription;
+    }, { ...options, userData });
   }
 
   /**
@@ -152,6 +272,142 @@ export class CollaborationLoop {
       });
     }
   }
+
+  /**
+   * Conflict-free collaborative signal. type is one of CRDT_TYPES:
+   * 'lww', 'gcounter', 'pncounter', 'orset', 'list' or 'text'.
+   * Edits go out as operations, so concurrent edits merge instead of overwriting:
+   *
+   *   const todos = collab.crdtSignal('todos', 'list', { channel: 'board' });
+   *   todos.push({ title: 'Ship it' }); // app.get('todos') updates everywhere
+   *
+   * The server keeps the operation log (options.persist: { load(name), append(name, ops) }
+   * to store it) and replays it to clients when they (re)join.
+   * Options: channel, initial, replicaId, persist, and subscribe() options on the client.
+   */
+  crdtSignal(signalName, type, options = {}) {
+    if (!CRDT_TYPES[type]) {
+      throw new Error(`[Collaboration] Unknown CRDT type "${type}"`);
+    }
+
+    const channelName = options.channel || 'default';
+    const isClient = typeof window !== 'undefined';
+    const replicaId = options.replicaId || (isClient
+      ? `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`
+      : 'server');
+    const doc = createCRDT(type, replicaId, options.initial);
+    const opsEvent = `${signalName}_OPS`;
+    const syncEvent = `${signalName}_SYNC`;
+
+    if (this.script.signals.has(signalName)) {
+      this.script.set(signalName, doc.value());
+    } else {
+      this.script.signal(signalName, doc.value());
+    }
+
+    const merge = (ops) => {
+      if (doc.applyAll(ops)) {
+        this.script.set(signalName, doc.value());
+      }
+    };
+
+    const handle = { doc, signal: signalName };
+    Object.defineProperty(handle, 'value', { get: () => doc.value() });
+
+    if (isClient) {
+      let lastSeq = 0;
+      const clientAction = `CRDT_${signalName.toUpperCase()}_APPLY`;
+
+      // Ops from the server carry its log position, so a rejoin asks only for the rest
+      this.script.action(clientAction, ({ ops = [], seq = 0 } = {}) => {
+        merge(ops);
+        lastSeq = Math.max(lastSeq, seq);
+      });
+
+      const subscription = this.subscribe(channelName, { [opsEvent]: clientAction }, {
+        ...options,
+        onJoin: (joined) => joined.send(syncEvent, { since: lastSeq }),
+      });
+
+      handle.subscription = subscription;
+      handle.close = () => subscription.close();
+
+      return bindMutators(handle, doc, (ops) => {
+        this.script.set(signalName, doc.value());
+        subscription.send(opsEvent, { ops });
+      });
+    }
+
+    // Server-side: authoritative op log, relayed to the channel
+    const channel = this.channels.channel(channelName);
+    const log = [];
+    const persist = options.persist || null;
+
+    const record = (ops) => {
+      log.push(...ops);
+      if (persist && persist.append) {
+        Promise.resolve(persist.append(signalName, ops)).catch((error) => {
+          console.error(`[Collaboration] Failed to persist ${signalName} ops:`, error);
+        });
+      }
+      channel.broadcast(opsEvent, { ops, seq: log.length });
+    };
+
+    const ready = Promise.resolve()
+      .then(() => (persist && persist.load ? persist.load(signalName) : []))
+      .then((ops = []) => {
+        log.push(...ops);
+        merge(ops);
+      })
+      .catch((error) => {
+        // Start from an empty log rather than take the server down
+        console.error(`[Collaboration] Failed to load ${signalName} ops:`, error);
+        log.length = 0;
+      });
+
+    channel.on(opsEvent, async (data) => {
+      await ready;
+      const ops = Array.isArray(data?.ops) ? data.ops : [];
+      if (ops.length === 0) return;
+
+      merge(ops);
+      record(ops);
+    });
+
+    channel.on(syncEvent, async (data, client) => {
+      await ready;
+      const since = Math.min(Math.max(0, Number(data?.since) || 0), log.length);
+
+      client.send(JSON.stringify({
+        type: opsEvent,
+        channel: channelName,
+        data: { ops: log.slice(since), seq: log.length, replay: true },
+        timestamp: Date.now()
+      }));
+    });
+
+    handle.ready = ready;
+    handle.log = log;
+
+    return bindMutators(handle, doc, (ops) => {
+      this.script.set(signalName, doc.value());
+      record(ops);
+    });
+  }
+}
+
+/**
+ * Attach a CRDT's mutators to a handle; commit(ops) runs after each local change
+ */
+function bindMutators(handle, doc, commit) {
+  (doc.constructor.mutators || []).forEach((name) => {
+    handle[name] = (...args) => {
+      const ops = doc[name](...args);
+      if (ops.length > 0) commit(ops);
+      return handle;
+    };
+  });
+  return handle;
 }
 
 export function createCollaborationLoop(scriptInstance, channelManager) {
@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ScrollScriptCore } from './core.js';
+import { ChannelManager } from './channels.js';
+import { CollaborationLoop } from './collaboration.js';
+import { createCRDT } from './crdt.js';
+
+function fakeClient() {
+  const sent = [];
+  return { readyState: 1, sent, send: (data) => sent.push(JSON.parse(data)) };
+}
+
+function setup(options = {}) {
+  const script = new ScrollScriptCore();
+  const channels = new ChannelManager(null);
+  const collab = new CollaborationLoop(script, channels);
+  const todos = collab.crdtSignal('todos', 'list', { channel: 'board', ...options });
+  return { script, channels, todos, channel: channels.channel('board') };
+}
+
+test('ops from clients are merged into the signal and relayed to the channel', async () => {
+  const { script, todos, channel } = setup();
+  const watcher = fakeClient();
+  channel.join(watcher);
+  const alice = createCRDT('list', 'alice');
+
+  await channel.handleMessage(watcher, { type: 'todos_OPS', data: { ops: alice.push('write tests') } });
+
+  assert.deepEqual(script.get('todos'), ['write tests']);
+  assert.equal(todos.log.length, 1);
+  const relayed = watcher.sent.find((message) => message.type === 'todos_OPS');
+  assert.deepEqual(relayed.data.ops[0].value, 'write tests');
+  assert.equal(relayed.data.seq, 1);
+});
+
+test('late joiners get the rest of the op log from their cursor', async () => {
+  const { todos, channel } = setup();
+  todos.push('one').push('two').push('three');
+
+  const late = fakeClient();
+  await channel.handleMessage(late, { type: 'todos_SYNC', data: { since: 1 } });
+
+  const [replay] = late.sent;
+  assert.equal(replay.data.replay, true);
+  assert.equal(replay.data.seq, 3);
+
+  const replica = createCRDT('list', 'late', []);
+  replica.applyAll(todos.log.slice(0, 1));
+  replica.applyAll(replay.data.ops);
+  assert.deepEqual(replica.value(), ['one', 'two', 'three']);
+});
+
+test('the op log is loaded from and appended to the persistence hooks', async () => {
+  const stored = createCRDT('list', 'earlier').push('saved');
+  const appended = [];
+  const { script, todos } = setup({
+    persist: {
+      load: async () => stored,
+      append: (name, ops) => appended.push([name, ops.length]),
+    },
+  });
+
+  await todos.ready;
+  todos.push('new');
+
+  assert.deepEqual(script.get('todos'), ['saved', 'new']);
+  assert.equal(todos.log.length, 2);
+  assert.deepEqual(appended, [['todos', 1]]);
+});
+
+test('unknown CRDT types are refused', () => {
+  const collab = new CollaborationLoop(new ScrollScriptCore(), new ChannelManager(null));
+
+  assert.throws(() => collab.crdtSignal('doc', 'tree'), /Unknown CRDT type "tree"/);
+});
@@ -8,6 +8,11 @@
  * - Signals propagate changes reactively
  */
 
+import { DependencyTracker } from './dependency-tracker.js';
+import { ScrollScriptNamespace, qualifySignalName } from './namespace.js';
+import { HistoryTree, describeFrame } from './time-travel.js';
+import { CopyOnWriteStore } from '../runtime/copy-on-write.js';
+
 export class ScrollScriptCore {
   constructor(config = {}) {
     this.config = {
@@ -23,10 +28,25 @@ export class ScrollScriptCore {
     this.pipelines = new Map();
     this.actionQueue = [];
     this.currentEpoch = 0;
-    this.history = [];
+    this.timeline = new HistoryTree({ limit: this.config.maxHistorySize });
+    this.history = this.timeline.frames;
+    this._frameEpoch = null;
+    // Frames hold frozen, structurally shared copies of signal values
+    this.snapshotStore = new CopyOnWriteStore({ maxSnapshots: this.config.maxHistorySize });
     this.isProcessing = false;
     this.dirtySignals = new Set();
 
+    // Dependency graph (derived signals and effects)
+    this._tracker = new DependencyTracker();
+    this._pendingDependents = new Map();
+    this._effects = new Set();
+    this._effectId = 0;
+    this._namespaces = new Map();
+
+    // Action middleware and async lifecycle
+    this._actionMiddleware = [];
+    this._pendingActions = new Map();
+
     // Shared Variables Theory - The Core
     this.actionTriggered = false;
     this.actionType = null;
@@ -37,13 +57,33 @@ export class ScrollScriptCore {
    * Create a reactive signal
    */
   signal(name, initialValue, scope = 'global') {
+    const signal = this._createSignal(qualifySignalName(name, scope), initialValue, scope);
+
+    // Derived signals and effects that read this name before it existed
+    if (this._attachPendingDependents(signal)) {
+      this._propagate([signal]);
+    }
+
+    if (this.config.debugMode) {
+      console.log(`[ScrollScript] Signal created: ${signal.name} =`, initialValue);
+    }
+
+    return signal;
+  }
+
+  /**
+   * Create the signal record
+   */
+  _createSignal(name, initialValue, scope) {
     if (this.signals.has(name)) {
       throw new Error(`Signal "${name}" already exists`);
     }
 
     const signal = {
+      name,
       value: initialValue,
       listeners: new Set(),
+      dependents: new Set(),
       epoch: this.currentEpoch,
       scope,
       derived: false,
@@ -52,37 +92,102 @@ export class ScrollScriptCore {
 
     this.signals.set(name, signal);
 
-    if (this.config.debugMode) {
-      console.log(`[ScrollScript] Signal created: ${name} =`, initialValue);
-    }
-
     return signal;
   }
 
   /**
    * Create a derived (computed) signal
+   *
+   * Pass a dependency array to list inputs by hand. Without one, every get()
+   * made while computeFn runs is recorded and re-collected on each recompute.
    */
-  derived(name, computeFn, dependencies = [], scope = 'global') {
-    const initialValue = computeFn();
-    const signal = this.signal(name, initialValue, scope);
+  derived(name, computeFn, dependencies = null, scope = 'global') {
+    const autoTrack = !Array.isArray(dependencies);
+    const signal = this._createSignal(qualifySignalName(name, scope), undefined, scope);
     signal.derived = true;
-    signal.dependencies = new Set(dependencies);
+    signal.autoTrack = autoTrack;
+    signal.dependencies = new Set();
     signal.compute = computeFn;
 
-    // Subscribe to dependencies
-    dependencies.forEach((depName) => {
-      this.watch(depName, () => {
-        this._recomputeDerived(signal);
-      });
-    });
+    try {
+      signal.value = this._evaluate(signal);
+
+      if (!autoTrack) {
+        this._linkDependencies(signal, new Set(dependencies));
+      }
+
+      this._attachPendingDependents(signal);
+      this._tracker.sortTopologically([signal], (node) => this._getDependents(node));
+    } catch (error) {
+      this._removeSignal(signal);
+      throw error;
+    }
+
+    this._propagate([signal]);
+
+    if (this.config.debugMode) {
+      console.log(`[ScrollScript] Derived created: ${signal.name} =`, signal.value);
+    }
 
     return signal;
   }
 
+  /**
+   * Run a side effect now and again whenever a signal it read changes.
+   * If fn returns a function it is called before the next run and on dispose.
+   */
+  effect(fn) {
+    const node = {
+      name: `effect_${++this._effectId}`,
+      effect: true,
+      autoTrack: true,
+      dependencies: new Set(),
+      compute: fn,
+      cleanup: null,
+      disposed: false,
+    };
+
+    this._effects.add(node);
+    this._runEffect(node);
+
+    return () => this._disposeEffect(node);
+  }
+
+  /**
+   * Read signals without subscribing the current derived signal or effect
+   */
+  untrack(fn) {
+    return this._tracker.untrack(fn);
+  }
+
+  /**
+   * Get a scoped view with its own signal/get/set/watch/action
+   * Signals created through it live under `scope:name`
+   */
+  namespace(scope) {
+    if (!scope || scope === 'global') {
+      throw new Error('Namespace requires a scope name other than "global"');
+    }
+
+    if (!this._namespaces.has(scope)) {
+      this._namespaces.set(scope, new ScrollScriptNamespace(this, scope));
+    }
+
+    return this._namespaces.get(scope);
+  }
+
   /**
    * Get signal value
    */
   get(name) {
+    return this._readSignal(name);
+  }
+
+  /**
+   * Tracked signal read (server runtimes reuse `get` for routes)
+   */
+  _readSignal(name) {
+    this._tracker.record(name);
     const signal = this.signals.get(name);
     return signal?.value;
   }
@@ -109,6 +214,9 @@ export class ScrollScriptCore {
     signal.epoch = ++this.currentEpoch;
     this.dirtySignals.add(signal);
 
+    // Bring derived signals up to date before anyone is notified
+    this._propagate([signal]);
+
     if (this.config.batchUpdates && !this.isProcessing) {
       this._scheduleBatchUpdate();
     } else {
@@ -140,14 +248,33 @@ export class ScrollScriptCore {
 
   /**
    * Register action handler (pipeline)
+   *
+   * Async handlers emit TYPE_PENDING / TYPE_FULFILLED / TYPE_REJECTED and keep
+   * the `TYPE:loading` / `TYPE:error` signals current (see actionSignals()).
+   * `concurrency` picks how overlapping dispatches are handled:
+   * 'queue' (default, one after another), 'takeEvery', 'takeLatest' (aborts older runs),
+   * 'takeLeading' (ignores new dispatches while one runs) or 'debounce' (with `wait` ms).
    */
   action(type, handler, options = {}) {
+    const concurrency = options.concurrency || 'queue';
+    if (!CONCURRENCY_MODES.includes(concurrency)) {
+      throw new Error(`Unknown concurrency "${concurrency}" for action "${type}"`);
+    }
+
     const pipeline = {
       type,
+      scope: options.scope || 'global',
       handler,
       guard: options.guard,
       transform: options.transform,
       sideEffects: options.sideEffects || [],
+      history: options.history !== false,
+      lifecycle: options.lifecycle !== false,
+      concurrency,
+      wait: options.wait || 0,
+      _runs: new Set(),
+      _debounceTimer: null,
+      _debounceSettle: null,
     };
 
     if (!this.pipelines.has(type)) {
@@ -157,18 +284,60 @@ export class ScrollScriptCore {
     this.pipelines.get(type).push(pipeline);
 
     if (this.config.debugMode) {
-      console.log(`[ScrollScript] Action registered: ${type}`);
+      const label = pipeline.scope === 'global' ? type : `${type} (${pipeline.scope})`;
+      console.log(`[ScrollScript] Action registered: ${label}`);
+    }
+  }
+
+  /**
+   * Add action middleware: (action, next) => ...
+   * Call next() to continue (optionally with a changed action); skip it to cancel.
+   */
+  useActionMiddleware(middleware) {
+    this._actionMiddleware.push(middleware);
+
+    return () => {
+      const index = this._actionMiddleware.indexOf(middleware);
+      if (index !== -1) {
+        this._actionMiddleware.splice(index, 1);
+      }
+    };
+  }
+
+  /**
+   * Names of the loading/error signals kept for an action's async runs.
+   * They belong to the action's scope, so reset(scope) clears them too.
+   */
+  actionSignals(type, scope = 'global') {
+    const local = {
+      loading: qualifySignalName('loading', type),
+      error: qualifySignalName('error', type),
+    };
+    const names = {
+      loading: qualifySignalName(local.loading, scope),
+      error: qualifySignalName(local.error, scope),
+    };
+
+    if (!this.signals.has(names.loading)) {
+      this.signal(local.loading, false, scope);
+    }
+    if (!this.signals.has(names.error)) {
+      this.signal(local.error, null, scope);
     }
+
+    return names;
   }
 
   /**
    * Trigger an action (Shared Variables Theory in action!)
+   *
+   * Scoped triggers reach handlers registered in that scope plus global ones.
+   * Without a scope the action inherits the scope of the action being dispatched.
    */
   trigger(type, payload = null, scope = null) {
     // Set shared variables
     this.actionTriggered = true;
     this.actionType = type;
-    if (scope) this.currentScope = scope;
 
     const action = {
       type,
@@ -201,13 +370,45 @@ export class ScrollScriptCore {
   }
 
   /**
-   * Dispatch single action through pipelines
+   * Dispatch single action through middleware, then pipelines
    */
   async _dispatchAction(action) {
-    const pipelines = this.pipelines.get(action.type);
+    const middleware = [...this._actionMiddleware];
 
-    if (!pipelines || pipelines.length === 0) {
-      if (this.config.debugMode) {
+    const run = (index, current) => {
+      if (index >= middleware.length) {
+        return this._dispatchToPipelines(current);
+      }
+
+      let called = false;
+      const next = (nextAction = current) => {
+        if (called) {
+          throw new Error(`next() called more than once for action: ${current.type}`);
+        }
+        called = true;
+        return run(index + 1, nextAction);
+      };
+
+      return Promise.resolve(middleware[index](current, next));
+    };
+
+    try {
+      await run(0, action);
+    } catch (error) {
+      console.error(`[ScrollScript] Error in action middleware: ${action.type}`, error);
+    }
+  }
+
+  /**
+   * Dispatch single action through pipelines
+   */
+  async _dispatchToPipelines(action) {
+    const pipelines = (this.pipelines.get(action.type) || [])
+      .filter((pipeline) => pipeline.scope === 'global' || pipeline.scope === action.scope);
+
+    if (pipelines.length === 0) {
+      // Lifecycle actions are only interesting when someone handles them
+      if (this.config.debugMode && !action.lifecycle) {
         console.warn(`[ScrollScript] No handler for action: ${action.type}`);
       }
       return;
@@ -217,40 +418,199 @@ export class ScrollScriptCore {
       console.log(`[ScrollScript] Dispatching: ${action.type}`, action.payload);
     }
 
-    // Save frame for time-travel
-    if (this.config.enableTimeTravel) {
+    // Actions can opt out of time-travel with { history: false }; lifecycle
+    // actions belong to the frame of the action that started them
+    const recordHistory = this.config.enableTimeTravel && !action.lifecycle &&
+      pipelines.every((pipeline) => pipeline.history);
+
+    // Baseline frame so the first action can be undone
+    if (recordHistory && !this.timeline.current) {
+      this._saveFrame(null);
+    }
+
+    const previousScope = this.currentScope;
+    this.currentScope = action.scope;
+
+    let runs;
+    try {
+      runs = await this._runPipelines(action, pipelines);
+    } finally {
+      this.currentScope = previousScope;
+    }
+
+    if (!recordHistory) return;
+
+    // Save frame for time-travel once every pipeline settled. Pipelines outside
+    // the queue are still running here, so their frame is saved when they finish.
+    if (runs.some(isThenable)) {
+      Promise.all(runs).then((ran) => {
+        if (ran.some(Boolean)) this._saveFrame(action);
+      });
+    } else if (runs.some(Boolean)) {
       this._saveFrame(action);
     }
+  }
+
+  /**
+   * Run matching pipelines for an action.
+   * Resolves with one entry per pipeline: whether it ran (or a promise of that
+   * for pipelines scheduled outside the queue).
+   */
+  async _runPipelines(action, pipelines) {
+    const runs = [];
 
     for (const pipeline of pipelines) {
-      // Guard check
-      if (pipeline.guard && !pipeline.guard(action.payload)) {
-        continue;
+      if (pipeline.concurrency === 'queue') {
+        runs.push(await this._runPipeline(action, pipeline));
+      } else {
+        runs.push(this._schedulePipeline(action, pipeline));
       }
+    }
+
+    return runs;
+  }
+
+  /**
+   * Start a pipeline that runs alongside the queue, applying its concurrency mode.
+   * Returns a promise of whether it ran, or false when it was skipped.
+   */
+  _schedulePipeline(action, pipeline) {
+    switch (pipeline.concurrency) {
+      case 'takeLeading':
+        if (pipeline._runs.size > 0) return false;
+        break;
+
+      case 'takeLatest':
+        pipeline._runs.forEach((run) => run.controller?.abort());
+        break;
+
+      case 'debounce':
+        clearTimeout(pipeline._debounceTimer);
+        pipeline._debounceSettle?.(false);
+        return new Promise((resolve) => {
+          pipeline._debounceSettle = resolve;
+          pipeline._debounceTimer = setTimeout(() => {
+            pipeline._debounceTimer = null;
+            pipeline._debounceSettle = null;
+            resolve(this._runPipeline(action, pipeline));
+          }, pipeline.wait);
+        });
+    }
+
+    return this._runPipeline(action, pipeline);
+  }
 
-      // Transform payload
-      let payload = action.payload;
-      if (pipeline.transform) {
-        payload = pipeline.transform(payload);
+  /**
+   * guard → transform → handler → side effects.
+   * Resolves false when the guard rejected the action or the run was superseded.
+   */
+  async _runPipeline(action, pipeline) {
+    // Guard check
+    if (pipeline.guard && !pipeline.guard(action.payload)) {
+      return false;
+    }
+
+    // Transform payload
+    let payload = action.payload;
+    if (pipeline.transform) {
+      payload = pipeline.transform(payload);
+    }
+
+    const run = {
+      controller: typeof AbortController !== 'undefined' ? new AbortController() : null,
+    };
+
+    // Execute handler
+    try {
+      const result = pipeline.handler(payload, { action, signal: run.controller?.signal });
+
+      if (isThenable(result) && pipeline.lifecycle && !action.lifecycle) {
+        const completed = await this._trackAsyncRun(action, pipeline, run, result);
+        if (!completed) return false;
+      } else {
+        await result;
       }
+    } catch (error) {
+      console.error(`[ScrollScript] Error in handler: ${action.type}`, error);
+      return true;
+    }
 
-      // Execute handler
+    // Execute side effects
+    for (const effect of pipeline.sideEffects) {
       try {
-        await pipeline.handler(payload);
+        await effect(payload);
       } catch (error) {
-        console.error(`[ScrollScript] Error in handler: ${action.type}`, error);
-        continue;
+        console.error(`[ScrollScript] Error in side effect: ${action.type}`, error);
       }
+    }
 
-      // Execute side effects
-      for (const effect of pipeline.sideEffects) {
-        try {
-          await effect(payload);
-        } catch (error) {
-          console.error(`[ScrollScript] Error in side effect: ${action.type}`, error);
-        }
-      }
+    return true;
+  }
+
+  /**
+   * Emit lifecycle actions and maintain loading/error signals for an async run.
+   * Resolves false when the run was superseded (aborted) and should be ignored.
+   */
+  async _trackAsyncRun(action, pipeline, run, promise) {
+    const names = this.actionSignals(action.type, pipeline.scope);
+    const pendingKey = names.loading;
+    const loadingSignal = this.signals.get(names.loading);
+
+    pipeline._runs.add(run);
+    this._pendingActions.set(pendingKey, (this._pendingActions.get(pendingKey) || 0) + 1);
+    this.set(names.loading, true);
+    this.set(names.error, null);
+    this._emitLifecycle(action, 'PENDING', action.payload);
+
+    let value;
+    let failure = null;
+
+    try {
+      value = await promise;
+    } catch (error) {
+      failure = error;
     }
+
+    pipeline._runs.delete(run);
+
+    // The scope was reset while this ran: its status signals are gone
+    if (this.signals.get(names.loading) !== loadingSignal) {
+      return false;
+    }
+
+    const pending = this._pendingActions.get(pendingKey) - 1;
+    this._pendingActions.set(pendingKey, pending);
+
+    if (pending === 0) {
+      this.set(names.loading, false);
+    }
+
+    if (run.controller?.signal.aborted) {
+      return false;
+    }
+
+    if (failure) {
+      this.set(names.error, failure);
+      this._emitLifecycle(action, 'REJECTED', failure);
+      throw failure;
+    }
+
+    this._emitLifecycle(action, 'FULFILLED', value);
+    return true;
+  }
+
+  /**
+   * Dispatch TYPE_PENDING / TYPE_FULFILLED / TYPE_REJECTED right away (not queued)
+   */
+  _emitLifecycle(action, phase, payload) {
+    this._dispatchAction({
+      type: `${action.type}_${phase}`,
+      payload,
+      scope: action.scope,
+      timestamp: Date.now(),
+      lifecycle: true,
+      meta: { action },
+    });
   }
 
   /**
@@ -259,6 +619,7 @@ export class ScrollScriptCore {
   _resetActionState() {
     this.actionTriggered = false;
     this.actionType = null;
+    this.currentScope = 'global';
   }
 
   /**
@@ -276,17 +637,161 @@ export class ScrollScriptCore {
 
   /**
    * Recompute derived signal
+   * Returns true when the value changed
    */
   _recomputeDerived(signal) {
     const oldValue = signal.value;
-    const newValue = signal.compute();
+    const newValue = this._evaluate(signal);
 
-    if (oldValue !== newValue) {
-      signal.value = newValue;
-      signal.epoch = ++this.currentEpoch;
-      this.dirtySignals.add(signal);
+    if (oldValue === newValue) return false;
+
+    signal.value = newValue;
+    signal.epoch = ++this.currentEpoch;
+
+    if (this.config.batchUpdates && !this.isProcessing) {
+      if (!this.dirtySignals.has(signal)) {
+        signal._oldValue = oldValue;
+        this.dirtySignals.add(signal);
+      }
+      this._scheduleBatchUpdate();
+    } else {
       this._notifyListeners(signal, oldValue);
     }
+
+    return true;
+  }
+
+  /**
+   * Run a derived/effect computation, re-collecting dependencies when auto-tracked
+   */
+  _evaluate(node) {
+    if (!node.autoTrack) {
+      return this._tracker.untrack(() => node.compute());
+    }
+
+    const { value, dependencies } = this._tracker.track(node.name, () => node.compute());
+    this._linkDependencies(node, dependencies);
+    return value;
+  }
+
+  /**
+   * Recompute everything downstream of the changed signals in topological order,
+   * so each derived signal runs once and only sees up-to-date inputs
+   */
+  _propagate(sources) {
+    const order = this._tracker.sortTopologically(sources, (node) => this._getDependents(node));
+    if (order.length === 0) return;
+
+    const changed = new Set(sources.map((signal) => signal.name));
+    const effects = [];
+
+    order.forEach((node) => {
+      const stale = Array.from(node.dependencies).some((dep) => changed.has(dep));
+      if (!stale) return;
+
+      if (node.effect) {
+        effects.push(node);
+      } else if (this._recomputeDerived(node)) {
+        changed.add(node.name);
+      }
+    });
+
+    effects.forEach((node) => this._runEffect(node));
+  }
+
+  _getDependents(node) {
+    if (node.effect) return [];
+    return Array.from(node.dependents || []);
+  }
+
+  /**
+   * Point the dependency graph at a node's current inputs
+   */
+  _linkDependencies(node, dependencies) {
+    node.dependencies.forEach((name) => {
+      if (dependencies.has(name)) return;
+      this.signals.get(name)?.dependents.delete(node);
+      this._pendingDependents.get(name)?.delete(node);
+    });
+
+    dependencies.forEach((name) => {
+      if (node.dependencies.has(name)) return;
+      const source = this.signals.get(name);
+      if (source) {
+        source.dependents.add(node);
+      } else {
+        if (!this._pendingDependents.has(name)) {
+          this._pendingDependents.set(name, new Set());
+        }
+        this._pendingDependents.get(name).add(node);
+      }
+    });
+
+    node.dependencies = dependencies;
+  }
+
+  /**
+   * Hand a new signal the dependents that were waiting for it
+   */
+  _attachPendingDependents(signal) {
+    const pending = this._pendingDependents.get(signal.name);
+    if (!pending) return false;
+
+    pending.forEach((node) => signal.dependents.add(node));
+    this._pendingDependents.delete(signal.name);
+    return true;
+  }
+
+  /**
+   * Drop a signal from the store and the dependency graph
+   */
+  _removeSignal(signal) {
+    if (signal.dependencies) {
+      this._linkDependencies(signal, new Set());
+    }
+
+    if (signal.dependents.size > 0) {
+      this._pendingDependents.set(signal.name, new Set(signal.dependents));
+    }
+
+    this.signals.delete(signal.name);
+  }
+
+  _runEffect(node) {
+    if (node.disposed) return;
+
+    if (typeof node.cleanup === 'function') {
+      try {
+        node.cleanup();
+      } catch (error) {
+        console.error('[ScrollScript] Error in effect cleanup:', error);
+      }
+    }
+
+    try {
+      const result = this._evaluate(node);
+      node.cleanup = typeof result === 'function' ? result : null;
+    } catch (error) {
+      node.cleanup = null;
+      console.error('[ScrollScript] Error in effect:', error);
+    }
+  }
+
+  _disposeEffect(node) {
+    if (node.disposed) return;
+
+    node.disposed = true;
+    this._linkDependencies(node, new Set());
+    this._effects.delete(node);
+
+    if (typeof node.cleanup === 'function') {
+      try {
+        node.cleanup();
+      } catch (error) {
+        console.error('[ScrollScript] Error in effect cleanup:', error);
+      }
+    }
+    node.cleanup = null;
   }
 
   /**
@@ -324,52 +829,94 @@ export class ScrollScriptCore {
   }
 
   /**
-   * Save frame for time-travel
+   * Save frame for time-travel (state after the action ran)
    */
-  _saveFrame(action) {
-    const frame = {
+  _saveFrame(action, label = null) {
+    this._frameEpoch = this.currentEpoch;
+
+    return this.timeline.record({
       epoch: this.currentEpoch,
-      actions: [action],
+      actions: action ? [action] : [],
       signals: new Map(
-        Array.from(this.signals.entries()).map(([name, signal]) => [name, signal.value])
+        Array.from(this.signals.entries())
+          .map(([name, signal]) => [name, this.snapshotStore.freeze(signal.value)])
       ),
-      timestamp: Date.now(),
-    };
+      label,
+    });
+  }
 
-    this.history.push(frame);
+  /**
+   * Label the current state so it can be restored with jumpTo(label)
+   */
+  checkpoint(label) {
+    if (!this.config.enableTimeTravel) {
+      throw new Error('Time-travel is not enabled');
+    }
 
-    // Limit history size
-    if (this.history.length > this.config.maxHistorySize) {
-      this.history.shift();
+    // Label the current frame when nothing changed since it was taken
+    const current = this.timeline.current;
+    if (current && this._frameEpoch === this.currentEpoch) {
+      this.timeline.label(current, label);
+      return describeFrame(current);
     }
+
+    return describeFrame(this._saveFrame(null, label));
   }
 
   /**
-   * Time-travel to specific epoch
+   * Time-travel to a frame by epoch or checkpoint label
    */
   jumpTo(epoch) {
     if (!this.config.enableTimeTravel) {
       throw new Error('Time-travel is not enabled');
     }
 
-    const frame = this.history.find((f) => f.epoch === epoch);
+    const frame = this.timeline.find(epoch);
     if (!frame) {
       throw new Error(`Frame with epoch ${epoch} not found`);
     }
 
-    // Restore signals
+    this._restoreFrame(frame);
+    this.timeline.moveTo(frame);
+    this._frameEpoch = this.currentEpoch;
+
+    if (this.config.debugMode) {
+      console.log(`[ScrollScript] Jumped to epoch ${frame.epoch}`);
+    }
+  }
+
+  /**
+   * Restore a frame's signal values, recomputing derived signals and firing watchers
+   */
+  _restoreFrame(frame) {
+    const changed = [];
+    const oldValues = new Map();
+
     frame.signals.forEach((value, name) => {
       const signal = this.signals.get(name);
-      if (signal && !signal.derived) {
-        signal.value = value;
-        signal.epoch = epoch;
-      }
+      if (!signal || signal.derived) return;
+      if (this.snapshotStore.freeze(signal.value) === value) return;
+
+      oldValues.set(signal, signal.value);
+      signal.value = this.snapshotStore.thaw(value);
+      signal.epoch = ++this.currentEpoch;
+      changed.push(signal);
     });
 
-    this.currentEpoch = epoch;
+    if (changed.length === 0) return;
 
-    if (this.config.debugMode) {
-      console.log(`[ScrollScript] Jumped to epoch ${epoch}`);
+    this._propagate(changed);
+
+    if (this.config.batchUpdates && !this.isProcessing) {
+      changed.forEach((signal) => {
+        if (!this.dirtySignals.has(signal)) {
+          signal._oldValue = oldValues.get(signal);
+          this.dirtySignals.add(signal);
+        }
+      });
+      this._scheduleBatchUpdate();
+    } else {
+      changed.forEach((signal) => this._notifyListeners(signal, oldValues.get(signal)));
     }
   }
 
@@ -377,16 +924,66 @@ export class ScrollScriptCore {
    * Undo last action
    */
   undo() {
-    if (this.history.length < 2) return;
-    const previousFrame = this.history[this.history.length - 2];
-    this.jumpTo(previousFrame.epoch);
+    if (!this.canUndo()) return false;
+    this.jumpTo(this.timeline.current.parent);
+    return true;
+  }
+
+  /**
+   * Redo the last undone action (or pick a branch by index)
+   */
+  redo(branch = null) {
+    const target = this.canRedo() ? this.timeline.redoTarget(branch) : null;
+    if (!target) return false;
+    this.jumpTo(target);
+    return true;
+  }
+
+  canUndo() {
+    return this.config.enableTimeTravel && this.timeline.canUndo();
+  }
+
+  canRedo() {
+    return this.config.enableTimeTravel && this.timeline.canRedo();
+  }
+
+  /**
+   * Branches available from the current frame
+   */
+  getBranches() {
+    const current = this.timeline.current;
+    return current ? current.children.map(describeFrame) : [];
+  }
+
+  /**
+   * Labelled checkpoints
+   */
+  getCheckpoints() {
+    return Array.from(this.timeline.checkpoints.values()).map(describeFrame);
   }
 
   /**
    * Get all signals (for debugging)
+   * With a scope, only that scope's signals keyed by their local name
    */
-  getAllSignals() {
-    return new Map(this.signals);
+  getAllSignals(scope = null) {
+    if (!scope) {
+      return new Map(this.signals);
+    }
+
+    const prefix = qualifySignalName('', scope);
+    return new Map(
+      Array.from(this.signals.values())
+        .filter((signal) => signal.scope === scope)
+        .map((signal) => [signal.name.slice(prefix.length), signal])
+    );
+  }
+
+  /**
+   * Estimated memory held by time-travel frames (shared subtrees counted once)
+   */
+  getMemoryUsage() {
+    return this.snapshotStore.getMemoryUsage(this.history.map((frame) => frame.signals));
   }
 
   /**
@@ -397,16 +994,69 @@ export class ScrollScriptCore {
   }
 
   /**
-   * Reset everything
+   * Reset everything, or only the signals and actions of one scope
    */
-  reset() {
+  reset(scope = null) {
+    if (scope) {
+      this._resetScope(scope);
+      return;
+    }
+
+    Array.from(this._effects).forEach((node) => this._disposeEffect(node));
+    this.pipelines.forEach((pipelines) => {
+      pipelines.forEach((pipeline) => this._stopPipeline(pipeline));
+    });
+    this._actionMiddleware = [];
+    this._pendingActions.clear();
     this.signals.clear();
+    this._pendingDependents.clear();
     this.pipelines.clear();
     this.actionQueue = [];
-    this.history = [];
+    this.timeline.clear();
+    this.snapshotStore.clear();
+    this._frameEpoch = null;
     this.currentEpoch = 0;
     this.dirtySignals.clear();
     this._resetActionState();
   }
+
+  _resetScope(scope) {
+    Array.from(this.signals.values())
+      .filter((signal) => signal.scope === scope)
+      .forEach((signal) => {
+        this.dirtySignals.delete(signal);
+        this._pendingActions.delete(signal.name);
+        this._removeSignal(signal);
+      });
+
+    this.pipelines.forEach((pipelines, type) => {
+      pipelines
+        .filter((pipeline) => pipeline.scope === scope)
+        .forEach((pipeline) => this._stopPipeline(pipeline));
+
+      const remaining = pipelines.filter((pipeline) => pipeline.scope !== scope);
+      if (remaining.length > 0) {
+        this.pipelines.set(type, remaining);
+      } else {
+        this.pipelines.delete(type);
+      }
+    });
+
+    this.actionQueue = this.actionQueue.filter((action) => action.scope !== scope);
+  }
+
+  /**
+   * Cancel a pipeline's pending debounce and abort its running handlers
+   */
+  _stopPipeline(pipeline) {
+    clearTimeout(pipeline._debounceTimer);
+    pipeline._debounceSettle?.(false);
+    pipeline._runs.forEach((run) => run.controller?.abort());
+  }
 }
 
+const CONCURRENCY_MODES = ['queue', 'takeEvery', 'takeLatest', 'takeLeading', 'debounce'];
+
+function isThenable(value) {
+  return value != null && typeof value.then === 'function';
+}
@@ -0,0 +1,286 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ScrollScriptCore } from './core.js';
+
+describe('derived signals', () => {
+  test('dependencies are tracked from the reads made while computing', () => {
+    const script = new ScrollScriptCore();
+    script.signal('first', 'Ada');
+    script.signal('last', 'Lovelace');
+    script.derived('full', () => `${script.get('first')} ${script.get('last')}`);
+
+    script.set('last', 'Byron');
+
+    assert.equal(script.get('full'), 'Ada Byron');
+  });
+
+  test('dependencies are re-collected on every compute', () => {
+    const script = new ScrollScriptCore();
+    script.signal('useNick', false);
+    script.signal('name', 'Ada');
+    script.signal('nick', 'A');
+    let runs = 0;
+    script.derived('shown', () => {
+      runs++;
+      return script.get('useNick') ? script.get('nick') : script.get('name');
+    });
+
+    script.set('nick', 'B');
+    assert.equal(runs, 1, 'nick was not read yet');
+
+    script.set('useNick', true);
+    assert.equal(script.get('shown'), 'B');
+
+    script.set('name', 'Grace');
+    assert.equal(runs, 2, 'name is no longer read');
+  });
+
+  test('a diamond recomputes each node once with consistent inputs', () => {
+    const script = new ScrollScriptCore();
+    script.signal('n', 1);
+    script.derived('double', () => script.get('n') * 2);
+    script.derived('triple', () => script.get('n') * 3);
+    const seen = [];
+    script.derived('sum', () => {
+      const sum = script.get('double') + script.get('triple');
+      seen.push(sum);
+      return sum;
+    });
+
+    script.set('n', 2);
+
+    assert.deepEqual(seen, [5, 10]);
+  });
+
+  test('a derived signal can read a signal created after it', () => {
+    const script = new ScrollScriptCore();
+    script.derived('greeting', () => `hi ${script.get('who') ?? 'nobody'}`);
+    script.signal('who', 'Ada');
+
+    assert.equal(script.get('greeting'), 'hi Ada');
+  });
+
+  test('explicit dependency arrays still work', () => {
+    const script = new ScrollScriptCore();
+    script.signal('a', 1);
+    script.derived('b', () => script.get('a') + 1, ['a']);
+
+    script.set('a', 5);
+
+    assert.equal(script.get('b'), 6);
+  });
+
+  test('derived signals cannot be set', () => {
+    const script = new ScrollScriptCore();
+    script.signal('a', 1);
+    script.derived('b', () => script.get('a'));
+
+    assert.throws(() => script.set('b', 2), /derived/);
+  });
+});
+
+describe('effects', () => {
+  test('effects rerun on change, clean up before each run and stop when disposed', () => {
+    const script = new ScrollScriptCore({ batchUpdates: false });
+    script.signal('count', 0);
+    const log = [];
+
+    const stop = script.effect(() => {
+      const count = script.get('count');
+      log.push(`run ${count}`);
+      return () => log.push(`cleanup ${count}`);
+    });
+    script.set('count', 1);
+    stop();
+    script.set('count', 2);
+
+    assert.deepEqual(log, ['run 0', 'cleanup 0', 'run 1', 'cleanup 1']);
+  });
+
+  test('untrack reads without subscribing', () => {
+    const script = new ScrollScriptCore();
+    script.signal('tracked', 1);
+    script.signal('ignored', 1);
+    let runs = 0;
+    script.effect(() => {
+      runs++;
+      script.get('tracked');
+      script.untrack(() => script.get('ignored'));
+    });
+
+    script.set('ignored', 2);
+    assert.equal(runs, 1);
+
+    script.set('tracked', 2);
+    assert.equal(runs, 2);
+  });
+});
+
+describe('actions', () => {
+  const settle = () => new Promise((resolve) => setTimeout(resolve, 0));
+  const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+  function deferred() {
+    let resolve;
+    let reject;
+    const promise = new Promise((res, rej) => {
+      resolve = res;
+      reject = rej;
+    });
+    return { promise, resolve, reject };
+  }
+
+  test('middleware runs in order, can rewrite the action and can cancel it', async () => {
+    const script = new ScrollScriptCore();
+    const log = [];
+    script.action('SAVE', (payload) => log.push(`handler ${payload}`));
+
+    script.useActionMiddleware((action, next) => {
+      log.push(`first ${action.payload}`);
+      return next({ ...action, payload: action.payload * 2 });
+    });
+    const remove = script.useActionMiddleware((action, next) => {
+      log.push(`second ${action.payload}`);
+      if (action.payload > 10) return;
+      return next();
+    });
+
+    script.trigger('SAVE', 2);
+    script.trigger('SAVE', 20);
+    await settle();
+    remove();
+    script.trigger('SAVE', 30);
+    await settle();
+
+    assert.deepEqual(log, [
+      'first 2', 'second 4', 'handler 4',
+      'first 20', 'second 40',
+      'first 30', 'handler 60',
+    ]);
+  });
+
+  test('async handlers emit lifecycle actions and keep loading/error signals', async () => {
+    const script = new ScrollScriptCore();
+    const phases = [];
+    const run = deferred();
+    script.action('LOAD', () => run.promise);
+    script.action('LOAD_PENDING', () => phases.push('pending'));
+    script.action('LOAD_FULFILLED', (value) => phases.push(`fulfilled ${value}`));
+    const names = script.actionSignals('LOAD');
+
+    script.trigger('LOAD');
+    await settle();
+    assert.equal(script.get(names.loading), true);
+
+    run.resolve('done');
+    await settle();
+
+    assert.equal(script.get(names.loading), false);
+    assert.equal(script.get(names.error), null);
+    assert.deepEqual(phases, ['pending', 'fulfilled done']);
+  });
+
+  test('a rejected handler sets the error signal and emits REJECTED', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const script = new ScrollScriptCore();
+    const failure = new Error('offline');
+    let rejected = null;
+    script.action('LOAD', async () => {
+      throw failure;
+    });
+    script.action('LOAD_REJECTED', (error) => {
+      rejected = error;
+    });
+
+    script.trigger('LOAD');
+    await settle();
+
+    const names = script.actionSignals('LOAD');
+    assert.equal(script.get(names.error), failure);
+    assert.equal(script.get(names.loading), false);
+    assert.equal(rejected, failure);
+  });
+
+  test('takeLatest aborts older runs and ignores their result', async () => {
+    const script = new ScrollScriptCore();
+    const signals = [];
+    const fulfilled = [];
+    const runs = [deferred(), deferred()];
+    script.action('SEARCH', (query, { signal }) => {
+      signals.push(signal);
+      return runs[signals.length - 1].promise;
+    }, { concurrency: 'takeLatest' });
+    script.action('SEARCH_FULFILLED', (value) => fulfilled.push(value));
+
+    script.trigger('SEARCH', 'a');
+    script.trigger('SEARCH', 'ab');
+    await settle();
+    runs[1].resolve('second');
+    runs[0].resolve('first');
+    await settle();
+
+    assert.equal(signals[0].aborted, true);
+    assert.equal(signals[1].aborted, false);
+    assert.deepEqual(fulfilled, ['second']);
+  });
+
+  test('takeLeading ignores dispatches while a run is in flight', async () => {
+    const script = new ScrollScriptCore();
+    const run = deferred();
+    let calls = 0;
+    script.action('SUBMIT', () => {
+      calls++;
+      return run.promise;
+    }, { concurrency: 'takeLeading' });
+
+    script.trigger('SUBMIT');
+    script.trigger('SUBMIT');
+    await settle();
+    run.resolve();
+    await settle();
+
+    assert.equal(calls, 1);
+  });
+
+  test('debounce runs only the last dispatch after `wait` ms', async () => {
+    const script = new ScrollScriptCore();
+    const seen = [];
+    script.action('TYPE', (text) => seen.push(text), { concurrency: 'debounce', wait: 10 });
+
+    script.trigger('TYPE', 'a');
+    script.trigger('TYPE', 'ab');
+    script.trigger('TYPE', 'abc');
+    await wait(30);
+
+    assert.deepEqual(seen, ['abc']);
+  });
+
+  test('an unknown concurrency mode is rejected', () => {
+    const script = new ScrollScriptCore();
+
+    assert.throws(() => script.action('X', () => {}, { concurrency: 'sometimes' }), /Unknown concurrency/);
+  });
+
+  test('async actions record one frame once settled and lifecycle actions record none', async () => {
+    const script = new ScrollScriptCore();
+    script.signal('items', []);
+    const run = deferred();
+    script.action('FETCH', async () => {
+      const items = await run.promise;
+      script.set('items', items);
+    });
+    script.action('FETCH_FULFILLED', () => {});
+
+    script.trigger('FETCH');
+    await settle();
+    assert.equal(script.getHistory().length, 1);
+
+    run.resolve(['a']);
+    await settle();
+
+    assert.equal(script.getHistory().length, 2);
+    script.undo();
+    assert.deepEqual(script.get('items'), []);
+  });
+});
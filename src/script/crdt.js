@@ -0,0 +1,461 @@
+/**
+ * CRDTs
+ * Conflict-free replicated data types behind collaborative signals
+ *
+ * Local mutations return operations; apply(op) merges an operation from any
+ * replica. Operations are idempotent and commute (ops that arrive before the
+ * element they refer to wait in `pending`), so replicas that saw the same ops
+ * converge to the same value whatever the delivery order.
+ *
+ *   const list = createCRDT('list', 'alice');
+ *   const ops = list.push({ title: 'Write docs' }); // send ops to the others
+ *   bob.applyAll(ops);
+ */
+
+/**
+ * Lamport timestamps: [counter, replicaId], ordered by counter then replica
+ */
+export function compareIds(a, b) {
+  if (a[0] !== b[0]) return a[0] - b[0];
+  if (a[1] === b[1]) return 0;
+  return a[1] > b[1] ? 1 : -1;
+}
+
+const idKey = (id) => `${id[0]}@${id[1]}`;
+
+export class CRDT {
+  constructor(replicaId) {
+    if (!replicaId) {
+      throw new Error('[CRDT] A replica id is required');
+    }
+    this.replicaId = String(replicaId);
+    this.clock = 0;
+  }
+
+  /**
+   * Merge one operation (from any replica); true when the value changed
+   */
+  apply() {
+    throw new Error('[CRDT] apply() is not implemented');
+  }
+
+  /**
+   * Merge several operations; true when the value changed
+   */
+  applyAll(ops = []) {
+    let changed = false;
+    ops.forEach((op) => {
+      if (this.apply(op)) changed = true;
+    });
+    return changed;
+  }
+
+  value() {
+    throw new Error('[CRDT] value() is not implemented');
+  }
+
+  _tick() {
+    return ++this.clock;
+  }
+
+  _observe(counter) {
+    if (counter > this.clock) this.clock = counter;
+  }
+}
+
+/**
+ * Last-writer-wins register
+ */
+export class LWWRegister extends CRDT {
+  static mutators = ['set'];
+
+  constructor(replicaId, initial = null) {
+    super(replicaId);
+    this.current = initial;
+    this.stamp = [0, ''];
+  }
+
+  set(value) {
+    const op = { type: 'set', value, id: [this._tick(), this.replicaId] };
+    this.apply(op);
+    return [op];
+  }
+
+  apply(op) {
+    if (op.type !== 'set') return false;
+
+    this._observe(op.id[0]);
+    if (compareIds(op.id, this.stamp) <= 0) return false;
+
+    this.stamp = op.id;
+    this.current = op.value;
+    return true;
+  }
+
+  value() {
+    return this.current;
+  }
+}
+
+/**
+ * Grow-only counter. Each replica owns one entry; ops carry the entry's new total.
+ */
+export class GCounter extends CRDT {
+  static mutators = ['increment'];
+
+  constructor(replicaId, initial = 0) {
+    super(replicaId);
+    this.counts = initial ? { '': initial } : {};
+  }
+
+  increment(amount = 1) {
+    if (amount < 0) {
+      throw new Error('[CRDT] GCounter can only grow; use a PNCounter');
+    }
+
+    const op = { type: 'count', replica: this.replicaId, count: (this.counts[this.replicaId] || 0) + amount };
+    this.apply(op);
+    return [op];
+  }
+
+  apply(op) {
+    if (op.type !== 'count' || op.count <= (this.counts[op.replica] || 0)) return false;
+    this.counts[op.replica] = op.count;
+    return true;
+  }
+
+  value() {
+    return Object.values(this.counts).reduce((sum, count) => sum + count, 0);
+  }
+}
+
+/**
+ * Counter that can go both ways (a pair of grow-only totals per replica)
+ */
+export class PNCounter extends CRDT {
+  static mutators = ['increment', 'decrement'];
+
+  constructor(replicaId, initial = 0) {
+    super(replicaId);
+    this.totals = initial ? { '': { p: Math.max(initial, 0), n: Math.max(-initial, 0) } } : {};
+  }
+
+  increment(amount = 1) {
+    const own = this.totals[this.replicaId] || { p: 0, n: 0 };
+    const op = amount >= 0
+      ? { type: 'count', replica: this.replicaId, p: own.p + amount, n: own.n }
+      : { type: 'count', replica: this.replicaId, p: own.p, n: own.n - amount };
+    this.apply(op);
+    return [op];
+  }
+
+  decrement(amount = 1) {
+    return this.increment(-amount);
+  }
+
+  apply(op) {
+    if (op.type !== 'count') return false;
+
+    const own = this.totals[op.replica] || { p: 0, n: 0 };
+    const next = { p: Math.max(own.p, op.p), n: Math.max(own.n, op.n) };
+    if (next.p === own.p && next.n === own.n) return false;
+
+    this.totals[op.replica] = next;
+    return true;
+  }
+
+  value() {
+    return Object.values(this.totals).reduce((sum, { p, n }) => sum + p - n, 0);
+  }
+}
+
+/**
+ * Observed-remove set: a remove only cancels the adds it has seen,
+ * so a concurrent add wins. Elements are compared by their JSON.
+ */
+export class ORSet extends CRDT {
+  static mutators = ['add', 'remove', 'toggle'];
+
+  constructor(replicaId, initial = []) {
+    super(replicaId);
+    this.elements = new Map(); // key -> element
+    this.tags = new Map();     // key -> Set of live tags
+    this.tombstones = new Set();
+
+    initial.forEach((element, index) => this.apply({ type: 'add', element, tag: `init:${index}` }));
+  }
+
+  add(element) {
+    const op = { type: 'add', element, tag: `${this.replicaId}:${this._tick()}` };
+    this.apply(op);
+    return [op];
+  }
+
+  remove(element) {
+    const live = this.tags.get(JSON.stringify(element));
+    if (!live || live.size === 0) return [];
+
+    const op = { type: 'remove', element, tags: Array.from(live) };
+    this.apply(op);
+    return [op];
+  }
+
+  toggle(element) {
+    return this.has(element) ? this.remove(element) : this.add(element);
+  }
+
+  has(element) {
+    return (this.tags.get(JSON.stringify(element))?.size || 0) > 0;
+  }
+
+  apply(op) {
+    const key = JSON.stringify(op.element);
+
+    if (op.type === 'add') {
+      const counter = Number(String(op.tag).split(':').pop());
+      if (!Number.isNaN(counter)) this._observe(counter);
+
+      if (this.tombstones.has(op.tag)) return false;
+
+      const live = this.tags.get(key) || new Set();
+      if (live.has(op.tag)) return false;
+
+      const wasPresent = live.size > 0;
+      live.add(op.tag);
+      this.tags.set(key, live);
+      this.elements.set(key, op.element);
+      return !wasPresent;
+    }
+
+    if (op.type === 'remove') {
+      const live = this.tags.get(key);
+      const wasPresent = Boolean(live && live.size > 0);
+
+      op.tags.forEach((tag) => {
+        this.tombstones.add(tag);
+        if (live) live.delete(tag);
+      });
+
+      return wasPresent && live.size === 0;
+    }
+
+    return false;
+  }
+
+  /**
+   * Elements sorted by their JSON so every replica lists them in the same order
+   */
+  value() {
+    return Array.from(this.tags.entries())
+      .filter(([, live]) => live.size > 0)
+      .map(([key]) => key)
+      .sort()
+      .map((key) => this.elements.get(key));
+  }
+}
+
+/**
+ * Replicated growable array (RGA). Each element is inserted after an existing
+ * one; concurrent inserts at the same spot are ordered by their ids.
+ * Deleted elements stay as tombstones so later inserts can still refer to them.
+ */
+export class RGAList extends CRDT {
+  static mutators = ['insert', 'push', 'delete', 'replace'];
+
+  constructor(replicaId, initial = []) {
+    super(replicaId);
+    this.nodes = new Map(); // key -> { id, value, deleted }
+    this.order = [];        // keys, tombstones included
+    this.pending = [];
+
+    // Same ids on every replica, so seeded elements line up
+    let after = null;
+    Array.from(initial).forEach((value, index) => {
+      const id = [index + 1, ''];
+      this.apply({ type: 'insert', id, after, value });
+      after = id;
+    });
+  }
+
+  /**
+   * Insert value at a visible index
+   */
+  insert(index, value) {
+    return this.insertAll(index, [value]);
+  }
+
+  /**
+   * Insert values at a visible index, keeping them together
+   */
+  insertAll(index, values) {
+    let after = this._visibleId(index - 1);
+
+    return Array.from(values).map((value) => {
+      const op = { type: 'insert', id: [this._tick(), this.replicaId], after, value };
+      this.apply(op);
+      after = op.id;
+      return op;
+    });
+  }
+
+  push(value) {
+    return this.insert(this.length, value);
+  }
+
+  /**
+   * Delete `count` visible elements starting at index
+   */
+  delete(index, count = 1) {
+    const visible = this._visibleKeys().slice(index, index + count);
+    return visible.map((key) => {
+      const op = { type: 'delete', id: this.nodes.get(key).id };
+      this.apply(op);
+      return op;
+    });
+  }
+
+  replace(index, value) {
+    return [...this.delete(index), ...this.insert(index, value)];
+  }
+
+  get length() {
+    return this._visibleKeys().length;
+  }
+
+  apply(op) {
+    const changed = this._applyOne(op);
+    if (changed) this._retryPending();
+    return changed;
+  }
+
+  value() {
+    return this._visibleKeys().map((key) => this.nodes.get(key).value);
+  }
+
+  _applyOne(op) {
+    if (op.type === 'insert') {
+      const key = idKey(op.id);
+      if (this.nodes.has(key)) return false;
+
+      if (op.after && !this.nodes.has(idKey(op.after))) {
+        this._defer(op);
+        return false;
+      }
+
+      this._observe(op.id[0]);
+
+      // Skip elements inserted concurrently at the same spot with a higher id
+      let index = op.after ? this.order.indexOf(idKey(op.after)) + 1 : 0;
+      while (index < this.order.length && compareIds(this.nodes.get(this.order[index]).id, op.id) > 0) {
+        index++;
+      }
+
+      this.nodes.set(key, { id: op.id, value: op.value, deleted: false });
+      this.order.splice(index, 0, key);
+      return true;
+    }
+
+    if (op.type === 'delete') {
+      const node = this.nodes.get(idKey(op.id));
+      if (!node) {
+        this._defer(op);
+        return false;
+      }
+      if (node.deleted) return false;
+
+      node.deleted = true;
+      return true;
+    }
+
+    return false;
+  }
+
+  _defer(op) {
+    if (!this.pending.some((other) => other.type === op.type && idKey(other.id) === idKey(op.id))) {
+      this.pending.push(op);
+    }
+  }
+
+  _retryPending() {
+    let progress = true;
+    while (progress && this.pending.length > 0) {
+      progress = false;
+      const waiting = this.pending;
+      this.pending = [];
+      waiting.forEach((op) => {
+        if (this._applyOne(op)) progress = true;
+      });
+    }
+  }
+
+  _visibleKeys() {
+    return this.order.filter((key) => !this.nodes.get(key).deleted);
+  }
+
+  _visibleId(index) {
+    const keys = this._visibleKeys();
+    if (index < 0 || keys.length === 0) return null;
+    return this.nodes.get(keys[Math.min(index, keys.length - 1)]).id;
+  }
+}
+
+/**
+ * Collaborative text: an RGA of characters
+ */
+export class TextCRDT extends RGAList {
+  static mutators = ['insertText', 'deleteText', 'setText'];
+
+  constructor(replicaId, initial = '') {
+    super(replicaId, String(initial));
+  }
+
+  insertText(index, text) {
+    return this.insertAll(index, String(text));
+  }
+
+  deleteText(index, length = 1) {
+    return this.delete(index, length);
+  }
+
+  /**
+   * Replace the whole text with the smallest edit (common prefix/suffix kept),
+   * for inputs that only report their new value
+   */
+  setText(text) {
+    const current = this.value();
+    const next = String(text);
+
+    let start = 0;
+    while (start < current.length && start < next.length && current[start] === next[start]) start++;
+
+    let end = 0;
+    while (end < current.length - start && end < next.length - start &&
+      current[current.length - 1 - end] === next[next.length - 1 - end]) end++;
+
+    return [
+      ...this.deleteText(start, current.length - start - end),
+      ...this.insertText(start, next.slice(start, next.length - end)),
+    ];
+  }
+
+  value() {
+    return super.value().join('');
+  }
+}
+
+export const CRDT_TYPES = {
+  lww: LWWRegister,
+  gcounter: GCounter,
+  pncounter: PNCounter,
+  orset: ORSet,
+  list: RGAList,
+  text: TextCRDT,
+};
+
+export function createCRDT(type, replicaId, initial) {
+  const Type = CRDT_TYPES[type];
+  if (!Type) {
+    throw new Error(`[CRDT] Unknown type "${type}" (expected one of: ${Object.keys(CRDT_TYPES).join(', ')})`);
+  }
+  return initial === undefined ? new Type(replicaId) : new Type(replicaId, initial);
+}
@@ -0,0 +1,127 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { compareIds, createCRDT } from './crdt.js';
+
+/**
+ * Deterministic shuffle (mulberry32), so a failing order can be replayed
+ */
+function shuffle(items, seed) {
+  let state = seed;
+  const random = () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  const copy = items.slice();
+  for (let index = copy.length - 1; index > 0; index--) {
+    const other = Math.floor(random() * (index + 1));
+    [copy[index], copy[other]] = [copy[other], copy[index]];
+  }
+  return copy;
+}
+
+/**
+ * Every replica receives every op (duplicates included) in its own order
+ */
+function deliverAll(replicas, ops) {
+  replicas.forEach((replica, index) => {
+    replica.applyAll(shuffle([...ops, ...ops], index + 1));
+  });
+}
+
+test('ids are ordered by counter, then replica', () => {
+  assert.ok(compareIds([2, 'a'], [1, 'z']) > 0);
+  assert.ok(compareIds([1, 'a'], [1, 'b']) < 0);
+  assert.equal(compareIds([1, 'a'], [1, 'a']), 0);
+});
+
+test('LWW registers keep the write with the highest id everywhere', () => {
+  const [a, b, c] = ['a', 'b', 'c'].map((id) => createCRDT('lww', id));
+  const ops = [...a.set('from a'), ...b.set('from b'), ...c.set('from c')];
+
+  deliverAll([a, b, c], ops);
+
+  assert.equal(a.value(), 'from c');
+  assert.equal(b.value(), 'from c');
+  assert.equal(c.value(), 'from c');
+});
+
+test('counters add up concurrent increments and decrements', () => {
+  const [a, b] = ['a', 'b'].map((id) => createCRDT('pncounter', id, 10));
+  const ops = [...a.increment(3), ...a.increment(2), ...b.decrement(4)];
+  deliverAll([a, b], ops);
+
+  assert.equal(a.value(), 11);
+  assert.equal(b.value(), 11);
+
+  const grow = createCRDT('gcounter', 'a');
+  assert.throws(() => grow.increment(-1), /can only grow/);
+});
+
+test('OR-sets let a concurrent add win over a remove', () => {
+  const a = createCRDT('orset', 'a', ['x']);
+  const b = createCRDT('orset', 'b', ['x']);
+
+  const ops = [...a.remove('x'), ...b.add('x'), ...b.add({ id: 1 })];
+  deliverAll([a, b], ops);
+
+  assert.deepEqual(a.value(), ['x', { id: 1 }]);
+  assert.deepEqual(a.value(), b.value());
+  assert.equal(a.has('x'), true);
+});
+
+test('lists converge under concurrent inserts and deletes in any delivery order', () => {
+  const initial = ['a', 'b', 'c'];
+  const replicas = ['r1', 'r2', 'r3'].map((id) => createCRDT('list', id, initial));
+
+  const ops = [
+    ...replicas[0].insert(1, 'x'),
+    ...replicas[0].push('tail'),
+    ...replicas[1].insert(1, 'y'),
+    ...replicas[1].delete(0),
+    ...replicas[2].replace(2, 'C'),
+    ...replicas[2].insertAll(0, ['p', 'q']),
+  ];
+
+  for (let seed = 1; seed <= 20; seed++) {
+    const fresh = ['s1', 's2'].map((id) => createCRDT('list', id, initial));
+    fresh.forEach((replica, index) => replica.applyAll(shuffle(ops, seed * 10 + index)));
+    assert.deepEqual(fresh[0].value(), fresh[1].value());
+    assert.equal(fresh[0].pending.length, 0);
+  }
+
+  deliverAll(replicas, ops);
+  const [first, ...rest] = replicas.map((replica) => replica.value());
+  rest.forEach((value) => assert.deepEqual(value, first));
+  assert.deepEqual(first.slice().sort(), ['C', 'b', 'p', 'q', 'tail', 'x', 'y']);
+});
+
+test('ops that arrive before what they refer to wait until it does', () => {
+  const source = createCRDT('list', 'a');
+  const ops = [...source.push('one'), ...source.push('two'), ...source.delete(0)];
+  const target = createCRDT('list', 'b');
+
+  target.applyAll(ops.slice().reverse());
+
+  assert.deepEqual(target.value(), ['two']);
+  assert.equal(target.pending.length, 0);
+});
+
+test('text edits from two replicas merge into the same string', () => {
+  const a = createCRDT('text', 'a', 'hello world');
+  const b = createCRDT('text', 'b', 'hello world');
+
+  const ops = [...a.setText('hello brave world'), ...b.setText('hello world!')];
+  deliverAll([a, b], ops);
+
+  assert.equal(a.value(), 'hello brave world!');
+  assert.equal(b.value(), a.value());
+});
+
+test('unknown types are refused', () => {
+  assert.throws(() => createCRDT('tree', 'a'), /Unknown type "tree"/);
+  assert.throws(() => createCRDT('lww'), /replica id is required/);
+});
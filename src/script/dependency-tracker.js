@@ -0,0 +1,95 @@
+/**
+ * Dependency Tracker
+ * Records which signals are read while a computation runs
+ *
+ * Powers auto-tracked derived signals, effect() and untrack() in ScrollScriptCore.
+ * Nodes are plain objects with a `name`; edges point from a signal to its dependents.
+ */
+
+export class DependencyTracker {
+  constructor() {
+    this.stack = [];
+  }
+
+  /**
+   * Run fn and collect every signal name read through record()
+   */
+  track(owner, fn) {
+    const frame = { owner, dependencies: new Set() };
+    this.stack.push(frame);
+
+    try {
+      const value = fn();
+      return { value, dependencies: frame.dependencies };
+    } finally {
+      this.stack.pop();
+    }
+  }
+
+  /**
+   * Run fn without recording any reads
+   */
+  untrack(fn) {
+    this.stack.push(null);
+
+    try {
+      return fn();
+    } finally {
+      this.stack.pop();
+    }
+  }
+
+  /**
+   * Record a read in the innermost tracking frame
+   */
+  record(name) {
+    const frame = this.stack[this.stack.length - 1];
+    if (!frame) return;
+
+    if (this.stack.some((entry) => entry && entry.owner === name)) {
+      const owners = this.stack.filter(Boolean).map((entry) => entry.owner);
+      const start = owners.indexOf(name);
+      throw new Error(`Circular dependency detected: ${[...owners.slice(start), name].join(' -> ')}`);
+    }
+
+    frame.dependencies.add(name);
+  }
+
+  /**
+   * Is a computation currently being tracked?
+   */
+  isTracking() {
+    return Boolean(this.stack[this.stack.length - 1]);
+  }
+
+  /**
+   * Order every node reachable from sources so each comes after all of its inputs.
+   * Sources themselves are not included. Throws when the graph has a cycle.
+   */
+  sortTopologically(sources, getDependents) {
+    const visited = new Set();
+    const visiting = [];
+    const order = [];
+
+    const visit = (node) => {
+      const index = visiting.indexOf(node);
+      if (index !== -1) {
+        const cycle = [...visiting.slice(index), node].map((entry) => entry.name);
+        throw new Error(`Circular dependency detected: ${cycle.join(' -> ')}`);
+      }
+
+      if (visited.has(node)) return;
+
+      visiting.push(node);
+      getDependents(node).forEach(visit);
+      visiting.pop();
+
+      visited.add(node);
+      order.push(node);
+    };
+
+    sources.forEach(visit);
+
+    return order.reverse().filter((node) => !sources.includes(node));
+  }
+}
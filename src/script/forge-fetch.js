@@ -1,17 +1,29 @@
 /**
  * ForgeFetch - Advanced HTTP Client
  * Retry, backoff, cancellation, caching, adapters
+ *
+ * Caching: { cache: { ttl, staleWhileRevalidate }, tags: ['todos'] }. Within ttl the
+ * cached response is returned; within the following staleWhileRevalidate ms it is
+ * returned with `stale: true` while a background request refreshes it.
+ * invalidate('todos') (or a mutation with { invalidates: ['todos'] }) marks tagged
+ * entries stale and refetches the queries (reactiveGet, resource) carrying the tag.
+ * Identical GETs in flight share one request.
  */
 
+const DEFAULT_CACHE_TTL = 60000;
+const CLIENT_OPTIONS = new Set(['cache', 'tags', 'invalidates', 'staleWhileRevalidate', 'retry', 'cancelToken']);
+
 export class ForgeFetch {
   constructor(scriptInstance) {
     this.script = scriptInstance;
     this.baseURL = '';
     this.defaultHeaders = {};
     this.interceptors = { request: [], response: [] };
-    this.cache = new Map();
-    this.pendingRequests = new Map();
+    this.cache = new Map(); // key -> { data, timestamp, ttl, staleWhileRevalidate, tags, stale }
+    this.pendingRequests = new Map(); // key -> promise of the shared in-flight request
     this.cancelTokens = new Map();
+    this.queries = new Set(); // live reactiveGet/resource queries
+    this._focusCleanup = null;
   }
 
   /**
@@ -47,31 +59,109 @@ export class ForgeFetch {
   }
 
   /**
-   * Main fetch with retry and caching
+   * Main fetch with retry, caching and deduplication
    */
   async fetch(url, options = {}) {
-    const fullURL = url.startsWith('http') ? url : `${this.baseURL}${url}`;
+    const fullURL = this._fullURL(url);
     const cacheKey = this._composeCacheKey(fullURL, options);
-    
+    const cacheOptions = this._cacheOptions(options);
+
     // Check cache
-    if (options.cache && this.cache.has(cacheKey)) {
+    if (cacheOptions && this.cache.has(cacheKey)) {
       const cached = this.cache.get(cacheKey);
-      if (Date.now() - cached.timestamp < (options.cache.ttl || 60000)) {
+      const age = Date.now() - cached.timestamp;
+
+      if (!cached.stale && age < cacheOptions.ttl) {
         return cached.data;
       }
+
+      if (cacheOptions.staleWhileRevalidate > 0 &&
+          (cached.stale || age < cacheOptions.ttl + cacheOptions.staleWhileRevalidate)) {
+        this._request(fullURL, cacheKey, options, cacheOptions).catch((error) => {
+          console.warn('[ForgeFetch] Background revalidation failed:', error.message);
+        });
+        return { ...cached.data, stale: true };
+      }
+
       this.cache.delete(cacheKey);
     }
 
+    return this._request(fullURL, cacheKey, options, cacheOptions);
+  }
+
+  /**
+   * Send the request, sharing it with identical GETs already in flight,
+   * then update the cache, the queries watching it and tagged entries
+   */
+  _request(fullURL, cacheKey, options, cacheOptions) {
+    const method = (options.method || 'GET').toUpperCase();
+    const dedupe = options.dedupe !== false && !options.cancelToken && (method === 'GET' || method === 'HEAD');
+
+    if (dedupe && this.pendingRequests.has(cacheKey)) {
+      return this.pendingRequests.get(cacheKey);
+    }
+
+    this._setFetching(cacheKey, true);
+
+    const request = this._send(fullURL, options)
+      .then((result) => {
+        if (cacheOptions && result.ok) {
+          this.cache.set(cacheKey, {
+            data: result,
+            timestamp: Date.now(),
+            ...cacheOptions,
+            stale: false
+          });
+        }
+
+        if (result.ok && options.invalidates) {
+          this.invalidate(options.invalidates);
+        }
+
+        this.queries.forEach((query) => {
+          if (query.key !== cacheKey || !result.ok) return;
+          try {
+            query.receive(result);
+          } catch (error) {
+            console.error(`[ForgeFetch] Query ${query.signalName} update error:`, error);
+          }
+        });
+
+        return result;
+      })
+      .finally(() => {
+        if (this.pendingRequests.get(cacheKey) === request) {
+          this.pendingRequests.delete(cacheKey);
+        }
+        this._setFetching(cacheKey, false);
+      });
+
+    if (dedupe) {
+      this.pendingRequests.set(cacheKey, request);
+    }
+
+    return request;
+  }
+
+  /**
+   * One network request with interceptors and retries
+   */
+  async _send(fullURL, options) {
+    // ForgeFetch-only options never reach the native fetch() init
+    const init = Object.fromEntries(
+      Object.entries(options).filter(([key]) => !CLIENT_OPTIONS.has(key))
+    );
+
     // Build config
     let config = {
       method: options.method || 'GET',
+      url: fullURL,
+      ...init,
       headers: {
         'Content-Type': 'application/json',
         ...this.defaultHeaders,
         ...options.headers
-      },
-      url: fullURL,
-      ...options
+      }
     };
 
     // Apply request interceptors
@@ -127,14 +217,6 @@ export class ForgeFetch {
           finalResult.config = config;
         }
 
-        // Cache if requested
-        if (options.cache && result.ok) {
-          this.cache.set(cacheKey, {
-            data: finalResult,
-            timestamp: Date.now()
-          });
-        }
-
         if (options.cancelToken) {
           this.cancelTokens.delete(options.cancelToken);
         }
@@ -214,47 +296,78 @@ export class ForgeFetch {
   }
 
   /**
-   * Reactive GET - auto-updates signal
+   * Reactive GET - auto-updates signal.
+   * Query state goes to `${signalName}.isFetching`, `.isStale` and `.error` signals.
+   * Options: interval, transform, onError, cache, tags, headers, refetchOnFocus,
+   * refetchOnReconnect (both default true). Returns a cleanup function.
    */
   reactiveGet(url, signalName, options = {}) {
     const {
       interval,
       transform,
       onError,
-      cache
+      cache,
+      tags,
+      headers
     } = options;
 
-    const fetchData = async () => {
+    const query = this._registerQuery(url, signalName, options, (response) => {
+      const data = transform ? transform(response.data) : response.data;
+      this.script.set(signalName, data);
+    });
+
+    query.refetch = async () => {
       try {
-        const response = await this.get(url, { cache });
-        const data = transform ? transform(response.data) : response.data;
-        this.script.set(signalName, data);
+        const response = await this.get(url, { cache, tags, ...(headers ? { headers } : {}) });
+        query.receive(response);
       } catch (error) {
+        query.fail(error);
         if (onError) onError(error);
         console.error('[ForgeFetch] Reactive GET error:', error);
       }
     };
 
-    fetchData();
+    query.refetch();
 
-    if (interval) {
-      const intervalId = setInterval(fetchData, interval);
-      return () => clearInterval(intervalId);
-    }
+    const intervalId = interval ? setInterval(query.refetch, interval) : null;
 
-    return () => {};
+    return () => {
+      if (intervalId) clearInterval(intervalId);
+      this._unregisterQuery(query);
+    };
   }
 
   /**
-   * Reactive resource with optimistic updates
+   * Reactive resource with optimistic updates.
+   * fetch() tracks query state like reactiveGet; successful mutations invalidate
+   * options.tags (default: [baseURL]) so other queries on the same data refetch.
    */
   resource(signalName, baseURL, options = {}) {
-    return {
-      fetch: async () => {
-        const response = await this.get(baseURL, options);
-        this.script.set(signalName, response.data);
+    const { tags: resourceTags, ...requestOptions } = options;
+    const tags = resourceTags || [baseURL];
+
+    const query = this._registerQuery(baseURL, signalName, { ...options, tags }, (response) => {
+      this.script.set(signalName, response.data);
+    });
+
+    const invalidateOthers = (response) => {
+      if (response.ok) this.invalidate(tags, { except: query });
+      return response;
+    };
+
+    query.refetch = async () => {
+      try {
+        const response = await this.get(baseURL, { ...requestOptions, tags });
+        query.receive(response);
         return response;
-      },
+      } catch (error) {
+        query.fail(error);
+        throw error;
+      }
+    };
+
+    return {
+      fetch: () => query.refetch(),
 
       create: async (item, optimistic = true) => {
         if (optimistic) {
@@ -262,10 +375,10 @@ export class ForgeFetch {
           const current = this.script.get(signalName) || [];
           const tempItem = { ...item, _optimistic: true, _tempId: Date.now() };
           this.script.set(signalName, [...current, tempItem]);
-          return await this._finalizeCreate({ baseURL, item, options, signalName, optimistic, tempItem });
+          return invalidateOthers(await this._finalizeCreate({ baseURL, item, options: requestOptions, signalName, optimistic, tempItem }));
         }
 
-        return this._finalizeCreate({ baseURL, item, options, signalName, optimistic, tempItem: null });
+        return invalidateOthers(await this._finalizeCreate({ baseURL, item, options: requestOptions, signalName, optimistic, tempItem: null }));
       },
 
       update: async (id, data, optimistic = true) => {
@@ -279,10 +392,10 @@ export class ForgeFetch {
         }
 
         try {
-          const response = await this.put(`${baseURL}/${id}`, data, options);
+          const response = await this.put(`${baseURL}/${id}`, data, requestOptions);
           const updated = current.map(i => i.id === id ? response.data : i);
           this.script.set(signalName, updated);
-          return response;
+          return invalidateOthers(response);
         } catch (error) {
           if (optimistic && oldItem) {
             // Rollback
@@ -303,7 +416,7 @@ export class ForgeFetch {
         }
 
         try {
-          await this.fetch(`${baseURL}/${id}`, { ...options, method: 'DELETE' });
+          invalidateOthers(await this.fetch(`${baseURL}/${id}`, { ...requestOptions, method: 'DELETE' }));
         } catch (error) {
           if (optimistic && item) {
             // Rollback
@@ -311,16 +424,77 @@ export class ForgeFetch {
           }
           throw error;
         }
-      }
+      },
+
+      /**
+       * Stop refetching on invalidation, focus and reconnect
+       */
+      dispose: () => this._unregisterQuery(query)
     };
   }
 
+  /**
+   * Mark cached entries carrying any of the tags stale and refetch the queries
+   * tagged with them. options: { refetch: false } only marks entries stale.
+   * Returns the number of cache entries marked.
+   */
+  invalidate(tags, options = {}) {
+    const list = [].concat(tags);
+    const matches = (entryTags) => entryTags.some(tag => list.includes(tag));
+    let count = 0;
+
+    this.cache.forEach((entry) => {
+      if (matches(entry.tags)) {
+        entry.stale = true;
+        count++;
+      }
+    });
+
+    this.queries.forEach((query) => {
+      if (query === options.except || !matches(query.tags)) return;
+
+      query.setState('isStale', true);
+      if (options.refetch !== false && query.fetchedAt) query.refetch();
+    });
+
+    return count;
+  }
+
+  /**
+   * Refetch live queries after the window regains focus ('focus') or the
+   * network comes back ('reconnect', called by NetHub). Focus only refetches
+   * queries whose data is older than their cache ttl.
+   */
+  refetchActive(reason = 'reconnect') {
+    if (this.script.signals.has('net.status') && this.script.get('net.status') === 'offline') return;
+
+    this.queries.forEach((query) => {
+      // Never loaded (e.g. the first fetch failed offline) or failed last time: always retry
+      const failed = !query.fetchedAt || query.error !== null;
+
+      if (reason === 'focus') {
+        if (!query.refetchOnFocus) return;
+        if (failed) {
+          query.refetch();
+          return;
+        }
+        const entry = this.cache.get(query.key);
+        const fresh = entry ? !entry.stale && Date.now() - entry.timestamp < entry.ttl : Date.now() - query.fetchedAt < query.ttl;
+        if (fresh) return;
+      } else if (!query.refetchOnReconnect) {
+        return;
+      }
+
+      query.refetch();
+    });
+  }
+
   /**
    * Clear cache
    */
   clearCache(url = null, options = {}) {
     if (url) {
-      const fullURL = url.startsWith('http') ? url : `${this.baseURL}${url}`;
+      const fullURL = this._fullURL(url);
       const key = this._composeCacheKey(fullURL, options);
       this.cache.delete(key);
     } else {
@@ -334,10 +508,118 @@ export class ForgeFetch {
   getCacheStats() {
     return {
       size: this.cache.size,
-      keys: Array.from(this.cache.keys())
+      keys: Array.from(this.cache.keys()),
+      stale: Array.from(this.cache.values()).filter(entry => entry.stale).length,
+      inFlight: this.pendingRequests.size,
+      queries: this.queries.size
+    };
+  }
+
+  /**
+   * Track a signal fed by GETs of url: state signals, tags and refetch triggers.
+   * The caller sets query.refetch.
+   */
+  _registerQuery(url, signalName, options, apply) {
+    const cacheOptions = this._cacheOptions(options);
+    const fullURL = this._fullURL(url);
+    const self = this;
+    const query = {
+      // Read on use: default headers may change after the query is registered
+      get key() {
+        return self._composeCacheKey(fullURL, { method: 'GET', headers: options.headers });
+      },
+      signalName,
+      tags: [].concat(options.tags || []),
+      ttl: cacheOptions ? cacheOptions.ttl : 0,
+      refetchOnFocus: options.refetchOnFocus !== false,
+      refetchOnReconnect: options.refetchOnReconnect !== false,
+      fetchedAt: 0,
+      error: null,
+      lastResponse: null,
+      refetch: async () => {},
+      setState: (name, value) => {
+        const stateSignal = `${signalName}.${name}`;
+        if (this.script.get(stateSignal) !== value) this.script.set(stateSignal, value);
+      },
+      // Called by the request itself and by whoever awaited it: apply once
+      receive: (response) => {
+        if (response === query.lastResponse) return;
+        query.lastResponse = response;
+        apply(response);
+        query.fetchedAt = Date.now();
+        query.error = null;
+        query.setState('isStale', Boolean(response.stale));
+        query.setState('error', null);
+      },
+      fail: (error) => {
+        query.error = error;
+        query.setState('error', error.message || String(error));
+      }
+    };
+
+    [['isFetching', this.pendingRequests.has(query.key)], ['isStale', false], ['error', null]].forEach(([name, value]) => {
+      const stateSignal = `${signalName}.${name}`;
+      if (!this.script.signals.has(stateSignal)) this.script.signal(stateSignal, value);
+    });
+
+    this.queries.add(query);
+    this._listenForFocus();
+    return query;
+  }
+
+  _unregisterQuery(query) {
+    this.queries.delete(query);
+
+    if (this.queries.size === 0 && this._focusCleanup) {
+      this._focusCleanup();
+      this._focusCleanup = null;
+    }
+  }
+
+  /**
+   * Refetch stale queries when the tab becomes visible again
+   */
+  _listenForFocus() {
+    if (this._focusCleanup || typeof window === 'undefined' || !window.addEventListener) return;
+
+    const onFocus = () => this.refetchActive('focus');
+    const onVisibility = () => {
+      if (document.visibilityState === 'visible') onFocus();
+    };
+
+    window.addEventListener('focus', onFocus);
+    document.addEventListener('visibilitychange', onVisibility);
+
+    this._focusCleanup = () => {
+      window.removeEventListener('focus', onFocus);
+      document.removeEventListener('visibilitychange', onVisibility);
     };
   }
 
+  _setFetching(key, fetching) {
+    this.queries.forEach((query) => {
+      if (query.key === key) query.setState('isFetching', fetching);
+    });
+  }
+
+  /**
+   * { ttl, staleWhileRevalidate, tags } when options.cache is set, else null
+   */
+  _cacheOptions(options = {}) {
+    if (!options.cache) return null;
+
+    const cache = options.cache === true ? {} : options.cache;
+    return {
+      ttl: cache.ttl || DEFAULT_CACHE_TTL,
+      staleWhileRevalidate: cache.staleWhileRevalidate ?? options.staleWhileRevalidate ?? 0,
+      tags: [...(cache.tags || []), ...(options.tags || [])]
+    };
+  }
+
+  _fullURL(url) {
+    return url.startsWith('http') ? url : `${this.baseURL}${url}`;
+  }
+
   async _finalizeCreate({ baseURL, options, signalName, optimistic, tempItem, item }) {
     try {
       const response = await this.post(baseURL, item, options);
@@ -366,8 +648,33 @@ export class ForgeFetch {
     const method = (options.method || 'GET').toUpperCase();
     const rawBody = options.body ?? '';
     const body = typeof rawBody === 'string' ? rawBody : JSON.stringify(rawBody);
-    return `${method}:${url}:${body}`;
+    return `${method}:${url}:${body}${this._headersKey(options.headers)}`;
+  }
+
+  /**
+   * Requests with different headers (Authorization, Accept-Language...) must not
+   * share a response. Hashed so tokens do not show up in cache keys.
+   */
+  _headersKey(headers = {}) {
+    const merged = {};
+    Object.entries({ ...this.defaultHeaders, ...headers }).forEach(([name, value]) => {
+      if (value !== undefined && value !== null) merged[name.toLowerCase()] = String(value);
+    });
+
+    const names = Object.keys(merged).sort();
+    if (names.length === 0) return '';
+    return `:h${hashString(names.map((name) => `${name}=${merged[name]}`).join('\n'))}`;
+  }
+}
+
+// FNV-1a, enough to tell header sets apart
+function hashString(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
   }
+  return (hash >>> 0).toString(36);
 }
 
 export function createForgeFetch(scriptInstance) {
@@ -0,0 +1,117 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+
+import { ScrollScriptCore } from './core.js';
+import { ForgeFetch } from './forge-fetch.js';
+
+const hits = {};
+let todos = ['write tests'];
+
+let server;
+let base;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    hits[req.url] = (hits[req.url] || 0) + 1;
+    const reply = (data) => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(data));
+    };
+
+    if (req.url === '/todos' && req.method === 'POST') {
+      todos = [...todos, 'added'];
+      reply({ ok: true });
+    } else if (req.url === '/todos') {
+      reply(todos);
+    } else if (req.url === '/slow') {
+      setTimeout(() => reply({ n: hits['/slow'] }), 20);
+    } else {
+      reply({ n: hits[req.url], auth: req.headers.authorization || null });
+    }
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+beforeEach(() => {
+  Object.keys(hits).forEach((key) => delete hits[key]);
+  todos = ['write tests'];
+});
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function client() {
+  return new ForgeFetch(new ScrollScriptCore()).setBaseURL(base);
+}
+
+test('identical GETs in flight share one request', async () => {
+  const api = client();
+
+  const [first, second] = await Promise.all([api.get('/slow'), api.get('/slow')]);
+
+  assert.equal(hits['/slow'], 1);
+  assert.equal(first, second);
+  assert.equal(api.pendingRequests.size, 0);
+});
+
+test('requests with different headers are not shared', async () => {
+  const api = client();
+
+  const [alice, bob] = await Promise.all([
+    api.get('/me', { headers: { Authorization: 'alice' }, cache: { ttl: 1000 } }),
+    api.get('/me', { headers: { Authorization: 'bob' }, cache: { ttl: 1000 } }),
+  ]);
+
+  assert.equal(hits['/me'], 2);
+  assert.equal(alice.data.auth, 'alice');
+  assert.equal(bob.data.auth, 'bob');
+});
+
+test('cached responses are served within ttl, then stale while revalidating', async () => {
+  const api = client();
+  const cache = { ttl: 20, staleWhileRevalidate: 1000 };
+
+  const first = await api.get('/count', { cache });
+  const cached = await api.get('/count', { cache });
+  assert.equal(cached, first);
+  assert.equal(hits['/count'], 1);
+
+  await wait(30);
+  const stale = await api.get('/count', { cache });
+  assert.equal(stale.stale, true);
+  assert.equal(stale.data.n, 1);
+
+  await wait(20);
+  const fresh = await api.get('/count', { cache });
+  assert.equal(hits['/count'], 2);
+  assert.equal(fresh.data.n, 2);
+  assert.equal(fresh.stale, undefined);
+});
+
+test('invalidate() marks tagged entries stale and refetches tagged queries', async () => {
+  const script = new ScrollScriptCore();
+  script.signal('todos', []);
+  const api = new ForgeFetch(script).setBaseURL(base);
+  const stop = api.reactiveGet('/todos', 'todos', { cache: { ttl: 60000 }, tags: ['todos'] });
+  await wait(20);
+  assert.deepEqual(script.get('todos'), ['write tests']);
+
+  await api.post('/todos', { title: 'added' }, { invalidates: ['todos'] });
+  await wait(20);
+
+  assert.equal(hits['/todos'], 3);
+  assert.deepEqual(script.get('todos'), ['write tests', 'added']);
+  assert.equal(script.get('todos.isStale'), false);
+  assert.equal(script.get('todos.isFetching'), false);
+
+  assert.equal(api.invalidate('todos', { refetch: false }), 1);
+  assert.equal(script.get('todos.isStale'), true);
+  stop();
+  assert.equal(api.queries.size, 0);
+});
@@ -7,17 +7,65 @@
  */
 
 export { ScrollScriptCore } from './core.js';
+export { ScrollScriptNamespace } from './namespace.js';
+export { HistoryTree } from './time-travel.js';
 export { ScrollScriptClient } from './client.js';
 export { ScrollScriptServer } from './server.js';
 export { ScrollScriptServerAdvanced } from './server-advanced.js';
 export { ScrollScriptServerUltimate } from './server-ultimate.js';
 export { ForgeFetch, createForgeFetch } from './forge-fetch.js';
 export { Router, createRouter } from './router.js';
+export {
+  AuthError,
+  signJWT,
+  verifyJWT,
+  bearer,
+  jwt,
+  apiKey,
+  basic,
+  authenticate,
+  authorize,
+  hasAccess,
+} from './auth.js';
+export {
+  MemorySessionStore,
+  FileSessionStore,
+  createSessionMiddleware,
+  signCookieValue,
+  unsignCookieValue,
+} from './session.js';
+export { parseBody, parseMultipart, BodyParseError, cleanupFiles } from './body-parser.js';
+export { enhanceResponse, isResponding, negotiate, mimeType } from './response.js';
+export { createStaticHandler, resolveSafePath } from './static.js';
+export { SSEHub, createSSEHub } from './sse.js';
+export { SSETransport, openTransport } from './transport.js';
+export {
+  PubSubAdapter,
+  InProcessAdapter,
+  createInProcessBus,
+  ClusterAdapter,
+  setupClusterPrimary,
+  PubSubBroker,
+  createBroker,
+  BrokerAdapter,
+} from './pubsub.js';
+export { RPCServer, createRPCServer } from './rpc.js';
+export { RPCClient, RPCError, createRPCClient } from './rpc-client.js';
+export { schema, Schema, ValidationError, toSchema, isSchema, validateRequest } from './schema.js';
 export { Channel, ChannelManager } from './channels.js';
 export { MiddlewareLanes } from './middleware-lanes.js';
 export { ActionPipeline, pipeline } from './action-pipelines.js';
 export { NetHub, createNetHub } from './net-hub.js';
 export { CollaborationLoop, createCollaborationLoop } from './collaboration.js';
+export {
+  createCRDT,
+  LWWRegister,
+  GCounter,
+  PNCounter,
+  ORSet,
+  RGAList,
+  TextCRDT,
+} from './crdt.js';
 export { DevTools, createDevTools } from './dev-tools.js';
 
 // Auto-detect environment and export appropriate runtime
@@ -3,6 +3,8 @@
  * Before/after hooks, error boundaries, priority queues
  */
 
+import { isResponding } from './response.js';
+
 export class MiddlewareLanes {
   constructor() {
     this.before = [];
@@ -53,7 +55,7 @@ export class MiddlewareLanes {
     for (const { name, middleware } of this.before) {
       try {
         const result = await middleware(req, res);
-        if (res.headersSent || result === false) {
+        if (isResponding(res) || result === false) {
           return false;
         }
       } catch (error) {
@@ -74,7 +76,7 @@ export class MiddlewareLanes {
     for (const mw of middleware) {
       try {
         const result = await mw(req, res);
-        if (res.headersSent || result === false) {
+        if (isResponding(res) || result === false) {
           return false;
         }
       } catch (error) {
@@ -104,20 +106,20 @@ export class MiddlewareLanes {
   async handleError(error, req, res, phase, name) {
     console.error(`[${phase}:${name}] Error:`, error);
 
-    if (res.headersSent) return;
+    if (isResponding(res)) return;
 
     // Try error handlers
     for (const handler of this.errorHandlers) {
       try {
         const handled = await handler(error, req, res);
-        if (handled || res.headersSent) return;
+        if (handled || isResponding(res)) return;
       } catch (handlerError) {
         console.error('[Error Handler] Failed:', handlerError);
       }
     }
 
     // Default error response
-    if (!res.headersSent) {
+    if (!isResponding(res)) {
       res.writeHead(500, { 'Content-Type': 'application/json' });
       res.end(JSON.stringify({
         error: 'Internal Server Error',
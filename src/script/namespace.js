@@ -0,0 +1,73 @@
+/**
+ * ScrollScript Namespaces
+ * Scoped views over a single ScrollScriptCore
+ *
+ * script.namespace('cart').signal('loading', false) lives at 'cart:loading',
+ * so two features can both own a `loading` signal without colliding.
+ */
+
+export const SCOPE_SEPARATOR = ':';
+
+/**
+ * Build the store key for a signal in a scope ('global' keeps the bare name)
+ */
+export function qualifySignalName(name, scope = 'global') {
+  if (!scope || scope === 'global') return name;
+  return `${scope}${SCOPE_SEPARATOR}${name}`;
+}
+
+export class ScrollScriptNamespace {
+  constructor(core, scope) {
+    this.core = core;
+    this.scope = scope;
+  }
+
+  /**
+   * Store key for a local signal name
+   */
+  key(name) {
+    return qualifySignalName(name, this.scope);
+  }
+
+  signal(name, initialValue) {
+    return this.core.signal(name, initialValue, this.scope);
+  }
+
+  derived(name, computeFn, dependencies = null) {
+    const scoped = Array.isArray(dependencies)
+      ? dependencies.map((dep) => this.key(dep))
+      : dependencies;
+    return this.core.derived(name, computeFn, scoped, this.scope);
+  }
+
+  get(name) {
+    return this.core._readSignal(this.key(name));
+  }
+
+  set(name, value) {
+    return this.core.set(this.key(name), value);
+  }
+
+  watch(name, listener) {
+    return this.core.watch(this.key(name), listener);
+  }
+
+  /**
+   * Register a handler that only runs for actions triggered in this scope
+   */
+  action(type, handler, options = {}) {
+    return this.core.action(type, handler, { ...options, scope: this.scope });
+  }
+
+  trigger(type, payload = null) {
+    return this.core.trigger(type, payload, this.scope);
+  }
+
+  getAllSignals() {
+    return this.core.getAllSignals(this.scope);
+  }
+
+  reset() {
+    return this.core.reset(this.scope);
+  }
+}
@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ScrollScriptCore } from './core.js';
+import { qualifySignalName } from './namespace.js';
+
+const settle = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+test('signals with the same name live apart in each scope', () => {
+  const script = new ScrollScriptCore();
+  const cart = script.namespace('cart');
+  const user = script.namespace('user');
+
+  cart.signal('loading', true);
+  user.signal('loading', false);
+
+  assert.equal(cart.get('loading'), true);
+  assert.equal(user.get('loading'), false);
+  assert.equal(script.get('cart:loading'), true);
+  assert.equal(qualifySignalName('loading', 'global'), 'loading');
+  assert.deepEqual([...cart.getAllSignals().keys()], ['loading']);
+});
+
+test('namespaced derived signals resolve dependencies in their scope', () => {
+  const script = new ScrollScriptCore();
+  const cart = script.namespace('cart');
+  cart.signal('items', [1, 2]);
+  cart.derived('count', () => cart.get('items').length);
+
+  cart.set('items', [1, 2, 3]);
+
+  assert.equal(cart.get('count'), 3);
+});
+
+test('scoped triggers reach handlers of that scope and global ones only', async () => {
+  const script = new ScrollScriptCore();
+  const calls = [];
+  script.namespace('cart').action('SAVE', () => calls.push('cart'));
+  script.namespace('user').action('SAVE', () => calls.push('user'));
+  script.action('SAVE', () => calls.push('global'));
+
+  script.namespace('cart').trigger('SAVE');
+  await settle();
+
+  assert.deepEqual(calls, ['cart', 'global']);
+});
+
+test('actions triggered from a handler inherit its scope', async () => {
+  const script = new ScrollScriptCore();
+  const cart = script.namespace('cart');
+  const calls = [];
+  cart.action('CHECKOUT', () => script.trigger('CLEAR'));
+  cart.action('CLEAR', () => calls.push('cart'));
+  script.namespace('user').action('CLEAR', () => calls.push('user'));
+
+  cart.trigger('CHECKOUT');
+  await settle();
+
+  assert.deepEqual(calls, ['cart']);
+});
+
+test('reset(scope) removes the scope signals, handlers and action status', async () => {
+  const script = new ScrollScriptCore();
+  const cart = script.namespace('cart');
+  script.signal('theme', 'dark');
+  cart.signal('items', []);
+  cart.action('SAVE', async () => {
+    throw new Error('offline');
+  });
+
+  const error = console.error;
+  console.error = () => {};
+  try {
+    cart.trigger('SAVE');
+    await settle();
+  } finally {
+    console.error = error;
+  }
+  assert.equal(script.get('cart:SAVE:error').message, 'offline');
+
+  cart.reset();
+
+  assert.deepEqual([...script.signals.keys()], ['theme']);
+  assert.equal(script.pipelines.has('SAVE'), false);
+});
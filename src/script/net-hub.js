@@ -3,6 +3,8 @@
  * Centralized network signals and auto wire-up
  */
 
+import { CONNECTION_STATE_SIGNAL, bindConnectionState } from './transport.js';
+
 export class NetHub {
   constructor(scriptInstance, forgeFetch) {
     this.script = scriptInstance;
@@ -15,6 +17,7 @@ export class NetHub {
     this.script.signal('net.errors', []);
     this.script.signal('net.loading', false);
     this.script.signal('net.progress', 0);
+    this.script.signal(CONNECTION_STATE_SIGNAL, 'idle'); // realtime transport, see trackConnection()
     
     this._setupNetworkMonitoring();
     this._setupFetchIntegration();
@@ -30,6 +33,7 @@ export class NetHub {
     window.addEventListener('online', () => {
       this.script.set('net.status', 'online');
       this.script.trigger('NET_ONLINE');
+      this.fetch.refetchActive('reconnect');
     });
 
     window.addEventListener('offline', () => {
@@ -168,6 +172,14 @@ export class NetHub {
     };
   }
 
+  /**
+   * Mirror a realtime transport's state ('connecting', 'open', 'reconnecting',
+   * 'closed') into net.connectionState
+   */
+  trackConnection(transport) {
+    return bindConnectionState(this.script, transport);
+  }
+
   /**
    * Get network status
    */
@@ -176,6 +188,7 @@ export class NetHub {
       online: this.script.get('net.status') === 'online',
       loading: this.script.get('net.loading'),
       latency: this.script.get('net.latency'),
+      connection: this.script.get(CONNECTION_STATE_SIGNAL),
       activeRequests: this.script.get('net.requests').length,
       errorCount: this.script.get('net.errors').length
     };
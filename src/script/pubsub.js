@@ -0,0 +1,400 @@
+/**
+ * Pub/Sub Adapters
+ * Fan channel broadcasts, presence and signal syncs out across server instances
+ *
+ * An adapter connects one instance (node) to the others:
+ *   nodeId                     unique id of this instance
+ *   connect()                  optional, resolves once messages can flow
+ *   publish(topic, payload)    deliver a JSON-safe payload to every *other* node
+ *   subscribe(topic, handler)  handler(payload) for messages from other nodes; returns unsubscribe
+ *   close()                    leave the cluster
+ *
+ * When a node goes away, the others get { kind: 'node-down', nodeId } on NODE_TOPIC
+ * (from the broker, the cluster primary, or the node itself on close()). A node
+ * whose link came back gets { kind: 'reconnected', nodeId } locally, so it can
+ * announce its state again.
+ *
+ *   // one broker process (or thread) per deployment, no external services
+ *   await createBroker({ port: 7100 }).listen();
+ *   app.useAdapter(new BrokerAdapter({ port: 7100 }));
+ */
+
+import cluster from 'cluster';
+import crypto from 'crypto';
+import net from 'net';
+
+export const NODE_TOPIC = 'scrollforge:nodes';
+export const CHANNEL_TOPIC = 'scrollforge:channels';
+export const SIGNAL_TOPIC = 'scrollforge:signals';
+
+const IPC_MARKER = '__scrollforgePubSub';
+
+export class PubSubAdapter {
+  constructor(options = {}) {
+    this.nodeId = options.nodeId || `${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+    this.handlers = new Map(); // topic -> Set of handlers
+  }
+
+  async connect() {}
+
+  publish() {
+    throw new Error('[PubSub] publish() is not implemented');
+  }
+
+  subscribe(topic, handler) {
+    if (!this.handlers.has(topic)) {
+      this.handlers.set(topic, new Set());
+    }
+    this.handlers.get(topic).add(handler);
+    return () => this.handlers.get(topic)?.delete(handler);
+  }
+
+  async close() {
+    this.handlers.clear();
+  }
+
+  /**
+   * Hand a message from another node to the local subscribers
+   */
+  _dispatch(topic, payload) {
+    const handlers = this.handlers.get(topic);
+    if (!handlers) return;
+
+    handlers.forEach((handler) => {
+      try {
+        handler(payload);
+      } catch (error) {
+        console.error(`[PubSub] Handler error on ${topic}:`, error);
+      }
+    });
+  }
+}
+
+/**
+ * Several instances in one process (tests, multi-tenant servers).
+ * Adapters sharing a bus see each other's messages.
+ */
+export class InProcessAdapter extends PubSubAdapter {
+  constructor(bus = createInProcessBus(), options = {}) {
+    super(options);
+    this.bus = bus;
+    this.bus.add(this);
+  }
+
+  publish(topic, payload) {
+    // Serialize like a real transport would, and deliver asynchronously
+    const data = JSON.stringify(payload);
+    this.bus.forEach((adapter) => {
+      if (adapter !== this) {
+        queueMicrotask(() => adapter._dispatch(topic, JSON.parse(data)));
+      }
+    });
+  }
+
+  async close() {
+    this.bus.delete(this);
+    this.bus.forEach((adapter) => {
+      queueMicrotask(() => adapter._dispatch(NODE_TOPIC, { kind: 'node-down', nodeId: this.nodeId }));
+    });
+    await super.close();
+  }
+}
+
+export function createInProcessBus() {
+  return new Set();
+}
+
+/**
+ * node:cluster workers, relayed by the primary over IPC.
+ * Call setupClusterPrimary() once in the primary process.
+ */
+export class ClusterAdapter extends PubSubAdapter {
+  constructor(options = {}) {
+    if (!cluster.isWorker) {
+      throw new Error('[PubSub] ClusterAdapter runs in cluster workers; call setupClusterPrimary() in the primary');
+    }
+
+    super({ nodeId: `worker-${cluster.worker.id}`, ...options });
+
+    this._onMessage = (message) => {
+      if (message && message[IPC_MARKER]) {
+        this._dispatch(message.topic, message.payload);
+      }
+    };
+    process.on('message', this._onMessage);
+  }
+
+  publish(topic, payload) {
+    process.send({ [IPC_MARKER]: true, topic, payload });
+  }
+
+  async close() {
+    process.off('message', this._onMessage);
+    await super.close();
+  }
+}
+
+/**
+ * Primary side of ClusterAdapter: forwards each worker's messages to the other
+ * workers and announces workers that exit. Returns a function that stops relaying.
+ */
+export function setupClusterPrimary() {
+  if (!cluster.isPrimary) {
+    throw new Error('[PubSub] setupClusterPrimary() must run in the primary process');
+  }
+
+  const sendToOthers = (sender, message) => {
+    Object.values(cluster.workers || {}).forEach((worker) => {
+      if (worker && worker !== sender && worker.isConnected()) {
+        worker.send(message);
+      }
+    });
+  };
+
+  const onMessage = (worker, message) => {
+    if (message && message[IPC_MARKER]) {
+      sendToOthers(worker, message);
+    }
+  };
+
+  const onExit = (worker) => {
+    sendToOthers(worker, {
+      [IPC_MARKER]: true,
+      topic: NODE_TOPIC,
+      payload: { kind: 'node-down', nodeId: `worker-${worker.id}` }
+    });
+  };
+
+  cluster.on('message', onMessage);
+  cluster.on('exit', onExit);
+
+  return () => {
+    cluster.off('message', onMessage);
+    cluster.off('exit', onExit);
+  };
+}
+
+/**
+ * Standalone broker over TCP or a Unix socket, speaking newline-delimited JSON:
+ *   { op: 'hello', nodeId } / { op: 'subscribe', topic } / { op: 'publish', topic, payload }
+ */
+export class PubSubBroker {
+  constructor(options = {}) {
+    this.options = options; // { port, host } or { path }
+    this.server = null;
+    this.peers = new Set(); // { socket, nodeId, topics }
+  }
+
+  listen() {
+    this.server = net.createServer((socket) => this._accept(socket));
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      const ready = () => {
+        this.server.off('error', reject);
+        resolve(this);
+      };
+
+      if (this.options.path) {
+        this.server.listen(this.options.path, ready);
+      } else {
+        this.server.listen(this.options.port || 0, this.options.host || '127.0.0.1', ready);
+      }
+    });
+  }
+
+  address() {
+    return this.server ? this.server.address() : null;
+  }
+
+  async close() {
+    this.peers.forEach((peer) => peer.socket.destroy());
+    this.peers.clear();
+    if (this.server) {
+      await new Promise((resolve) => this.server.close(resolve));
+      this.server = null;
+    }
+  }
+
+  _accept(socket) {
+    const peer = { socket, nodeId: null, topics: new Set() };
+    this.peers.add(peer);
+    socket.setNoDelay(true);
+
+    readLines(socket, (frame) => {
+      if (frame.op === 'hello') {
+        peer.nodeId = frame.nodeId;
+      } else if (frame.op === 'subscribe') {
+        peer.topics.add(frame.topic);
+      } else if (frame.op === 'unsubscribe') {
+        peer.topics.delete(frame.topic);
+      } else if (frame.op === 'publish') {
+        this._forward(peer, frame.topic, frame.payload);
+      }
+    });
+
+    socket.on('error', () => {});
+    socket.on('close', () => {
+      this.peers.delete(peer);
+      if (peer.nodeId) {
+        this._forward(peer, NODE_TOPIC, { kind: 'node-down', nodeId: peer.nodeId });
+      }
+    });
+  }
+
+  _forward(sender, topic, payload) {
+    const line = `${JSON.stringify({ op: 'message', topic, payload })}\n`;
+    this.peers.forEach((peer) => {
+      if (peer !== sender && peer.topics.has(topic) && !peer.socket.destroyed) {
+        peer.socket.write(line);
+      }
+    });
+  }
+}
+
+export function createBroker(options) {
+  return new PubSubBroker(options);
+}
+
+/**
+ * Client of a PubSubBroker. Reconnects with backoff and queues publishes
+ * while the broker is unreachable.
+ */
+export class BrokerAdapter extends PubSubAdapter {
+  constructor(options = {}) {
+    super(options);
+    this.options = { retryDelay: 500, maxRetryDelay: 10000, queueLimit: 10000, ...options };
+    this.socket = null;
+    this.connected = false;
+    this.queue = [];
+    this._closed = false;
+    this._attempts = 0;
+    this._timer = null;
+    this._ready = null;
+  }
+
+  connect() {
+    if (!this._ready) {
+      this._ready = new Promise((resolve) => {
+        this._onFirstConnect = resolve;
+      });
+      this._open();
+    }
+    return this._ready;
+  }
+
+  subscribe(topic, handler) {
+    const isNew = !this.handlers.has(topic);
+    const unsubscribe = super.subscribe(topic, handler);
+    if (isNew) this._write({ op: 'subscribe', topic });
+    return unsubscribe;
+  }
+
+  publish(topic, payload) {
+    this._write({ op: 'publish', topic, payload });
+  }
+
+  async close() {
+    this._closed = true;
+    clearTimeout(this._timer);
+    if (this.socket && !this.socket.destroyed) {
+      await new Promise((resolve) => this.socket.end(resolve));
+      this.socket = null;
+    }
+    await super.close();
+  }
+
+  _open() {
+    const { path, port, host = '127.0.0.1' } = this.options;
+    const socket = path ? net.connect(path) : net.connect(port, host);
+    this.socket = socket;
+    socket.setNoDelay(true);
+
+    socket.on('connect', () => {
+      this.connected = true;
+      this._attempts = 0;
+
+      // Introduce ourselves and restore subscriptions before anything queued
+      socket.write(`${JSON.stringify({ op: 'hello', nodeId: this.nodeId })}\n`);
+      this.handlers.forEach((_, topic) => {
+        socket.write(`${JSON.stringify({ op: 'subscribe', topic })}\n`);
+      });
+
+      const queued = this.queue;
+      this.queue = [];
+      queued.forEach((line) => socket.write(line));
+
+      if (this._onFirstConnect) {
+        this._onFirstConnect();
+        this._onFirstConnect = null;
+      } else {
+        // The broker told the others we were down
+        this._dispatch(NODE_TOPIC, { kind: 'reconnected', nodeId: this.nodeId });
+      }
+    });
+
+    readLines(socket, (frame) => {
+      if (frame.op === 'message') {
+        this._dispatch(frame.topic, frame.payload);
+      }
+    });
+
+    socket.on('error', (error) => {
+      if (this._attempts === 0) {
+        console.warn(`[PubSub] Broker connection error: ${error.message}`);
+      }
+    });
+
+    socket.on('close', () => {
+      this.connected = false;
+      if (this._closed) return;
+
+      const delay = Math.min(this.options.maxRetryDelay, this.options.retryDelay * 2 ** this._attempts);
+      this._attempts++;
+      this._timer = setTimeout(() => this._open(), delay);
+      if (this._timer.unref) this._timer.unref();
+    });
+  }
+
+  _write(frame) {
+    const line = `${JSON.stringify(frame)}\n`;
+
+    if (this.connected && this.socket) {
+      this.socket.write(line);
+      return;
+    }
+
+    // Subscriptions are replayed on connect; only publishes need queueing
+    if (frame.op !== 'publish') return;
+
+    this.queue.push(line);
+    if (this.queue.length > this.options.queueLimit) {
+      this.queue.shift();
+    }
+  }
+}
+
+/**
+ * Call onFrame(object) for each JSON line received on a socket
+ */
+function readLines(socket, onFrame) {
+  let buffered = '';
+
+  socket.setEncoding('utf8');
+  socket.on('data', (chunk) => {
+    buffered += chunk;
+
+    let index;
+    while ((index = buffered.indexOf('\n')) !== -1) {
+      const line = buffered.slice(0, index);
+      buffered = buffered.slice(index + 1);
+      if (!line) continue;
+
+      try {
+        onFrame(JSON.parse(line));
+      } catch (error) {
+        console.error('[PubSub] Malformed frame:', error.message);
+      }
+    }
+  });
+}
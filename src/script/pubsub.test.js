@@ -0,0 +1,112 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ChannelManager } from './channels.js';
+import { BrokerAdapter, createBroker, createInProcessBus, InProcessAdapter, NODE_TOPIC } from './pubsub.js';
+
+function fakeClient() {
+  const sent = [];
+  return { readyState: 1, sent, send: (data) => sent.push(JSON.parse(data)) };
+}
+
+const settle = () => new Promise((resolve) => setTimeout(resolve, 10));
+
+/**
+ * Wait until check() passes (the broker delivers over real sockets)
+ */
+async function eventually(check, attempts = 50) {
+  for (let attempt = 0; attempt < attempts; attempt++) {
+    if (check()) return;
+    await settle();
+  }
+  assert.fail('condition never became true');
+}
+
+async function twoInstances() {
+  const bus = createInProcessBus();
+  const first = new ChannelManager(null);
+  const second = new ChannelManager(null);
+  await first.useAdapter(new InProcessAdapter(bus, { nodeId: 'node-a' }));
+  await second.useAdapter(new InProcessAdapter(bus, { nodeId: 'node-b' }));
+  await settle();
+  return { first, second };
+}
+
+test('broadcasts reach clients on other instances with the sender stamp', async () => {
+  const { first, second } = await twoInstances();
+  const remote = fakeClient();
+  second.channel('chat').join(remote);
+  first.channel('chat');
+  await settle();
+
+  const sent = first.channel('chat').broadcast('MESSAGE', { text: 'hi' });
+  await settle();
+
+  const received = remote.sent.find((message) => message.type === 'MESSAGE');
+  assert.deepEqual(received.data, { text: 'hi' });
+  assert.equal(received.nodeId, 'node-a');
+  assert.equal(received.seq, sent.seq);
+});
+
+test('presence is aggregated across instances and dropped when one leaves', async () => {
+  const { first, second } = await twoInstances();
+  const local = fakeClient();
+  const remote = fakeClient();
+  first.channel('room').join(local, { name: 'ada' });
+  second.channel('room').join(remote, { name: 'bob' });
+  await settle();
+
+  assert.equal(first.channel('room').totalClients(), 2);
+  assert.deepEqual(first.channel('room').getPresence().map((entry) => entry.name).sort(), ['ada', 'bob']);
+
+  await second.detachAdapter();
+  await settle();
+
+  assert.equal(first.channel('room').totalClients(), 1);
+  assert.ok(local.sent.some((message) => message.type === 'PRESENCE_LEAVE'));
+});
+
+test('a late instance learns who is already connected', async () => {
+  const bus = createInProcessBus();
+  const first = new ChannelManager(null);
+  await first.useAdapter(new InProcessAdapter(bus, { nodeId: 'node-a' }));
+  first.channel('room').join(fakeClient(), { name: 'ada' });
+
+  const late = new ChannelManager(null);
+  await late.useAdapter(new InProcessAdapter(bus, { nodeId: 'node-c' }));
+  await settle();
+
+  assert.deepEqual(late.channel('room').getPresence().map((entry) => [entry.name, entry.nodeId]), [['ada', 'node-a']]);
+});
+
+test('the TCP broker relays publishes between adapters and reports nodes that drop', async () => {
+  const broker = await createBroker({ port: 0 }).listen();
+  const { port } = broker.address();
+  const alpha = new BrokerAdapter({ port, nodeId: 'alpha' });
+  const beta = new BrokerAdapter({ port, nodeId: 'beta' });
+  const seen = [];
+  const nodes = [];
+
+
+  try {
+    beta.subscribe('news', (payload) => seen.push(payload));
+    beta.subscribe(NODE_TOPIC, (payload) => nodes.push(payload));
+    await beta.connect();
+    await eventually(() => [...broker.peers].some((peer) => peer.topics.has(NODE_TOPIC)));
+
+    alpha.publish('news', { n: 1 }); // queued until connected
+    await alpha.connect();
+    alpha.publish('news', { n: 2 });
+
+    await eventually(() => seen.length === 2);
+    assert.deepEqual(seen, [{ n: 1 }, { n: 2 }]);
+
+    await alpha.close();
+    await eventually(() => nodes.length === 1);
+    assert.deepEqual(nodes, [{ kind: 'node-down', nodeId: 'alpha' }]);
+  } finally {
+    await alpha.close();
+    await beta.close();
+    await broker.close();
+  }
+});
@@ -0,0 +1,486 @@
+/**
+ * Response Toolkit
+ * Helpers installed on `res` by the servers: send/json/html/text, stream(),
+ * sendFile() with Range requests, weak ETags with 304s, Accept-Encoding
+ * compression (br/gzip/deflate) and Accept-based format() negotiation.
+ *
+ *   app.get('/report', (req, res) => res.format({
+ *     json: () => report,
+ *     html: () => renderReport(report),
+ *   }));
+ *
+ * Handlers may also just return a value; it is sent with res.send().
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import { extname, resolve, sep } from 'path';
+import { pipeline } from 'stream';
+import { promisify } from 'util';
+import zlib from 'zlib';
+
+export const DEFAULT_RESPONSE_OPTIONS = {
+  etag: true,
+  compression: {
+    threshold: 1024,
+    encodings: ['br', 'gzip', 'deflate'],
+  },
+};
+
+export const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.htm': 'text/html; charset=utf-8',
+  '.xhtml': 'application/xhtml+xml; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.cjs': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.map': 'application/json; charset=utf-8',
+  '.jsonld': 'application/ld+json; charset=utf-8',
+  '.webmanifest': 'application/manifest+json; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.md': 'text/markdown; charset=utf-8',
+  '.csv': 'text/csv; charset=utf-8',
+  '.yaml': 'text/yaml; charset=utf-8',
+  '.yml': 'text/yaml; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.apng': 'image/apng',
+  '.bmp': 'image/bmp',
+  '.tif': 'image/tiff',
+  '.tiff': 'image/tiff',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.otf': 'font/otf',
+  '.eot': 'application/vnd.ms-fontobject',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.ogv': 'video/ogg',
+  '.mov': 'video/quicktime',
+  '.mp3': 'audio/mpeg',
+  '.m4a': 'audio/mp4',
+  '.aac': 'audio/aac',
+  '.ogg': 'audio/ogg',
+  '.flac': 'audio/flac',
+  '.wav': 'audio/wav',
+  '.pdf': 'application/pdf',
+  '.zip': 'application/zip',
+  '.gz': 'application/gzip',
+  '.tar': 'application/x-tar',
+  '.wasm': 'application/wasm',
+};
+
+// Short names accepted by res.format() and res.send({ type })
+const FORMAT_TYPES = {
+  json: 'application/json',
+  html: 'text/html',
+  text: 'text/plain',
+  xml: 'application/xml',
+  csv: 'text/csv',
+};
+
+const COMPRESSORS = {
+  br: promisify(zlib.brotliCompress),
+  gzip: promisify(zlib.gzip),
+  deflate: promisify(zlib.deflate),
+};
+
+const STREAM_COMPRESSORS = {
+  br: () => zlib.createBrotliCompress(),
+  gzip: () => zlib.createGzip(),
+  deflate: () => zlib.createDeflate(),
+};
+
+export function mimeType(path) {
+  return MIME_TYPES[extname(path).toLowerCase()] || 'application/octet-stream';
+}
+
+export function isCompressible(type = '') {
+  return /^text\/|json|javascript|xml|svg|wasm/i.test(type);
+}
+
+/**
+ * Weak validator from the body bytes
+ */
+export function weakETag(payload) {
+  const hash = crypto.createHash('sha1').update(payload).digest('base64').slice(0, 27);
+  return `W/"${payload.length.toString(16)}-${hash}"`;
+}
+
+/**
+ * Does the request's If-None-Match already hold this ETag? (weak comparison)
+ */
+export function isFresh(req, etag) {
+  const header = req.headers['if-none-match'];
+  if (!header) return false;
+  if (header.trim() === '*') return true;
+
+  const strip = (tag) => tag.trim().replace(/^W\//, '');
+  return header.split(',').some((tag) => strip(tag) === strip(etag));
+}
+
+/**
+ * Parse an Accept-style header into [{ value, q }] sorted by preference
+ */
+export function parseAcceptHeader(header = '') {
+  return header
+    .split(',')
+    .map((entry, index) => {
+      const [value, ...params] = entry.trim().split(';');
+      const qParam = params.find((param) => param.trim().startsWith('q='));
+      const q = qParam ? parseFloat(qParam.trim().slice(2)) : 1;
+      return { value: value.trim().toLowerCase(), q: Number.isNaN(q) ? 0 : q, index };
+    })
+    .filter((entry) => entry.value && entry.q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index);
+}
+
+/**
+ * Best of `types` (MIME types) for an Accept header, or null
+ */
+export function negotiate(accept, types) {
+  if (!accept) return types[0] || null;
+
+  for (const { value } of parseAcceptHeader(accept)) {
+    const match = types.find((type) => {
+      if (value === '*/*') return true;
+      if (value.endsWith('/*')) return type.startsWith(value.slice(0, -1));
+      return type === value;
+    });
+    if (match) return match;
+  }
+
+  return null;
+}
+
+/**
+ * Compression the client accepts, in server preference order
+ */
+export function chooseEncoding(req, encodings = DEFAULT_RESPONSE_OPTIONS.compression.encodings) {
+  const accepted = parseAcceptHeader(req.headers['accept-encoding']);
+  const rejected = (req.headers['accept-encoding'] || '').split(',')
+    .filter((entry) => /;\s*q=0(\.0*)?\s*$/.test(entry))
+    .map((entry) => entry.split(';')[0].trim().toLowerCase());
+
+  return encodings.find((encoding) => !rejected.includes(encoding) &&
+    accepted.some(({ value }) => value === encoding || value === '*')) || null;
+}
+
+/**
+ * Install the toolkit on res (idempotent)
+ */
+export function enhanceResponse(req, res, options = {}) {
+  if (res._scrollforgeResponse) return res;
+
+  const settings = {
+    ...DEFAULT_RESPONSE_OPTIONS,
+    ...options,
+    compression: options.compression === false
+      ? false
+      : { ...DEFAULT_RESPONSE_OPTIONS.compression, ...options.compression },
+  };
+
+  Object.defineProperty(res, '_scrollforgeResponse', { value: settings });
+
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+
+  res.send = (body, sendOptions = {}) => send(req, res, body, sendOptions, settings);
+  res.json = (data, status) => send(req, res, data, { status, type: 'json' }, settings);
+  res.html = (content, status) => send(req, res, String(content), { status, type: 'html' }, settings);
+  res.text = (content, status) => send(req, res, String(content), { status, type: 'text' }, settings);
+  res.stream = (readable, streamOptions = {}) => sendStream(req, res, readable, streamOptions, settings);
+  res.sendFile = (path, fileOptions = {}) => sendFile(req, res, path, fileOptions, settings);
+  res.format = (handlers) => format(req, res, handlers);
+
+  return res;
+}
+
+/**
+ * Has a response begun? True as soon as send() is called, even while it is
+ * still compressing and no headers are out yet (handlers need not await it).
+ */
+export function isResponding(res) {
+  return Boolean(res.headersSent || res.writableEnded || res._scrollforgeResponding);
+}
+
+/**
+ * Send a value returned from a route handler, if nothing was sent yet
+ */
+export async function sendReturnValue(res, value) {
+  if (value === undefined || isResponding(res) || typeof res.send !== 'function') {
+    return;
+  }
+  await res.send(value);
+}
+
+async function send(req, res, body, { status, type } = {}, settings) {
+  res._scrollforgeResponding = true;
+  if (status) res.statusCode = status;
+
+  if (body === undefined || body === null) {
+    res.end();
+    return;
+  }
+
+  let contentType = resolveType(type);
+  let payload = body;
+
+  if (!Buffer.isBuffer(body) && typeof body === 'object') {
+    payload = JSON.stringify(body);
+    contentType = contentType || 'application/json; charset=utf-8';
+  }
+
+  if (typeof payload !== 'string' && !Buffer.isBuffer(payload)) {
+    payload = String(payload);
+  }
+
+  if (typeof payload === 'string') {
+    contentType = contentType || 'text/html; charset=utf-8';
+    payload = Buffer.from(payload);
+  }
+
+  if (!res.getHeader('Content-Type')) {
+    res.setHeader('Content-Type', contentType || 'application/octet-stream');
+  }
+
+  if (settings.etag && isCacheable(req, res)) {
+    const etag = res.getHeader('ETag') || weakETag(payload);
+    res.setHeader('ETag', etag);
+
+    if (isFresh(req, etag)) {
+      notModified(res);
+      return;
+    }
+  }
+
+  const encoding = pickEncoding(req, res, payload.length, settings);
+  if (encoding) {
+    payload = await COMPRESSORS[encoding](payload);
+    res.setHeader('Content-Encoding', encoding);
+  }
+
+  res.setHeader('Content-Length', payload.length);
+  res.end(req.method === 'HEAD' ? undefined : payload);
+}
+
+/**
+ * Pipe a readable stream (compressed when the client accepts it)
+ */
+function sendStream(req, res, readable, { status, type, length } = {}, settings) {
+  res._scrollforgeResponding = true;
+  if (status) res.statusCode = status;
+  if (!res.getHeader('Content-Type')) {
+    res.setHeader('Content-Type', resolveType(type) || 'application/octet-stream');
+  }
+
+  const encoding = pickEncoding(req, res, length ?? Infinity, settings);
+  if (encoding) {
+    res.setHeader('Content-Encoding', encoding);
+    res.removeHeader('Content-Length');
+  } else if (length !== undefined) {
+    res.setHeader('Content-Length', length);
+  }
+
+  if (req.method === 'HEAD') {
+    readable.destroy?.();
+    res.end();
+    return Promise.resolve();
+  }
+
+  const stages = encoding ? [readable, STREAM_COMPRESSORS[encoding](), res] : [readable, res];
+
+  return new Promise((resolvePipe, rejectPipe) => {
+    pipeline(...stages, (error) => {
+      if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+        if (!res.headersSent) {
+          res.statusCode = 500;
+          res.end();
+        }
+        rejectPipe(error);
+        return;
+      }
+      resolvePipe();
+    });
+  });
+}
+
+/**
+ * Send a file with Last-Modified/ETag validation and single byte-range support.
+ * Options: { root, maxAge (seconds), type, headers }. With root, paths are resolved
+ * inside it and anything escaping it is a 403.
+ */
+async function sendFile(req, res, path, options = {}, settings) {
+  res._scrollforgeResponding = true;
+  let filePath = path;
+
+  if (options.root) {
+    const root = resolve(options.root);
+    filePath = resolve(root, `.${sep}${path}`);
+    if (filePath !== root && !filePath.startsWith(root + sep)) {
+      return sendError(res, 403, 'Forbidden');
+    }
+  }
+
+  let stats;
+  try {
+    stats = await fs.promises.stat(filePath);
+  } catch (error) {
+    return sendError(res, 404, 'Not Found');
+  }
+
+  if (!stats.isFile()) {
+    return sendError(res, 404, 'Not Found');
+  }
+
+  const etag = `W/"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`;
+  const type = options.type ? resolveType(options.type) : mimeType(filePath);
+
+  res.setHeader('Content-Type', type);
+  res.setHeader('Accept-Ranges', 'bytes');
+  res.setHeader('Last-Modified', stats.mtime.toUTCString());
+  if (settings.etag) res.setHeader('ETag', etag);
+  res.setHeader('Cache-Control', options.maxAge ? `public, max-age=${options.maxAge}` : 'no-cache');
+  Object.entries(options.headers || {}).forEach(([name, value]) => res.setHeader(name, value));
+
+  const modifiedSince = Date.parse(req.headers['if-modified-since'] || '');
+  if ((settings.etag && isFresh(req, etag)) ||
+      (!req.headers['if-none-match'] && modifiedSince >= Math.floor(stats.mtimeMs / 1000) * 1000)) {
+    notModified(res);
+    return;
+  }
+
+  const range = parseRange(req.headers.range, stats.size);
+
+  if (range === 'unsatisfiable') {
+    res.setHeader('Content-Range', `bytes */${stats.size}`);
+    return sendError(res, 416, 'Range Not Satisfiable');
+  }
+
+  if (range) {
+    res.statusCode = 206;
+    res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${stats.size}`);
+    res.setHeader('Content-Length', range.end - range.start + 1);
+
+    if (req.method === 'HEAD') {
+      res.end();
+      return;
+    }
+
+    // Byte ranges refer to the identity encoding, so never compress them
+    return sendStream(req, res, fs.createReadStream(filePath, range), { length: range.end - range.start + 1 }, {
+      ...settings,
+      compression: false,
+    });
+  }
+
+  return sendStream(req, res, fs.createReadStream(filePath), { length: stats.size }, settings);
+}
+
+/**
+ * Call the handler for the best type the client accepts; its return value is sent.
+ * Keys are short names (json, html, text, xml, csv) or MIME types; `default` is the fallback.
+ */
+async function format(req, res, handlers) {
+  const entries = Object.keys(handlers)
+    .filter((key) => key !== 'default')
+    .map((key) => [resolveType(key).split(';')[0], key]);
+
+  const chosen = negotiate(req.headers.accept, entries.map(([type]) => type));
+  res.setHeader('Vary', appendVary(res.getHeader('Vary'), 'Accept'));
+
+  let key = chosen ? entries.find(([type]) => type === chosen)[1] : null;
+  if (!key) {
+    if (!handlers.default) {
+      return sendError(res, 406, 'Not Acceptable');
+    }
+    key = 'default';
+  }
+
+  const value = await handlers[key](req, res);
+  if (value === undefined || isResponding(res)) return;
+
+  return res.send(value, { type: key === 'default' ? undefined : key });
+}
+
+function pickEncoding(req, res, length, settings) {
+  const { compression } = settings;
+  if (!compression) return null;
+
+  const type = String(res.getHeader('Content-Type') || '');
+  if (!isCompressible(type) || res.getHeader('Content-Encoding')) return null;
+
+  res.setHeader('Vary', appendVary(res.getHeader('Vary'), 'Accept-Encoding'));
+
+  if (length < compression.threshold) return null;
+  return chooseEncoding(req, compression.encodings);
+}
+
+/**
+ * Single "bytes=start-end" range; multi-range requests get the full body
+ */
+function parseRange(header, size) {
+  if (!header || !header.startsWith('bytes=') || header.includes(',')) return null;
+
+  const [startText, endText] = header.slice(6).split('-');
+  let start;
+  let end;
+
+  if (startText === '') {
+    const suffix = parseInt(endText, 10);
+    if (Number.isNaN(suffix)) return null;
+    start = Math.max(size - suffix, 0);
+    end = size - 1;
+  } else {
+    start = parseInt(startText, 10);
+    end = endText ? Math.min(parseInt(endText, 10), size - 1) : size - 1;
+  }
+
+  if (Number.isNaN(start) || Number.isNaN(end) || start > end || start >= size) {
+    return 'unsatisfiable';
+  }
+
+  return { start, end };
+}
+
+function isCacheable(req, res) {
+  const status = res.statusCode || 200;
+  return (req.method === 'GET' || req.method === 'HEAD') && status >= 200 && status < 300;
+}
+
+function notModified(res) {
+  res.statusCode = 304;
+  ['Content-Type', 'Content-Length', 'Content-Encoding', 'Content-Range'].forEach((name) => res.removeHeader(name));
+  res.end();
+}
+
+function sendError(res, status, message) {
+  if (res.headersSent) return;
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify({ error: message }));
+}
+
+function resolveType(type) {
+  if (!type) return null;
+  const known = FORMAT_TYPES[type];
+  if (known) return known === 'application/json' || known.startsWith('text/') ? `${known}; charset=utf-8` : known;
+  return type;
+}
+
+function appendVary(current, field) {
+  const fields = String(current || '').split(',').map((entry) => entry.trim()).filter(Boolean);
+  if (!fields.includes(field)) fields.push(field);
+  return fields.join(', ');
+}
@@ -0,0 +1,123 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import { join } from 'path';
+import { Readable } from 'stream';
+import zlib from 'zlib';
+
+import { enhanceResponse, negotiate, sendReturnValue } from './response.js';
+
+const dir = fs.mkdtempSync(join(os.tmpdir(), 'sf-response-'));
+fs.writeFileSync(join(dir, 'data.txt'), '0123456789');
+
+const report = { rows: Array.from({ length: 200 }, (_, index) => ({ index, label: `row ${index}` })) };
+
+const routes = {
+  '/small': () => ({ ok: true }),
+  '/report': () => report,
+  '/stream': (req, res) => res.stream(Readable.from(['a', 'b', 'c']), { type: 'text' }),
+  '/file': (req, res) => res.sendFile('data.txt', { root: dir }),
+  '/escape': (req, res) => res.sendFile('../../etc/passwd', { root: dir }),
+  '/format': (req, res) => res.format({ json: () => ({ hello: 'json' }), html: () => '<p>hello</p>' }),
+};
+
+let server;
+let port;
+
+before(async () => {
+  server = http.createServer(async (req, res) => {
+    enhanceResponse(req, res);
+    await sendReturnValue(res, await routes[req.url](req, res));
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  port = server.address().port;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function get(path, headers = {}) {
+  return new Promise((resolve, reject) => {
+    http.get({ port, host: '127.0.0.1', path, headers }, (res) => {
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+    }).on('error', reject);
+  });
+}
+
+test('returned values are sent as JSON with a weak ETag, and revalidate to 304', async () => {
+  const first = await get('/small');
+  assert.equal(first.status, 200);
+  assert.match(first.headers['content-type'], /^application\/json/);
+  assert.deepEqual(JSON.parse(first.body), { ok: true });
+  assert.match(first.headers.etag, /^W\/"/);
+
+  const second = await get('/small', { 'If-None-Match': first.headers.etag });
+  assert.equal(second.status, 304);
+  assert.equal(second.body.length, 0);
+});
+
+test('large bodies are compressed with the best encoding the client accepts', async () => {
+  const brotli = await get('/report', { 'Accept-Encoding': 'gzip, br' });
+  assert.equal(brotli.headers['content-encoding'], 'br');
+  assert.deepEqual(JSON.parse(zlib.brotliDecompressSync(brotli.body)), report);
+
+  const gzip = await get('/report', { 'Accept-Encoding': 'gzip, br;q=0' });
+  assert.equal(gzip.headers['content-encoding'], 'gzip');
+  assert.match(gzip.headers.vary, /Accept-Encoding/);
+
+  const small = await get('/small', { 'Accept-Encoding': 'gzip' });
+  assert.equal(small.headers['content-encoding'], undefined);
+});
+
+test('streams are piped through', async () => {
+  const response = await get('/stream');
+
+  assert.equal(response.body.toString(), 'abc');
+  assert.match(response.headers['content-type'], /^text\/plain/);
+});
+
+test('sendFile() serves byte ranges and refuses paths outside its root', async () => {
+  const whole = await get('/file');
+  assert.equal(whole.body.toString(), '0123456789');
+  assert.equal(whole.headers['accept-ranges'], 'bytes');
+
+  const partial = await get('/file', { Range: 'bytes=2-4' });
+  assert.equal(partial.status, 206);
+  assert.equal(partial.headers['content-range'], 'bytes 2-4/10');
+  assert.equal(partial.body.toString(), '234');
+
+  const suffix = await get('/file', { Range: 'bytes=-3' });
+  assert.equal(suffix.body.toString(), '789');
+
+  const outside = await get('/file', { Range: 'bytes=20-30' });
+  assert.equal(outside.status, 416);
+
+  const escape = await get('/escape');
+  assert.equal(escape.status, 403);
+});
+
+test('format() answers with the representation the client prefers', async () => {
+  const html = await get('/format', { Accept: 'text/html,application/json;q=0.5' });
+  assert.equal(html.body.toString(), '<p>hello</p>');
+  assert.match(html.headers['content-type'], /^text\/html/);
+
+  const json = await get('/format', { Accept: 'application/*' });
+  assert.deepEqual(JSON.parse(json.body), { hello: 'json' });
+
+  const none = await get('/format', { Accept: 'image/png' });
+  assert.equal(none.status, 406);
+});
+
+test('negotiate() honours q-values and wildcards', () => {
+  assert.equal(negotiate('text/*;q=0.2, application/json', ['text/html', 'application/json']), 'application/json');
+  assert.equal(negotiate('*/*', ['text/csv']), 'text/csv');
+  assert.equal(negotiate(undefined, ['text/html']), 'text/html');
+  assert.equal(negotiate('image/png', ['text/html']), null);
+});
@@ -3,6 +3,10 @@
  * Nested routing, wildcards, async guards
  */
 
+import { toSchema, validateRequest, validationErrorBody } from './schema.js';
+import { AuthError, authenticate, authorize, requiresAccess, sendAuthError } from './auth.js';
+import { isResponding, sendReturnValue } from './response.js';
+
 export class Router {
   constructor(options = {}) {
     this.routes = [];
@@ -13,17 +17,37 @@ export class Router {
 
   /**
    * Add route
+   * options.schema validates request data before the handler (options.schemaSource picks one part)
+   * options.auth (strategies) authenticates; options.roles / options.permissions authorize
    */
   route(method, path, handler, options = {}) {
     const fullPath = this.prefix + path;
+    const middleware = [...(options.middleware || [])];
+    // Auth first, so custom guards can rely on req.user
+    const guards = [];
+
+    if (options.auth) {
+      guards.push(authenticate(options.auth));
+    }
+
+    if (requiresAccess(options)) {
+      guards.push(authorize({ roles: options.roles, permissions: options.permissions }));
+    }
+
+    guards.push(...(options.guards || []));
+
+    if (options.schema) {
+      middleware.push(this._schemaMiddleware(toSchema(options.schema), options.schemaSource));
+    }
     
     this.routes.push({
       method: method.toUpperCase(),
       path: fullPath,
       pattern: this._pathToPattern(fullPath),
       handler,
-      guards: options.guards || [],
-      middleware: options.middleware || [],
+      guards,
+      middleware,
+      body: options.body,
       params: this._extractParams(fullPath)
     });
 
@@ -89,7 +113,7 @@ export class Router {
    */
   async match(method, pathname, req, res, beforeHandler) {
     for (const route of this.routes) {
-      if (route.method !== method) continue;
+      if (!methodMatches(route.method, method)) continue;
 
       const match = pathname.match(route.pattern);
       if (!match) continue;
@@ -98,22 +122,16 @@ export class Router {
       req.params = match.groups || {};
       const routeKey = `${route.method}:${route.path}`;
 
-      // Run global guards
-      for (const guard of this.guards) {
-        const allowed = await guard(req, res);
-        if (!allowed) return { handled: true, routeKey };
-      }
-
-      // Run route guards
-      for (const guard of route.guards) {
-        const allowed = await guard(req, res);
+      // Run global guards, then route guards
+      for (const guard of [...this.guards, ...route.guards]) {
+        const allowed = await runGuard(guard, req, res);
         if (!allowed) return { handled: true, routeKey };
       }
 
       // Run global middleware
       for (const mw of this.middleware) {
         const result = await mw(req, res);
-        if (res.headersSent || result === false) {
+        if (isResponding(res) || result === false) {
           return { handled: true, routeKey };
         }
       }
@@ -121,7 +139,7 @@ export class Router {
       // Run route middleware
       for (const mw of route.middleware) {
         const result = await mw(req, res);
-        if (res.headersSent || result === false) {
+        if (isResponding(res) || result === false) {
           return { handled: true, routeKey };
         }
       }
@@ -135,7 +153,7 @@ export class Router {
 
       // Execute handler
       try {
-        await route.handler(req, res);
+        await sendReturnValue(res, await route.handler(req, res));
         return { handled: true, routeKey };
       } catch (error) {
         return { handled: true, error, routeKey };
@@ -145,6 +163,27 @@ export class Router {
     return { handled: false };
   }
 
+  /**
+   * First route matching method and path, without running anything
+   */
+  find(method, pathname) {
+    return this.routes.find((route) => methodMatches(route.method, method) && route.pattern.test(pathname)) || null;
+  }
+
+  /**
+   * Reject requests that do not match a schema with 400 and the shared error body
+   */
+  _schemaMiddleware(schema, source = null) {
+    return async (req, res) => {
+      const result = await validateRequest(schema, req, { source });
+      if (result.valid) return true;
+
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(validationErrorBody(result.errors)));
+      return false;
+    };
+  }
+
   /**
    * Convert path to regex with wildcards
    */
@@ -175,6 +214,29 @@ export class Router {
   }
 }
 
+/**
+ * HEAD requests are served by GET routes (the response toolkit drops the body)
+ */
+function methodMatches(routeMethod, method) {
+  return routeMethod === method || (method === 'HEAD' && routeMethod === 'GET');
+}
+
+/**
+ * A guard that throws denies the request: AuthErrors answer with their status,
+ * anything else with 403
+ */
+async function runGuard(guard, req, res) {
+  try {
+    return await guard(req, res);
+  } catch (error) {
+    if (!(error instanceof AuthError)) {
+      console.error('[Router] Guard failed:', error);
+    }
+    sendAuthError(res, error instanceof AuthError ? error : new AuthError('Forbidden', 403, 'forbidden'));
+    return false;
+  }
+}
+
 /**
  * Create router
  */
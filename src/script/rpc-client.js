@@ -0,0 +1,261 @@
+/**
+ * RPC Client
+ * Typed calls to procedures registered with server.procedure() (see rpc.js)
+ *
+ *   const rpc = createRPCClient({ fetch: app.fetch }).proxy();
+ *   const todo = await rpc.todos.add({ title: 'Ship it' });
+ *
+ * Calls made in the same tick are sent as one batch: POST {url} with
+ * { calls: [{ id, procedure, input }] }, or an RPC message over an open
+ * WebSocket/SSE connection answered by RPC_RESULT.
+ */
+
+export const DEFAULT_RPC_CLIENT_OPTIONS = {
+  url: '/rpc',
+  batch: true,
+  batchDelay: 0,   // ms to wait for more calls; 0 batches within the current tick
+  maxBatch: 50,    // calls per request (the server's maxBatch)
+  timeout: 30000,  // ms before a call sent over a socket is given up
+};
+
+export class RPCError extends Error {
+  constructor(message, status = 500, code = 'internal_error', errors = undefined) {
+    super(message);
+    this.name = 'RPCError';
+    this.status = status;
+    this.code = code;
+    if (errors) this.errors = errors;
+  }
+
+  toJSON() {
+    return {
+      message: this.message,
+      status: this.status,
+      code: this.code,
+      ...(this.errors ? { errors: this.errors } : {})
+    };
+  }
+}
+
+export class RPCClient {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_RPC_CLIENT_OPTIONS, ...options };
+    this.fetch = options.fetch || null;           // ForgeFetch; global fetch otherwise
+    this.connection = options.connection || null; // transport, or a function returning one
+    this.token = options.token || null;           // sent with socket calls (string or function); HTTP uses ForgeFetch headers
+    this.queue = [];
+    this.inflight = new Map(); // socket batch id -> calls
+    this._nextId = 0;
+    this._scheduled = false;
+    this._timer = null;
+  }
+
+  /**
+   * Call a procedure by name; resolves to its result, rejects with RPCError
+   */
+  call(procedure, input) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ id: ++this._nextId, procedure, input, resolve, reject });
+      this._schedule();
+    });
+  }
+
+  /**
+   * The server's procedure manifest
+   */
+  async manifest() {
+    const url = `${this.options.url}/manifest`;
+
+    if (this.fetch) {
+      const response = await this.fetch.get(url);
+      if (!response.ok) throw toRPCError(response.data, response.status);
+      return response.data;
+    }
+
+    const response = await fetch(url, { credentials: 'same-origin' });
+    const data = await response.json();
+    if (!response.ok) throw toRPCError(data, response.status);
+    return data;
+  }
+
+  /**
+   * Proxy turning property paths into calls: proxy.todos.add(input)
+   * calls 'todos.add'. proxy.$call(name, input) and proxy.$manifest() are also there.
+   */
+  proxy() {
+    return createProxy(this, []);
+  }
+
+  /**
+   * Settle the calls of an RPC_RESULT message; false for other messages
+   */
+  handleMessage(message) {
+    if (!message || message.type !== 'RPC_RESULT') return false;
+
+    const calls = this.inflight.get(message.id);
+    if (!calls) return true;
+
+    this.inflight.delete(message.id);
+    clearTimeout(calls.timer);
+    this._settle(calls, message.results, message.error);
+    return true;
+  }
+
+  /**
+   * Fail every call still waiting (e.g. on cleanup)
+   */
+  close() {
+    clearTimeout(this._timer);
+    const error = new RPCError('RPC client closed', 499, 'closed');
+
+    this.queue.splice(0).forEach((call) => call.reject(error));
+    this.inflight.forEach((calls) => {
+      clearTimeout(calls.timer);
+      calls.forEach((call) => call.reject(error));
+    });
+    this.inflight.clear();
+  }
+
+  _schedule() {
+    if (!this.options.batch || this.queue.length >= this.options.maxBatch) {
+      this._flush();
+      return;
+    }
+    if (this._scheduled) return;
+
+    this._scheduled = true;
+    if (this.options.batchDelay > 0) {
+      this._timer = setTimeout(() => this._flush(), this.options.batchDelay);
+    } else {
+      queueMicrotask(() => this._flush());
+    }
+  }
+
+  _flush() {
+    this._scheduled = false;
+    clearTimeout(this._timer);
+
+    while (this.queue.length > 0) {
+      const calls = this.queue.splice(0, this.options.maxBatch);
+      const connection = this._openConnection();
+
+      if (connection) {
+        this._sendSocket(connection, calls);
+      } else {
+        this._sendHTTP(calls);
+      }
+    }
+  }
+
+  _openConnection() {
+    const connection = typeof this.connection === 'function' ? this.connection() : this.connection;
+    return connection && connection.readyState === 1 ? connection : null;
+  }
+
+  async _sendHTTP(calls) {
+    const body = { calls: calls.map(({ id, procedure, input }) => ({ id, procedure, input })) };
+
+    try {
+      let status;
+      let data;
+
+      if (this.fetch) {
+        const response = await this.fetch.post(this.options.url, body);
+        status = response.status;
+        data = response.data;
+      } else {
+        const response = await fetch(this.options.url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          credentials: 'same-origin',
+          body: JSON.stringify(body)
+        });
+        status = response.status;
+        data = await response.json().catch(() => null);
+      }
+
+      this._settle(calls, data?.results, Array.isArray(data?.results) ? null : toRPCError(data, status));
+    } catch (error) {
+      this._settle(calls, null, new RPCError(error.message || 'Network error', 0, 'network_error'));
+    }
+  }
+
+  _sendSocket(connection, calls) {
+    const id = `rpc_${Date.now().toString(36)}_${calls[0].id}`;
+
+    calls.timer = setTimeout(() => {
+      if (!this.inflight.delete(id)) return;
+      calls.forEach((call) => call.reject(new RPCError('RPC call timed out', 408, 'timeout')));
+    }, this.options.timeout);
+
+    const token = typeof this.token === 'function' ? this.token() : this.token;
+
+    this.inflight.set(id, calls);
+    connection.send(JSON.stringify({
+      type: 'RPC',
+      id,
+      calls: calls.map(({ id: callId, procedure, input }) => ({ id: callId, procedure, input })),
+      ...(token ? { token } : {})
+    }));
+  }
+
+  /**
+   * Resolve each call from its { id, result } / { id, error } entry
+   */
+  _settle(calls, results, batchError = null) {
+    const byId = new Map((results || []).map((entry) => [entry.id, entry]));
+
+    calls.forEach((call) => {
+      const entry = byId.get(call.id);
+
+      if (entry && !entry.error) {
+        call.resolve(entry.result);
+      } else if (entry) {
+        call.reject(toRPCError(entry.error, entry.error.status));
+      } else {
+        call.reject(batchError instanceof RPCError
+          ? batchError
+          : toRPCError(batchError, 502));
+      }
+    });
+  }
+}
+
+export function createRPCClient(options) {
+  return new RPCClient(options);
+}
+
+/**
+ * RPCError from a serialized error ({ message | error, status, code, errors })
+ */
+export function toRPCError(data, status = 500) {
+  if (data instanceof RPCError) return data;
+
+  const message = data?.message || data?.error || 'RPC call failed';
+  return new RPCError(message, data?.status || status, data?.code || 'internal_error', data?.errors);
+}
+
+function createProxy(client, path) {
+  const target = () => {};
+
+  return new Proxy(target, {
+    get(_, key) {
+      // Not a thenable, not inspectable as a procedure
+      if (typeof key === 'symbol' || key === 'then') return undefined;
+
+      if (path.length === 0) {
+        if (key === '$call') return (procedure, input) => client.call(procedure, input);
+        if (key === '$manifest') return () => client.manifest();
+        if (key === '$client') return client;
+      }
+
+      return createProxy(client, [...path, key]);
+    },
+    apply(_, __, args) {
+      if (path.length === 0) {
+        throw new RPCError('Call a procedure (rpc.todos.add()), not the RPC proxy itself', 400, 'bad_request');
+      }
+      return client.call(path.join('.'), args[0]);
+    }
+  });
+}
@@ -0,0 +1,271 @@
+/**
+ * RPC Server
+ * Named procedures with validated input, callable in batches over HTTP or
+ * the WebSocket/SSE channel connection (client side: rpc-client.js)
+ *
+ *   app.procedure('todos.add', schema.object({ title: schema.string().min(1) }),
+ *     async ({ title }, { user }) => todos.create({ title, owner: user.id }),
+ *     { roles: ['member'] });
+ *
+ *   POST /rpc            { calls: [{ id, procedure, input }] } -> { results: [{ id, result } | { id, error }] }
+ *   POST /rpc/todos.add  input                                  -> result (errors use the HTTP status)
+ *   GET  /rpc/manifest   procedure names and input schemas
+ *   WebSocket / SSE      { type: 'RPC', id, calls } -> { type: 'RPC_RESULT', id, results }
+ */
+
+import fs from 'fs';
+import { toSchema, ValidationError } from './schema.js';
+import { hasAccess, requiresAccess } from './auth.js';
+import { readStream } from './body-parser.js';
+import { RPCError } from './rpc-client.js';
+
+export { RPCError };
+
+export const DEFAULT_RPC_OPTIONS = {
+  path: '/rpc',
+  maxBatch: 50,       // calls per request
+  limit: 1024 * 1024, // max body when the server has not parsed it already
+  manifest: true,     // serve GET {path}/manifest
+};
+
+const PROCEDURE_NAME = /^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*$/;
+
+export class RPCServer {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_RPC_OPTIONS, ...options };
+    this.procedures = new Map(); // name -> { name, input, handler, access, description }
+  }
+
+  /**
+   * Register a procedure. input is a Schema or rule object (null for none);
+   * handler(input, context) may be async. options: description, roles, permissions.
+   * procedure(name, handler, options) registers one without input validation.
+   */
+  procedure(name, input, handler, options = {}) {
+    if (typeof input === 'function') {
+      return this.procedure(name, null, input, handler || {});
+    }
+
+    if (!PROCEDURE_NAME.test(name || '')) {
+      throw new Error(`[RPC] Invalid procedure name "${name}" (expected dotted identifiers, e.g. "todos.add")`);
+    }
+    if (typeof handler !== 'function') {
+      throw new Error(`[RPC] Procedure "${name}" needs a handler function`);
+    }
+    if (this.procedures.has(name)) {
+      console.warn(`[RPC] Procedure "${name}" was registered twice; the last one wins`);
+    }
+
+    this.procedures.set(name, {
+      name,
+      input: input ? toSchema(input) : null,
+      handler,
+      access: { roles: options.roles, permissions: options.permissions },
+      description: options.description || null,
+    });
+
+    return this;
+  }
+
+  /**
+   * Names and input schemas of every procedure
+   */
+  manifest() {
+    const procedures = {};
+
+    Array.from(this.procedures.keys()).sort().forEach((name) => {
+      const { input, access, description } = this.procedures.get(name);
+      procedures[name] = {
+        input: input ? input.describe() : null,
+        ...(description ? { description } : {}),
+        ...(access.roles?.length ? { roles: access.roles } : {}),
+        ...(access.permissions?.length ? { permissions: access.permissions } : {}),
+      };
+    });
+
+    return { version: 1, path: this.options.path, procedures };
+  }
+
+  /**
+   * Write the manifest as JSON (for `scrollforge analyze --rpc-manifest`)
+   */
+  async writeManifest(filePath) {
+    await fs.promises.writeFile(filePath, `${JSON.stringify(this.manifest(), null, 2)}\n`);
+    return filePath;
+  }
+
+  /**
+   * Run one procedure; throws RPCError
+   */
+  async call(name, input, context = {}) {
+    const procedure = this.procedures.get(name);
+    if (!procedure) {
+      throw new RPCError(`Unknown procedure "${name}"`, 404, 'not_found');
+    }
+
+    if (requiresAccess(procedure.access)) {
+      if (!context.user) {
+        throw new RPCError('Authentication required', 401, 'unauthorized');
+      }
+      if (!hasAccess(context.user, procedure.access)) {
+        throw new RPCError('Forbidden', 403, 'forbidden');
+      }
+    }
+
+    let value = input;
+    if (procedure.input) {
+      const result = await procedure.input.validate(input);
+      if (!result.valid) {
+        throw new RPCError('Validation failed', 400, 'validation_failed', result.errors);
+      }
+      value = result.value;
+    }
+
+    return procedure.handler(value, { ...context, procedure: name });
+  }
+
+  /**
+   * Run calls concurrently; each gets { id, result } or { id, error }
+   */
+  async callBatch(calls, context = {}) {
+    if (!Array.isArray(calls)) {
+      throw new RPCError('Expected { calls: [...] }', 400, 'bad_request');
+    }
+    if (calls.length > this.options.maxBatch) {
+      throw new RPCError(`At most ${this.options.maxBatch} calls per batch`, 413, 'batch_too_large');
+    }
+
+    return Promise.all(calls.map(async (call) => {
+      const id = call?.id ?? null;
+      try {
+        const result = await this.call(call?.procedure, call?.input, context);
+        return { id, result: result === undefined ? null : result };
+      } catch (error) {
+        return { id, error: serializeError(error, call?.procedure) };
+      }
+    }));
+  }
+
+  /**
+   * Does this request target the RPC endpoint?
+   */
+  matches(req) {
+    const pathname = new URL(req.url, 'http://localhost').pathname;
+    return pathname === this.options.path || pathname.startsWith(`${this.options.path}/`);
+  }
+
+  /**
+   * HTTP handler; returns false for requests outside options.path
+   */
+  async handle(req, res) {
+    if (!this.matches(req)) return false;
+
+    const pathname = new URL(req.url, 'http://localhost').pathname;
+    let rest;
+    try {
+      rest = decodeURIComponent(pathname.slice(this.options.path.length + 1));
+    } catch (error) {
+      sendJSON(res, 400, { error: 'Malformed procedure name', code: 'bad_request' });
+      return true;
+    }
+    const context = { req, res, user: req.user || null, session: req.session, transport: 'http' };
+
+    if (req.method === 'GET' && rest === 'manifest' && this.options.manifest) {
+      sendJSON(res, 200, this.manifest());
+      return true;
+    }
+
+    if (req.method !== 'POST') {
+      res.writeHead(405, { 'Content-Type': 'application/json', Allow: 'POST' });
+      res.end(JSON.stringify({ error: 'Method Not Allowed' }));
+      return true;
+    }
+
+    let body;
+    try {
+      body = await readBody(req, this.options.limit);
+    } catch (error) {
+      sendJSON(res, error.status || 400, { error: error.status ? error.message : 'Malformed JSON', code: 'bad_request' });
+      return true;
+    }
+
+    try {
+      if (rest) {
+        // Single call: the body is the input
+        const result = await this.call(rest, body, context);
+        sendJSON(res, 200, result === undefined ? null : result);
+      } else {
+        sendJSON(res, 200, { results: await this.callBatch(body?.calls, context) });
+      }
+    } catch (error) {
+      const { message, ...details } = serializeError(error, rest);
+      sendJSON(res, details.status, { error: message, ...details });
+    }
+
+    return true;
+  }
+
+  /**
+   * Answer an RPC message from a socket client (WebSocket or SSE)
+   */
+  async handleMessage(client, message, context = {}) {
+    let results;
+    try {
+      results = await this.callBatch(message.calls, { ...context, client });
+    } catch (error) {
+      return this.reject(client, message, error);
+    }
+
+    const reply = { type: 'RPC_RESULT', id: message.id, results };
+    client.send(JSON.stringify(reply));
+    return reply;
+  }
+
+  /**
+   * Fail every call of a socket RPC message
+   */
+  reject(client, message, error) {
+    const reply = { type: 'RPC_RESULT', id: message.id, error: serializeError(error) };
+    client.send(JSON.stringify(reply));
+    return reply;
+  }
+}
+
+export function createRPCServer(options) {
+  return new RPCServer(options);
+}
+
+/**
+ * Error shape sent to clients. Unexpected errors are logged and hidden.
+ */
+function serializeError(error, procedure = null) {
+  if (error instanceof RPCError) {
+    return error.toJSON();
+  }
+
+  if (error instanceof ValidationError) {
+    return new RPCError('Validation failed', 400, 'validation_failed', error.errors).toJSON();
+  }
+
+  if (error && error.status && error.status < 500) {
+    return new RPCError(error.message, error.status, error.code || 'error').toJSON();
+  }
+
+  console.error(`[RPC] ${procedure || 'Call'} failed:`, error);
+  return new RPCError('Internal Server Error', 500, 'internal_error').toJSON();
+}
+
+async function readBody(req, limit) {
+  if (req.body !== undefined) {
+    return typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
+  }
+
+  const raw = await readStream(req, limit);
+  return raw.length > 0 ? JSON.parse(raw.toString('utf8')) : undefined;
+}
+
+function sendJSON(res, status, body) {
+  if (res.headersSent) return;
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
@@ -0,0 +1,146 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+
+import { RPCServer } from './rpc.js';
+import { RPCClient, RPCError } from './rpc-client.js';
+import { schema } from './schema.js';
+
+const rpc = new RPCServer({ maxBatch: 3 });
+const todos = [];
+
+rpc.procedure('todos.add', schema.object({ title: schema.string().min(1) }), ({ title }, { user }) => {
+  const todo = { id: todos.length + 1, title, owner: user?.id || null };
+  todos.push(todo);
+  return todo;
+});
+rpc.procedure('todos.count', () => todos.length);
+rpc.procedure('admin.reset', null, () => {
+  todos.length = 0;
+  return true;
+}, { roles: ['admin'] });
+rpc.procedure('broken', () => {
+  throw new Error('database password is hunter2');
+});
+
+let server;
+let base;
+let requests = 0;
+
+before(async () => {
+  server = http.createServer(async (req, res) => {
+    requests++;
+    const role = req.headers['x-role'];
+    req.user = role ? { id: 'u1', roles: [role] } : null;
+    if (!(await rpc.handle(req, res))) res.writeHead(404).end();
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+function post(path, body, headers = {}) {
+  return fetch(`${base}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+  });
+}
+
+test('calls made in the same tick go out as one batch', async () => {
+  const api = new RPCClient({ url: `${base}/rpc` }).proxy();
+  requests = 0;
+
+  const [first, second, count] = await Promise.all([
+    api.todos.add({ title: 'one' }),
+    api.todos.add({ title: 'two' }),
+    api.$call('todos.count'),
+  ]);
+
+  assert.equal(requests, 1);
+  assert.equal(first.title, 'one');
+  assert.equal(second.title, 'two');
+  assert.equal(typeof count, 'number');
+});
+
+test('invalid input fails that call only, with the validation errors', async () => {
+  const api = new RPCClient({ url: `${base}/rpc` }).proxy();
+
+  const [failed, ok] = await Promise.allSettled([api.todos.add({ title: '' }), api.todos.count()]);
+
+  assert.equal(ok.status, 'fulfilled');
+  assert.ok(failed.reason instanceof RPCError);
+  assert.equal(failed.reason.status, 400);
+  assert.equal(failed.reason.code, 'validation_failed');
+  assert.equal(failed.reason.errors[0].path, 'title');
+});
+
+test('procedures with roles need an authorized user', async () => {
+  const anonymous = await post('/rpc/admin.reset', null);
+  assert.equal(anonymous.status, 401);
+  assert.equal((await anonymous.json()).code, 'unauthorized');
+
+  const member = await post('/rpc/admin.reset', null, { 'x-role': 'member' });
+  assert.equal(member.status, 403);
+  await member.text();
+
+  const admin = await post('/rpc/admin.reset', null, { 'x-role': 'admin' });
+  assert.equal(await admin.json(), true);
+});
+
+test('unexpected errors are hidden and unknown names answer 404', async (t) => {
+  t.mock.method(console, 'error', () => {});
+
+  const broken = await post('/rpc', { calls: [{ id: 1, procedure: 'broken' }, { id: 2, procedure: 'nope' }] });
+  const { results } = await broken.json();
+
+  assert.deepEqual(results[0], { id: 1, error: { message: 'Internal Server Error', status: 500, code: 'internal_error' } });
+  assert.equal(results[1].error.status, 404);
+});
+
+test('oversized batches and malformed paths are rejected with 4xx', async () => {
+  const calls = [1, 2, 3, 4].map((id) => ({ id, procedure: 'todos.count' }));
+  const large = await post('/rpc', { calls });
+  assert.equal(large.status, 413);
+  assert.equal((await large.json()).code, 'batch_too_large');
+
+  const malformed = await post('/rpc/%E0%A4%A', {});
+  assert.equal(malformed.status, 400);
+  assert.deepEqual(await malformed.json(), { error: 'Malformed procedure name', code: 'bad_request' });
+});
+
+test('the manifest lists procedures with their input schemas and roles', async () => {
+  const response = await fetch(`${base}/rpc/manifest`);
+  const manifest = await response.json();
+
+  assert.deepEqual(Object.keys(manifest.procedures), ['admin.reset', 'broken', 'todos.add', 'todos.count']);
+  assert.equal(manifest.procedures['todos.add'].input.shape.title.type, 'string');
+  assert.deepEqual(manifest.procedures['admin.reset'].roles, ['admin']);
+});
+
+test('calls travel over an open socket connection when there is one', async () => {
+  let client;
+  const connection = {
+    readyState: 1,
+    send: (data) => {
+      rpc.handleMessage({ send: (reply) => client.handleMessage(JSON.parse(reply)) }, JSON.parse(data), {
+        user: { id: 'socket-user' },
+      });
+    },
+  };
+  client = new RPCClient({ connection });
+
+  const todo = await client.call('todos.add', { title: 'via socket' });
+
+  assert.equal(todo.owner, 'socket-user');
+  assert.equal(client.inflight.size, 0);
+});
+
+test('procedure names are checked when registered', () => {
+  assert.throws(() => rpc.procedure('bad name', () => {}), /Invalid procedure name/);
+  assert.throws(() => rpc.procedure('ok.name', null, null), /needs a handler/);
+});
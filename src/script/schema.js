@@ -0,0 +1,673 @@
+/**
+ * Declarative Schema Validation
+ * One schema format for server routes, action pipelines and ScrollMesh state
+ *
+ *   const User = schema.object({
+ *     name: schema.string().min(1, 'Name is required'),
+ *     age: schema.number().coerce().min(0).optional(),
+ *     role: schema.enum(['admin', 'user']).default('user'),
+ *   });
+ *
+ *   const { valid, value, errors } = await User.validate(input);
+ *
+ * Every failure is reported as { path, message, code }, e.g.
+ * { path: 'tags.1', message: 'tags.1 must be a string', code: 'type' }.
+ */
+
+export class ValidationError extends Error {
+  constructor(errors, message = null) {
+    super(message || errors[0]?.message || 'Validation failed');
+    this.name = 'ValidationError';
+    this.errors = errors;
+    this.status = 400;
+  }
+}
+
+export class Schema {
+  constructor(type) {
+    this.type = type;
+    this.checks = [];
+    this.messages = {};
+    this.isOptional = false;
+    this.isNullable = false;
+    this.hasDefault = false;
+    this.defaultValue = undefined;
+    this.shouldCoerce = false;
+  }
+
+  optional() {
+    return this._with({ isOptional: true });
+  }
+
+  nullable() {
+    return this._with({ isNullable: true });
+  }
+
+  /**
+   * Value used when the input is undefined (a function is called each time)
+   */
+  default(value) {
+    return this._with({ hasDefault: true, defaultValue: value });
+  }
+
+  /**
+   * Convert compatible input (e.g. '42' for a number) before checking
+   */
+  coerce(enabled = true) {
+    return this._with({ shouldCoerce: enabled });
+  }
+
+  /**
+   * Override the message for a failure code ('*' for every code),
+   * or for 'type' when given a single argument
+   */
+  message(code, message) {
+    if (message === undefined) {
+      message = code;
+      code = 'type';
+    }
+    return this._with({ messages: { ...this.messages, [code]: message } });
+  }
+
+  /**
+   * Custom check: return true to pass, false or a string to fail.
+   * May return a promise (only honoured by validate()/parse()).
+   */
+  refine(check, message = null) {
+    return this._check('custom', (value, ctx) => check(value, ctx), message);
+  }
+
+  /**
+   * Validate and collect every error (supports async refinements)
+   */
+  async validate(value, options = {}) {
+    const ctx = createContext(options, value);
+    const result = this._run(value, options.path || '', ctx);
+
+    while (ctx.pending.length > 0) {
+      await Promise.all(ctx.pending.splice(0));
+    }
+
+    return toResult(result, ctx);
+  }
+
+  /**
+   * Validate synchronously. Throws if the schema needs async refinements.
+   */
+  validateSync(value, options = {}) {
+    const ctx = createContext(options, value);
+    const result = this._run(value, options.path || '', ctx);
+
+    if (ctx.pending.length > 0) {
+      throw new Error('[Schema] Async validators require validate() or parse()');
+    }
+
+    return toResult(result, ctx);
+  }
+
+  /**
+   * Validated value, or throw ValidationError
+   */
+  async parse(value, options = {}) {
+    const result = await this.validate(value, options);
+    if (!result.valid) {
+      throw new ValidationError(result.errors);
+    }
+    return result.value;
+  }
+
+  parseSync(value, options = {}) {
+    const result = this.validateSync(value, options);
+    if (!result.valid) {
+      throw new ValidationError(result.errors);
+    }
+    return result.value;
+  }
+
+  /**
+   * JSON-safe description of the schema (type, modifiers, nested schemas),
+   * used by the RPC manifest and tooling
+   */
+  describe() {
+    const description = { type: this.type };
+    if (this.isOptional || this.hasDefault) description.optional = true;
+    if (this.isNullable) description.nullable = true;
+    if (this.hasDefault && typeof this.defaultValue !== 'function') description.default = this.defaultValue;
+    if (this.checks.length > 0) description.checks = this.checks.map((check) => check.code);
+    return this._describe(description);
+  }
+
+  _describe(description) {
+    return description;
+  }
+
+  /**
+   * Core walk: returns the (coerced) value and records errors in ctx
+   */
+  _run(value, path, ctx) {
+    if (value === undefined && this.hasDefault) {
+      value = typeof this.defaultValue === 'function' ? this.defaultValue() : this.defaultValue;
+    }
+
+    if (value === undefined) {
+      if (!this.isOptional) {
+        this._fail(ctx, path, 'required', `${label(path)} is required`, value);
+      }
+      return value;
+    }
+
+    if (value === null) {
+      if (!this.isNullable) {
+        this._fail(ctx, path, 'required', `${label(path)} is required`, value);
+      }
+      return value;
+    }
+
+    if (this.shouldCoerce || ctx.coerce) {
+      value = this._coerce(value);
+    }
+
+    const errorCount = ctx.errors.length;
+    value = this._parseType(value, path, ctx);
+
+    if (ctx.errors.length === errorCount) {
+      this._runChecks(value, path, ctx);
+    }
+
+    return value;
+  }
+
+  _parseType(value) {
+    return value;
+  }
+
+  _coerce(value) {
+    return value;
+  }
+
+  _runChecks(value, path, ctx) {
+    for (const check of this.checks) {
+      const { code, test, message } = check;
+      const outcome = test(value, { path, root: ctx.root });
+
+      if (isThenable(outcome)) {
+        ctx.pending.push(Promise.resolve(outcome).then(
+          (resolved) => this._reportCheck(resolved, check, value, path, ctx),
+          (error) => this._fail(ctx, path, code, error?.message || message || `${label(path)} ${check.fallback}`, value)
+        ));
+        continue;
+      }
+
+      this._reportCheck(outcome, check, value, path, ctx);
+    }
+  }
+
+  _reportCheck(outcome, check, value, path, ctx) {
+    if (outcome === true || outcome === undefined) return;
+
+    const message = typeof outcome === 'string' ? outcome : check.message;
+    this._fail(ctx, path, check.code, message || `${label(path)} ${check.fallback}`, value);
+  }
+
+  _fail(ctx, path, code, message, value) {
+    const override = this.messages[code] ?? this.messages['*'];
+    const text = override !== undefined ? override : message;
+
+    ctx.errors.push({
+      path,
+      message: typeof text === 'function' ? text({ path, value, code }) : text,
+      code,
+    });
+  }
+
+  _typeError(ctx, path, value, expected) {
+    this._fail(ctx, path, 'type', `${label(path)} must be ${expected}`, value);
+  }
+
+  /**
+   * fallback is appended to the path when no message was given ('must be ...')
+   */
+  _check(code, test, message, fallback = 'is invalid') {
+    return this._with({ checks: [...this.checks, { code, test, message, fallback }] });
+  }
+
+  /**
+   * Schemas are immutable - every modifier returns a copy
+   */
+  _with(changes) {
+    const copy = Object.create(Object.getPrototypeOf(this));
+    return Object.assign(copy, this, changes);
+  }
+}
+
+class StringSchema extends Schema {
+  constructor() {
+    super('string');
+    this.shouldTrim = false;
+  }
+
+  min(length, message) {
+    return this._check('min', (value) => value.length >= length, message, `must be at least ${length} characters`);
+  }
+
+  max(length, message) {
+    return this._check('max', (value) => value.length <= length, message, `must be at most ${length} characters`);
+  }
+
+  pattern(regex, message) {
+    return this._check('pattern', (value) => {
+      regex.lastIndex = 0;
+      return regex.test(value);
+    }, message, 'is invalid');
+  }
+
+  email(message) {
+    return this._check('email', (value) => EMAIL_PATTERN.test(value), message, 'must be a valid email address');
+  }
+
+  trim() {
+    return this._with({ shouldTrim: true });
+  }
+
+  _coerce(value) {
+    return typeof value === 'number' || typeof value === 'boolean' ? String(value) : value;
+  }
+
+  _parseType(value, path, ctx) {
+    if (typeof value !== 'string') {
+      this._typeError(ctx, path, value, 'a string');
+      return value;
+    }
+    return this.shouldTrim ? value.trim() : value;
+  }
+}
+
+class NumberSchema extends Schema {
+  constructor() {
+    super('number');
+  }
+
+  min(minimum, message) {
+    return this._check('min', (value) => value >= minimum, message, `must be at least ${minimum}`);
+  }
+
+  max(maximum, message) {
+    return this._check('max', (value) => value <= maximum, message, `must be at most ${maximum}`);
+  }
+
+  integer(message) {
+    return this._check('integer', (value) => Number.isInteger(value), message, 'must be an integer');
+  }
+
+  _coerce(value) {
+    if (typeof value === 'string' && value.trim() !== '') {
+      const number = Number(value);
+      return Number.isNaN(number) ? value : number;
+    }
+    return value;
+  }
+
+  _parseType(value, path, ctx) {
+    if (typeof value !== 'number' || Number.isNaN(value)) {
+      this._typeError(ctx, path, value, 'a number');
+    }
+    return value;
+  }
+}
+
+class BooleanSchema extends Schema {
+  constructor() {
+    super('boolean');
+  }
+
+  _coerce(value) {
+    if (value === 'true' || value === '1' || value === 'on' || value === 1) return true;
+    if (value === 'false' || value === '0' || value === 'off' || value === 0) return false;
+    return value;
+  }
+
+  _parseType(value, path, ctx) {
+    if (typeof value !== 'boolean') {
+      this._typeError(ctx, path, value, 'a boolean');
+    }
+    return value;
+  }
+}
+
+class DateSchema extends Schema {
+  constructor() {
+    super('date');
+  }
+
+  _coerce(value) {
+    return typeof value === 'string' || typeof value === 'number' ? new Date(value) : value;
+  }
+
+  _parseType(value, path, ctx) {
+    if (!(value instanceof Date) || Number.isNaN(value.getTime())) {
+      this._typeError(ctx, path, value, 'a valid date');
+    }
+    return value;
+  }
+}
+
+class AnySchema extends Schema {
+  constructor() {
+    super('any');
+  }
+}
+
+class EnumSchema extends Schema {
+  constructor(values) {
+    super('enum');
+    this.values = values;
+  }
+
+  _describe(description) {
+    return { ...description, values: this.values };
+  }
+
+  _parseType(value, path, ctx) {
+    if (!this.values.includes(value)) {
+      this._fail(ctx, path, 'enum', `${label(path)} must be one of: ${this.values.join(', ')}`, value);
+    }
+    return value;
+  }
+}
+
+class ArraySchema extends Schema {
+  constructor(items) {
+    super('array');
+    this.items = items ? toSchema(items) : null;
+  }
+
+  min(length, message) {
+    return this._check('min', (value) => value.length >= length, message, `must contain at least ${length} items`);
+  }
+
+  max(length, message) {
+    return this._check('max', (value) => value.length <= length, message, `must contain at most ${length} items`);
+  }
+
+  _coerce(value) {
+    return Array.isArray(value) ? value : [value];
+  }
+
+  _describe(description) {
+    return this.items ? { ...description, items: this.items.describe() } : description;
+  }
+
+  _parseType(value, path, ctx) {
+    if (!Array.isArray(value)) {
+      this._typeError(ctx, path, value, 'an array');
+      return value;
+    }
+
+    if (!this.items) return value;
+
+    return value.map((item, index) => this.items._run(item, joinPath(path, index), ctx));
+  }
+}
+
+class ObjectSchema extends Schema {
+  /**
+   * unknownKeys: 'strip' (default) drops extra keys, 'allow' keeps them, 'error' reports them
+   */
+  constructor(shape, options = {}) {
+    super('object');
+    this.shape = {};
+    Object.entries(shape).forEach(([key, field]) => {
+      this.shape[key] = toSchema(field);
+    });
+    this.unknownKeys = options.unknownKeys || 'strip';
+  }
+
+  strict() {
+    return this._with({ unknownKeys: 'error' });
+  }
+
+  passthrough() {
+    return this._with({ unknownKeys: 'allow' });
+  }
+
+  extend(shape) {
+    return new ObjectSchema({ ...this.shape, ...shape }, { unknownKeys: this.unknownKeys });
+  }
+
+  _describe(description) {
+    const shape = {};
+    Object.entries(this.shape).forEach(([key, field]) => {
+      shape[key] = field.describe();
+    });
+    return { ...description, shape, unknownKeys: this.unknownKeys };
+  }
+
+  _parseType(value, path, ctx) {
+    if (typeof value !== 'object' || Array.isArray(value)) {
+      this._typeError(ctx, path, value, 'an object');
+      return value;
+    }
+
+    const output = {};
+
+    Object.entries(this.shape).forEach(([key, field]) => {
+      const parsed = field._run(value[key], joinPath(path, key), ctx);
+      if (parsed !== undefined || Object.prototype.hasOwnProperty.call(value, key)) {
+        output[key] = parsed;
+      }
+    });
+
+    Object.keys(value).forEach((key) => {
+      if (Object.prototype.hasOwnProperty.call(this.shape, key)) return;
+
+      if (this.unknownKeys === 'allow') {
+        output[key] = value[key];
+      } else if (this.unknownKeys === 'error') {
+        const keyPath = joinPath(path, key);
+        this._fail(ctx, keyPath, 'unknown', `${keyPath} is not allowed`, value[key]);
+      }
+    });
+
+    return output;
+  }
+}
+
+class UnionSchema extends Schema {
+  constructor(options) {
+    super('union');
+    this.options = options.map(toSchema);
+  }
+
+  _describe(description) {
+    return { ...description, options: this.options.map((option) => option.describe()) };
+  }
+
+  /**
+   * The first option without synchronous errors wins; its async checks still apply
+   */
+  _parseType(value, path, ctx) {
+    for (const option of this.options) {
+      const attempt = { ...ctx, errors: [], pending: [] };
+      const parsed = option._run(value, path, attempt);
+
+      if (attempt.errors.length === 0) {
+        if (attempt.pending.length > 0) {
+          ctx.pending.push(Promise.all(attempt.pending).then(() => {
+            ctx.errors.push(...attempt.errors);
+          }));
+        }
+        return parsed;
+      }
+    }
+
+    this._fail(ctx, path, 'union', `${label(path)} does not match any allowed type`, value);
+    return value;
+  }
+}
+
+class LiteralSchema extends Schema {
+  constructor(expected) {
+    super('literal');
+    this.expected = expected;
+  }
+
+  _describe(description) {
+    return { ...description, value: this.expected };
+  }
+
+  _parseType(value, path, ctx) {
+    if (!Object.is(value, this.expected)) {
+      this._fail(ctx, path, 'literal', `${label(path)} must be ${JSON.stringify(this.expected)}`, value);
+    }
+    return value;
+  }
+}
+
+/**
+ * Schema builders
+ */
+export const schema = {
+  string: () => new StringSchema(),
+  number: () => new NumberSchema(),
+  boolean: () => new BooleanSchema(),
+  date: () => new DateSchema(),
+  any: () => new AnySchema(),
+  literal: (value) => new LiteralSchema(value),
+  enum: (values) => new EnumSchema(values),
+  array: (items) => new ArraySchema(items),
+  object: (shape, options) => new ObjectSchema(shape, options),
+  union: (options) => new UnionSchema(options),
+};
+
+export function isSchema(value) {
+  return value instanceof Schema;
+}
+
+/**
+ * Accept a Schema, or the rule objects used by validate() so far:
+ * { email: { required: true, type: 'string', pattern: /@/ }, age: { type: 'number', min: 18 } }
+ */
+export function toSchema(definition) {
+  if (isSchema(definition)) return definition;
+
+  if (!definition || typeof definition !== 'object') {
+    throw new Error('[Schema] Expected a schema or a rule object');
+  }
+
+  if (isRule(definition)) {
+    return fromRule(definition);
+  }
+
+  return new ObjectSchema(definition, { unknownKeys: 'allow' });
+}
+
+const RULE_KEYS = ['required', 'type', 'min', 'max', 'pattern', 'enum', 'message', 'validate', 'default', 'items'];
+
+/**
+ * A rule only uses rule keys, and none of them holds a nested field definition
+ * (so a shape with a field called `type` is still read as a shape)
+ */
+function isRule(definition) {
+  const keys = Object.keys(definition);
+  return keys.length > 0 && keys.every((key) => {
+    if (!RULE_KEYS.includes(key)) return false;
+    if (key === 'items' || key === 'default') return true;
+    return !isSchema(definition[key]) && !isPlainObject(definition[key]);
+  });
+}
+
+function fromRule(rule) {
+  let field;
+
+  if (rule.enum) {
+    field = schema.enum(rule.enum);
+  } else {
+    switch (rule.type) {
+      case 'string': field = schema.string(); break;
+      case 'number': field = schema.number(); break;
+      case 'boolean': field = schema.boolean(); break;
+      case 'array': field = schema.array(rule.items); break;
+      case 'object': field = schema.object({}).passthrough(); break;
+      default: field = schema.any();
+    }
+  }
+
+  if (rule.min !== undefined && typeof field.min === 'function') field = field.min(rule.min);
+  if (rule.max !== undefined && typeof field.max === 'function') field = field.max(rule.max);
+  if (rule.pattern) {
+    field = field._check('pattern', (value) => {
+      rule.pattern.lastIndex = 0;
+      return rule.pattern.test(String(value));
+    });
+  }
+  if (rule.validate) field = field.refine(rule.validate);
+  if (rule.default !== undefined) field = field.default(rule.default);
+  if (!rule.required) field = field.optional().nullable();
+  if (rule.message) {
+    field = field.message('*', rule.message);
+  }
+
+  return field;
+}
+
+/**
+ * Validate incoming request data.
+ * source: 'body' | 'query' | 'params' validates one part (and writes the parsed value back);
+ * by default params, query and body are merged (body wins).
+ * The parsed value is always stored on req.validated.
+ */
+export async function validateRequest(definition, req, options = {}) {
+  const target = toSchema(definition);
+  const { source = null } = options;
+
+  const input = source
+    ? req[source]
+    : { ...(req.params || {}), ...(req.query || {}), ...(isPlainObject(req.body) ? req.body : {}) };
+
+  const result = await target.validate(input, { coerce: options.coerce ?? source !== 'body' });
+
+  if (result.valid) {
+    if (source) {
+      req[source] = result.value;
+    }
+    req.validated = result.value;
+  }
+
+  return result;
+}
+
+/**
+ * JSON body used by every HTTP integration for a failed validation
+ */
+export function validationErrorBody(errors) {
+  return { error: 'Validation failed', errors };
+}
+
+function createContext(options, root) {
+  return { errors: [], pending: [], coerce: Boolean(options.coerce), root };
+}
+
+function toResult(value, ctx) {
+  const valid = ctx.errors.length === 0;
+  return { valid, value: valid ? value : undefined, errors: ctx.errors };
+}
+
+function joinPath(path, key) {
+  return path === '' ? String(key) : `${path}.${key}`;
+}
+
+function label(path) {
+  return path === '' ? 'Value' : path;
+}
+
+function isThenable(value) {
+  return value != null && typeof value.then === 'function';
+}
+
+function isPlainObject(value) {
+  if (value === null || typeof value !== 'object') return false;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { schema, toSchema, validateRequest, ValidationError } from './schema.js';
+
+const User = schema.object({
+  name: schema.string().min(1, 'Name is required'),
+  age: schema.number().coerce().min(0).optional(),
+  role: schema.enum(['admin', 'user']).default('user'),
+  tags: schema.array(schema.string()).optional(),
+  address: schema.object({ city: schema.string() }).optional(),
+});
+
+test('valid input is parsed with defaults applied and unknown keys stripped', async () => {
+  const result = await User.validate({ name: 'Ada', age: '36', extra: true });
+
+  assert.equal(result.valid, true);
+  assert.deepEqual(result.value, { name: 'Ada', age: 36, role: 'user' });
+});
+
+test('every failure is reported with a dotted path and a code', async () => {
+  const result = await User.validate({ name: '', role: 'root', tags: ['a', 2], address: { city: 5 } });
+
+  assert.equal(result.valid, false);
+  assert.deepEqual(
+    result.errors.map(({ path, code }) => `${path}:${code}`),
+    ['name:min', 'role:enum', 'tags.1:type', 'address.city:type']
+  );
+  assert.equal(result.errors[0].message, 'Name is required');
+});
+
+test('falsy values are validated instead of being treated as missing', () => {
+  const Flags = schema.object({ count: schema.number().min(0), enabled: schema.boolean(), label: schema.string() });
+
+  const result = Flags.validateSync({ count: 0, enabled: false, label: '' });
+
+  assert.deepEqual(result.value, { count: 0, enabled: false, label: '' });
+});
+
+test('unions take the first matching option', () => {
+  const Id = schema.union([schema.number().integer(), schema.string().pattern(/^[a-z]+$/)]);
+
+  assert.equal(Id.validateSync(7).valid, true);
+  assert.equal(Id.validateSync('abc').valid, true);
+  assert.equal(Id.validateSync('ABC').errors[0].code, 'union');
+});
+
+test('async refinements run in validate() and are refused by validateSync()', async () => {
+  const taken = new Set(['ada']);
+  const Username = schema.string().refine(async (value) => !taken.has(value) || 'Username is taken');
+
+  const result = await Username.validate('ada');
+
+  assert.deepEqual(result.errors, [{ path: '', message: 'Username is taken', code: 'custom' }]);
+  assert.throws(() => Username.validateSync('bob'), /Async validators/);
+});
+
+test('parse() throws a ValidationError carrying status 400 and the errors', async () => {
+  await assert.rejects(User.parse({}), (error) => {
+    assert.ok(error instanceof ValidationError);
+    assert.equal(error.status, 400);
+    assert.equal(error.errors[0].path, 'name');
+    return true;
+  });
+});
+
+test('legacy rule objects are still accepted', () => {
+  const Signup = toSchema({
+    email: { required: true, type: 'string', pattern: /@/ },
+    age: { type: 'number', min: 18 },
+  });
+
+  assert.equal(Signup.validateSync({ email: 'a@b.c' }).valid, true);
+  assert.deepEqual(
+    Signup.validateSync({ email: 'nope', age: 3 }).errors.map((error) => error.path),
+    ['email', 'age']
+  );
+});
+
+test('validateRequest() coerces query input and stores the parsed value', async () => {
+  const req = { params: {}, query: { page: '2' }, body: null };
+
+  const result = await validateRequest({ page: schema.number().integer() }, req, { source: 'query' });
+
+  assert.equal(result.valid, true);
+  assert.deepEqual(req.query, { page: 2 });
+  assert.deepEqual(req.validated, { page: 2 });
+});
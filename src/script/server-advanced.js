@@ -4,9 +4,15 @@
  */
 
 import { ScrollScriptCore } from './core.js';
+import { toSchema, validateRequest, validationErrorBody } from './schema.js';
+import { MemorySessionStore, createSessionMiddleware, parseCookies } from './session.js';
+import { DEFAULT_BODY_OPTIONS, applyBodyParser } from './body-parser.js';
+import { enhanceResponse, isResponding, sendReturnValue } from './response.js';
+import { createStaticHandler } from './static.js';
+import { createSSEHub } from './sse.js';
+import { SIGNAL_TOPIC } from './pubsub.js';
 import http from 'http';
 import { parse as parseUrl } from 'url';
-import { parse as parseQuery } from 'querystring';
 
 export class ScrollScriptServerAdvanced extends ScrollScriptCore {
   constructor(config = {}) {
@@ -14,23 +20,26 @@ export class ScrollScriptServerAdvanced extends ScrollScriptCore {
     this.routes = new Map();
     this.middleware = [];
     this.wsClients = new Set();
+    this.sse = null; // Server-Sent Events hub, set by useSSE()
+    this.adapter = null; // Pub/sub adapter, set by useAdapter()
     this.server = null;
-    this.sessions = new Map();
+    this.sessions = null; // Session store, set by useSession()
     this.rateLimits = new Map();
     this.cache = new Map();
     this.staticPaths = [];
     this.cors = config.cors || { enabled: false };
+    this.responseOptions = config.response || {}; // { etag, compression: { threshold, encodings } | false }
     this.bodyParsers = {
-      json: true,
-      urlencoded: true,
-      multipart: false
+      ...DEFAULT_BODY_OPTIONS,
+      ...config.bodyParser
     };
   }
 
   /**
    * Register route with params support
+   * options.body overrides the body parser for this route (false to skip it)
    */
-  route(method, path, actionType, handler = null) {
+  route(method, path, actionType, handler = null, options = {}) {
     const key = `${method.toUpperCase()}:${path}`;
     const pattern = this._pathToRegex(path);
     
@@ -42,6 +51,7 @@ export class ScrollScriptServerAdvanced extends ScrollScriptCore {
       pattern,
       path,
       handler: routeHandler,
+      body: options.body,
       params: this._extractParamNames(path)
     });
 
@@ -76,7 +86,8 @@ export class ScrollScriptServerAdvanced extends ScrollScriptCore {
   _matchRoute(method, pathname) {
     for (const [key, route] of this.routes) {
       const [routeMethod] = key.split(':');
-      if (routeMethod !== method) continue;
+      // HEAD is answered by GET routes (the response toolkit drops the body)
+      if (routeMethod !== method && !(method === 'HEAD' && routeMethod === 'GET')) continue;
       
       const match = pathname.match(route.pattern);
       if (match) {
@@ -92,31 +103,35 @@ export class ScrollScriptServerAdvanced extends ScrollScriptCore {
   /**
    * Shorthand methods
    */
-  get(path, actionType, handler) {
-    return this.route('GET', path, actionType, handler);
+  get(path, actionType, handler, options) {
+    return this.route('GET', path, actionType, handler, options);
   }
 
-  post(path, actionType, handler) {
-    return this.route('POST', path, actionType, handler);
+  post(path, actionType, handler, options) {
+    return this.route('POST', path, actionType, handler, options);
   }
 
-  put(path, actionType, handler) {
-    return this.route('PUT', path, actionType, handler);
+  put(path, actionType, handler, options) {
+    return this.route('PUT', path, actionType, handler, options);
   }
 
-  delete(path, actionType, handler) {
-    return this.route('DELETE', path, actionType, handler);
+  delete(path, actionType, handler, options) {
+    return this.route('DELETE', path, actionType, handler, options);
   }
 
-  patch(path, actionType, handler) {
-    return this.route('PATCH', path, actionType, handler);
+  patch(path, actionType, handler, options) {
+    return this.route('PATCH', path, actionType, handler, options);
   }
 
   /**
-   * Serve static files
+   * Serve static files (options: see DEFAULT_STATIC_OPTIONS in static.js)
    */
-  static(path, directory) {
-    this.staticPaths.push({ path, directory });
+  static(path, directory, options = {}) {
+    this.staticPaths.push({
+      path,
+      directory,
+      handler: createStaticHandler(directory, { ...options, prefix: path })
+    });
     return this;
   }
 
@@ -143,92 +158,69 @@ export class ScrollScriptServerAdvanced extends ScrollScriptCore {
 
   /**
    * Session middleware
+   * See createSessionMiddleware() for options ({ secret, store, ttl, rolling, cookie, ... })
    */
   useSession(config = {}) {
-    const sessionStore = this.sessions;
-    const cookieName = config.cookieName || 'scrollforge_session';
-    
-    this.use((req, res) => {
-      // Parse session from cookie
-      const cookies = this._parseCookies(req.headers.cookie);
-      const sessionId = cookies[cookieName];
-      
-      if (sessionId && sessionStore.has(sessionId)) {
-        req.session = sessionStore.get(sessionId);
-      } else {
-        const newId = this._generateId();
-        req.session = { id: newId };
-        sessionStore.set(newId, req.session);
-        res.setHeader('Set-Cookie', `${cookieName}=${newId}; HttpOnly; Path=/`);
-      }
-    });
-    
+    this.sessions = config.store || new MemorySessionStore({ ttl: config.ttl, maxSessions: config.maxSessions });
+    this.use(createSessionMiddleware({ ...config, store: this.sessions }));
     return this;
   }
 
   /**
-   * Body parsing
+   * Server-Sent Events endpoint streaming syncToClients() updates.
+   * Messages POSTed by clients go to options.onMessage(client, message).
    */
-  async _parseBody(req) {
-    return new Promise((resolve, reject) => {
-      let body = '';
-      
-      req.on('data', chunk => {
-        body += chunk.toString();
-      });
-      
-      req.on('end', () => {
-        try {
-          const contentType = req.headers['content-type'] || '';
-          
-          if (contentType.includes('application/json')) {
-            resolve(JSON.parse(body));
-          } else if (contentType.includes('application/x-www-form-urlencoded')) {
-            resolve(parseQuery(body));
-          } else {
-            resolve(body);
-          }
-        } catch (error) {
-          resolve(body);
-        }
-      });
-      
-      req.on('error', reject);
+  useSSE(options = {}) {
+    this.sse = createSSEHub(options);
+    this.use(async (req, res) => {
+      await this.sse.handle(req, res);
     });
+    return this;
+  }
+
+  /**
+   * Share syncToClients() updates with other instances through a pub/sub
+   * adapter (InProcessAdapter, ClusterAdapter, BrokerAdapter...)
+   */
+  async useAdapter(adapter) {
+    this.adapter = adapter;
+    adapter.subscribe(SIGNAL_TOPIC, ({ message }) => this._deliverSync(message));
+    await adapter.connect();
+    return this;
+  }
+
+  /**
+   * Default body parser options (limit, json, urlencoded, raw, multipart...)
+   */
+  useBodyParser(options = {}) {
+    this.bodyParsers = { ...this.bodyParsers, ...options };
+    return this;
+  }
+
+  /**
+   * Body parsing (route options win over the server defaults; false skips parsing)
+   */
+  async _parseBody(req, res, routeOptions) {
+    if (routeOptions === false) return true;
+    return applyBodyParser(req, res, { ...this.bodyParsers, ...routeOptions });
   }
 
   /**
    * Validation middleware
+   * Accepts a schema (see schema.js) or the { field: { required, type, min, pattern } } rule map.
+   * Options: { source: 'body' | 'query' | 'params', coerce }. Parsed data lands on req.validated.
    */
-  validate(schema) {
-    return (req, res) => {
-      const errors = [];
-      
-      Object.entries(schema).forEach(([field, rules]) => {
-        const value = req.body?.[field] || req.query?.[field] || req.params?.[field];
-        
-        if (rules.required && !value) {
-          errors.push(`${field} is required`);
-        }
-        
-        if (rules.type && typeof value !== rules.type) {
-          errors.push(`${field} must be ${rules.type}`);
-        }
-        
-        if (rules.min && value < rules.min) {
-          errors.push(`${field} must be at least ${rules.min}`);
-        }
-        
-        if (rules.pattern && !rules.pattern.test(value)) {
-          errors.push(`${field} is invalid`);
-        }
-      });
-      
-      if (errors.length > 0) {
-        this.json(res, { errors }, 400);
+  validate(definition, options = {}) {
+    const target = toSchema(definition);
+
+    return async (req, res) => {
+      const result = await validateRequest(target, req, options);
+
+      if (!result.valid) {
+        this.json(res, validationErrorBody(result.errors), 400);
         return false;
       }
-      
+
       return true;
     };
   }
@@ -238,6 +230,8 @@ export class ScrollScriptServerAdvanced extends ScrollScriptCore {
    */
   createServer() {
     this.server = http.createServer(async (req, res) => {
+      enhanceResponse(req, res, this.responseOptions);
+
       // CORS
       if (this.cors.enabled) {
         res.setHeader('Access-Control-Allow-Origin', this.cors.origin);
@@ -259,11 +253,14 @@ export class ScrollScriptServerAdvanced extends ScrollScriptCore {
       // Add query to req
       req.query = query;
 
-      // Parse body
-      if (['POST', 'PUT', 'PATCH'].includes(req.method)) {
-        req.body = await this._parseBody(req);
+      // Static files
+      for (const { handler } of this.staticPaths) {
+        if (await handler(req, res)) return;
       }
 
+      // Match route (body parsing depends on its options)
+      const match = this._matchRoute(req.method, pathname);
+
       // Rate limiting
       if (!this._checkRateLimit(pathname, req)) {
         res.writeHead(429, { 'Content-Type': 'application/json' });
@@ -274,20 +271,23 @@ export class ScrollScriptServerAdvanced extends ScrollScriptCore {
       // Apply middleware
       for (const mw of this.middleware) {
         const result = await mw(req, res);
-        if (res.headersSent || result === false) return;
+        if (isResponding(res) || result === false) return;
+      }
+
+      // Parse body once middleware (sessions, auth) accepted the request
+      if (['POST', 'PUT', 'PATCH'].includes(req.method)) {
+        const parsed = await this._parseBody(req, res, match?.route.body);
+        if (!parsed) return;
       }
 
-      // Match route
-      const match = this._matchRoute(req.method, pathname);
-      
       if (match) {
         req.params = match.params;
         
         try {
-          await match.route.handler(req, res);
+          await sendReturnValue(res, await match.route.handler(req, res));
         } catch (error) {
           console.error('[ScrollScript Server] Error:', error);
-          if (!res.headersSent) {
+          if (!isResponding(res)) {
             this.json(res, { error: 'Internal Server Error' }, 500);
           }
         }
@@ -333,15 +333,7 @@ export class ScrollScriptServerAdvanced extends ScrollScriptCore {
    * Parse cookies
    */
   _parseCookies(cookieHeader) {
-    const cookies = {};
-    if (!cookieHeader) return cookies;
-    
-    cookieHeader.split(';').forEach(cookie => {
-      const [name, value] = cookie.split('=').map(c => c.trim());
-      cookies[name] = value;
-    });
-    
-    return cookies;
+    return parseCookies(cookieHeader);
   }
 
   /**
@@ -355,16 +347,23 @@ export class ScrollScriptServerAdvanced extends ScrollScriptCore {
    * Helper methods
    */
   json(res, data, status = 200) {
-    res.writeHead(status, { 'Content-Type': 'application/json' });
+    let body;
     
     // Handle circular references safely
     try {
-      res.end(JSON.stringify(data));
+      body = JSON.stringify(data);
     } catch (error) {
       // Circular reference detected - use safe serialization
-      const safeData = this._sanitizeForJSON(data);
-      res.end(JSON.stringify(safeData));
+      body = JSON.stringify(this._sanitizeForJSON(data));
     }
+
+    // Enhanced responses add ETag, compression and HEAD handling
+    if (typeof res.send === 'function') {
+      return res.send(body, { status, type: 'json' });
+    }
+
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(body);
   }
 
   /**
@@ -393,6 +392,10 @@ export class ScrollScriptServerAdvanced extends ScrollScriptCore {
   }
 
   html(res, content, status = 200) {
+    if (typeof res.send === 'function') {
+      return res.send(String(content), { status, type: 'html' });
+    }
+
     res.writeHead(status, { 'Content-Type': 'text/html' });
     res.end(content);
   }
@@ -415,11 +418,25 @@ export class ScrollScriptServerAdvanced extends ScrollScriptCore {
       timestamp: Date.now(),
     });
 
+    this._deliverSync(message);
+    if (this.adapter) {
+      this.adapter.publish(SIGNAL_TOPIC, { message });
+    }
+  }
+
+  /**
+   * Send a serialized SIGNAL_SYNC to this instance's WebSocket and SSE clients
+   */
+  _deliverSync(message) {
     this.wsClients.forEach((client) => {
       if (client.readyState === 1) {
         client.send(message);
       }
     });
+
+    if (this.sse) {
+      this.sse.broadcast(message);
+    }
   }
 
   /**
@@ -457,6 +474,14 @@ export class ScrollScriptServerAdvanced extends ScrollScriptCore {
     this.wsClients.forEach((client) => client.close());
     this.wsClients.clear();
 
+    // Open event streams would keep server.close() waiting
+    if (this.sse) this.sse.close();
+
+    if (this.adapter) {
+      await this.adapter.close();
+      this.adapter = null;
+    }
+
     if (this.server) {
       await new Promise((resolve) => this.server.close(resolve));
     }
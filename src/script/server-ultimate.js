@@ -10,6 +10,15 @@ import { MiddlewareLanes } from './middleware-lanes.js';
 import { pipeline } from './action-pipelines.js';
 import { createDevTools } from './dev-tools.js';
 import { createCollaborationLoop } from './collaboration.js';
+import { renderDocument } from '../mesh/ssr.js';
+import { MemorySessionStore, createSessionMiddleware } from './session.js';
+import { authenticate } from './auth.js';
+import { DEFAULT_BODY_OPTIONS, applyBodyParser } from './body-parser.js';
+import { enhanceResponse } from './response.js';
+import { createStaticHandler } from './static.js';
+import { createSSEHub } from './sse.js';
+import { SIGNAL_TOPIC } from './pubsub.js';
+import { createRPCServer } from './rpc.js';
 import http from 'http';
 
 export class ScrollScriptServerUltimate extends ScrollScriptCore {
@@ -22,11 +31,15 @@ export class ScrollScriptServerUltimate extends ScrollScriptCore {
     this.channels = new ChannelManager(this);
     this.devTools = createDevTools(this);
     this.collaboration = null; // Set after server creation
+    this.sse = null; // Server-Sent Events hub, set by useSSE()
+    this.rpc = null; // RPC procedures, set by useRPC() or the first procedure()
     this.server = null;
     
     // Config
     this.cors = config.cors || { enabled: false };
-    this.sessions = new Map();
+    this.sessions = null; // Session store, set by useSession()
+    this.bodyParsers = { ...DEFAULT_BODY_OPTIONS, ...config.bodyParser };
+    this.responseOptions = config.response || {}; // { etag, compression: { threshold, encodings } | false }
   }
 
   /**
@@ -69,6 +82,99 @@ export class ScrollScriptServerUltimate extends ScrollScriptCore {
     return this;
   }
 
+  /**
+   * Sessions as a `before` lane (same options as ScrollScriptServerAdvanced.useSession)
+   */
+  useSession(config = {}) {
+    this.sessions = config.store || new MemorySessionStore({ ttl: config.ttl, maxSessions: config.maxSessions });
+    return this.before('session', createSessionMiddleware({ ...config, store: this.sessions }));
+  }
+
+  /**
+   * Authenticate every request as a `before` lane (anonymous requests pass;
+   * routes opt in with { roles, permissions }). WebSocket channels use the same strategies.
+   */
+  useAuth(strategies, options = {}) {
+    this.channels.useAuth(strategies);
+    return this.before('auth', authenticate(strategies, { optional: true, ...options }));
+  }
+
+  /**
+   * Server-Sent Events fallback for clients that cannot open a WebSocket.
+   * SSE clients join the same channels and receive syncToClients() updates.
+   */
+  useSSE(options = {}) {
+    this.sse = createSSEHub({
+      ...options,
+      onMessage: (client, message) => this.channels.handleMessage(client, message),
+      onDisconnect: (client) => this.channels.disconnect(client),
+      authorizeResume: (client, req) => this.channels.reauthenticate(client, req),
+    });
+
+    return this.before('sse', async (req, res) => {
+      await this.sse.handle(req, res);
+    });
+  }
+
+  /**
+   * RPC endpoint (options: see DEFAULT_RPC_OPTIONS in rpc.js). Also answers RPC
+   * messages sent over the WebSocket or SSE connection.
+   * Call useAuth() first so procedures see the user.
+   */
+  useRPC(options = {}) {
+    if (this.rpc) {
+      Object.assign(this.rpc.options, options);
+      return this;
+    }
+
+    this.rpc = createRPCServer(options);
+    this.channels.rpc = this.rpc;
+
+    return this.before('rpc', async (req, res) => {
+      await this.rpc.handle(req, res);
+    });
+  }
+
+  /**
+   * Register an RPC procedure: procedure('todos.add', schema, handler, { roles })
+   * is called from the client as rpc.todos.add(input)
+   */
+  procedure(name, input, handler, options) {
+    if (!this.rpc) this.useRPC();
+    this.rpc.procedure(name, input, handler, options);
+    return this;
+  }
+
+  /**
+   * Procedure names and input schemas (also served at GET /rpc/manifest)
+   */
+  rpcManifest() {
+    return this.rpc ? this.rpc.manifest() : { version: 1, path: '/rpc', procedures: {} };
+  }
+
+  /**
+   * Run as one of several instances: channel broadcasts, presence and
+   * syncToClients() updates reach clients connected to any instance.
+   * adapter: InProcessAdapter, ClusterAdapter, BrokerAdapter (pubsub.js)
+   */
+  async useAdapter(adapter) {
+    await this.channels.useAdapter(adapter);
+    this.channels.subscribe(SIGNAL_TOPIC, ({ message }) => this._deliverSync(message));
+    return this;
+  }
+
+  /**
+   * Serve static files as a `before` lane (options: see DEFAULT_STATIC_OPTIONS in static.js)
+   */
+  static(path, directory, options = {}) {
+    const handler = createStaticHandler(directory, { ...options, prefix: path });
+
+    // Lanes stop once headers are sent, so a served file ends the request
+    return this.before(`static:${path}`, async (req, res) => {
+      await handler(req, res);
+    });
+  }
+
   /**
    * Error boundary
    */
@@ -145,6 +251,8 @@ export class ScrollScriptServerUltimate extends ScrollScriptCore {
    */
   createServer() {
     this.server = http.createServer(async (req, res) => {
+      enhanceResponse(req, res, this.responseOptions);
+
       // CORS
       if (this.cors.enabled) {
         res.setHeader('Access-Control-Allow-Origin', this.cors.origin);
@@ -164,15 +272,18 @@ export class ScrollScriptServerUltimate extends ScrollScriptCore {
       // Parse query
       req.query = Object.fromEntries(parsedUrl.searchParams);
 
-      // Parse body
-      if (['POST', 'PUT', 'PATCH'].includes(req.method)) {
-        req.body = await this._parseBody(req);
-      }
-
-      // Execute before middleware
+      // Execute before middleware (session/auth reject before any upload is read;
+      // SSE and RPC read their own bodies)
       const beforeOk = await this.lanes.executeBefore(req, res);
       if (!beforeOk) return;
 
+      // Parse body (with the matching route's { body } options)
+      if (['POST', 'PUT', 'PATCH'].includes(req.method)) {
+        const route = this.router.find(req.method, pathname);
+        const parsed = await this._parseBody(req, res, route?.body);
+        if (!parsed) return;
+      }
+
       // Match route
       const result = await this.router.match(
         req.method,
@@ -203,30 +314,19 @@ export class ScrollScriptServerUltimate extends ScrollScriptCore {
   }
 
   /**
-   * Parse request body
+   * Default body parser options (limit, json, urlencoded, raw, multipart...)
    */
-  async _parseBody(req) {
-    return new Promise((resolve) => {
-      let body = '';
-      
-      req.on('data', chunk => {
-        body += chunk.toString();
-      });
-      
-      req.on('end', () => {
-        try {
-          const contentType = req.headers['content-type'] || '';
-          
-          if (contentType.includes('application/json')) {
-            resolve(JSON.parse(body));
-          } else {
-            resolve(body);
-          }
-        } catch (error) {
-          resolve(body);
-        }
-      });
-    });
+  useBodyParser(options = {}) {
+    this.bodyParsers = { ...this.bodyParsers, ...options };
+    return this;
+  }
+
+  /**
+   * Parse request body (route options win over the server defaults; false skips parsing)
+   */
+  async _parseBody(req, res, routeOptions) {
+    if (routeOptions === false) return true;
+    return applyBodyParser(req, res, { ...this.bodyParsers, ...routeOptions });
   }
 
   /**
@@ -272,6 +372,16 @@ export class ScrollScriptServerUltimate extends ScrollScriptCore {
       timestamp: Date.now(),
     });
 
+    this._deliverSync(message);
+    if (this.channels) {
+      this.channels.publish(SIGNAL_TOPIC, { message });
+    }
+  }
+
+  /**
+   * Send a serialized SIGNAL_SYNC to this instance's WebSocket and SSE clients
+   */
+  _deliverSync(message) {
     if (this.channels && this.channels.wss) {
       this.channels.wss.clients.forEach((client) => {
         if (client.readyState === 1) {
@@ -279,6 +389,10 @@ export class ScrollScriptServerUltimate extends ScrollScriptCore {
         }
       });
     }
+
+    if (this.sse) {
+      this.sse.broadcast(message);
+    }
   }
 
   /**
@@ -295,16 +409,23 @@ export class ScrollScriptServerUltimate extends ScrollScriptCore {
    * Helper methods
    */
   json(res, data, status = 200) {
-    res.writeHead(status, { 'Content-Type': 'application/json' });
+    let body;
     
     // Handle circular references safely
     try {
-      res.end(JSON.stringify(data));
+      body = JSON.stringify(data);
     } catch (error) {
       // Circular reference detected - use safe serialization
-      const safeData = this._sanitizeForJSON(data);
-      res.end(JSON.stringify(safeData));
+      body = JSON.stringify(this._sanitizeForJSON(data));
+    }
+
+    // Enhanced responses add ETag, compression and HEAD handling
+    if (typeof res.send === 'function') {
+      return res.send(body, { status, type: 'json' });
     }
+
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(body);
   }
 
   /**
@@ -335,10 +456,21 @@ export class ScrollScriptServerUltimate extends ScrollScriptCore {
   }
 
   html(res, content, status = 200) {
+    if (typeof res.send === 'function') {
+      return res.send(String(content), { status, type: 'html' });
+    }
+
     res.writeHead(status, { 'Content-Type': 'text/html' });
     res.end(content);
   }
 
+  /**
+   * Server-render a ScrollMesh component into a full page with its state embedded
+   */
+  render(res, component, options = {}, status = 200) {
+    this.html(res, renderDocument(component, options), status);
+  }
+
   /**
    * Graceful shutdown
    */
@@ -346,6 +478,10 @@ export class ScrollScriptServerUltimate extends ScrollScriptCore {
     console.log('[ScrollScript Server] Shutting down...');
     
     this.devTools.cleanup();
+
+    // Open event streams would keep server.close() waiting
+    if (this.sse) this.sse.close();
+    await this.channels.detachAdapter();
     
     if (this.server) {
       await new Promise((resolve) => this.server.close(resolve));
@@ -0,0 +1,44 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ScrollScriptServerUltimate } from './server-ultimate.js';
+import { bearer } from './auth.js';
+
+let app;
+let base;
+
+before(async () => {
+  app = new ScrollScriptServerUltimate();
+  app.useAuth(bearer({ verify: (token) => (token === 'good' ? { id: 'ada' } : null) }), { optional: false });
+  app.post('/notes', (req, res) => app.json(res, { saved: req.body }), { body: { limit: '16b' } });
+  app.createServer();
+  await new Promise((resolve) => app.server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${app.server.address().port}`;
+});
+
+after(() => {
+  app.server.closeAllConnections();
+  app.server.close();
+});
+
+function postNote(text, token) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (token) headers.authorization = `Bearer ${token}`;
+  return fetch(`${base}/notes`, { method: 'POST', headers, body: JSON.stringify({ text }) });
+}
+
+test('before lanes reject a request before its body is read', async () => {
+  const response = await postNote('x'.repeat(64));
+
+  assert.equal(response.status, 401);
+  assert.equal((await response.json()).code, 'unauthorized');
+});
+
+test('authenticated requests get their body parsed with the route options', async () => {
+  const small = await postNote('hi', 'good');
+  assert.deepEqual(await small.json(), { saved: { text: 'hi' } });
+
+  const large = await postNote('x'.repeat(64), 'good');
+  assert.equal(large.status, 413);
+  await large.text();
+});
@@ -0,0 +1,424 @@
+/**
+ * Sessions
+ * Pluggable stores, HMAC-signed cookie IDs, rolling expiry and flash messages
+ *
+ * Stores implement async get(id), set(id, data, ttl), touch(id, ttl) and destroy(id).
+ * MemorySessionStore (TTL + LRU) and FileSessionStore (JSON file) ship here;
+ * anything with the same four methods (Redis, SQL...) can be passed as `store`.
+ */
+
+import crypto from 'crypto';
+import { promises as fs } from 'fs';
+import { dirname } from 'path';
+
+const DEFAULT_TTL = 24 * 60 * 60 * 1000;
+const FLASH_KEY = '__flash';
+
+export class MemorySessionStore {
+  constructor(options = {}) {
+    this.ttl = options.ttl || DEFAULT_TTL;
+    this.maxSessions = options.maxSessions || 10000;
+    this.sessions = new Map();
+  }
+
+  async get(id) {
+    const entry = this.sessions.get(id);
+    if (!entry) return null;
+
+    if (entry.expires <= Date.now()) {
+      this.sessions.delete(id);
+      return null;
+    }
+
+    // Re-insert so Map order stays least-recently-used first
+    this.sessions.delete(id);
+    this.sessions.set(id, entry);
+    return entry.data;
+  }
+
+  async set(id, data, ttl = this.ttl) {
+    this.sessions.delete(id);
+    this.sessions.set(id, { data, expires: Date.now() + ttl });
+
+    if (this.sessions.size > this.maxSessions) {
+      this.prune();
+    }
+  }
+
+  async touch(id, ttl = this.ttl) {
+    const entry = this.sessions.get(id);
+    if (entry) {
+      entry.expires = Date.now() + ttl;
+    }
+  }
+
+  async destroy(id) {
+    this.sessions.delete(id);
+  }
+
+  async clear() {
+    this.sessions.clear();
+  }
+
+  /**
+   * Drop expired sessions, then the least recently used beyond maxSessions
+   */
+  prune() {
+    const now = Date.now();
+    this.sessions.forEach((entry, id) => {
+      if (entry.expires <= now) this.sessions.delete(id);
+    });
+
+    for (const id of this.sessions.keys()) {
+      if (this.sessions.size <= this.maxSessions) break;
+      this.sessions.delete(id);
+    }
+  }
+
+  get size() {
+    return this.sessions.size;
+  }
+}
+
+/**
+ * Keeps every session in one JSON file, loaded on first use.
+ * Suited to development and single-process deployments.
+ */
+export class FileSessionStore extends MemorySessionStore {
+  constructor(options = {}) {
+    super(options);
+    this.path = options.path || '.sessions.json';
+    this._loading = null;
+    this._writing = Promise.resolve();
+  }
+
+  async get(id) {
+    await this._load();
+    return super.get(id);
+  }
+
+  async set(id, data, ttl) {
+    await this._load();
+    await super.set(id, data, ttl);
+    return this._persist();
+  }
+
+  async touch(id, ttl) {
+    await this._load();
+    await super.touch(id, ttl);
+    return this._persist();
+  }
+
+  async destroy(id) {
+    await this._load();
+    await super.destroy(id);
+    return this._persist();
+  }
+
+  async clear() {
+    await super.clear();
+    return this._persist();
+  }
+
+  _load() {
+    if (!this._loading) {
+      this._loading = fs.readFile(this.path, 'utf8')
+        .then((content) => {
+          const now = Date.now();
+          Object.entries(JSON.parse(content)).forEach(([id, entry]) => {
+            if (entry.expires > now) this.sessions.set(id, entry);
+          });
+        })
+        .catch((error) => {
+          if (error.code !== 'ENOENT') {
+            console.error('[Session] Could not read session file:', error.message);
+          }
+        });
+    }
+    return this._loading;
+  }
+
+  /**
+   * Writes are chained so the file never interleaves, and go through a temp file
+   */
+  _persist() {
+    this._writing = this._writing.then(async () => {
+      const tempPath = `${this.path}.tmp`;
+      await fs.mkdir(dirname(this.path), { recursive: true });
+      await fs.writeFile(tempPath, JSON.stringify(Object.fromEntries(this.sessions)));
+      await fs.rename(tempPath, this.path);
+    }).catch((error) => {
+      console.error('[Session] Could not write session file:', error.message);
+    });
+
+    return this._writing;
+  }
+}
+
+/**
+ * Cookie helpers
+ */
+export function parseCookies(cookieHeader) {
+  const cookies = {};
+  if (!cookieHeader) return cookies;
+
+  cookieHeader.split(';').forEach((cookie) => {
+    const index = cookie.indexOf('=');
+    if (index === -1) return;
+
+    const name = cookie.slice(0, index).trim();
+    const value = cookie.slice(index + 1).trim();
+    try {
+      cookies[name] = decodeURIComponent(value);
+    } catch (error) {
+      cookies[name] = value;
+    }
+  });
+
+  return cookies;
+}
+
+export function serializeCookie(name, value, options = {}) {
+  const parts = [`${name}=${encodeURIComponent(value)}`];
+
+  if (options.maxAge !== undefined) parts.push(`Max-Age=${Math.floor(options.maxAge / 1000)}`);
+  if (options.expires) parts.push(`Expires=${options.expires.toUTCString()}`);
+  if (options.domain) parts.push(`Domain=${options.domain}`);
+  parts.push(`Path=${options.path || '/'}`);
+  if (options.httpOnly !== false) parts.push('HttpOnly');
+  if (options.secure) parts.push('Secure');
+  if (options.sameSite) parts.push(`SameSite=${options.sameSite}`);
+
+  return parts.join('; ');
+}
+
+/**
+ * Add a Set-Cookie header without dropping ones set earlier
+ */
+export function appendSetCookie(res, cookie) {
+  const existing = res.getHeader('Set-Cookie');
+  const cookies = existing ? [].concat(existing) : [];
+  res.setHeader('Set-Cookie', [...cookies, cookie]);
+}
+
+/**
+ * value.signature (HMAC-SHA256, base64url)
+ */
+export function signCookieValue(value, secret) {
+  const signature = crypto.createHmac('sha256', secret).update(value).digest('base64url');
+  return `${value}.${signature}`;
+}
+
+/**
+ * Original value when the signature matches one of the secrets (newest first), else null
+ */
+export function unsignCookieValue(signed, secrets) {
+  if (typeof signed !== 'string') return null;
+
+  const index = signed.lastIndexOf('.');
+  if (index <= 0) return null;
+
+  const value = signed.slice(0, index);
+  const given = Buffer.from(signed);
+
+  for (const secret of [].concat(secrets)) {
+    const expected = Buffer.from(signCookieValue(value, secret));
+    if (expected.length === given.length && crypto.timingSafeEqual(expected, given)) {
+      return value;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Session attached to req.session. Data lives on the object itself;
+ * the id and internals are non-enumerable so they are never stored.
+ */
+class Session {
+  constructor(manager, id, data = null) {
+    Object.defineProperty(this, '_manager', { value: manager, writable: true });
+    Object.defineProperty(this, '_state', {
+      value: { isNew: !data, destroyed: false, regenerated: false, saved: '' },
+      writable: true,
+    });
+    Object.defineProperty(this, 'id', { value: id, writable: true, enumerable: false });
+    Object.assign(this, data);
+    this._state.saved = JSON.stringify(this);
+  }
+
+  /**
+   * Replace the session with a new, empty one under a new ID (use after login)
+   */
+  async regenerate() {
+    await this._manager.store.destroy(this.id);
+    this._clearData();
+    this.id = generateSessionId();
+    this._state.regenerated = true;
+    this._state.destroyed = false;
+    return this;
+  }
+
+  /**
+   * Remove the session from the store and expire the cookie
+   */
+  async destroy() {
+    await this._manager.store.destroy(this.id);
+    this._clearData();
+    this._state.destroyed = true;
+  }
+
+  /**
+   * Persist now instead of when the response headers are written
+   */
+  async save() {
+    this._state.saved = JSON.stringify(this);
+    this._state.isNew = false;
+    return this._manager.store.set(this.id, this.toJSON(), this._manager.ttl);
+  }
+
+  /**
+   * flash(type, message) queues a message for the next request;
+   * flash(type) reads and clears that type; flash() reads and clears all.
+   */
+  flash(type, message) {
+    const messages = this[FLASH_KEY] || {};
+
+    if (message !== undefined) {
+      messages[type] = [...(messages[type] || []), message];
+      this[FLASH_KEY] = messages;
+      return messages[type].length;
+    }
+
+    if (type === undefined) {
+      delete this[FLASH_KEY];
+      return messages;
+    }
+
+    const pending = messages[type] || [];
+    delete messages[type];
+
+    if (Object.keys(messages).length === 0) {
+      delete this[FLASH_KEY];
+    }
+
+    return pending;
+  }
+
+  toJSON() {
+    return { ...this };
+  }
+
+  _clearData() {
+    Object.keys(this).forEach((key) => {
+      delete this[key];
+    });
+  }
+
+  _isModified() {
+    return JSON.stringify(this) !== this._state.saved;
+  }
+}
+
+/**
+ * Session middleware usable with server.use() or lanes.addBefore()
+ *
+ * Options:
+ *   secret      string or array of strings (first signs, all verify - for rotation)
+ *   store       session store (default MemorySessionStore)
+ *   cookieName  default 'scrollforge_session'
+ *   ttl         lifetime in ms (default 24h)
+ *   rolling     extend expiry on every request (default true)
+ *   cookie      { secure, sameSite: 'Lax', domain, path }
+ */
+export function createSessionMiddleware(options = {}) {
+  let secrets = options.secret ? [].concat(options.secret) : null;
+
+  if (!secrets) {
+    console.warn('[Session] No secret configured - using a random one; sessions will not survive restarts');
+    secrets = [crypto.randomBytes(32).toString('hex')];
+  }
+
+  const manager = {
+    store: options.store || new MemorySessionStore({ ttl: options.ttl }),
+    ttl: options.ttl || DEFAULT_TTL,
+  };
+  const cookieName = options.cookieName || 'scrollforge_session';
+  const rolling = options.rolling !== false;
+  const cookieOptions = {
+    sameSite: 'Lax',
+    secure: false,
+    ...options.cookie,
+  };
+
+  return async (req, res) => {
+    const cookies = parseCookies(req.headers.cookie);
+    const sessionId = unsignCookieValue(cookies[cookieName], secrets);
+    const data = sessionId ? await manager.store.get(sessionId) : null;
+
+    const session = data
+      ? new Session(manager, sessionId, data)
+      : new Session(manager, generateSessionId());
+    req.session = session;
+
+    commitBeforeHeaders(res, () => {
+      const { isNew, destroyed, regenerated } = session._state;
+
+      if (destroyed) {
+        appendSetCookie(res, serializeCookie(cookieName, '', { ...cookieOptions, maxAge: 0 }));
+        return;
+      }
+
+      const modified = session._isModified();
+
+      // Empty new sessions are never stored, so drive-by requests cost nothing
+      if (isNew && !modified && !regenerated) return;
+
+      if (modified || isNew || regenerated) {
+        session._state.saved = JSON.stringify(session);
+        manager.store.set(session.id, session.toJSON(), manager.ttl).catch((error) => {
+          console.error('[Session] Could not save session:', error);
+        });
+      } else if (rolling) {
+        manager.store.touch(session.id, manager.ttl).catch((error) => {
+          console.error('[Session] Could not extend session:', error);
+        });
+      }
+
+      if (isNew || regenerated || rolling) {
+        appendSetCookie(res, serializeCookie(cookieName, signCookieValue(session.id, secrets[0]), {
+          ...cookieOptions,
+          maxAge: manager.ttl,
+        }));
+      }
+    });
+
+    return true;
+  };
+}
+
+/**
+ * Run fn once, right before the response headers go out
+ */
+function commitBeforeHeaders(res, fn) {
+  let committed = false;
+  const commit = () => {
+    if (committed || res.headersSent) return;
+    committed = true;
+    fn();
+  };
+
+  ['writeHead', 'write', 'end'].forEach((method) => {
+    const original = res[method];
+    if (typeof original !== 'function') return;
+
+    res[method] = function(...args) {
+      commit();
+      return original.apply(this, args);
+    };
+  });
+}
+
+function generateSessionId() {
+  return crypto.randomBytes(24).toString('base64url');
+}
@@ -0,0 +1,112 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+
+import {
+  createSessionMiddleware,
+  MemorySessionStore,
+  signCookieValue,
+  unsignCookieValue,
+} from './session.js';
+
+const store = new MemorySessionStore();
+const middleware = createSessionMiddleware({ secret: ['new-secret', 'old-secret'], store });
+
+const routes = {
+  '/login': async (req) => {
+    req.session.visits = 1;
+    await req.session.regenerate();
+    req.session.user = 'ada';
+    req.session.flash('info', 'Welcome back');
+  },
+  '/me': (req) => ({ user: req.session.user || null, info: req.session.flash('info') }),
+  '/logout': (req) => req.session.destroy(),
+  '/ping': () => ({}),
+};
+
+let server;
+let base;
+
+before(async () => {
+  server = http.createServer(async (req, res) => {
+    await middleware(req, res);
+    const result = await routes[req.url](req);
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(result || {}));
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+function sessionCookie(response) {
+  const header = response.headers.getSetCookie().find((cookie) => cookie.startsWith('scrollforge_session='));
+  return header && header.split(';')[0];
+}
+
+test('signed values verify with any configured secret and reject tampering', () => {
+  const signed = signCookieValue('abc', 'old-secret');
+
+  assert.equal(unsignCookieValue(signed, ['new-secret', 'old-secret']), 'abc');
+  assert.equal(unsignCookieValue(`${signed}x`, ['old-secret']), null);
+  assert.equal(unsignCookieValue(signed.replace('abc', 'abd'), ['old-secret']), null);
+  assert.equal(unsignCookieValue('abc', ['old-secret']), null);
+});
+
+test('requests that do not touch the session get no cookie and store nothing', async () => {
+  const response = await fetch(`${base}/ping`);
+  await response.text();
+
+  assert.equal(sessionCookie(response), undefined);
+  assert.equal(store.size, 0);
+});
+
+test('regenerate() issues a new id, flash messages are read once', async () => {
+  const login = await fetch(`${base}/login`);
+  await login.text();
+  const cookie = sessionCookie(login);
+  assert.match(cookie, /^scrollforge_session=.+\..+/);
+  assert.equal(store.size, 1);
+
+  const first = await fetch(`${base}/me`, { headers: { cookie } });
+  assert.deepEqual(await first.json(), { user: 'ada', info: ['Welcome back'] });
+
+  const second = await fetch(`${base}/me`, { headers: { cookie } });
+  assert.deepEqual(await second.json(), { user: 'ada', info: [] });
+
+  const [id] = store.sessions.keys();
+  assert.equal((await store.get(id)).visits, undefined);
+});
+
+test('a forged cookie is ignored and destroy() expires the cookie', async () => {
+  const login = await fetch(`${base}/login`);
+  await login.text();
+  const cookie = sessionCookie(login);
+
+  const forged = await fetch(`${base}/me`, { headers: { cookie: `${cookie.slice(0, -2)}xx` } });
+  assert.deepEqual(await forged.json(), { user: null, info: [] });
+
+  const logout = await fetch(`${base}/logout`, { headers: { cookie } });
+  await logout.text();
+  assert.match(logout.headers.getSetCookie()[0], /Max-Age=0/);
+
+  const loggedOut = await fetch(`${base}/me`, { headers: { cookie } });
+  assert.deepEqual(await loggedOut.json(), { user: null, info: [] });
+});
+
+test('the memory store expires entries and evicts the least recently used', async () => {
+  const small = new MemorySessionStore({ maxSessions: 2 });
+  await small.set('a', { n: 1 });
+  await small.set('b', { n: 2 });
+  await small.get('a');
+  await small.set('c', { n: 3 });
+  await small.set('gone', { n: 4 }, -1);
+
+  assert.deepEqual(await small.get('b'), null);
+  assert.deepEqual(await small.get('a'), { n: 1 });
+  assert.equal(await small.get('gone'), null);
+});
@@ -0,0 +1,319 @@
+/**
+ * Server-Sent Events Transport
+ * Signal syncs and channel broadcasts for clients that cannot open a WebSocket
+ *
+ * GET {path} opens the event stream; POST {path} carries the client's messages
+ * (JOIN_CHANNEL, channel events...) in the same JSON shape the WebSocket uses.
+ * Every frame gets an event ID and stays in the client's outbox for a while, so
+ * an EventSource reconnecting with Last-Event-ID gets what it missed.
+ *
+ * The server picks the client ID and sends it with a secret resume token in the
+ * CONNECTED frame. Resuming (GET ?clientId=&resumeToken=) and POSTing
+ * ({ clientId, resumeToken, message }) need both; client IDs alone are not
+ * secret, presence shows them to other members.
+ */
+
+import crypto from 'crypto';
+import { readStream } from './body-parser.js';
+
+export const DEFAULT_SSE_OPTIONS = {
+  path: '/sse',
+  retry: 2000,       // reconnect delay suggested to EventSource (ms)
+  heartbeat: 15000,  // comment frame that keeps proxies from closing idle streams (ms)
+  bufferSize: 200,   // frames kept per client for Last-Event-ID replay
+  grace: 30000,      // how long a disconnected client keeps its channels and outbox (ms)
+  limit: 64 * 1024,  // max POST body when the server has not parsed it already
+};
+
+/**
+ * One EventSource client. Shaped like a `ws` socket (readyState, send, close)
+ * so Channel.join/broadcast/sendTo work with it unchanged.
+ */
+export class SSEClient {
+  constructor(hub, id) {
+    this.id = id;
+    this.hub = hub;
+    this.resumeToken = randomToken(32);
+    this.res = null;
+    this.readyState = 0;
+    this.lastEventId = 0;
+    this.outbox = [];
+    this._expiry = null;
+    this._request = null;
+  }
+
+  /**
+   * Queue a serialized message; written now if the stream is attached.
+   * Stays OPEN during the reconnect grace period so nothing is dropped.
+   */
+  send(data) {
+    if (this.readyState === 3) return;
+
+    const id = ++this.lastEventId;
+    this.outbox.push({ id, data });
+    if (this.outbox.length > this.hub.options.bufferSize) {
+      this.outbox.shift();
+    }
+
+    if (this.res) {
+      writeEvent(this.res, id, data);
+    }
+  }
+
+  /**
+   * End the stream and forget the client
+   */
+  close() {
+    this.hub._remove(this);
+  }
+}
+
+export class SSEHub {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_SSE_OPTIONS, ...options };
+    this.clients = new Map();
+    this.onMessage = options.onMessage || null;       // (client, message) => void
+    this.onDisconnect = options.onDisconnect || null; // (client) => void, after the grace period
+    // (client, req) => boolean: may this request take over the client? (e.g. the same user)
+    this.authorizeResume = options.authorizeResume || null;
+    this._heartbeat = null;
+  }
+
+  /**
+   * Does this request target the SSE endpoint?
+   */
+  matches(req) {
+    const pathname = new URL(req.url, 'http://localhost').pathname;
+    return pathname === this.options.path;
+  }
+
+  /**
+   * Request handler for both verbs; returns false for other requests
+   */
+  async handle(req, res) {
+    if (!this.matches(req)) return false;
+
+    if (req.method === 'GET') {
+      await this.connect(req, res);
+    } else if (req.method === 'POST') {
+      await this.receive(req, res);
+    } else {
+      res.writeHead(405, { 'Content-Type': 'application/json', Allow: 'GET, POST' });
+      res.end(JSON.stringify({ error: 'Method Not Allowed' }));
+    }
+    return true;
+  }
+
+  /**
+   * Open an event stream, or resume one with its client ID and resume token
+   */
+  async connect(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const lastEventId = Number(req.headers['last-event-id'] || url.searchParams.get('lastEventId')) || 0;
+
+    let client = this._authenticate(url.searchParams.get('clientId'), url.searchParams.get('resumeToken'));
+    let resumed = false;
+
+    if (client && this.authorizeResume) {
+      let allowed = false;
+      try {
+        allowed = await this.authorizeResume(client, req);
+      } catch (error) {
+        console.error('[SSE] Resume check failed:', error);
+      }
+
+      if (!allowed) {
+        // Whoever holds the token is no longer who opened the stream
+        this._remove(client);
+        client = null;
+      }
+    }
+
+    if (client) {
+      // A reconnect racing the old socket's close
+      if (client.res) client.res.end();
+      clearTimeout(client._expiry);
+
+      // Resumable only if nothing after lastEventId has left the outbox
+      const oldest = client.outbox.length > 0 ? client.outbox[0].id : client.lastEventId + 1;
+      resumed = lastEventId > 0 && lastEventId >= oldest - 1;
+    } else {
+      client = new SSEClient(this, randomToken(16));
+      this.clients.set(client.id, client);
+    }
+
+    client._request = req;
+    client.readyState = 1;
+    client.res = res;
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no', // nginx would otherwise buffer the stream
+    });
+    res.write(`retry: ${this.options.retry}\n\n`);
+
+    if (resumed) {
+      client.outbox
+        .filter((entry) => entry.id > lastEventId)
+        .forEach((entry) => writeEvent(res, entry.id, entry.data));
+    }
+
+    client.send(JSON.stringify({
+      type: 'CONNECTED',
+      clientId: client.id,
+      resumeToken: client.resumeToken,
+      resumed,
+      timestamp: Date.now()
+    }));
+
+    req.on('close', () => this._detach(client, res));
+    this._startHeartbeat();
+
+    return client;
+  }
+
+  /**
+   * POST { clientId, resumeToken, message } or { clientId, resumeToken, messages: [...] }
+   */
+  async receive(req, res) {
+    let body = req.body;
+
+    try {
+      if (body === undefined) {
+        const raw = await readStream(req, this.options.limit);
+        body = raw.length > 0 ? JSON.parse(raw.toString('utf8')) : {};
+      } else if (typeof body === 'string') {
+        body = JSON.parse(body);
+      }
+    } catch (error) {
+      return sendJSON(res, error.status || 400, { error: error.status ? error.message : 'Malformed message' });
+    }
+
+    const client = this._authenticate(body?.clientId, body?.resumeToken);
+    if (!client) {
+      // The stream expired (or was never this caller's); the client reconnects and joins again
+      return sendJSON(res, 404, { error: 'Unknown SSE client' });
+    }
+
+    const messages = Array.isArray(body.messages) ? body.messages : [body.message];
+
+    for (const message of messages) {
+      if (!message || typeof message.type !== 'string') continue;
+
+      if (this.onMessage) {
+        try {
+          await this.onMessage(client, message);
+        } catch (error) {
+          console.error('[SSE] Message error:', error);
+        }
+      }
+    }
+
+    return sendJSON(res, 202, { ok: true });
+  }
+
+  /**
+   * Send a message (object or serialized JSON) to every client
+   */
+  broadcast(message) {
+    const data = typeof message === 'string' ? message : JSON.stringify(message);
+    this.clients.forEach((client) => client.send(data));
+  }
+
+  /**
+   * Close every stream
+   */
+  close() {
+    Array.from(this.clients.values()).forEach((client) => this._remove(client));
+    this._stopHeartbeat();
+  }
+
+  /**
+   * The client with this ID, if the token is its resume token
+   */
+  _authenticate(clientId, resumeToken) {
+    const client = typeof clientId === 'string' ? this.clients.get(clientId) : null;
+    if (!client || typeof resumeToken !== 'string') return null;
+
+    const expected = Buffer.from(client.resumeToken);
+    const given = Buffer.from(resumeToken);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+      return null;
+    }
+
+    return client;
+  }
+
+  /**
+   * Stream ended: keep the client around for the grace period
+   */
+  _detach(client, res) {
+    if (client.res !== res) return;
+
+    client.res = null;
+    client._expiry = setTimeout(() => this._remove(client), this.options.grace);
+    if (client._expiry.unref) client._expiry.unref();
+  }
+
+  /**
+   * Forget a client (its channels are left through onDisconnect)
+   */
+  _remove(client) {
+    if (!this.clients.has(client.id)) return;
+
+    clearTimeout(client._expiry);
+    this.clients.delete(client.id);
+    client.readyState = 3;
+
+    if (client.res) {
+      client.res.end();
+      client.res = null;
+    }
+
+    if (this.onDisconnect) {
+      this.onDisconnect(client);
+    }
+
+    if (this.clients.size === 0) {
+      this._stopHeartbeat();
+    }
+  }
+
+  _startHeartbeat() {
+    if (this._heartbeat || !this.options.heartbeat) return;
+
+    this._heartbeat = setInterval(() => {
+      this.clients.forEach((client) => {
+        if (client.res) client.res.write(': ping\n\n');
+      });
+    }, this.options.heartbeat);
+
+    if (this._heartbeat.unref) this._heartbeat.unref();
+  }
+
+  _stopHeartbeat() {
+    clearInterval(this._heartbeat);
+    this._heartbeat = null;
+  }
+}
+
+export function createSSEHub(options) {
+  return new SSEHub(options);
+}
+
+function writeEvent(res, id, data) {
+  const lines = String(data).split('\n').map((line) => `data: ${line}`).join('\n');
+  res.write(`id: ${id}\n${lines}\n\n`);
+}
+
+function sendJSON(res, status, body) {
+  if (res.headersSent) return;
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function randomToken(bytes) {
+  return crypto.randomBytes(bytes).toString('base64url');
+}
@@ -0,0 +1,139 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+
+import { SSEHub } from './sse.js';
+
+const received = [];
+const hub = new SSEHub({
+  heartbeat: 0,
+  onMessage: (client, message) => received.push({ clientId: client.id, message }),
+});
+
+let server;
+let port;
+
+before(async () => {
+  server = http.createServer(async (req, res) => {
+    if (!(await hub.handle(req, res))) res.writeHead(404).end();
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  port = server.address().port;
+});
+
+after(() => {
+  hub.close();
+  server.closeAllConnections();
+  server.close();
+});
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Open an event stream; next() resolves with the next { id, data } event
+ */
+function open(query = '', headers = {}) {
+  return new Promise((resolve, reject) => {
+    const events = [];
+    const waiting = [];
+    let buffer = '';
+
+    const req = http.get({ port, host: '127.0.0.1', path: `/sse${query}`, headers }, (res) => {
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        buffer += chunk;
+        let end;
+        while ((end = buffer.indexOf('\n\n')) !== -1) {
+          const frame = buffer.slice(0, end);
+          buffer = buffer.slice(end + 2);
+          const id = /^id: (\d+)$/m.exec(frame)?.[1];
+          const data = frame.split('\n').filter((line) => line.startsWith('data: ')).map((line) => line.slice(6));
+          if (!id) continue;
+          const event = { id: Number(id), data: JSON.parse(data.join('\n')) };
+          if (waiting.length > 0) waiting.shift()(event);
+          else events.push(event);
+        }
+      });
+      resolve({
+        next: () => (events.length > 0 ? Promise.resolve(events.shift()) : new Promise((done) => waiting.push(done))),
+        close: () => req.destroy(),
+      });
+    });
+    req.on('error', (error) => {
+      if (error.code !== 'ECONNRESET') reject(error);
+    });
+  });
+}
+
+function post(body) {
+  return fetch(`http://127.0.0.1:${port}/sse`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+}
+
+test('a new stream gets a client id and a secret resume token', async () => {
+  const stream = await open();
+  const { data } = await stream.next();
+
+  assert.equal(data.type, 'CONNECTED');
+  assert.equal(data.resumed, false);
+  assert.equal(typeof data.clientId, 'string');
+  assert.equal(typeof data.resumeToken, 'string');
+  assert.notEqual(data.resumeToken, data.clientId);
+  stream.close();
+});
+
+test('posted messages need the resume token', async () => {
+  const stream = await open();
+  const { data } = await stream.next();
+  received.length = 0;
+
+  const accepted = await post({ clientId: data.clientId, resumeToken: data.resumeToken, message: { type: 'PING' } });
+  assert.equal(accepted.status, 202);
+  await accepted.text();
+
+  const forged = await post({ clientId: data.clientId, resumeToken: 'guess', message: { type: 'PING' } });
+  assert.equal(forged.status, 404);
+  await forged.text();
+
+  assert.deepEqual(received, [{ clientId: data.clientId, message: { type: 'PING' } }]);
+  stream.close();
+});
+
+test('a reconnect with the token replays what was missed after Last-Event-ID', async () => {
+  const first = await open();
+  const { data: hello } = await first.next();
+  hub.clients.get(hello.clientId).send(JSON.stringify({ type: 'A' }));
+  const seen = await first.next();
+  first.close();
+  await wait(30);
+
+  hub.clients.get(hello.clientId).send(JSON.stringify({ type: 'B' }));
+
+  const query = `?clientId=${hello.clientId}&resumeToken=${hello.resumeToken}`;
+  const second = await open(query, { 'Last-Event-ID': String(seen.id) });
+  const missed = await second.next();
+  const resumed = await second.next();
+
+  assert.deepEqual(missed.data, { type: 'B' });
+  assert.equal(resumed.data.type, 'CONNECTED');
+  assert.equal(resumed.data.clientId, hello.clientId);
+  assert.equal(resumed.data.resumed, true);
+  second.close();
+});
+
+test('a reconnect with a wrong token becomes a new client', async () => {
+  const first = await open();
+  const { data: hello } = await first.next();
+  first.close();
+  await wait(30);
+
+  const second = await open(`?clientId=${hello.clientId}&resumeToken=wrong`, { 'Last-Event-ID': '1' });
+  const { data } = await second.next();
+
+  assert.notEqual(data.clientId, hello.clientId);
+  assert.equal(data.resumed, false);
+  second.close();
+});
@@ -0,0 +1,158 @@
+/**
+ * Static File Serving
+ * Traversal-safe file resolution with caching rules, index files and SPA fallback
+ *
+ * Used by ScrollScriptServerAdvanced.static(), ScrollScriptServerUltimate.static()
+ * and `sf dev`. Files go through res.sendFile() from the response toolkit, so
+ * ETag/Last-Modified validation, Range requests and compression come along.
+ */
+
+import fs from 'fs';
+import { extname, resolve, sep } from 'path';
+import { enhanceResponse } from './response.js';
+
+export const DEFAULT_STATIC_OPTIONS = {
+  prefix: '/',
+  index: ['index.html'],
+  spa: false,            // true or a file (relative to root) served for unknown HTML navigations
+  dotfiles: 'ignore',    // 'ignore' (404), 'deny' (403) or 'allow'
+  maxAge: 0,             // seconds, for regular files
+  immutable: /[.-][0-9a-f]{8,}\.[a-z0-9]+$/i, // content-hashed names, cached for a year
+  redirect: true,        // /docs -> /docs/ when it is a directory
+  fallthrough: true,     // let the router handle misses instead of answering 404
+  headers: null,         // (res, filePath, stats) => void, for extra headers
+};
+
+const ONE_YEAR = 31536000;
+
+/**
+ * Resolve a URL path inside root. Returns null when it would escape root
+ * or is not a valid path (bad encoding, NUL bytes).
+ */
+export function resolveSafePath(root, urlPath) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(urlPath);
+  } catch (error) {
+    return null;
+  }
+
+  if (decoded.includes('\0')) return null;
+
+  const base = resolve(root);
+  const target = resolve(base, `.${sep}${decoded.replace(/\\/g, '/')}`);
+
+  if (target !== base && !target.startsWith(base + sep)) {
+    return null;
+  }
+
+  return target;
+}
+
+/**
+ * Cache-Control for a served file
+ */
+export function cacheControlFor(filePath, options = DEFAULT_STATIC_OPTIONS) {
+  if (extname(filePath) === '.html') {
+    return 'no-cache';
+  }
+
+  if (options.immutable && options.immutable.test(filePath)) {
+    return `public, max-age=${ONE_YEAR}, immutable`;
+  }
+
+  return options.maxAge ? `public, max-age=${options.maxAge}` : 'no-cache';
+}
+
+/**
+ * (req, res) => Promise<boolean> - true when the request was answered
+ */
+export function createStaticHandler(root, options = {}) {
+  const settings = { ...DEFAULT_STATIC_OPTIONS, ...options };
+  const base = resolve(root);
+  const prefix = settings.prefix.endsWith('/') ? settings.prefix : `${settings.prefix}/`;
+  const indexFiles = [].concat(settings.index || []);
+  const spaFile = settings.spa ? (settings.spa === true ? indexFiles[0] || 'index.html' : settings.spa) : null;
+
+  const serve = async (req, res, filePath, stats) => {
+    enhanceResponse(req, res);
+    if (settings.headers) settings.headers(res, filePath, stats);
+
+    await res.sendFile(filePath, {
+      headers: { 'Cache-Control': cacheControlFor(filePath, settings) },
+    });
+    return true;
+  };
+
+  const reject = (res, status, message) => {
+    res.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end(message);
+    return true;
+  };
+
+  const miss = async (req, res, pathname) => {
+    if (spaFile && acceptsHTML(req) && !extname(pathname)) {
+      const fallback = resolve(base, spaFile);
+      const stats = await statFile(fallback);
+      if (stats?.isFile()) return serve(req, res, fallback, stats);
+    }
+
+    if (settings.fallthrough) return false;
+    return reject(res, 404, 'Not Found');
+  };
+
+  return async (req, res) => {
+    if (req.method !== 'GET' && req.method !== 'HEAD') return false;
+
+    const url = new URL(req.url, 'http://localhost');
+    const pathname = url.pathname;
+
+    if (pathname !== prefix.slice(0, -1) && !pathname.startsWith(prefix)) return false;
+
+    const relative = pathname.slice(prefix.length - 1);
+    const filePath = resolveSafePath(base, relative);
+
+    if (!filePath) {
+      return reject(res, 403, 'Forbidden');
+    }
+
+    if (settings.dotfiles !== 'allow' && filePath.slice(base.length).split(sep).some((part) => part.startsWith('.'))) {
+      if (settings.dotfiles === 'deny') return reject(res, 403, 'Forbidden');
+      return miss(req, res, pathname);
+    }
+
+    const stats = await statFile(filePath);
+
+    if (stats?.isFile()) {
+      return serve(req, res, filePath, stats);
+    }
+
+    if (stats?.isDirectory()) {
+      if (!pathname.endsWith('/') && settings.redirect) {
+        res.writeHead(301, { Location: `${pathname}/${url.search}` });
+        res.end();
+        return true;
+      }
+
+      for (const index of indexFiles) {
+        const indexPath = resolve(filePath, index);
+        const indexStats = await statFile(indexPath);
+        if (indexStats?.isFile()) return serve(req, res, indexPath, indexStats);
+      }
+    }
+
+    return miss(req, res, pathname);
+  };
+}
+
+function acceptsHTML(req) {
+  return (req.headers.accept || '').includes('text/html');
+}
+
+async function statFile(filePath) {
+  try {
+    return await fs.promises.stat(filePath);
+  } catch (error) {
+    return null;
+  }
+}
@@ -0,0 +1,103 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import { join } from 'path';
+
+import { cacheControlFor, createStaticHandler, resolveSafePath } from './static.js';
+
+const dir = fs.mkdtempSync(join(os.tmpdir(), 'sf-static-'));
+const root = join(dir, 'public');
+fs.mkdirSync(join(root, 'docs'), { recursive: true });
+fs.writeFileSync(join(dir, 'secret.txt'), 'top secret');
+fs.writeFileSync(join(root, 'index.html'), '<h1>app</h1>');
+fs.writeFileSync(join(root, 'docs', 'index.html'), '<h1>docs</h1>');
+fs.writeFileSync(join(root, 'app.3f9a1c2b7d.js'), 'console.log(1)');
+fs.writeFileSync(join(root, 'style.css'), 'body{}');
+fs.writeFileSync(join(root, '.env'), 'TOKEN=1');
+
+const serveStatic = createStaticHandler(root, { prefix: '/assets', spa: true, fallthrough: false, maxAge: 60 });
+
+let server;
+let port;
+
+before(async () => {
+  server = http.createServer(async (req, res) => {
+    if (!(await serveStatic(req, res))) {
+      res.writeHead(418).end();
+    }
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  port = server.address().port;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function get(path, headers = {}) {
+  return new Promise((resolve, reject) => {
+    http.get({ port, host: '127.0.0.1', path, headers }, (res) => {
+      let body = '';
+      res.on('data', (chunk) => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body }));
+    }).on('error', reject);
+  });
+}
+
+test('paths that escape the root are refused', async () => {
+  assert.equal(resolveSafePath(root, '/../secret.txt'), null);
+  assert.equal(resolveSafePath(root, '/%2e%2e%2fsecret.txt'), null);
+  assert.equal(resolveSafePath(root, '/a%00b'), null);
+  assert.equal(resolveSafePath(root, '/%E0%A4%A'), null);
+  assert.equal(resolveSafePath(root, '/docs/index.html'), join(root, 'docs', 'index.html'));
+
+  const response = await get('/assets/..%2fsecret.txt');
+  assert.equal(response.status, 403);
+  assert.doesNotMatch(response.body, /top secret/);
+});
+
+test('files are served with their type and caching rules', async () => {
+  const css = await get('/assets/style.css');
+  assert.equal(css.body, 'body{}');
+  assert.match(css.headers['content-type'], /^text\/css/);
+  assert.equal(css.headers['cache-control'], 'public, max-age=60');
+  assert.ok(css.headers['last-modified']);
+
+  const hashed = await get('/assets/app.3f9a1c2b7d.js');
+  assert.equal(hashed.headers['cache-control'], 'public, max-age=31536000, immutable');
+
+  assert.equal(cacheControlFor('/x/index.html'), 'no-cache');
+
+  const cached = await get('/assets/style.css', { 'If-None-Match': css.headers.etag });
+  assert.equal(cached.status, 304);
+});
+
+test('directories redirect to a trailing slash and serve their index', async () => {
+  const redirect = await get('/assets/docs?v=1');
+  assert.equal(redirect.status, 301);
+  assert.equal(redirect.headers.location, '/assets/docs/?v=1');
+
+  const index = await get('/assets/docs/');
+  assert.equal(index.body, '<h1>docs</h1>');
+});
+
+test('dotfiles are hidden and unknown navigations fall back to the SPA entry', async () => {
+  const dotfile = await get('/assets/.env');
+  assert.equal(dotfile.status, 404);
+
+  const navigation = await get('/assets/settings/profile', { Accept: 'text/html' });
+  assert.equal(navigation.body, '<h1>app</h1>');
+
+  const missingAsset = await get('/assets/missing.js', { Accept: 'text/html' });
+  assert.equal(missingAsset.status, 404);
+});
+
+test('requests outside the prefix are left to the router', async () => {
+  const response = await get('/api/todos');
+
+  assert.equal(response.status, 418);
+});
@@ -0,0 +1,156 @@
+/**
+ * Time-Travel History Tree
+ * Branching history of signal frames for ScrollScriptCore
+ *
+ * Every recorded action adds a frame under the current one. Dispatching after
+ * an undo starts a new branch instead of discarding the old future.
+ */
+
+export class HistoryTree {
+  constructor(options = {}) {
+    this.limit = options.limit || 100;
+    this.frames = [];
+    this.current = null;
+    this.checkpoints = new Map();
+    this._nextId = 0;
+  }
+
+  /**
+   * Add a frame as a child of the current one and make it current
+   */
+  record({ epoch, actions = [], signals, label = null }) {
+    const frame = {
+      id: ++this._nextId,
+      epoch,
+      actions,
+      signals,
+      label,
+      parent: this.current,
+      children: [],
+      activeChild: null,
+      timestamp: Date.now(),
+    };
+
+    if (this.current) {
+      this.current.children.push(frame);
+      this.current.activeChild = frame;
+    }
+
+    if (label) {
+      this.checkpoints.set(label, frame);
+    }
+
+    this.frames.push(frame);
+    this.current = frame;
+    this._trim();
+
+    return frame;
+  }
+
+  /**
+   * Attach a checkpoint label to an existing frame
+   */
+  label(frame, label) {
+    if (frame.label && this.checkpoints.get(frame.label) === frame) {
+      this.checkpoints.delete(frame.label);
+    }
+
+    frame.label = label;
+    this.checkpoints.set(label, frame);
+  }
+
+  /**
+   * Resolve a frame from a frame object, checkpoint label or epoch
+   */
+  find(target) {
+    if (target && typeof target === 'object') {
+      return this.frames.includes(target) ? target : null;
+    }
+
+    if (typeof target === 'string') {
+      return this.checkpoints.get(target) || null;
+    }
+
+    for (let i = this.frames.length - 1; i >= 0; i--) {
+      if (this.frames[i].epoch === target) return this.frames[i];
+    }
+
+    return null;
+  }
+
+  /**
+   * Make a frame current, remembering the path so redo follows it
+   */
+  moveTo(frame) {
+    let node = frame;
+    while (node.parent) {
+      node.parent.activeChild = node;
+      node = node.parent;
+    }
+
+    this.current = frame;
+  }
+
+  canUndo() {
+    return Boolean(this.current && this.current.parent);
+  }
+
+  canRedo() {
+    return Boolean(this.current && this.current.children.length > 0);
+  }
+
+  /**
+   * Frame redo() would move to (the last visited branch unless one is picked)
+   */
+  redoTarget(branch = null) {
+    if (!this.current) return null;
+
+    const { children, activeChild } = this.current;
+    if (branch !== null) {
+      return children[branch] || null;
+    }
+
+    return activeChild || children[children.length - 1] || null;
+  }
+
+  clear() {
+    this.frames.length = 0;
+    this.current = null;
+    this.checkpoints.clear();
+  }
+
+  /**
+   * Drop the oldest frames beyond the limit; their children become roots
+   */
+  _trim() {
+    while (this.frames.length > this.limit) {
+      const oldest = this.frames[0];
+      if (oldest === this.current) break;
+
+      this.frames.shift();
+      oldest.children.forEach((child) => {
+        child.parent = null;
+      });
+
+      if (oldest.label && this.checkpoints.get(oldest.label) === oldest) {
+        this.checkpoints.delete(oldest.label);
+      }
+    }
+  }
+}
+
+/**
+ * Plain description of a frame (no parent/child references)
+ */
+export function describeFrame(frame) {
+  if (!frame) return null;
+
+  return {
+    id: frame.id,
+    epoch: frame.epoch,
+    label: frame.label,
+    actions: frame.actions.map((action) => action.type),
+    branches: frame.children.length,
+    timestamp: frame.timestamp,
+  };
+}
@@ -0,0 +1,105 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ScrollScriptCore } from './core.js';
+import { HistoryTree } from './time-travel.js';
+
+const settle = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+function counter() {
+  const script = new ScrollScriptCore();
+  script.signal('count', 0);
+  script.action('ADD', (amount) => script.set('count', script.get('count') + amount));
+  return script;
+}
+
+async function add(script, amount) {
+  script.trigger('ADD', amount);
+  await settle();
+}
+
+test('undo and redo move through recorded actions', async () => {
+  const script = counter();
+  await add(script, 1);
+  await add(script, 2);
+
+  assert.equal(script.undo(), true);
+  assert.equal(script.get('count'), 1);
+  assert.equal(script.undo(), true);
+  assert.equal(script.get('count'), 0);
+  assert.equal(script.undo(), false);
+
+  assert.equal(script.redo(), true);
+  assert.equal(script.redo(), true);
+  assert.equal(script.get('count'), 3);
+  assert.equal(script.canRedo(), false);
+});
+
+test('acting after an undo starts a branch and keeps the old future', async () => {
+  const script = counter();
+  await add(script, 1);
+  await add(script, 2);
+  script.undo();
+  await add(script, 10);
+
+  assert.equal(script.get('count'), 11);
+
+  script.undo();
+  assert.equal(script.getBranches().length, 2);
+
+  script.redo(0);
+  assert.equal(script.get('count'), 3);
+
+  script.undo();
+  script.redo(1);
+  assert.equal(script.get('count'), 11);
+});
+
+test('redo follows the branch visited last', async () => {
+  const script = counter();
+  await add(script, 1);
+  script.undo();
+  await add(script, 5);
+  script.undo();
+  script.redo(0);
+  script.undo();
+
+  script.redo();
+
+  assert.equal(script.get('count'), 1);
+});
+
+test('checkpoints can be jumped to by label', async () => {
+  const script = counter();
+  await add(script, 1);
+  const checkpoint = script.checkpoint('saved');
+  await add(script, 5);
+
+  script.jumpTo('saved');
+
+  assert.equal(script.get('count'), 1);
+  assert.equal(checkpoint.label, 'saved');
+  assert.deepEqual(script.getCheckpoints().map((frame) => frame.label), ['saved']);
+});
+
+test('actions registered with { history: false } record no frame', async () => {
+  const script = counter();
+  script.action('TICK', () => script.set('count', script.get('count') + 1), { history: false });
+  await add(script, 1);
+
+  script.trigger('TICK');
+  await settle();
+
+  assert.equal(script.getHistory().length, 2);
+});
+
+test('the tree keeps at most `limit` frames and drops checkpoints with them', () => {
+  const tree = new HistoryTree({ limit: 2 });
+  tree.record({ epoch: 1, signals: new Map(), label: 'first' });
+  tree.record({ epoch: 2, signals: new Map() });
+  tree.record({ epoch: 3, signals: new Map() });
+
+  assert.deepEqual(tree.frames.map((frame) => frame.epoch), [2, 3]);
+  assert.equal(tree.find('first'), null);
+  assert.equal(tree.frames[0].parent, null);
+});
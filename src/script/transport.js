@@ -0,0 +1,461 @@
+/**
+ * Client Transports
+ * WebSocket first, Server-Sent Events + POST when the upgrade is blocked,
+ * reconnecting with backoff and queueing messages while offline
+ *
+ * Every transport looks like a WebSocket (readyState, send, close, onopen,
+ * onmessage, onclose, onerror), so callers do not care which one they got.
+ */
+
+export const DEFAULT_TRANSPORT_OPTIONS = {
+  path: '/ws',
+  ssePath: '/sse',
+  transports: ['websocket', 'sse'],
+  timeout: 5000, // ms to wait for the WebSocket before falling back
+  queueLimit: 1000, // messages kept while offline (oldest dropped first)
+};
+
+export const DEFAULT_RECONNECT_OPTIONS = {
+  initialDelay: 500,
+  maxDelay: 30000,
+  factor: 2,
+  jitter: 0.3, // +/- 30% so clients do not reconnect in lockstep after an outage
+  maxAttempts: Infinity,
+};
+
+// 'connecting' | 'open' | 'reconnecting' | 'closed'
+export const CONNECTION_STATE_SIGNAL = 'net.connectionState';
+
+const CONNECTING = 0;
+const OPEN = 1;
+const CLOSED = 3;
+
+/**
+ * EventSource for server messages, POST for client messages
+ */
+export class SSETransport {
+  constructor(url, options = {}) {
+    this.url = url;
+    this.kind = 'sse';
+    // { clientId, resumeToken, lastEventId } from the server; shared across reconnects
+    this.session = options.sseSession || {};
+    this.readyState = CONNECTING;
+    this.resumed = false;
+
+    this.onopen = null;
+    this.onmessage = null;
+    this.onclose = null;
+    this.onerror = null;
+
+    this._fetch = options.fetch || ((...args) => fetch(...args));
+    this._credentials = options.withCredentials ? 'include' : 'same-origin';
+    this._outgoing = Promise.resolve();
+    this._withCredentials = Boolean(options.withCredentials);
+
+    this._open();
+  }
+
+  get clientId() {
+    return this.session.clientId || null;
+  }
+
+  /**
+   * Open the EventSource, resuming the server session when there is one
+   */
+  _open() {
+    const { clientId, resumeToken, lastEventId } = this.session;
+    const url = resumeToken
+      ? withQuery(this.url, { clientId, resumeToken, lastEventId: lastEventId || 0 })
+      : this.url;
+
+    this.source = new EventSource(url, { withCredentials: this._withCredentials });
+    this.source.onmessage = (event) => this._receive(event);
+    this.source.onerror = (event) => {
+      if (this.readyState === OPEN) {
+        // Dropped: close like a WebSocket would, so ReconnectingTransport backs off,
+        // queues sends and opens a new SSETransport that resumes this.session
+        this.source.close();
+        if (this.onerror) this.onerror(event);
+        this._closed({ code: 1006, reason: 'SSE stream lost' });
+        return;
+      }
+
+      if (this.source.readyState === 2) {
+        // The server refused the stream
+        this._closed(event);
+        return;
+      }
+
+      // Still connecting: EventSource retries on its own
+      if (this.onerror) this.onerror(event);
+    };
+  }
+
+  /**
+   * Send a message (object or serialized JSON). Posts run in order.
+   */
+  send(data) {
+    if (this.readyState !== OPEN) return;
+
+    const message = typeof data === 'string' ? JSON.parse(data) : data;
+    const { clientId, resumeToken } = this.session;
+    const body = JSON.stringify({ clientId, resumeToken, message });
+
+    this._outgoing = this._outgoing
+      .then(() => this._fetch(this.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: this._credentials,
+        body
+      }))
+      .then((response) => {
+        if (!response.ok) {
+          console.warn(`[Transport] SSE message rejected (${response.status})`);
+        }
+      })
+      .catch((error) => {
+        if (this.onerror) this.onerror(error);
+      });
+  }
+
+  close() {
+    if (this.readyState === CLOSED) return;
+    this.source.close();
+    this._closed({ code: 1000, reason: 'closed' });
+  }
+
+  _receive(event) {
+    let message;
+    try {
+      message = JSON.parse(event.data);
+    } catch (error) {
+      console.error('[Transport] SSE parse error:', error);
+      return;
+    }
+
+    if (event.lastEventId) {
+      this.session.lastEventId = Number(event.lastEventId) || this.session.lastEventId;
+    }
+
+    // Every stream starts with CONNECTED; resumed tells whether the server kept
+    // the session (and replays what was missed) or started a fresh one
+    if (message.type === 'CONNECTED') {
+      this.session.clientId = message.clientId;
+      this.session.resumeToken = message.resumeToken;
+      this.resumed = Boolean(message.resumed);
+      this.readyState = OPEN;
+      if (this.onopen) this.onopen({ type: 'open', resumed: this.resumed });
+      return;
+    }
+
+    if (this.onmessage) {
+      this.onmessage({ data: event.data, lastEventId: event.lastEventId });
+    }
+  }
+
+  _closed(event) {
+    this.readyState = CLOSED;
+    if (this.onclose) this.onclose(event);
+  }
+}
+
+/**
+ * Tries each transport in order (options.transports); the first to open wins.
+ * Handlers set on the returned object apply to whichever transport is active.
+ */
+export class FallbackTransport {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_TRANSPORT_OPTIONS, ...options };
+    this.transport = null;
+    this.kind = null;
+    this.onopen = null;
+    this.onmessage = null;
+    this.onclose = null;
+    this.onerror = null;
+    this._closed = false;
+
+    this._attempt(0);
+  }
+
+  get readyState() {
+    if (this._closed) return CLOSED;
+    return this.transport ? this.transport.readyState : CONNECTING;
+  }
+
+  send(data) {
+    if (this.transport && this.transport.readyState === OPEN) {
+      this.transport.send(data);
+    }
+  }
+
+  close() {
+    this._closed = true;
+    if (this.transport) this.transport.close();
+  }
+
+  _attempt(index) {
+    const kind = this.options.transports[index];
+    if (!kind || this._closed) {
+      if (this.onclose) this.onclose({ code: 1006, reason: 'No transport could connect' });
+      return;
+    }
+
+    const transport = this._create(kind);
+    if (!transport) {
+      this._attempt(index + 1);
+      return;
+    }
+
+    let opened = false;
+    let abandoned = false;
+    const fallback = () => {
+      if (opened || abandoned) return;
+      abandoned = true;
+      clearTimeout(timer);
+      transport.onopen = transport.onclose = transport.onerror = transport.onmessage = null;
+      transport.close();
+      console.warn(`[Transport] ${kind} could not connect, trying the next transport`);
+      this._attempt(index + 1);
+    };
+    const timer = setTimeout(fallback, this.options.timeout);
+
+    transport.onopen = (event) => {
+      if (abandoned) return;
+      opened = true;
+      clearTimeout(timer);
+      this.transport = transport;
+      this.kind = kind;
+      if (this.onopen) this.onopen(event);
+    };
+    transport.onmessage = (event) => {
+      if (this.onmessage) this.onmessage(event);
+    };
+    transport.onerror = (event) => {
+      if (!opened) return; // the close that follows decides
+      if (this.onerror) this.onerror(event);
+    };
+    transport.onclose = (event) => {
+      if (!opened) {
+        fallback();
+      } else if (this.onclose) {
+        this.onclose(event);
+      }
+    };
+  }
+
+  _create(kind) {
+    const urls = transportURLs(this.options);
+
+    if (kind === 'websocket' && typeof WebSocket !== 'undefined') {
+      try {
+        return new WebSocket(urls.websocket, this.options.protocols);
+      } catch (error) {
+        return null;
+      }
+    }
+
+    if (kind === 'sse' && typeof EventSource !== 'undefined') {
+      return new SSETransport(urls.sse, this.options);
+    }
+
+    return null;
+  }
+}
+
+/**
+ * Keeps a FallbackTransport connected: reconnects with exponential backoff and
+ * jitter, and queues send() calls while offline, flushing them in order once
+ * onopen handlers (channel joins) have run.
+ */
+export class ReconnectingTransport {
+  constructor(options = {}) {
+    // One SSE session for every reconnect, so the server can resume it
+    this.options = { ...DEFAULT_TRANSPORT_OPTIONS, sseSession: {}, ...options };
+    this.backoff = { ...DEFAULT_RECONNECT_OPTIONS, ...options.reconnect };
+    this.state = 'connecting';
+    this.transport = null;
+    this.queue = [];
+    this.attempts = 0;
+
+    this.onopen = null;
+    this.onmessage = null;
+    this.onclose = null;
+    this.onerror = null;
+
+    this._stateListeners = new Set();
+    this._timer = null;
+    this._preferred = null;
+
+    // Skip the remaining backoff as soon as the browser is back online
+    this._onOnline = () => {
+      if (this.state === 'reconnecting') {
+        clearTimeout(this._timer);
+        this._connect();
+      }
+    };
+    if (typeof window !== 'undefined' && window.addEventListener) {
+      window.addEventListener('online', this._onOnline);
+    }
+
+    this._connect();
+  }
+
+  get readyState() {
+    if (this.state === 'open') return OPEN;
+    return this.state === 'closed' ? CLOSED : CONNECTING;
+  }
+
+  get kind() {
+    return this.transport ? this.transport.kind : null;
+  }
+
+  /**
+   * Send now, or queue until the connection is back
+   */
+  send(data) {
+    if (this.state === 'closed') return;
+
+    if (this.state === 'open' && this.transport && this.transport.readyState === OPEN) {
+      this.transport.send(data);
+      return;
+    }
+
+    this.queue.push(data);
+    if (this.queue.length > this.options.queueLimit) {
+      this.queue.shift();
+      console.warn('[Transport] Offline queue full, dropped the oldest message');
+    }
+  }
+
+  close() {
+    if (this.state === 'closed') return;
+
+    clearTimeout(this._timer);
+    if (typeof window !== 'undefined' && window.removeEventListener) {
+      window.removeEventListener('online', this._onOnline);
+    }
+
+    const transport = this.transport;
+    this.transport = null;
+    this._setState('closed');
+
+    if (transport) {
+      transport.onclose = null;
+      transport.close();
+    }
+    if (this.onclose) this.onclose({ code: 1000, reason: 'closed' });
+  }
+
+  /**
+   * listener(state, previous); returns an unsubscribe function
+   */
+  onStateChange(listener) {
+    this._stateListeners.add(listener);
+    return () => this._stateListeners.delete(listener);
+  }
+
+  _connect() {
+    const transports = this._preferred
+      ? [this._preferred, ...this.options.transports.filter((kind) => kind !== this._preferred)]
+      : this.options.transports;
+    const transport = new FallbackTransport({ ...this.options, transports });
+    this.transport = transport;
+
+    transport.onopen = (event) => {
+      this.attempts = 0;
+      this._preferred = transport.kind;
+      this._setState('open');
+      if (this.onopen) this.onopen(event);
+      this._flush();
+    };
+    transport.onmessage = (event) => {
+      if (this.onmessage) this.onmessage(event);
+    };
+    transport.onerror = (event) => {
+      if (this.onerror) this.onerror(event);
+    };
+    transport.onclose = () => {
+      if (this.transport !== transport || this.state === 'closed') return;
+      this.transport = null;
+      this._scheduleReconnect();
+    };
+  }
+
+  _scheduleReconnect() {
+    const { initialDelay, maxDelay, factor, jitter, maxAttempts } = this.backoff;
+
+    if (this.attempts >= maxAttempts) {
+      this._setState('closed');
+      if (this.onclose) this.onclose({ code: 1006, reason: 'Gave up reconnecting' });
+      return;
+    }
+
+    const base = Math.min(maxDelay, initialDelay * Math.pow(factor, this.attempts));
+    const delay = Math.max(0, base * (1 + (Math.random() * 2 - 1) * jitter));
+    this.attempts++;
+
+    this._setState('reconnecting');
+    this._timer = setTimeout(() => this._connect(), delay);
+  }
+
+  _flush() {
+    const pending = this.queue;
+    this.queue = [];
+    pending.forEach((data) => this.send(data));
+  }
+
+  _setState(state) {
+    if (this.state === state) return;
+
+    const previous = this.state;
+    this.state = state;
+    this._stateListeners.forEach((listener) => listener(state, previous));
+  }
+}
+
+/**
+ * Open a WebSocket, falling back to SSE + POST, reconnecting unless { reconnect: false }.
+ * options: url, sseUrl, host, path, ssePath, protocols, transports, timeout,
+ * withCredentials, queueLimit, reconnect ({ initialDelay, maxDelay, factor, jitter, maxAttempts })
+ */
+export function openTransport(options = {}) {
+  return options.reconnect === false
+    ? new FallbackTransport(options)
+    : new ReconnectingTransport(options);
+}
+
+/**
+ * Mirror a ReconnectingTransport's state into a ScrollScript signal
+ * (net.connectionState by default); returns an unsubscribe function
+ */
+export function bindConnectionState(script, transport, signalName = CONNECTION_STATE_SIGNAL) {
+  if (!script.signals.has(signalName)) {
+    script.signal(signalName, transport.state);
+  } else {
+    script.set(signalName, transport.state);
+  }
+
+  return transport.onStateChange((state) => script.set(signalName, state));
+}
+
+/**
+ * Endpoint URLs from options and the page location
+ */
+export function transportURLs(options = {}) {
+  const settings = { ...DEFAULT_TRANSPORT_OPTIONS, ...options };
+  const location = typeof window !== 'undefined' ? window.location : { protocol: 'http:', host: 'localhost' };
+  const secure = location.protocol === 'https:';
+  const host = settings.host || location.host;
+
+  return {
+    websocket: settings.url || `${secure ? 'wss:' : 'ws:'}//${host}${settings.path}`,
+    sse: settings.sseUrl || `${secure ? 'https:' : 'http:'}//${host}${settings.ssePath}`,
+  };
+}
+
+function withQuery(url, params) {
+  const query = Object.entries(params)
+    .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`)
+    .join('&');
+  return `${url}${url.includes('?') ? '&' : '?'}${query}`;
+}
@@ -0,0 +1,131 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ScrollScriptCore } from './core.js';
+
+// Node has no EventSource: a stand-in the tests drive by hand
+const sources = [];
+globalThis.EventSource = class {
+  constructor(url) {
+    this.url = url;
+    this.readyState = 0;
+    sources.push(this);
+  }
+
+  close() {
+    this.readyState = 2;
+  }
+};
+
+const { ReconnectingTransport, bindConnectionState, transportURLs } = await import('./transport.js');
+
+const tick = (ms = 0) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function connect(source, resumed = false) {
+  source.readyState = 1;
+  source.onmessage({
+    data: JSON.stringify({ type: 'CONNECTED', clientId: 'c1', resumeToken: 'tok', resumed }),
+    lastEventId: '1',
+  });
+}
+
+function drop(source) {
+  source.readyState = 0;
+  source.onerror({ type: 'error' });
+}
+
+function createTransport(posts, options = {}) {
+  return new ReconnectingTransport({
+    transports: ['sse'],
+    sseUrl: 'http://app.test/sse',
+    timeout: 1000,
+    fetch: async (url, init) => {
+      posts.push(JSON.parse(init.body));
+      return { ok: true };
+    },
+    reconnect: { initialDelay: 5, jitter: 0 },
+    ...options,
+  });
+}
+
+beforeEach(() => {
+  sources.length = 0;
+});
+
+test('messages are posted with the session the server handed out', async () => {
+  const posts = [];
+  const transport = createTransport(posts);
+  connect(sources[0]);
+
+  transport.send({ type: 'PING' });
+  await tick();
+
+  assert.deepEqual(posts, [{ clientId: 'c1', resumeToken: 'tok', message: { type: 'PING' } }]);
+  transport.close();
+});
+
+test('a dropped stream reconnects with backoff, resumes its session and flushes the queue', async () => {
+  const posts = [];
+  const script = new ScrollScriptCore();
+  const transport = createTransport(posts);
+  bindConnectionState(script, transport);
+  const states = [];
+  transport.onStateChange((state) => states.push(state));
+  connect(sources[0]);
+
+  drop(sources[0]);
+  transport.send({ type: 'WHILE_OFFLINE' });
+
+  assert.equal(transport.state, 'reconnecting');
+  assert.equal(script.get('net.connectionState'), 'reconnecting');
+  assert.equal(sources[0].readyState, 2);
+  assert.equal(posts.length, 0);
+
+  await tick(20);
+  assert.equal(sources[1].url, 'http://app.test/sse?clientId=c1&resumeToken=tok&lastEventId=1');
+
+  connect(sources[1], true);
+  await tick();
+
+  assert.deepEqual(states, ['open', 'reconnecting', 'open']);
+  assert.deepEqual(posts.map((post) => post.message), [{ type: 'WHILE_OFFLINE' }]);
+  transport.close();
+  assert.equal(script.get('net.connectionState'), 'closed');
+});
+
+test('refused streams give up after maxAttempts', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const transport = createTransport([], { reconnect: { initialDelay: 5, jitter: 0, maxAttempts: 1 } });
+  let closed = null;
+  transport.onclose = (event) => {
+    closed = event;
+  };
+
+  sources[0].readyState = 2;
+  sources[0].onerror({ type: 'error' });
+  await tick(20);
+  sources[1].readyState = 2;
+  sources[1].onerror({ type: 'error' });
+
+  assert.equal(transport.state, 'closed');
+  assert.deepEqual(closed, { code: 1006, reason: 'Gave up reconnecting' });
+});
+
+test('the offline queue drops the oldest messages past queueLimit', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const transport = createTransport([], { queueLimit: 2 });
+
+  transport.send({ n: 1 });
+  transport.send({ n: 2 });
+  transport.send({ n: 3 });
+
+  assert.deepEqual(transport.queue, [{ n: 2 }, { n: 3 }]);
+  transport.close();
+});
+
+test('endpoint URLs come from the options', () => {
+  assert.deepEqual(transportURLs({ host: 'example.com:8080' }), {
+    websocket: 'ws://example.com:8080/ws',
+    sse: 'http://example.com:8080/sse',
+  });
+});
@@ -1,8 +1,10 @@
 /**
  * Weave Network Reactivity
- * Offline styles, network event animations
+ * Offline styles, network event animations, realtime connection banner
  */
 
+const CONNECTION_STATE = 'net.connectionState';
+
 export class NetworkReactivity {
   constructor(weave, script) {
     this.weave = weave;
@@ -30,6 +32,28 @@ export class NetworkReactivity {
         this._showErrorAnimation();
       }
     });
+
+    // Watch the realtime connection (NetHub creates the signal)
+    if (this.script.signals.has(CONNECTION_STATE)) {
+      this.script.watch(CONNECTION_STATE, (state) => {
+        this._applyConnectionStyles(state);
+      });
+    }
+  }
+
+  /**
+   * Mark <body> with the connection state and show a banner while reconnecting
+   */
+  _applyConnectionStyles(state) {
+    if (typeof document === 'undefined') return;
+
+    document.body.dataset.connection = state;
+
+    if (state === 'reconnecting') {
+      this._showBanner('net-reconnecting-banner', 'Connection lost. Reconnecting...', '#f59e0b');
+    } else {
+      this._hideBanner('net-reconnecting-banner');
+    }
   }
 
   /**
@@ -94,19 +118,33 @@ export class NetworkReactivity {
    * Create offline banner
    */
   _showOfflineBanner() {
-    let banner = document.querySelector('.net-offline-banner');
+    this._showBanner('net-offline-banner', 'You are offline', '#ef4444');
+  }
+
+  /**
+   * Hide offline banner
+   */
+  _hideOfflineBanner() {
+    this._hideBanner('net-offline-banner');
+  }
+
+  /**
+   * Slide in a fixed banner (created on first use)
+   */
+  _showBanner(className, text, background) {
+    let banner = document.querySelector(`.${className}`);
     
     if (!banner) {
       banner = document.createElement('div');
-      banner.className = 'net-offline-banner';
-      banner.textContent = 'You are offline';
+      banner.className = className;
+      banner.textContent = text;
       banner.style.cssText = `
         position: fixed;
         top: 0;
         left: 0;
         right: 0;
         padding: 1rem;
-        background: #ef4444;
+        background: ${background};
         color: white;
         text-align: center;
         font-weight: bold;
@@ -123,10 +161,10 @@ export class NetworkReactivity {
   }
 
   /**
-   * Hide offline banner
+   * Slide a banner out and remove it
    */
-  _hideOfflineBanner() {
-    const banner = document.querySelector('.net-offline-banner');
+  _hideBanner(className) {
+    const banner = document.querySelector(`.${className}`);
     if (banner) {
       banner.style.transform = 'translateY(-100%)';
       setTimeout(() => banner.remove(), 300);
@@ -179,6 +217,7 @@ export class NetworkReactivity {
           status: this.script.get('net.status'),
           loading: this.script.get('net.loading'),
           latency: this.script.get('net.latency'),
+          connection: this.script.signals.has(CONNECTION_STATE) ? this.script.get(CONNECTION_STATE) : 'idle',
           errors: this.script.get('net.errors').length
         };
         
@@ -197,8 +236,10 @@ export class NetworkReactivity {
     };
 
     // Watch network signals
-    ['net.status', 'net.loading', 'net.latency', 'net.errors'].forEach(sig => {
-      this.script.watch(sig, applyStyles);
+    ['net.status', 'net.loading', 'net.latency', 'net.errors', CONNECTION_STATE].forEach(sig => {
+      if (this.script.signals.has(sig)) {
+        this.script.watch(sig, applyStyles);
+      }
     });
 
     // Apply initially